@@ -0,0 +1 @@
+window.ASSET_END_PAGE_PDF_B64 = "JVBERi0xLjcNJeLjz9MNCjE2NSAwIG9iag08PC9GaWx0ZXIvRmxhdGVEZWNvZGUvRmlyc3QgMjEvTGVuZ3RoIDQ3OS9OIDMvVHlwZS9PYmpTdG0+PnN0cmVhbQ0KaN58UmFr2zAQ1U/Rx+VDK8uOHbsUwxqvJazZQuJRWChFsZVUkFhBUiD789ueFC8ESmZz0um9d6eTdGlKI8qHER3lMeaU5ryg9/fss3EP+riMbiPqLeMxxlGB8ZU9bKVsr7Jj3TnZOUvTDKnnbGz0/qp4KlslrrIzYZAplOUzzZRs5KRba9Q36Spp1aaDW+nmsINuUn36/YccyY7syS1piYLdkRWJCCcxaUgCryA3JCMSlsEbwmsDlp+xFBE5EYgZISIBXsBrB+xZWDfVrVor2fqNKiSPkTJGCA9zgTnF75Eh+Tlg3w67lTR6PRMbaSln343aqE5s/19xE9JkSJORNaq5ARKHSnzFDTS+zgIYD6zAOoetsE7ACygFiQfMb1sb0dm1NjvhlO6mwhl1fFbW4d6iJe8v3duF/1qWIfbHpPonpZwn6bDHX1Tr3s9MeLEyfGwurT6YRlowY73VZrEXjfSLBVKksX9GyL4c3dPCCeeZp8DwnnlE83h5/AY0ik4NFL9xOgoKVtdePex9TvO8D5wZ3SykW7JZ9chqeXT+EHPtN6ERq8XKshdWv+NBKE+KU7xRu6utV//ay3DYsgxnOfg+ZF9Va5d9O15o7EdR2mvOLXw6y2XIXwEGAB3f4FQNZW5kc3RyZWFtDWVuZG9iag0xNjYgMCBvYmoNPDwvRmlsdGVyL0ZsYXRlRGVjb2RlL0ZpcnN0IDI4L0xlbmd0aCAzMzMvTiA0L1R5cGUvT2JqU3RtPj5zdHJlYW0NCmjetJNtS8MwEMe/St7LSPPcwhhs6pgwRLaJoviitnELjrQk2Yt9ey9xbqhT5xOB5Hq5+9/R30URlKE8R4QyRLIMcQGn4EgojrpdPCi9HjY24PPx6GZ8fdRvQ+On2pmHzkTPV8vS4RPtK23r0oYY6JEoQHGCT23V1MbO8VmtbTBh3Rnh6eo+rFuNZ7BleNZcWgNBGuUipUQ3jiK93mGltzWujO1bb7bfQ+N8OF6UDjGaFGOTzoCCQ4qmYuNyE0EI2TXmVjp1seutYK97g1p1WPhbSiVc/NdSIv+1hhD87qs/OWiW9TuChfg2QZKRAxBeNG1rrO8MlmX1+DN6RIg3+Oin+IiQ+/kR9QeUFEMy50CLbbnF6WKUwjPYlyHJx1Mj87RnRbKeI5NVqKQIlpIvFvgkk5scLhU82ALx6Ik3KtKQMgdLwQw8CTAAe2MJbQ1lbmRzdHJlYW0NZW5kb2JqDTE2NyAwIG9iag08PC9GaWx0ZXIvRmxhdGVEZWNvZGUvRmlyc3QgNi9MZW5ndGggNDIvTiAxL1R5cGUvT2JqU3RtPj5zdHJlYW0NCmjeMjQ0UDBQsLHRd84vzStRMNAPqSxI1fcvLcnJzEsttrMDCDAAjywJ0g1lbmRzdHJlYW0NZW5kb2JqDTU2IDAgb2JqDTw8L0ZpbHRlci9GbGF0ZURlY29kZS9MZW5ndGggMTg5Mz4+c3RyZWFtDQpIibxX224URxB936/oR/Kw4+7qu2SttOsLChKRkFfKQxRFaDGBxBiwcUL+PudU98zOggmQiAiZ2VMzXbc+VV39dmGNNcmJyVXMzeXiR3O9ODq5sGZ3ixd28A7/1WDM7Q4vHuLFr7eLt8bxJf73XobqJZhY3GBdTWb3SlW+WixdGUoIJsTBWWeuFssw1FpNzkN2teEUoslliKG/D1AAXEo0QDkUuDVIKmYJJeJHtIPyOsD2KLhSQc51+l7s4Iq+tzBO6GNWW5XLJQ3ZVpP8kCRxufeDTa5/0LD4NK0HTH6v3YfBljRzJxT4N3cnUNEkICxZY83VK4QUyKfUlwc3Tw0MxCzz3CG9vhip0NOxi5GYZmZQcjb7r6kcunwJxvmBG9Viq9YbJ4Mg0U2QajbOYcPMmApFjFWGAi/5dZ3nDo+YvaY+IhpYRcrdKIj4BUGERULnHGGueDjse4oNiu4lgnVpFHA98qL6clT/7KguJ9+wc6XhBHq6KAQeSkm93eL54smcoxHvxAWTEh3CyhlHZYil4DeteqjFT/6IXu0HyXNYgyZgFKSkKbk6kNQCT6G2gn3LlCGviqWWCe8YgkUOR8HVoofYsZYcAfPWAdJduLRB/f9qAkH4XQR57L05kFJRXB51WsPgEqi1z4GPg8BMgc9RuQZBQuAFNKmxC0pMppCULIaEDSwKS4MVDQTQQg0Jl5XXe4VZBm8FDqaQO05Z/RYrXVC8UiImZAUwJiVEpQFA1whDCAOxgN51FGB9RNry9D2QC41grN0I/5LSpxcrHEYmUHPetfCS1vpeIA7JYsHEPOKICCkIbCaADfkGgiI2L9ayYDfSKLhSQZU6CpYBdQiOkG0dxsLqyt7rcnScqMXiYluOmnYaXAxZW0f1U6hsM3aeGuZ4nhmoCWHEAFXrJnyqVLBnIbAvCvc0zFkyVLRXrxxbok8h/wkNwo8A7RctBB40iO4hdIwUbp2msomXpImwrm0EeILY0ffx1iFLCtjQwFYqQTSJWUHXQ+dwtmUWD7R+19rBiGCPrF50LBENnxWyxzkFfu1AYfQuh3qFz2h4AAI2YulgESJ6qGeiMzjmiJx32gTEFqoJtR1ARdujgJvcCDwF5HGgFpgywikpHbMRaT8kYDpYTmzhtGChMCq9QSzRPhk82yeaM3tIHorsIU60mlT3KMATdAVUxGYGJO3AEVR9CWPOgwoquQwbelxG1CpjDjGOiKpRCGESLBEd95bK2UbVh9APV2UfC4fnDw7jyqOEYVtpX2SZYaRa/JgYStBiajvpJknStkRsUT7EgU5gLcNkE/JqFInxjNHjcGUsYBsP02Xo/bsH1eFuwc8nyMLLDIkn8x6NyR0FSISHe2iMtBRBjXkBPVlstp+fmo62W9bY9vkCzYaL8RALJga0gyDcCeRo+2rxYPvi6fXv5q/Xd99tf1vw3AYdtEDbT8GJLjzQBK0FJ1vSRev3L2/N99e3dzdPr3eX5uHN67s3hgr0REAuuzcn8kt3A1SxyjxmOJrts8WxDZvNCmuOLt48vT4+Plrv3t09vdpevn93fH52fm6t2NVqZTanJ4Yfp8CPzx4rshUpssXas/qlKtD2eS5004faoMtlcMJurIvu3zn1E/QE6JBMHfg7ty6crthkDF6diL6yp6fq9M/bR19kA4Ry93qt5mwz4WHAyXm3uVblH1NjogRri4cmGl+g4gcnVy//uDSblzfPlASG/8Y1rq25hxkWLHLosWLRLSL6E5nxCRZ8UgtyghJDS3QVY2WpqoWxrTe6HT1fDN3aElq84DFTCrFmmp+d+YY1+y0D/+g8tgUTqhyYbc5/xl3twTg7cuDAOblb/QoTdehu0WvSU93hxohtT+tWy0YIl9c9qDzyDiPNiXrOTsoZQ7g71E51VMHvsqx44HRLIa3xuuWq50b0lUd55Ua7PbPb82OGyscM7ZpPKf98OjH3pGhxXgZwIdkvTqd3vHs4/eFq1HXH1sO8RwT+LGuO/NkGf3yuZ9gr9mdx1Sj3KboLJ3FBP82xsf3FDbrXo9fXl7dfQfdQOBTjkPhPdA8W42bF3v6/dMfMg7EWffcr6e4rJhPQ4hvTHfMDx9ADulNdOJ2+JRudq119nrIBkq/svsN+e6pHDAM5krJfR/WA0zc4jKkfUn3d/zad2utO7xHHjgv+krb/fv6fXBye/xcnP2Cs5C3uTxPMYzOftVGa2vIqp75xzsb1s4LUmaPrxcFsniwGRWuzyUmH0DQbzjGQ8XK3jEEPVN6oMIiVmQAzEcdCxFn1WtEw770vdISh16jFXi97q5GUsrjo5Dq/M6JwOd3znhtzm7KdzqyTAMOtjjmjgZlKj3E+MhDeK3ld2et1vGlxcEw6pvJyhtosM0HGxSR/4PhBk5kZSpjxKlKZAybukucZgw8cH5cVYYd2C8T8TNOTBJfMDy3NWsrMTMBKjrc5Y3LnLWFvhndKToyO073NaqcMyR6IeA2p96cKrSEJMnSYfVw9eKHlVB1UJ8I7EHiYcDONfwswAJG8A2YNZW5kc3RyZWFtDWVuZG9iag01NyAwIG9iag1bL0luZGV4ZWQvRGV2aWNlUkdCIDI1NSA1OCAwIFJdDWVuZG9iag01OCAwIG9iag08PC9GaWx0ZXIvRmxhdGVEZWNvZGUvTGVuZ3RoIDMzNj4+c3RyZWFtDQpIibRSW5VCQQyrBSxgoRawgIVYuBawEAtYwEIsYAEL2WQ8bP96pk3zmJnUzmCGM5pxu91ZzHJWs+4jdoABBxq4s9whhhxq6K5qRxhxpJGDNN4xxhxr7AIXOlhZzrR7p4Vd7mrXPZsOWHChhcsij8SSSy1dUpkVVlxp5XDM6hprrrV2KVdDSIdlaLkKeinQwcqyK6h9ioAAV1/OpiNBga7csMijCAly1IdUZmHCgl0zala2Y0f0u95UUsBCOixdq3o42IEOlutcn9OnRLpGRl/OppMox9fIDYs80qJdm5sKOlujXdfrHbpaO9wQqhBFKmk3k/JAgQvtRtRp9E7LSSxGRl/OppPt8xt88vZJ1Cczn1R8fPdx1sc7H3d89Pso9NHgw9KHh88lHyyfaZ/+drvd7/fH4/F8Pq/rer1e7/f78/l8v9/f7+d/q78BABBxq2MNZW5kc3RyZWFtDWVuZG9iag01OSAwIG9iag1bNjIgMCBSXQ1lbmRvYmoNNjIgMCBvYmoNPDwvQmFzZUZvbnQvTkxIWkxYK0FwdG9zU2VyaWYtUmVndWxhci9DSURTeXN0ZW1JbmZvIDY3IDAgUi9DSURUb0dJRE1hcC9JZGVudGl0eS9EVyAxMDAwL0ZvbnREZXNjcmlwdG9yIDg3IDAgUi9TdWJ0eXBlL0NJREZvbnRUeXBlMi9UeXBlL0ZvbnQvV1sxWzY0M10yNls2NDBdMjhbNjg2XTM0WzcxNF00MFs2MDBdNjJbNTQ2XTY0WzcxMF03MFs3NjFdNzNbMzMxXTg4WzYyOF05MVs1NjhdOTdbODE3IDc1OF0xMDVbNzI1XTEzMls2MDBdMTM0WzcyNSA2NjVdMTM5WzU5Ml0xNDdbNTk1XTE1Mls3MjRdMTcxWzY0M10xNzRbOTkyXTE4MFs2MjVdMTk0WzUzMl0yMTlbNTgwXTIyMVs1MDldMjI3WzU4MF0yMzNbNTE5XTI1NlszMjIgNDk0XTI2NFs1OTJdMjY3WzI4Nl0yODFbMjgzXTI4NFs1MzhdMjg4WzI4Nl0yOTRbODY0IDU4NF0zMDNbNTU0XTMzMFs1ODldMzMyWzU2OCA0MThdMzM3WzQ5MF0zNDZbMzMxXTM1MVs1OThdMzcwWzUxNF0zNzJbODA4XTM3N1s1NDEgNTExXTM4OFs0NzJdMzk4WzYyNCA4OTBdNDAyWzU4OCA1OTJdOTk1IDEwMDQgNTQ3IDExMjRbMjI2XTExMzAgMTEzMyAyODkgMTEzN1s0OThdMTE0NlszMjFdMTE0OFszNTJdMTE1MFs0NjBdMTE1OSAxMTYwIDI5NiAxMTczWzQ2OCA0NjldMTE3NSAxMTc2IDI3NiAxMjA3WzkzNSA3MTJdMTIzNls1NDddMTI3Mls1NDddMTI5OFs4MjBdXT4+DWVuZG9iag02NyAwIG9iag08PC9PcmRlcmluZyhJZGVudGl0eSkvUmVnaXN0cnkoQWRvYmUpL1N1cHBsZW1lbnQgMD4+DWVuZG9iag02OCAwIG9iag08PC9GaWx0ZXIvRmxhdGVEZWNvZGUvTGVuZ3RoIDg0Pj5zdHJlYW0NCkiJOsDAoKHQwMDU5MAwIcGBgYFbQKCBQYiDQYGBQUQAyD8wgcGjmZGBgUHHQRGoNIGD2YCBWkD+Byqfw8ZBi7GBvYGBgRGIOUBCQFoBIMAA00MMKA1lbmRzdHJlYW0NZW5kb2JqDTcyIDAgb2JqDTw8L0FzY2VudCAxMDEwL0NhcEhlaWdodCA2NTcvRGVzY2VudCAtMjc1L0ZsYWdzIDM0L0ZvbnRCQm94Wy00ODUgLTI3NSAxMjM3IDEwMTBdL0ZvbnRGYW1pbHkoQXB0b3MgU2VyaWYpL0ZvbnRGaWxlMiA3OSAwIFIvRm9udE5hbWUvTkxIWkxYK0FwdG9zU2VyaWYtUmVndWxhci9Gb250U3RyZXRjaC9Ob3JtYWwvRm9udFdlaWdodCA0MDAvSXRhbGljQW5nbGUgMC9TdGVtViA5Mi9UeXBlL0ZvbnREZXNjcmlwdG9yL1hIZWlnaHQgNDY4Pj4NZW5kb2JqDTc5IDAgb2JqDTw8L0ZpbHRlci9GbGF0ZURlY29kZS9MZW5ndGggNjUxNC9MZW5ndGgxIDE1NDQ4Pj5zdHJlYW0NCkiJZJUJXNXHEcd/M7P7VBQvRPHC/3vwQKNVK/WMiY1XvG2K9wkiiAeKiDcIHqCI4n2h8Ugao8aqTVJN8CLRJtV63xeCPKLE6KefqDXgAd33sKa2u5+d3Zn5777/+/53ZuLjpkbCC8kQWH1Dm7VAWdttRlhETHjsgo3PdgJUCfB6MmbCzKjz8ZMnAUYFJUdHho8OrJyyF/BONoZW0cZQtt17vxGB0THxM17pN4CapyZMigj/ZXdRW+PaDlSMjgmfEVvmb17ZCGtieExk+Lp9D43e1PyGV+ykKfGlW2DeqX0btx9K7afl0CivQ9RpY8ksm/k0ovimmdmmyinNorb5BpVm48FzUNn5vUMtC9nwfvmi3PyXR4HyNTjEAm1x++SI7ug5Xdx/ykj3nkpQXoVGVUYpBwVvNENbzKEkmkuptJhW0mraQNtoH31JByiH7tFPVMp1OYRbcz8eyIN5KEfwfE7nlfw954iSSlJd6kqANJRW0kWmS5IsliWyXLbJTtknJ1QdFaDaqU6qVNfXTr3MVrHCY6+fKxZX7lDrpn+Ef4r/Zv9iy9fytxxWkNXcCrHaWe9ana1Ya6aVZKVZ2XZt97HXslt2hz3I3tQeYu9nH2HfYN/hYIfNUcVR3eHrqONo4GjkaOxo5ejmCHdEBnBA1QB74FgnnOys5KzqrOH0c25zfuY85TzrvBtULdgnOCo4KfjHxkee88sXpaXuz2goNUc7bPVQSKMMQ2E9baW99LmHwl26T0Xsxy0MhVAe8AaF7/iaQGyvKARJS0MhVmbJAkMhQ1bIx7JL/iInVV0VqN5WnXUdHeih8Og1hVH+yYbCVsvHqmVZHgotrLZWew+FeEMh2drqoVDzvyiE2vvbl7+mUM1QqO3wf00hzDHaQ8EKDHuDwlbnLudJD4WqHgrTggsbH35Obgqqv7kxX7jvTUlmSbF7LvV7FTMoSS218LqVuDzyk5Itps8oKSyJ4c/LPPwOt+Sm3IQtKi6zlD4240LpeSPN7S/pa8aeV556JZufZRUfLjrwNO7BJbflzhOgYLx7VdCtwFWwrCACcD1zFboK71x0nTHrLJd5P9du1yZXgSszf2/+w/x/Gn26q7JL578E8m+79+bn5t82/aDnxBN37gG56/NC8n6XF5RnN71e7tLcFGMbnNvl9kc523L63ppxy8S4bYVtjzs+iM3wp+2e+AmTUUZGyziZIBM9lonmy8ZJsqSadaoswhtNEowt4w1LhmwSc5bs82hGShagBpkxTxfpkjf360faENAvzNvstmX9x2rb/+sTNs85tgdv7rPlvV7dd49f/ba7tsKyGf/XbFf+Rz9VNqvRapLarGaoS7q6+kptUQvVIjVVFanxKkGNU7PUBBWjStULVaImqwOGWR3UgwMN8S5+j67ojgEYhKEIxyiMxQKkYiHSsQrr8Rn24At8iSMqXc1WS7RNzdVT8S1uIgcu/EggovJUkWpTPbIoiIKpGfWgXtSbPqAhNJLiKJ5m0ixaoNLUMbVYKxWpYtU59VBdVD+r4ypLT1EHOVRlaq0S1SGdqLI1qyFqqJ6mq6iv1RQ9Rw3mfmqj6qg6mHwUh2pgVEAtVIEv/NAALdEITUxW/gA90Rt9EIgxiMc4TMA8xKlnppZsxgZsxCb8FSk0CBdwDCdxDedwBdeRh6e4j4d4TD7kTVWoKgroN9SOmlML6kZt1HPqSpEURqMogmZTT0qEDy6ZrHwcNXAZ9XHb5KA7sCMf/siFEz8gCHfRGkV4Cz8hBE/QBsVojAfoRBrvkaALlUNnsqEbeeF9qoD+5IdQqoleVBn9qBb6murWg3wxkOpiMNUnfwwjO0ZQAIaTAyMpEGHkRAQ1RCQ1xmh6ixohmpoikTphPP0WCdQR86k7FlEfLKY/II36Ygn9EcuoPzKoH5ZSKNbScKyhYVhNQ7GLJuNTmohMCsdOisV2isEOmoR9NA37KQEHcJRS8A0tRLbJsoMRgGCTc9ub+tNB/QlDqAGmUXuTg8fgz8iiZHQkZSpTZ0RRE9TEVdTGDcyl97GcBmAdjcAhmodb1AWFuKdn6Xg9WyfpBD1dd9ZddDfdS/fWPXQn3VH30T11V93dZORvJUWOqe3qUxOpx+WO/E2+k+/VGBmlO+j3ZLaKMjGcKHNMhM+Vr2WezJejki3fyAE5JF/JQTksWXLE5PUzclaWmuheJufkvJyWhfJ3WSQnJE1Omur3D0mXU7JObsh6uSkb5JZkSo5slNsmG+TKh5InF+SiXJLLpkpeUTtMjbgqK2WVXJPrslrWyFoO43BOM1VmLiebKrOAU3gOJ3Eqj+UonsKzuL+pQQN5EI/gkTzKVKLRHMnRHM9TeTpP4xk8kxM5gWfzPF7Ii/gSX+YrfJVz+Dbf4Xx2cQHf48f8hJ/yv/gXLuIX/JyfCZkqVo5zOU/Ku2salwqLiOKXXCKaC/kHfsTFvFgqcLp48RKpyEulEmeINy+TyrxcqvAKqcorpRqvkuq8Wnx4jdTgteKr0/USvVRn6GV6OZ+R3uoT3Va302/r9vod3Vq34TF8l89KHz4nfXkIX+dhfJOH8y1eJzV5vdTiDeLHmVKbN0od3iR1+UOpx5ulPm8Rf94mFn8kdv5Y/k17uQBHVZ1x/LvnfOduIhDdDFmDQGIISYBAUrPZ5ZkgL4EUmRSqEuo0tjzKKwkBIgFFKjJDW+0IAwZLBwyFYKtYBHlrBCohAiEI1GpFIyBFBIdXBVSSbP/n7t2wGzZUpzYzv3z3PO453/nO2fP9byexViaKCtlZrJNJ4mWZLP4sU8RfZBfxiuwqXpXdxHqZKl4Tf5U9xAaZJl6X6WKj/JHYJO8Tb8gMsVm6ZXexRWaKrdIjtkmv2C57ih2yl9gpe4s3ZR/xluwrKmU/8bbMErtkttgt+4s98n7xNzlAvCMHir1ykKiSg8U+OURUywegEj4S78qhYr8cJg7I4eKgzBE18sfikBwhymU8LTEeoU1GKW0wSmijMZvuoiMUTcegWw9CqR2CLqmlKDpMragGWq2KTKqGanuXImg/1OI+yqSr5KXr1JfqqQddgJa7BB1zme6jK5RGF2mU0ZZyjWiaafSmEqMvFRhuKjI8NN3wUrHRkwqNTJptZNEcoz/NNe6nJ4wBVGpk00pjPL1kTKTVxiRaY0yhtcZUqjCm0Z+MybTDmE/bjafoTeNpqjSe4QW8nF/kpfwHfoHLeBlXcTXP4sd5Ns/hD/kIH+V/8qf8GZ/mM/wFX+Lz/D5/wJ/wRf4Hf8Sf83E+xB/zYT7JX/IFPscn+F98is9yHdeqJbyfK1V7FaPuVu2gH+NUB+VSsdBQbfgbvqKilEM5uYG/UrgS+RpfVd1VV9WNt/IBxEvn3CqVgzv2Tty1PYiKnQnOpE7JnkyvO8MV09ZUCc4EI9nb0+v1ZCYndjJjEgMtDtN0yKrGu1MyM1NSvN7GwdJbf8AYw7379vY+mDsy79drFi4sHznUm8Aq59utdZnJyZma5byzwRg9OTV1iLvn8NE5T/3myYKREzxdhrrhTTpy+0ko8la4xxJ0aabTbTicbmei0dOZ4HFneD0ed0xbl9sdY2h3Ej0JyrYx2reYL7fIh7o+Mrm+wNV4eXlU7Kh2bcobz8ZGLTfyZf92UeXG8bKodmrgjZUdeP63b/PmuBtpA6JjWreOiR7Atfr/LP1PV0Go0XjfRW4ljyIy8URDOiXroOi168WbKRlWRHRITHjkEu7F7xUVvbd46bEZM44tnTjH45kzcVyJ213iLKlbsepEaemJVSvqSgYV7J43f29R0d7583YXkPW1IcTzy+JrL+ff2e8qyQhLX3z8WzlX21OTMg/UxzccijwT0VbLD/ik//RnifUlE3m6Pr6+G1qb6Rb1hqzC/yTf1f8Xjul+VBylq7NgHhWHZRvammE+Q+n4cvvfOUxjYYv1syqF+qhBOR/1+STVBswdBtOF+W1EBewkv7VJDXrWJDQrp8u9fpTjJvxseMzfgbtaRsH374uZEp6QfvNCy440xKgGPtXYc/4ENgiuRHsLqI1of+dW1AFKuB1mYnjC9tdnikAZJTgu4lw1Q0VRrDLIEQ5+rVl5E40KYQDOxHen7ffpb5b54TUUz89TBUfT+LCsBUWg2n4OkHJbYv9Lu4VsoFxxjy81pO4cdRHLKFH+mzK5IxnaNgd72yGAGE6dgogQw33fwsbfrPNd0JafC+7naxCDfHU2n/CDGEvzU/TLoXYiB+Nqxtp2od+aX9C92DMLlearCjw38RIosuN1K91bbCttgeA+E0LLjjaw2yjV2r9nEbc8ig/hPOpagF/AGhFjsY7iLCptC3g/xrwdF1ogXF/sH9aRaj5ORnMQ6zh2+RrCMje0LKspKxic1/FhaaBERxxIoUReDjaDStC8/vdk/pCYc/1gH7xqMHm5lqaFQ7VCezD70Pc6pXA/2JbpeNv2XMrjQRhfP++kCRZ9KE+eRPlr1BfCL22bocZhfhtRGkIiiAGdg+oiVY1lu9rlWDmTvBpeFIQZHlUNRt4GJ/z5rkxsgaA+VqyDytibafhdezVW+y48B5OOuhZQ0WjvfyuqLXVrkelhCNPPOj+nqJvZgPPTDH4Cd1Eh7vRwpIaW5TXqF4yZR17H59ifHRQpF1Cu/CPl6jxl5VBoHs62Sbv5rDqAabi3gzSKYyyR1inBusPsHaQfJlB7Sye47Nx8w87TyOFWrr2EOYHppLFWHlxt5dH0iClAawzD398B7azwbYNc396xyZ/TAxosWLuYG/BerpX3o8ws9H8L+fU4rA9163xXI7qjzzkoy1kYA2M7BN1j+ZWCfiDyNPTERP+a1B1N64gysX6zF/q3xvhP47kj6q/457f0QiBHYw2OSJSrkPdXW6Sbz0HaAu2jjpcagPZFiEuEHSu95ldhg7RnQPNpAjHW+i8Q4+Z6KBBHjR5Pxwt7FmXFVKN1ktYatUFa6SHUJ/mu6dhbOX86/YofoAw5yqaXbUdTBr8CFofmbHMYxckblMvX0GajImB1jtSspPZqr92mc5K2Oh9BM8j1N+92tRBt+q6/SKk4YxkOF+hnv5dLGYhRhhpGaeYIxGwD/Dlv6w4njW/K6cjTOteba/FOKQkupw7qCDFnUbyJNfEK5JRdGOcoxTk+xBhHcd5HU2fLr0zkGhDRE2uaZq9J64H1ADlfpVMc7uIMtQJ+JcO2xngv+32w1tEV72seRr8rwIU1Yi2W/qjD3tX5917Hi/+OMfdQeytWd2AcveYPYIM0V7gYa83TFOfgnI8YhORFjKfjJfv7DnI3zKfjitxv5dMR6JuFst6DBVSB+9/KiZZfUZQUkpe11smGn9AslqappVRHLMa+DJZATxRZsY+3vhWS/N9J1j2xh7KtuwHaNHBO9dqt35E+a/Y3A85kcfB9wJ9By9q/o8BdYP02t/vH50M+l+nyuUSFz6UO+SqV0XhdbfdVWmPjHbnOr9ubvjv0Oce3ktyDNb5Pbus7Ziv089bG69rqPoF7SPsU/E3nKIHtAx9w3yHexdizbPUibDzKWtcidtwJ8Szy61M5BXVlOEuFVCQeRdtAxGU32qtpO+5PQ/7c3qsN2PtyxL0Qz1vw7lzEfQx1VlPxvIMMfR5ND5XqMcSjvq/AGd3eBMbQ7doHPa+eU1zHXDMw1zfYk9YYN4D27SCow3w6Bl+Tm5/EfNp3+KnntPzRdQX+d/RvSOrfFfSiWoXxyinJmm8R6sah3BG2B7TVRIy7htKk01CRAxGTx+gX4HXwGJgA+tp1vwTjbKbqOtVII35I9JiyjHrhbD+MMzvKmlvrnXzKl59Cx+XBp5/Bp1VUKGtoNNpLb/FxDPz7D/vVExvHVca//eN1XMCB0ENTyeLVBalR1zut3QRscjGpm1a4kWPnUCpIPTvzdnec2Znp/LFxABHJuVCgQkj0EmjSApXaAxwiOFQRba1yQZUKB04Vl0jlzwFxQIEWJTW/75s33vU2CY2EEALv6Dfve+997/v/3ps92bPxA/riGr4nb8ZXfo0mgUXgkKHHAAs4CEwZHPygfKW73nsT59n+2mHgeXxjvI12HmdkI+8Dk8AY7lDuW7VD0vKYNXRFZPxb7SH8qitEpTdzlI/Ts+VDdKb8OqWCBfQX0Ddt7Zy055mvcpWeZPAcanWz8knU6GfpfPUuxBTfYZWfQN53aZ/gN+QxeGz4izmYFp6BufITkPkETZe/Z3CJLgPTNxyHvdivZyqv0Flu0T8rPrBdP6J1RvlojsoobZRepo3B8WpMozj33NI/6DBDzuVl+nNtU9pPVX36CtovDCd0Eu0btSGplbEa0TIDtfzT2hSdRLs8fBrnz0Ws+ybic5lcrvPKxbzFt7BV+x326l9pmu0oX4E9L9ELDMTw8zhzfgvdIe6Rr408iJzzHrkA+UfpRHUV9yJ0ApPAN0zLeArgvXN45OPI5zK+GS/gvlnG+r/Qfpz9n8Ndfnf1HM6AZZoztT1bfQ5346fx7cL3w2nah7uZfboTZy3zWXs25Wzwh87Qj2szsk943UFg7x7C2bO89W51pPTVMstfpqy6SL+oLpb3gl6Vfo6n+ujMzBXzyrRTBjz+g6Gfy7lwvoIY8/3Bd5LcM7hjhmzYyOfy18XW1dp3yB6ZY7r0AvL3M+D3QAq8bfp/MP0/Dk/Rl6oPUsS4hTPqFeTlfOUCTRe5Rv+5yq/oh1Xa+luVSpfytqCB5WsewLvqdmAMuAL8HSgTbT1TXSldrr60FWPfbZn5TaACvAUcxw64E+2oAc+7wD5gHHgVeA1yzgHfBv1L4Cywga18N8mP53fIvZzLFXkfAe4YkPkyMAUsXN+em9nC50dpDNgEKsBbwHFg1IDnXGAfMA6cBTZuZY3c9d8iV/4L4JuwaJH/eaJrt/cB1X/1HUABV3L6vTcQp9flf1iBFXqX+dG+M7AWObr6CdMC1z4G3FE9jP+DAHJeLX+577+s+R+IEBz9H3ie3n3+S59Xd5/dZ/fZfXaf3Wf32X3+T58S0dBFtB+lMzTCPbJK/Kfq9N6M9kj/w/SMtPhVPsN/hHKS9qOX01XQxw1dA71i6GGarmyAs1QdwURUuWToEk3eVjd0mUZvO2noCsZ9Q1dBP2voGuhfG3qY4g+VX1ST900+oB71nDhMwlaqjoRxFMZ26oVBQ836vlr02p00UYs60fGqdhvqREer8VM6DsZVajd9rcKWSjteolphkKo1O1GuXtV+GGlXeYGK7DhVWeIFbWWrJM3cddVcV7OBGz+tHsqcTqLCAOu1irWvV+3AEYEsn5dEthcn6p5OmkbJjGW1vbSTNRtO2LVsSNATLZZgGe4J4baafti0unaS6tiaf+TI3LGluUbXPdCAb9F6zO7A6fun+21oqAUdd70kgdsKrnR0rGFlO7aDVLt11Yq1mOV07Lit6yoNlR2sq0jHCRaEzdT2gtxDBzq2I8IRXbNjDWZX2UkSOp4NecoNnayrg1TCrFqer+Ejx2B8yawYPyBKXG37HESeK6bUGoIQZikClqSx57CMOpgcP3PZhmLa97qe0SDhzfMIoVkCD9jOuuqGrtfiVotbUdb0vaRTV67HoptZisGEBx0d8Cr4YYWxSjQKAxI82C2+9qwTHtYScUBTEyLRu9YJuzs94aLJkLqko2WNGyJkonFFOymPMHsr9P1wjV1zwsD12KNkRsrQboarWlzJ0xqEKSzNLeD4R72kmqmkY8P0pjbxykvU7vMmZu1Jirx7CD22gqgb9LJxbP7hx+cfu3c2SsNkScdea2JRtzPfjm99QkY4FLZKY9vVXTs+Vejr7ct2HGaRlGDYjewAtjboRVI0SfcBD4B6lDxyKKaQEqBFKcaOgIopkreNEQ9UQA3MzJKPR9EixtrUwVwiPY1Wg3sVb1c4T2BWox2nUzITgFLgt6kJCTzD2nikA1kspSVaWP8auHjEBR9L9DETiWQF3gDvCByx8Gbg5LE2aBtIMJqBcx10U96zmHXB/SfQD2HOgcZE9AdGP1sTix7WZ2Pc6bOwsL/Qwro9jLCMeyQGKcYSmiELTxtzLDOD9gbkhNTFqG1s0DQBmYUN1oDsiT7ZlsQpxNuCBFv8Yl6L5ukRZGiOjtES3g3MunRAYn5E4rQOriI7eabvp+kbxoHXLYjkruQhMdlWJisdmdMmlm2piEBscakuWePZXrRYKuemjbG6xDeUzASyPhJpidHA3qXicbAjh47x4/01UtTomujQRrIrbSKzDjhtYx9XEI9k8E2L1b1qZss9yXiex3S7XpcGdIwjuj1PuCZt2QPejvoZXMVVnFdCCP2pqTDOYiw7rrCjbiQ5kMl1W8RhcLWPflfG+n3oVW//fswtzWRP1vviyXQXNGtpbfd1X7YiqVtfot2REVfo3Oqm2JJzJtucjsS20JXnw5KzQ8lofmLkNngm3r28Xi929b685r5E2xWaDlRRz981iVb3pjkpTprM7LpEOHt6XHmz5J6PK+BwRG/OU0jn88qXPbq2nTVHbHLFTs/YN9N3GvLpF8qZ1stK/24NMJaamPbHoKj/Xhz6d+rOVYnswDzqTeN1r776T1H7BrmJt31PpN4CkZ5XfX4r9Lz7V7ls4Jyap4fpcbwfo3txCkUSxwScWnxv4dzjG6QNjb6s2tm79fX/iRU9nqKqbIkCn48c5a5wnXpffK5337aln0Fi7xTlSo4k9nleGvj+lt/W93GmX+f3TwEGAAmnG2MNZW5kc3RyZWFtDWVuZG9iag04NSAwIG9iag08PC9GaWx0ZXIvRmxhdGVEZWNvZGUvTGVuZ3RoIDYxND4+c3RyZWFtDQpIiVyUy27iQBBF93xFL5NFZPfLbUsICTBILOahYeYDwG4ySIOxjLPg78f0qSSjQUqkw+2uulVdVLbe1bvuPKrs+3Bt9nFUp3PXDvF2fRuaqI7x9dzNtFHtuRmF0v/mcuhn2XR5f7+N8bLrTtfZfK6yH5N4G4e7elq212N8nmXfhjYO5+5VPf1a759Vtn/r+z/xErtR5WqxUG08TYG+HPqvh0tUWbr2smsn/TzeX6Y7nyd+3vuoTGKNmebaxlt/aOJw6F7jbJ5Pn4Wab6fPYha79j+9tFw7nprfh2E6rtPxPC+KRbqsEzm9SBpUBKiESmgFVQ/y2iQyPmm6QlummHpJTAOtIctJqFglMuJlnU4aYjqHVqDVUIA2nMSZI7vZom2TZjdo1OfI4AJETFdCuHapIu1wHXIIn4G+uBpKFWlPl0KqKPfihYq8RHFo9Myt0fAZkuu8kM7XkNSe6nOFo7s5mvjcopHByEkymDWEa7uEcG2TMxfIZ1MUHcgXCoh8gXcP5Au8e5CKKqJIdrwE8pkaenTe5Jq+lMT09FMoMCEl7+A1xNv61F0nZEqI7pqKk1TrmaVyI5P8Ps263P7zzfus6sp8fkucyhKHSRNKOn2sPJUIFRBVVgFihir8eY9WopFlKW6ZxCVuPZO4ku7Q1RU1uxySmrm3FvepV66WyWC+avlN8kuree+C/m+kqnTSCtkcIorVkIcMxNtYC+HMShScWSZ4I796jwbZAmJObIDwaUtIppTat1LtKq0v2VOPRTbtW/WxJZu3YZgWZFrKaTM+duK5ix97u7/2arr1+Jv9FWAAorxVhw1lbmRzdHJlYW0NZW5kb2JqDTg3IDAgb2JqDTw8L0FzY2VudCAxMDEwL0NJRFNldCA2OCAwIFIvQ2FwSGVpZ2h0IDY1Ny9EZXNjZW50IC0yNzUvRmxhZ3MgNi9Gb250QkJveFstNDg1IC0yNzUgMTIzNyAxMDEwXS9Gb250RmFtaWx5KEFwdG9zIFNlcmlmKS9Gb250RmlsZTIgODkgMCBSL0ZvbnROYW1lL05MSFpMWCtBcHRvc1NlcmlmLVJlZ3VsYXIvRm9udFN0cmV0Y2gvTm9ybWFsL0ZvbnRXZWlnaHQgNDAwL0l0YWxpY0FuZ2xlIDAvU3RlbVYgOTIvVHlwZS9Gb250RGVzY3JpcHRvci9YSGVpZ2h0IDQ2OD4+DWVuZG9iag04OSAwIG9iag08PC9GaWx0ZXIvRmxhdGVEZWNvZGUvTGVuZ3RoIDEwODQ0L0xlbmd0aDEgMjIxMDA+PnN0cmVhbQ0KSImMVwlQFFcafn8fMyDM4MwwlwIyzDDDoeDSc5SJYBrjhYgcZkFRV1RcTcQERcCoBAVUErwiAU9EknhsvIOUtR5YJpbKcph112h0s+VuUhoXNVtW9mCYx77uHhQI6+5UdU+/flPv+/7v///vvSlYvjIX+aBSRCM0PSM2DkmfKnLN+/XSVYteu195njx3ImQ9uTg3Z6FFWXECIdte8s65mLyQfm77PblZFucVFHvH/0BI17r07QU5cWnxgFDCZYT8FuflFL8jzSdFkVvospy83Jzak4/JOAkh/yGIYZpgG2KRD8sxbeQXu6Vvqg0tou6Sb0rGyBmWopkDWmvPJdTpRiCtNy0jNBRdQgpPt7zM04yQTyDFhSLYL8zRF9lEAY1EyIjjK2wSeQ5AGjQKoXyVSRUeZnXYnVycThsoY00qE1idLqfTYbeaw2Rac++MXCaT01ew3ma322xOJ36ddna3QBYz5tUxzmmpKTNLPy4vr0+Z5DQxbFJX07d2q9UuXLXMbz2QsSQ6egLnmpKRVLJpTV5KriNiEoeonp8QYmMJu+FoBEILHFyc0wUc6HQcpzUJIxu4QCaMaIdJ65cfoPeBlnxo9jVo8jzfb1Lp5XhzJC5VGNQ1c6hl/FADc8dt06t4Xh3E2BXu31l0PHQkJxMQFIsQ8yVBCkBGFIaiEMnzCpVJiksn3GXmcAIoBm0WoMUHEJ8celp6beqE0ze7ywv3Na747jB+9q85W9M+2f3PW5XlFR/cxEW1SsPevQZlLWSziQ2Hlh40Gj5f/+6xWUlj319euT1pW9HaLW4fXq31L2Da/bVqnqQT5fc8Yf3YGSiEcEITwiyUw662ELV1etoqiE9pA9U6QRVOxmg0nIZ6eAM/2LINhrVl7l1t8om4vLPm7IzMy3XHvxmar8X39jFpw9XHwdXWDq4TFmcwvvNRcz3+4fPj+End+WuP/0ZfgypcQKqAqMFOJGr4khoYjsyiFqFIFUgxZhsXqlbZqUGCfwznIAHm7cd/uPnjOaDcK/5y+Fz/qHEDvnAH39yTDKHgaAXfUveQvgFLWZhNcP28uFEispyUnFa8vIjhcQmUi6PBCwwxlNyl6aTHgmc7pfA8o7a5Hwiw0Bg3YdQweXZg9yciAWq6LHpi7E8KNjHZ89dkT3OyCJ6cMHdJFK6QOOBj/KoUSMbHkKQCM1pUQU/qzypy0Xq5SEw4baBQfQOJODy18AAbxeBbjcrzOE3CnyrgP1OK+NM8BQK8ANoL/dqq6SK0lPcEknczsr00706HiRS+jJKS/+QG/m57NYT9MatutVkRdWXX7uaszPO1G46k41OUAcpwV4dQAMfA2XEDXMfCXUH4m4+a9+MfGk/ix3Xv3t+VPPIC7qz2VoGYDfaBmA0j4eFA4wUFOOIHnMqsGqjB4IpoBYcgc31Hna3UwdZWz6xeeerBcEB8qHGzRCcqtV5ppA4alAeo1BqlkU30HKEyuy5SdZ75vYL1F67vW+JbhDW1krCmkUpwDZHxS7h1tvbyqMFFAvxEEbTr4s9BEHFTQRM5WX00WVlcVdVnMRX0GoQ4loPXqkAlAscSnN4A4Yo6RD+0AC5Ex/FBOBWehXCRDnzZ85ToQbCY5RKm5zbcD4xWqf15PjwYv+LZbDHx1KeeL0R/gOf9MmxQNiapTfrBlnMTRxpJS/TBcC+Pn7NkJK6QMi7LFl0wGEUjDr0q6gdyEDLOgRkGajm4sqxNYtB5CC4lwOWrLUrMj8H2UPx3QiXdqKinfAmXFqOitmu70BnzGUUdZNcqiO7dtWH0B10XmaPdRXSle8bgGS8QWsfboex9b4WahJHIVqhPcP2XrLP9s3+GfiMyc0l3nu45N/xQoPQrepxQmXfFYnDvC2LeI6QaQ9wxA5i8qA2pa2eTrg0Q6u5F1zJqLTFOW5xT7RB809u91MMO/GDrVjB2tINhyxb8sH3HmfT0MzuqmzIymp6b9Al8vb0NXz+e1AC6k6dA39CAH50+jR/V9/rTchK9P9ISp4j27ljSZmVSqQZsUgN06ISrJS1FK6+t7UF3Cj+sWXlroFuxiTM/K11/apangypp2PXxLrdf/9DJQQHl43NixP4oCI1EiA+LoWyuEEqA+R/hM9ff3LVsuumudeGOtwI8W16iBT4XkVaYEru4PCERuP9DF8m3EokuOnKmiSG+Fd9HGXkIpdeY6RjKbBYVGkwik0vXX6nbq66s3L4pdcE4Q1b7VL1zVnL3tynFr7+37mGvZgfhqyl+oaFZ7t94pZu8Z+26JpN/Svk83AhRs6tSPXXU8cnlMzfsk7Y8QcDV0QG9UtJC7TDJbAbJYizpO1I9VpuGCCmm0GqLIVo6hWOW1/8JT30IJSQ6nOY0IJh/btV1Xm54u2Fh5aeJO9d9eHFu/pdr1rSMZixnq4ord3yxuzm74k+e/YZclrpBp+rV016BYbl7MjeXpC1NCbMt3PFm/u7UyVaMKxrKcuaX2CMX1BSVn8hiYS9eSP8Ic3GD122qxdMYypHcxqyk5GaNSWMmeTdLJgcxh5WGS3FTR/lkK5ipimx5TBLXbFQeFgynGtLXjoeZ+ND4tengXipEDsjU85g9QlYVdzqrtb+FBep+5mokaOrJ2UfLDAE1oqU1Hm3uEFr1NmnVRX/WFHaU0eFSU3Y/u9XUdItWeEd3yzoKEZAzJXjPlCgXrM8X1hOXc/axbioDEz01eZR+o8o4BApjYKMfOUfCyXcC9L7YDsw9nZLnA4PdXysY+4hAnlfp3RFIPLOC/N/i+qMGQbC/QDANmNMDG40nEJAsCjYGy/ygwAklyrBNUD0/wDAUx3c34SlKo5eREgo5SBmJ64D5KoScaCND3Z3+jCb8Fzyvj3LzzNVwQkkf4f5eQb//VvdkorOcZK+L8Ip6nr0X+EI9gbh5vaDnTecbNcphuEodYYqnAsrCFb4QDS6/oeHFUDM6bHwI3mlQ1hBx4WtqvWkEzwcPsQR4nlJDAi3+wTw/Ks7zGR7uPcvO6nnKBNFtyEJ6Usq03Wlx9fsToRMTriX2RcpfJiOe4XLIhGKHDTM2pu2D4EvLZvyy+Oi9E/MO5Y5NC5seOWkeG3/INnVbzNO2bNW41f/hvMqjorqv8PzemwVQltl4Y0BZhgFBAZ0BHsywxaqoLAIDDIsICIOKoYPgiIRtEBDEQ0TAWDViCpQ2ptHjlnpqBWI5xhNtXHLak9MTl9j+0ZrWStp6LM48en/vzbBoGnP6BzzgzeHe797v3u+7BXUtKwhDv8lcN3gworuVSVqXTIsWpJSlGytzVz8nd/xYb8RbywdmLUEwAv5gCWTDzppIKabFUfZDBgfm8hKJPT0RXDORKmK4/IhG9osxzdBbF+8YL400Wep2l3cGqizMe4E1KFeSmrRX0OZva0neNPVs6F5V/t1rEzfL1zLeibn8OxqRp8YFOlA2/YQ8TX6OmbcGX1QSPNBKdqAxSNbHuxGE16dPJ6+duse/LKwo1FdGtR+oaCX3kdvPS5jJScQbGtnds/3qvutfHrDU/CQF0MB/5e8BNIvAoYba/7N9V9DSl8spdqwPFBGIYaHHF+4aLzVt7YtAo0iXqUwLTioVRA7HGzuXKveWAEjUJZdgfFPPhr+qSk0morQvQtiqrt+cVlRoXIP+nJj/u4lrd/ifK3xJOcCETmOcvyVvgSvxn+m040b0Y5caxon8YAmDGoQc+cxYOnHo2tcI2UpRTOO2KoDLLzvHtKD7RHT5uspGSfODnsMPmx4/cKZE1aM7my0Vh9OJ6LqBtPPYA8F1Qi4UnMGx7B4I7jNHCZQcveQauX09KVtdqaGhnHcLm2vJiwHqmIRHjyjXo1oPGUmtL3vndEZDVkJWb0/veutfZR5anpAXwXSQ1/ireG7giJbzYnnreBlY51hMNM2B4ugCs8S20ZPkXlLcbxQ9W4D55MJdCIqKouWBQiH62+An2X0nghue3Hr6ZKRzxdvVzSlpml2qgzsLylYGRQVvyRXUf5ibd7rRcio75yNLvtlUUFBbjyKkgR3ldEka07HGFL+xhiqzdOwdWV2THZqolOVGh+oj0NvuJSvC9G+I3bX+Xkp31JXXl5PXbzD05+X2GRIb2zsbmtvbG9EfQyo3Er3EwkBwFd6wJwaATzKo6AoejbWTFscTGCqYQPtYzPdWmvkOg6PW1TGfguas9w6NpRnz20KY43tdqTHKtf5oEftstgYoZGZUJNgTZmsNTFZfHLZ1E7uNTRlqWwh0w90dyu94CjwVvnwKc4uPu0wsExSy7l6Bpxdn5/dd8YPYQeA6dH3MEd/CnKBw3BI6IYGGL/Ki1BrtCETqKH9SGuEyHhsWHhsbHhYL1Jq+zxxFAxBxAU8C+4KnV0ZijtFYh6SvRkrc0lg1mtEXyIIrphMT6aiEBOaotrGN/FpqXdiwP4o/SPmRsrlBuJqHQ805VLAfjbCP0HehgiU9s6IFjvMiErWMzSCsZwbZ4CjHVxKehJqWqfVqxoZSwzcEUcw/mc0iwc6wqfyXa2vrXqzR6cJDv2GqorVaNOkEuXiztXZk9b8rfXUm9j7mCI5dLDgkfzUEODNfuC8+I2/CporgreKt5xl4vFoxTbHsorgdMcMxz7l8E7yeb/PL9cmvhEsM9enbW7xTj1f27R9NKshsVPMJeGY1LWUG69l0d7UAGUcp13JrISU3IwPZyP2+U0uGF50EVhYasouAmZ8SscBMrTxMYf9RbSvTvsxSUgcwZRqXWTphvgJi/kFAPHeaqP9jmgCPT4Ele2acHAje58Zpp1XNIThLnXzNNOE8Zzf1P/gLyLuOi+WVRcXtNU6ePAlNz22T6XZP3xfV1V/0lddFRtaVl5o1GrPYfP/YwMM9ex4OHLtv/lHleGPzhMk00dw4XokrsIw5xteD6mEOqbC31UMFZqQWS5OYtHdwnuzOq8LNj53tyttU3q8ZwyQzILdZEXarYMtwgDkhEKp+ahfh1CTGiz+ggGmDrlhmFZnJnO0Q6CfkV8fm58PeMGI2KYeA0BrpS5yfq6JkaOSQ6dxtTkGlpxDTd4AlUIXtJCioyoIVlDlGoLQiu352Tn3liI3Ozqon60rgG03eYPNQcTyZq2Gil/Ngbcn4uYUxptwyPXElIGhpfjhiPtjFJnCMaVtuRnqgw5n0LZ11CRszVtviZhmgcZLbHcnfyQ7AvtzefQ20mbs5gjAXWJ56ypUOufKkOGagf5k+3jH0ZtWa4gbToY8+oMva07b/cuuZurzsHaHmHeePV1yUxnftKqwMz9mcmqkMaX/7zeIEn5j6LVVlG9aHrKK9lrfVGy3xEH/J9L+JWv4luNRY34KVm6btYo1BQqhfd1QPDaPLz5/75BuCA0oWtPUT5cmPPaaSbRdSyiMSBE4sx6a/5beS13lS2NAqOxp2R7OmCn4QuREqYBrN+SH7TAnstPvmeC+eqtZlY1eWbLKgU+tKRFd0Gf5p1g8Vsq0oE11WyLYhvduFYWKXi63Z2JSpJv7gYnPSwaARKduWsnaITOKmv5t7QD/RNMNfTI6C75Zjj7IGacDjaxAKmuP6KT96zs0hQpPM1hsohUaxWcx+JkboIpFko0fVEkpEomekSCEpRbkbxVJnIUGOW38vJxOtiWSKq0yh0ykUzk6KRfCUufJgz0JsoRliu7KxV/JiYOrmxUU/IBsBUrKf6uLyeFAtVjiRxBRTfh1tWIl02ZBitNBZIslBD6sl8Ar9h3DCKRrScIq2RuZhMbMVPqtGzuQGR5bWC9+T+ls2X/YtMQy7CbSWHwUYKMifu1iC5h1MnPbhv9NIOvdyQ0L8hqjO9FnoxUhCggOD0OV8Dw83QukRvCToxV/iQkNdUeY9uTAyEhVF+4dLmUfMpK/v4mTtUhUxqPXV6bykNrncS6v1kqBLKMA7QKeTvsH0MO+GKPDGmLYxvfxFkJkH5Ahc04MhAC+Iq6lBEIX8nppuN7XmhnkwpTfgo14GpmHlpoNNPri+OehPNeJFziT6lnRaBEUsSBPLnIRMb3zcnlw/ctwmIZ5YF9f3xPMvvdpvkhcH37ogI2fIicI+GPlBROQnxzuc1pBIKoAlLooj4mwM8aXtBpE1la4PdtfKrE9kyDkpL8J9OZkTG249HReXXq1mbhGDyDt27TY11gjgrsAs+Bk8185z2NxyoETcLpT7yf3Ec+TrB5hwwe6J2vSOTZISeUtBTS0yMYfAQJTWuVKDg4bDm5tribMqtS7x3j3KtZ/z58r3f6NXRVAjxQ1nx4M4h8692NH182Qw7oYD/e/YjTvUBPIWTguGwSOu4xXM3LxzMndcXrOp+70enf0jEbinKu5PRDcHp3LMknO0UnLTo2BjUokaPWU8AM+LfdzLugmzYX+hvNi7+7+0F2lUU1f63fuyVB2RhCUaEWQZGEEBCRATBIIWKbKFHQVCQsIaiILskR0UVERgQGgVrBRcBi0g0kFmiqK1nQJa65njNvW0Hg9Tz4y2nXNwRiUvc+8LKFZn+mfmnXzvvnu/e3O/fYlXa0EQdR7h4GTJUh5/pQJEo3p4jsXuq9vdNXGxGRF9e19jEfPu6LXi3M69C3mH3/BsAxfPtmGWaU0xWmmOhW/T1Jv8Ct5kxnYhL5yJZdvDtyS7gUcUD9GbjMi1sN4GolAZ/d/IfZMq3E9wCc+XWqADr/CXhP7SXuBhdDPT1ORvWKC1BgrzRzVBdRn8Uqv8IPWu+/cRBt3MmDTik0y+2/PfvxScU9cfIle5WtTFJwxcdJ63DkgoUI+qZ65FGcMBZwtnaMh2ltDM1Ag6uPmgOW5PjdDcEkLX0gGNQKAZKC3rx2N/WViaiMcTpYWFpYmXLxencZVDM00tT4dUyvMzzc1Ph5QBsp67Wu2dXpms945We7dHhjvVfmSWt5hWONvNaccIshHTQoGBzR/+brTCQlYTFbk/0+rcCqNpP2MTxkaHrWJOtHFgkvOLQDOuH/oXOfoXiumI4yPyc8/5ZtJ2vgNBEdDa4PVycLsoPUu7t3jkwd2Je0mdMkoLnkg2/8YsBpWKJ7MntNr2gf2DNy4dyR5oD6Qm7UJ9qGFMZ4r+ByQbJ8LRkEcFpnM1AbISgduC++YrRTb9hhtuzY60VxYdbN8XEVteUpyRVz2yY7wsd3RnS1Ht4AvOjUsdgx1djQeDGwsr6rvrc3rit7Zo8joszT+qH/kSacQL2ckqpjWxGFWjhALVxEDAwRYAhNYcHuzTNcI9pwcHdc4kNFkCVuSTLbO1DdRfQa01fExiqrFGdUw+rp3maxmB27x42LYmyOpJh3kds1jQtfqG9tLhwsgiSYNWVb+2RASv63Y7LVotq4mLPaL1L/yKG92dt6dT+mFR34dR3nDsGMUj1wU6uSS/rz50SY5vTNY/YSxGmnCmb0QWwzWEO2y+kGNmqKXmCGCxHeaqKXx3cMP98tJvW07eXzXKzVc0Ho+oj4jZ4VmkiT6otuauLT6q0PSnpV/l1gC7H6fB2ubj3WUV1D3qc4/xJ+rEo/LmTkmGJNQv2y/6dLl2LBtRokSyW4x4X4IkB6zxbZhfACxhge6y6wY7k2geeUj3OSPHJXoDSNn1YhuKj0okr1nkAatQDvOa9wFP4Ws9AK1Z7A+GToBtT3cCJuYvuaL7gvXxvVVBbbny3IILqWmjBWVx+W1bK3sS3ivZurUk4N2SkM5sr1TfmgRxmkSSxnWWNalKT1isfn9nYduWgNbC3A9WWfSUq5pkzgGSerWyRkKSvtUpXa2wA4oL4lpLhUXK2EIx4lGNrJJCVmmQtoMAS5fLWdCgYGELeSgBv+pjuGamkAW5J7+zHDXJVzUcC64Mi9J4Fmuke1KsuGvyWhM1/ampVw/W/1mrvc853r27CjiADe6XH6sTjiqaurxTN4b6pPvGnC7bPZZVS33z+Hvq6yZESad+BgwCEkvbn+4UDI4HHL3Dwry9QkKWhIq8goO9RKFobwX1nN7LwRUYpm/BAVb7cu/YRUu9w4LEvtIgtHO9xc5A+nBMrHRPql5vuIm8zrJnZBIEwcZvOInW6X+l19Wv1pEP5ehnyH1MKdLpGtTJ0GIQvhkhUDHMJhcSPs5euiU0QJSQlLJj/Nvh/ptpyRIJj+mCWPHaGBoKTpn72vvv9hMXRigrOg70/XGgpaDd3yUyVkgFh4rEQUFimlOu/gisQHEeOWMsqm64cFmS7icVa/Gzp9hXMkA3TIeBGBuJSpMMoAfdvb0YQ4AvyLNwOcaEIwx5FnwhlaL1HKoD2jPPEkaYE4i9SyhgQTNjLg9czmyXnulRVpQ1oE11gA88zlDg+pVr1JpHeoJyG0GnRVQHeGI4HenJ5bhDZDDYGiBblNNQWqns7ZMeVlMdI+AaIB6BW9euUOupM9QENV1HIPnWkD6kLzOA4cJQQ0+G5CJBLGOoyTH8haVPBpEbmVEMB4Ya7GOEI/kjLTDCDefAMDq3bP6cYTcYRLvndtFaWsJexMwlfIlgbEF2dOSwE7gxMIV09+lAv+2FdMhAPSjJmgsl0M7WhoHiF5eB617UypBoMKFdgM0yJ6/OUuW3qx+DzRcvgDU3d2g+LSkpM95wPF3V6GGzunFcHVXMdznSZCKURmZ7fETd/tMdanhkEIgnsm/GxU49iG5YJ+cqAjP71thHzoyD9GefAvd7hbumqCedp/65NyY2WJX3XXfbjew4cYUuIlGVf/vQFPA4O071Tk9Tn3xsbxNkbQ1OZQaBKa/4iSsXrtP95T+Y6cwoImAuJiOvfGWPpubzRTx46bB0/sJJ1xA78ea50hmvk9Cl6qvi/JHUrP1S/6CYkCgYbiOxd6e+1h2Oy4o+nPzb3u3N0Ul7tvhXJUTUptmtcwLKQ0t58FdJm9Yl59QaJfTl57Vlugo+2BWTmh727gG5LtHeyg9eVQ2pYko2NRTElcQ7rc8+oAqvC0duH3Ild9smjvnBn97zjBRZ4pohQu/AMGP+i3DDlUwK0hLPlhRYwrkgb+9AB1A6BXgITAzVFmbSkG/YHAEHimsu+cIwnmJ5VqdSWhfh11reeCFBM1Zc/JlrCC/Ndmhfwd6msbbRbVW3T4TAgA0l4EhKR4woNzI0NdDGQdmYoWkLCbCPp05UHStNTMx3d1S05Ff+Lvoe68YzF0RfPvGQfMSIRZ7ERvSh+wBuAp5lUcZk3kNy12wDaFapUHeo0P/IckGRn0TVjy0hIDbjrCEApM1rsZ81H/Xn4zz4JXwB6b5jdlKhqvTxqVSlVnp7V6Z6+a1c6ecl2sTnbyIvqvASRvhUphgQYgmfL2Hyn09DUjFcVno+OXmorGxYIZR3ypO6ktAPfeiGk8+XliHUebxBKOuSyztlsk65vEuGowcBYaNFeI5H0rKNMwT5DoGfv9STJXh8kO7+5ayVbmrR9DumaMpCMsIPOsWu1o0RxKKHs1azjghLvP4wz5Gfofev9TP/L2DvNADTknBhfo+glMh5K3yCcD8DVjXhwpj6H8B1Yjsac/A3s4jIZUyieRJaTyJI5sfo7rcAyxzdPwewB43phnEOnBZ8Y7D+2dyFvGIAJvsVMPa/HVj7EBj/Z2Ai2v/NfvkHVXFdcfzs7t19PMTHj1iKP/ghaKlioPNQFIM6/qppqh1Em4oxihFMRAqK6BBipjYwtUlMa52GduJEsP5oYlNttbHGSv1dpgkxNW2adpyQqTZJm0y0NUU0Ebffc/c+2Pd4EDD+0Zn6znzm3F/v7L3n3r3nbH+x0sMTNO7R4LonEz5qwZxa1DPnQrsQTejvAfOX6D/ZHfNlGt4bVlp4wo7nM0WgnoZ7LuFchWD6KMHUyBMO8fOQ+n4qCGIqzkTfGdSf8Va9g9hByeL7tEvEUXFYdoIK0KzKAdJ7JeFT+iVGB+XrQ+yMoLb36Yv6DynN+IjGikTSWIeCvR0WAFlNqosI/Sv2x9DJXW32RdZik3uc3aFPt1sVb4k5sMXMx7h7aLB+D+wyC5Wuc7T1T0rBnknMTPt0oNxJA6hQ/urOmB77qnvAPaYkuO4ZCP1rypD79yT8VkjJQXyAth4QT2ON8LG+m5IkTUoD8XvY7I2LPRBuLPYP68iw1pEWCnydJOLtjrDUBNeNZprkBue1OCwdlOZJAumUJn4EfgWaQGj7U2TdSqwaB+xDjjmDcsQZKguHOQD9bn6Hse2ULvKgeyax1/58KhTTYZ/Lh6lEMpEKjb+hfhXt5ZgX6xDMZXi+Qq8OIg18DoxwtXnNFqlHqXqCsYZyGLHRhRUesxl8rRdiMZ++srwHXGOkr1117E0Z3uscRvYfRdlNFtp6wIxD/5TumINodI+sCkOYcfL8nKfRVgfOTwjiEdxF5bjTw5ERXDeuUJ4bq5ByPO9hf14ir/EY5RtbKZ/jlIyhyHnEZEVmV9kcBspwb7tyFM9CfDMhT3HnHVauK38ooaEyT4hXsfkTFacRw2Ws/ReeCaxYWijj4HYZR7MiSgHnGJoz3iPwn4vQmTTUs9+J6YEczJ27WPvwv3wZ933WJIw/gvh6DtpG2267LWIMxryPzLIKNmDbo9MQOa90jAPevyOfWO6syYzsXIfPwvqtCRgfBfvfRjkR7Zed58t8IRCjsQaPF/XTiPvbJVnWJqS2gOfI/jKnon8j/BKhfMVr/hm0K/cM5HxMwMec/wV8HJoPBfzIsD32F/bMJ33KcJ7EucYZV670dbSPtK+w72XMX0UPii+T3yhQTFB6HvnFHrA5OGZbd1OS8QnliyvoU5gR0BwjmWdpqHlK9XFMYs3xCDmD8ULX3W7WoY/v+kuUgTPm98SDPPW/fPLDR37zbsq0ZsNn+zCfD1TeEUvFnTEdcZpjvbUT/6kmXTTSMPMsCTGJki2sSTyDmHIUdl6nJM9fYON1nPd5NELOayxiDYgYjzWVqTVxPvACQMw3sygJd7HffAbz+gJ0FOz91JmDXMco/J+5F+Mug3isEWuR+Ucr9q7V2Xv2l/gTbB6nodJXkbDDa34T2pVzhfMx5zydfnbHfPggKC7CHvvLmGK/IkbjeexXxH4ZT2dj7CTUeQ8eo124/2VMlPPy0ciguMy5zmTMEzmLzGnOUIYnAbb/DX6AfKJC+j5ZfiuMdL6T5D1xnCbLuwG5aeCc8trle8RnTX0z4Eyudt8H4gJyWfUeBe4C+W4ecuyLV+14K96O13fZ8eardpOp3Wg3D9lN0jb+Y+x28vbO7w4+5/hWMo5jjW9QtvyOOYj8+eCNdtY8JnAP8Zzc33SetdATMQfcd/D3auzZZPPH0Mmoc14L34lU+LPCyU+NUrTV4yyVU4W+CH3T4Jdj6G+mQ7g/NWOx2qt92PtG+L0c5Rfx3xr4fQGNMFei/BJpfB6tcVTNNvRF9n/Au9zfCWxwP8+Bn8vP1NvxrEo86xr2JAp2A/DcXgGteB774Cpli/V4Hs8d8+Rnyvlw2zed//A7ZPB7hXzR3AZ7jTRSPm8j2pahngh9J3Kr5bC7gzKNWM30ToNPimgp+AUoAiXgLtX2AFimWMlt5g2afSthm0Y9TcDZvhdntkA+m/OdJbTEeBt5XCHmdB/mtI3KjRaah/7qbnNcgPkt7ppjH9dSrMat7m2cfpz8oADkqHIiyALjQLZiXF/HacNvvIb7bLCVB36CHOMd6Nm4IzOdOvCDRMRQrmdZOVJzW5bZJm3c0vkQfqKUSHvNQZ9L2/Qc2qCfoipJPur5qCttbZW6gccZ12k1w304qyeMETijd1GDGA6fIg8z9sLeFoqTnKUVDLd5FjlwWY4J6dOXwOYSytWfVhyh8yC3x3bMF+/rBuMo1bFGvU6ugee1kx5m9FkOho9qtcNUG9ouKsmHe69Y+5jyGHkvF9GH1gmpR4oyegS60LOGFkO3WKY8K4kWURGDs7zPyqbF0EWeGtw/B/C/J+Gf81TM59w44GjkwlnWW3hXP6Jcnofehvnsod0MfPhV3Dlv4NkViCOPemdgz/kdaYT9WTRfrENcxDOBHzyuNPME4Hcnz3sH9rMIOWMj4k0R/n+JBuPun4ZYnia24g4oopnqbE8V2xEbxyN34fhQQ3GIzbymIbhreVxWxAl5N5SZG2iXNVG+J/y/cSA6gnD3FNnXhFdbr7P9IlorCui3okCPRnmdrDs84SqvVX2B/hSlsxXc/qx5UN4LDQZ8zPGDY5KMM4gx5lLMke/lb8m5rrM201LvTC5ru7F/L4J3QRV4R9XfU/V/eLLpfjGDVjH9uKOOYl8ajEbKDew16tuNl2mHIPuKIO2IowNlUNSxAvBbNQgkgjbQDnQiu16UaufFHrsS752t+k8AA5wDc/EGDIH2Kbi/GMSBVHAMHIedreAplE+DOlCLVzmN5I/7g+yed+xKewNBQojNwyAb5IefT29z4ftDSwQngAHOgbnAp+C+YhAHUkEdqO3Pf2Ss30TF8lsAOWFAY/9nE3UMcoHTf/0qSAFtTvlGC/x0Sn6HBSilazwe+mrIf7FH15OVBh2xIEHk4XsQYM+FXu36llXfgXDBLFrfb2mmZs1wyRSXfKcfclI7qVsuWSplc6/yphS7S4xvGNuC5M83I+LzkAfEEUdMX4jkdsrqPsl2KR92iXVnL1LZb9kL+WuXeFJdUtgv+W6EFiT5Uh7vRX7D4rWUZLnkOW97sESOuil5GNIU2e7IgPHd5L5O2dUnuTDgQtTMTtkSda67DPSGkZKBrSy+Ub6q23Jbbstt+R+Vvb6z0Xr0pOj7o+ujz0W3xcyJ2fJ/LM/FNMf8MeZtR2ITu8kYSC5kZjcpjq3tUbbENsQ+H7v/s0hcetz3blJab5Fc7r/cseC2fDYhjcg8QMcohjaQl2uUpfFHVU30WoqQ9Siqlxo/YwJ/CDlFGoyaUxYoz1VlC+VSVfZQrlGLkZrwomOVcUSVNfJHjlFlnXyRi1XZQHuZKguUt6myhfIfVNlDlQP051P8X/KPTZmzYlllxZqK5VUp0ysqV1VULq1aUVGemTK1rCylYMWDD1WtSSkoWVNSua6kODNl/kMlKakrSyr/y1sV7LhtA1F+CuFTFvFKTdFL9rZYbJAA20UQ9xDkRomUxKxECiS1hn+i/9FP61/0zYiytE7SIpfCsEzNDN/MezOk3U4mVfVG+kamzkbZeJfkUUWpzbPp/Wi0tE6OKiQ5RetaqWRMkz7J6iRvnQ5/yndT3UXpHfYbGUxvnpWrGZDwacuobIjyVZfSGG/KsrWpm6qi9kOpgGCuG0Ioc/Q1R5dV76tyUDGZUD58uLt/PNwXg74qwG08BaID0m/ebmso5EcTBhsjaEtQ6UwwqLINyiWj97IJhsuqOxVas5fJS+VOcjQhYoOvkrJuZlgjx1kRUvSogkGwlipGX1sFPKl9PQ3GJZZZNrY34Ega7A55x+6Kk2ijehKRfItLHiGCnxIEiynYmjD2CKr7SVMNi7u3g80ZWN65jwCdIhhQnXs5eG0b+jVMa5yq3sZuL7Ul6GpKMEYy1sbRLvAofZDRYDCAYFE3c12r4xjKMpKgKUvEeY+dH14yoaGZ0LrYGd6jPSTjjF9NnchC4Y3ve38karV32hKjeMNjqCr/bJjK3FbnEyqdKyD9x7Wp2RU7hdIrk/WaR1Rt2ATKHhP6biE9jgKnu2RZPD68//Lw+fXtmHw8mGCb60+mnXoVft7BFpJCyRSUNoMKT0u+9Vy2wU8jj6AfRuVQayH+ElL8Kn7B9zesfhdW1CIILyK+jUiw3WEVxMhPBYvFyokCnlvR4yPFJ9ha0cEX+c3g1yD6GU/NkX/Aa/C7E0/scVhJxCtRAYE8lI0sHbAIpeEslP+IKLJoxBFiD8/IyBKxDs8REYFjJ0SSrcVa4RthnRB5wrri5y28GtF/Y/0OvhoZI+d3OT9VEzgP5VOw15sKl/qXLJTbwkIYr1iDBFsUN6LEp4WPMCdkL4DjxQCryjUYcQ3MpYbyAvt6g12yTh7PEgiKeVFsKR7EB3ToXjyKA54FvFpcseZ3rNMJUUt35k6/EW9/qAPt+8jIA/ch5m7L3JWOfSZr2fJEOK5Fiz13jbyrWoRKvWlh27O+njvjeP/IaDFnIHaJGbsXPawzj29nZJnRI+cwGVnzb2RvjUiV66MJIssEboarXqeZKrfc8bmP6Tyvh4scO6i7MqGZVHwG7Iv5udxFUzxPgkf+lCeMuhj4xC117DNSDUya20WHy9093ge2bTms07s9j3OlE5/J/UZPWg9YU5bm/G423Rp5bntWu2OL5vVcdcW1zJHxHFmztkuuuR8l3x2SrfONMddgs95rX7+n3X7T15nLeJ7QdDFFK98jqzX8a0+Wm2bKpy5y5JpH85OQV45fEVFz3jlmQaf7quczejx3reaaNNdpc303m9uQbj/Pd9rale1pdbClrOlWg2X+Vx22J/XlrsgncFa9yqzX+dreouoHvQln7pHnzTH6PPXzv8LK7r96WeCeehDvxRc8P4vXuIVG1jEi0jD3Bvce/YO0yNjzrpdvP7///9ixxixTpVgFuh9J5YGjnr7R53v/ty2/T0Bcb1Ga5JG1n/tS/CPAAP17bb4NZW5kc3RyZWFtDWVuZG9iag05MyAwIG9iag08PC9GaWx0ZXIvRmxhdGVEZWNvZGUvTGVuZ3RoIDI0MT4+c3RyZWFtDQpIiVxQy4rDMAy8+yt0bA/FaXbpyQSWPiCHfbDpfoBjK6lhYxvFOeTvV3FKFyqQJaGZYSx5rE+1dwnkFwXTYILOeUs4hokMQou982JfgnUm3af8mkFHIZnczGPCofZdEEqB/OblmGiGzZsNLW6F/CSL5HwPm59jswXZTDH+4oA+QQFVBRY7FnrX8UMPCDLTdrXlvUvzjjn/iOscEco871czJlgcozZI2vcoVMFRgbpwVAK9fdq/rKy2MzdNQpULtii4CPV6zj0XoQ6X3B9WjTt6UeNPw8OqmYjYZb5MtrcYcx4fx4shArOWFH8CDAB1xXQYDWVuZHN0cmVhbQ1lbmRvYmoNOTQgMCBvYmoNPDwvT3JkZXJpbmcoSWRlbnRpdHkpL1JlZ2lzdHJ5KEFkb2JlKS9TdXBwbGVtZW50IDA+Pg1lbmRvYmoNOTUgMCBvYmoNWzk4IDAgUl0NZW5kb2JqDTk2IDAgb2JqDTw8L0ZpbHRlci9GbGF0ZURlY29kZS9MZW5ndGggMTA3MzUvTGVuZ3RoMSAyMTgwOT4+c3RyZWFtDQpIiXyXC1BTVxrHzzn3JgEFbm6ekPC6CSTI0yWvVRFpoOpKnC4FEV1tzSpqXZAV31QFtaDga+ugQECLU3WF+uhoqzsjUq2DHV8tWxbXHQeddbpOO+papk63Q5LDnntvQECmMFzuuTdzvt/3/x7ny7ry9cUgCFQBCoC38tPSgfizl/wtWVGyefnVBewVcv8MgPizK4vdy+LeqT4HgMlDntlXkgfix03d5BK3snTdpsD6JQCaOyVlS92LFMUDAEy/CsDElaXuTX8W3/8ugVxiV7tLi3WHuraS9Wzy/gdA089QB5CAIImFvks+4RH/o7tgOXpA/iMpLaMliKKPqU2DV8EzL4DifnPzY2NBKwj1+2Q7/V8AEKRCllgAP+LfUdclTt4a8ZAW1l2SOeSeAUqQAsAalmPjDSab1W5J16hVUgnHctBkd9jtNqvJaJCqjUNvZFKpjOrCrNXptFqzs7GLCvd9D82SyRm/TbdPnZr5xakD+8/k/j7FIJXMGbj4MCvVkpVlSc3aTTf7kwuXJJimJCakZ9qq6irL566wRDuSABr8GQDJckKnBzEALLVZ0u0OaIEajcWi5viVGTqglF9RNk49YZUiIgzebYRfhkbqlvo3NskjQvHpNNyk0LIn1qAKl9ZId3idBo3LpY2jbkX5EidHuuCNwkJiBCSTSzixxIAIYACJgMR5Lcul07xfGt47qdFMDApOG3nTwg0U7mxaSnzM9cO+72HYjvdPflL9c9uDs4u3Zh3Y/8nBivLy7Xuw0iPXf/ONXu6BHRLnR6dWH4mJ+nT7jtPz8rNrlu0+kF+3YeN+L+tSaoMr6evBWqWLhBMUD/5XkiQpANGECbxpiEM2qyKOqK3RUiZefKRWKTS8KhYpUCotSvSiB/fVe6DxboFnmzkq9VL1Ns+bc9r2Hr0a+rEc964Pd2sU7dDW0wMd7Zydwx3Huhrwi4tn8P8Od9x9MQiodtiOiR60oEc90SOYZIEeGAU1YgGrQjSvg4K1onHd/wnmwJKT+M692/sePVh1o27faLfxX/HfHuHehgKogY47kNrmVYzyWIgDXUvsTgzYTRQsyzglpyaJJ0adWIxPz0QOCwUDhmEqksUr+6mllP8rCJ9gHVrkvcQbhrscualRwSUq3xYBATFBlrcsUCeXOOf5n83398wT7M+b7l49GZeJGLjBWVkA5+GGgA70HwUdtCQHTQKNSMIGWDi1is/AsSjv+m/C63i64D9M0DPX/U9FglCBIILlCZ7O91fyALzZIeNZlYWCcTH6i0n0jcD8q9G32zhCIUW0kAI/duO+xhaYfE9IAUtHbeWR2bNaKkv2zcIPURbai59f4dOgDdp7/gEdbcYp0bjzWNdh/OLSOfyysbS7oTDma/y8NpAKQkSks4WIRBAOG8gWNHj1O0oFy7iaqPk+QWI3ctUPE5ATTsL/9HcOa9Ty+RFGDyfpGc9AGxELXWhh9MipZ46gzzyMXuL0t6PCgU50yP+nIdFGizfyKelghBw9JOQUYPn+sfY1WjiWaJikGSt5gPPNvNmBztfNANJZ+RrZQ/afTPYW9mVHbMfCoWYhrGUw0LYgK5hOJoaGXIQ3lZFaZSX86Tf2ObF4I7yhy5xiwfOxgyhCbNGFok3/I3hflaxQhrlcKRwu8+832l3ooP87oXLgcOXoxqXhxIIZZTZ1am6KntTGCBve2mnvlFlxWSDuV4WOGAWSgAVMExSEMshH3QKN0DKkpkVUc3xtJWaRoB8iuCMXnoRJuE+Os7JxDocfE5oFxEkE+bgbI8M8A+l8kXTRE36BV5rDIiVOX18utXqgkz7ty6fOeAvGj3slX0SBapXKArnKgbQAMWthjdAxhnaYb0wOhFDyhMV7fOtihunwv3mmTuQliQh/8DCEyouT6BRCdVzndY5BGU4QsX43kfpl+Ox7Vb+0Qk3aqDndrrDxXTRQx+gFqduGBmjs7oaGhgb8sHtzfXZ2/eYK/jrctNvxzZ4efLt9fhOUn78A5Z5G/OPnF3H/4aFedZ94HwLUpGckiSdY4PAysuyYQ2tMnPqRtPpfOyt7q54eXbG9dnnDa41L4iw4s2vfpSL/Y7T++KETTV7VaM+HTtHzhEBDpolU0iumj2CQRSOtkjOnogDLeDCcQzOaidnV+/6HHywsztAX4Z43wq2FrssH8sqmlpefGOZrg/dnTuQMC70zApgzWz7YfsEclrfbjb/Cbk+R/xw6OWtnUXWrVzlEXJPEDFNTfJzoLZJ8olgayXMSKZNZGY1EuUwEmMw+/IgT6LqEVBuNeFHjKXIC8S13beONGYx+Xcv8DXum7NlS8+V7W3urKm44giddqCgur77YdG3xX577q3RVNLoX5NYpctOgraT57U2lM4vzjOb3msurjs3Nisd9B1tLi4o2WZNXNW88cKloIjyOF1Hfwg24LlDdT4RJCLjF6iYoUplRySmNgqRiMI2nGH2TLc86oURON7Glwda3rY165hRf4RULa3L4zXJqFnprAj0jZvC5pJfsKpwvJtPolqHSvNZFiNNU0OWX64daiKf108t8VTwl7Xnlf5Slt+qoaDH/fS+vnT17jQoJrB7X3SoFcMQ8B9zQNLyxlnQV+4hWiRbjzBAyw6Gt9WSGg3+wwXImgj0Bb/MTHk6nr8WqyQxn8mVEUY/M4S5XuMGbI06LQWuF3VN+fX9uzDstlKzBWUxkxAK0tl4rZ+CSGbBUHhJxFF5ZxupYbPcVYCcTFQCSw0VTYM40vI++HE9mSYPZNyuK+jrR7HLpk7159MUEQhSR5MuOot4t8dlIH2CJ15mEKwpkiNEjeWWGrxj4jFKOmGodUDg7hgj5s0NK0o68RvcqjJHB2I8r5SZdFnJXGJjgJ/BE1OQE80CPMzJNBR9DB6OLq4XX0tmERC1ejo8x8XGHXTEhaaGwFa3QGVzkPobBH/qXpmoJpw6VwI9VJibG5QqJjfX/ghNVGQznIrlBvgtIHIQ6cTjjRhOPhpQFzjWYQY5M3CqfZMpEm/cmyoOgEkaEyeO3w8/SDRkRuIUc7iQh4HdoiZ7jWYxh2AC/1Rp5Am6S/woODcy+rsF+Oo/6O4gjnUTMTqs9zjHqS4dGSFI1aW+kZKVSx/85r/KopvIr/H7vvSSyE0LygoKQYAhhU0kCgqAiBJAgIYDsoEBlEdlkFcVxR8a1KDho6zZV53i047gvM45LO9Nzps60U0dap3YOnp4W26OnztQyleRH73svgaAzzpz+Q154Oefe+93vft+9AJ2YRUqGWs3d5oNIdi3HkLr0yT9vt19YHpUTXha1pMkl9oTP3KqA9wcyPOatKe7cqKWNvXXNDb/YEbv7DZybZEx0cTNmG/P2zA9DJFVTnJEH+iAHfegWnIA+TodsOH0QBYpV4ijb4SNUR9qOIZFYJkM6tVqvIh+X7JwjsyJGN1B17n719dtLq8pLspumTq/B5ZEr0HkvQ1K7oCPCut9gHrGeeFjfdOvOh5cKorBca6IHEp1lCc7sfOaMPaX+Sv2BnReDktDrCFaGFJwMsWVym787SYb/EY8h6v6Npwg/o0xpidnqqraSRvQxVXfbC6Fn/0LUqVMN/Sturr/96a7O1sOZUFPO2BP6HNTkAzttOFeTXeXEKokjqGoWVLvwISAuFIcenhusud65bGsM7PEcsDntLjEHxVl1/j515mWVFSjWl6lB5yTfWk7+uT45nWRMozE8tqb03I5cPRrWZV368M4teq8imOZqJblax6gvYH9RjvfbflkqODlma0UKUDuwzLj9X7a1Du79YgQhaz05s7awqJX+SLDq1/g91EnNzNRnVXs1Pzz8s6E1/x4WeYlWXKzvWN/yVhqZ0NWfeIJF1g+Ev1nwLhvLti3BVWeHIJAnmVQrtemqYrUbc/RozcWmgR3oiTIsQvfgAeM2YPD0pujcOYdvLukpTyra0NOfa7F4exoIIRGBu2khnUu4Q5wwmPpUwkwQCXxN0dFcUTRPGpgorpUyin/J8N+06gkAJlOM7YI6KipaGiQUki7v/b7o8Luzdz/9E7b+d3uTptR8KDIyuHz2ke1t7QmKBREt1dFbr5dX3OjZea249Ma25MK8lJTSZUjvMeNAta6xGHcn1ccvrpO+2b19xynzT9JCYqbL0sKCjJGo0KNUH1MQIHWNUjLTXFuK9uUW9uXn9xXm7ytY3LxlW3NL95ZmdCVyXQn6SOg8A7RCDv40DHzyBkRnEdGs76vE80i2VFgXbcPx2luBp9ZlJA8oWJPVfxQ/XmhKWBmMjQA9kjNu5XUmeGAYt47Rz/yYWnRR0BJp3aFZFH7mpHUTuTmnbG6YNQI64uEBLbB/0s+UQUJfll8023GySfAGdw3I2TlmM1R8Vw5qbhh46r2P5Di9g09hNTb6ymvR5V2ZOTmZmWYzddbPorWHovwVGoF3gvPPM+LiMzLi4zKAYGN38QAahpguhBdoB5EdqGeZpuJ89NVYJXta1yKm6B1vP8coeCCtYTP1wM+i3Ng3n96qUAtkk6Lw2J8C7PnKQC2XK8Qq9F2VgWSPC7bIfpDo0Wd4GMocRxqXcwCjskDPWUvQO6GR2ZGP0bzQFPCTXbiPFjRGvih8GWHrFn+dwRARcQ+XxkQY0JeurG4C4g3jeX0/3pcdgq/FqWzwy4L9Hq8GgQ3ThyBEUeAKQYSOWEgsIvIIol2sYjimMbxejPNN5sg9wQ9zbzJkV5GbIKBgdVZVT4D5YN3uA/hxXOrc6pkUgoeUedXBOLOVJ+TS4gz+Id8i8JWvRGeoLNs/mgwU03QQOJqfl5cPPP0NOT+nLE7rFSTlH4GyzYaXOQtEUgulC50mqMX2GOqmH0HdjvPF/B/zxValKOzK6T/CDtiClZqJMprsWY8O8mWcn3rwB+YLcg0WQK68fj+h46lB+7Xzinzxascbl4xM6Rvq6hrq63+0bt2j/qwStbokK7MkOLhE0vLVoWNDbW1Dxw591WKq/aBz7c2GhptrOz+oZVFQ4gN0H/ghyycVu6tnAwrjNswalthWp2SSJU9C4hZyc+FcuebamtKeaDzMDvXpoaXVFcVg0H4rrPereC724mP06Kw9Noc2JMHR16XQ0GxveifsGs+d6BP4KmR4nvocMvRnd/YEMZeW3ViiFZKXJsDRXSlxTH/96Xu8s3ojEmFtL9+SKut68Nbp1ay34gPoeXquzVk3vRi0R0efTPgqmwkwhjoNjGEzUfF84ZNQ8Li8nAm3tlxBtEd8S0ljOcJjASqFMRThrFV8DgdwqK4WvQ2sOJddcbQv2RwXa02aIEKiC8cDdmd5Qp2FHoXZWKBl7YzrhprlBMdZmTTQbmYyhmcISbTcaR1cUB1jWrbizZNnExp2pq+8uup5xaKF5uDGlVfeavuVRL+5PbciJD3dkKkM6d1krJznq22tqCiMiw+Ij/WN6O2s746H+NKx5+RN+rdwg3JbDevr0Soxb+VsoUIhurev59hxEom/+UZZlOenaXfZcIQ0F3/N4JFi693sihCTkHMM5djX9KfUXUIC2q2y1cOpN7d4wYPAnVQB51T8vmRjnsAmJn/rP4rk4GG1GsTgpzBz6HdLmj2Rl35JeJmlwVdegI6jSj+mEB13P3OS7HK2rgJtCCU/d7Z6ZcDYUYsLkriViQrh9eCX/Ae4yuiYhY6m7hAiQkoEQlZwz4iQFiG1w1XDKKIdLh4RGsFZSIPmZKGQ5Xgb9hI4SyUmcmaVp3wKBZMu8hHnoSKjl2yKkKY+tspnUXJLDJXmzDAGg5xxmiKXGww+EldCwMYWXoLYblzs2UQMzOCkuOhHZCNAgeyvJBv4NDRVYkZEkfchxUCkTUYaPkUn9l1wpZhN8QIpknvloWKjRDZFYM3Gf++AHyuRLmWESrZnabn0mtTbreHcW7KZ1SrwYnonVMFABfx1o550EjreYhLHyxEJ2TdkQ5q/6zTsF6IJUpMzyjw93Um5p2a6evSnJo3GHbWMyJw0C1BHYkCwFF/HD/0DZEZDsIrsjQ0wGKZJrCrZVIPBV4xOo8BpSoPB2wfvxW+r/Fj9GHuBe2k9ZOYJOQLjsmFhgI0R0JJokTsZSL0G1cZV24rCXHEa9FmOl+KNs4t7NyYLnGSAYkSl2GcKjc6T0Oh8lJfGooh70+e0FMoBlTLysCW0ayCZvsChxjDO4w0HHYmHP59ARk6QE8Nuy0gBEZFCqmJT01JIImBv1HjSH/tSAdZ/kBH4P+YcjUeqt+WMN2JSCnQeeio1WWe5mppqatHhW+RupEs21uuhD7CTCb4VHAcmJTvu4dG8SDAiXhmlCqlC7GBpP2JVRy7b/9Kd3Vcr2+q+pbi2Ds3Dtxm3RlPl/2ivEqimrjT83s17CYOCJCzBKmgUCVaCQpCIIFbWQcK+xkQSQkB2wqpAkEWoRINAD1ARtOOCSFVc68jRcdzacezRKtVxOiK0Tj0zrdvUqmMNvMx9eY9NUafnzOScLzfvvntz//X+32/G3bUr/Xg+pPH/mCtwc796lWumo2g8t+tM5BxXm68yN+4+60AReeqFd3tvlFYZJK+qb6D5PYOUm1WK74Es8reIlI4gSixa8pEebUx03ru1o5e4kz6dR02BrhJS5CmavzanHlrLJgbNQvw8Yxeit4j5UB+9G61s/UBtfGsWt5azWbYmF3UmbsCXoC/FjMtzWobugMyV1nHPZZlHUeKq9JDOjRN0JJWf5869WaAbrzw4wRPEmQ51kDobfYU9NeosmsxXr2ssfF0d2jmmmm+aUw6tsyAGp1LqfE0IoMRi6J45CzzR7e8Q+HW59JBlchCPUU9QV/C7DD8aM6AXnjyVOx2NgQRU70gbte5aUdjWcocrFumBq5RXrkAB4dlYl5kDk+Xo9vLCqPFmQOPNFDntyszafY5PhwiUS2J4hDnhC2H14JOVwwVQtc8eWFuZA76bD3wmW1lz+GwPwIq1JzTLl2tOrC2mxuIloQJra0HoEs9QFysrl1BOXPdQ596h7riRMVbc3N/Y1N+8cmVzf1Njf7OYrL3boS2m4Dyy9tEeMgcsGJMi2iWDg+Yz7GPLV0mqVU7olBnT+sTmHMzO0V9kpbTxk4r0sVxL4/9AVo0JcAF5T8J89xhpPXkjnQqThfOo7I9Hv05TxSZnqYiXw4N/eZbdoyLa0Qt+IUJ7hZUO3Sm7VF6pO9hw7uqZPerjrQHD9hEriRLyhDjDY2wh7oK8T9rGYTHPiuYIMFaEo9SNN8YgSTJvhYHARwSB4tVpSepStVSVoZStSswBhL78RtW6L8saisp7iH+zr1/Y2tW89UOtoi63dHOrrqwzNrilqKjVzqZD23uN9Iwb1C4AWskUclUkCbJmVGjkByg0ExdUDR8BGUMHDw7b4mgfG7VpZ6iHjpwmfkSPzgZ7TUjZo6BnBbiRVRkZDiX8iNBzLWEGMPgjvobMxm/z3RrURiP3SVxcmCrf5PSxJ2PKcJiTib2yURm3c0No9QAnorOirjWovbynUbYM3BogfFmCSHdnRUde2zmpkVM9wtxhLLkYT4SRw6GYHBnIgG1NMSxaACaLT3Ms8uz4lh9q6x63nb/7HvHCLCGytHpFjq9/wgK5JLhUZsd2yWlU5h5Lz7nJqUXn/XQPFTQf3lVeSdwm+nx+fy8joVW2Sbc0xbfQS+EZva+i5A9ZpPaJ0HoLoPZToO1QHnkeqTGKWoJ1w4+9Pphvq5jBODp8CxPwI5ej3S36Ynhfxhot5gpz1RnxGskGD9GEHsHoYTIzqE6B5WjsFCxtRvUy9g2+ssP1MQ2FsjzNpfyCS5qS6CJddH1Pokjh7Slf6pG0rCIWdqs5wYtg4YzhOCe2ZGi2z5rdoi5vCwraplG3zZy1XZPRkugc67UhI3m9NwBe61WfaEE9EBVIWta6FyVL8pdAHSUwOp3wRbS9+TzSvhz2uAaGNLeICwvyWJ/DsbYCTMD7/J8zUBNziaRY47XmgxVx78sTAvLjZ1gsSNOuzj2Wkd23tenv1bX32Yd3aapQR1Sw7OT3mZKW1VqdKGl5oafUI7qrsuR0dh3R/+MDoq+JtHeN4Ql6D/Ul7R1g7CSoFESXRCYnR4bJ5eZJgaEyWWhgElxbQHxrXMsmWRkp4bgNTK2NWGZqGZmsCI5TKj8hvvV9ryjcuDk7VbUzx2CgTmJcZzpiGQgscOQ3aID5kmJ4wvgGj4Demw87GqPCIo9xOUr9PwteNYzxAvZONQsP9F3sHxARjhJ3H3918Ul2nm+AHdMvXKkMD1Mq0eszfXkxGi9RljhW9VHt/t6eHfnbAub7BrkSc8bpxDF0gC3wfmcgSDzklRwwVT38TMU0/eU5aR05WgMaQR75NhrSEjlwRWsePiTfpBDtIBnvQcxJmQFYbMERCZnA2oLDRW8WdsYfP71lXdWmXKK9DJ2J+hxAYbKf+oJY9JTQE4t7yf1CuN+V2h/twWG7A77QhsO2AoAlzNVWlGw59Vl8ZyHR3ot+ieJP0WtfnCJcCP0B4jzxfRm05YegH32B+2DTsEyQidmfReBcAYD2xWMwFkY2sxxjXj/BP8VjkCD6JoGRNGpZGGUjRBQdDTLj3UuWDCrjycU0/SPnGcCrdqCm7E95OVW+Pv4BK8NBkEO0uwuhHj4gU0v3lx46ltQhS9R4+5VFhxclzHZ1RLevn2aLWaSudlPl1ZtLDpYXNactdPldYZhcFRioTRjOd3IVg73pp1Kl1UG64lWl0gWCvMbVoZVib4VH1I2CMLGlbc2zKLfwpSShRsSGR/hRqA1Z8QKQ4HdXPdFY9tBFmUlrBl3FtBQJuYBoeHkmM/PMy4ZGPTnqGysG9snl3Xcq1g90yeX77uzQ9UqlvTpxib0JRy2JSnFZlCVRVJlGWZyIYa6w4ozfSf5TiKJ7sKJysFuh+HSgsgKOR9QXKyou5jlPPxKeptqXrtqtSE9v3gTy7t8nK0WEgY+54S9gxYDcIgXeBNZzGUJ7QF+2jnzjNWYUXyS0nOs44jbq3mexhWzgv6nXWza9ZHpOS0xw/oolG0sqTqqK/1xWcNodlU4v4+8vTFFvOPTRyYS67w7GggDBGnRP1rZIV2Wgf+LKefw1W/PKO0KWO0QSH2/etiYmOtvDOa2tSHc07jbz+i8LYfxAGUFDvN/DCPk072cIA1Yn+OnXMkrJ8W6a+2X97eErpiUmVnAtE+pDfuAu1obhPyKIaYn+9hD8pnaNffBjjM/ht8zw/P8FVhMFPB1xZqYizngjkjIpfoHvXgHzBeKMPfof4F9IBBxTyN94PZKK/QCft8D5LQgLPw/PngTMAng+DcZvEGdWGDW+AbNencMCKOCbx4B9NjmYDyDc3gz8DpTpV4KZMDkmrGuc+MySwtEJnudEn9kLx3HAvoM2fAOYPLiGPQl+Rma9Dcy6yTHpejKmvCD2IbNM0gzPXwUegrBxLwSbDNjzV57/hoRPQA4i/u9hePBr1jNPUMBuI7bYWaQNEyExk+ImRBMSgzvQv0cQ/TYYfnr7exqeiB9QGkwmzFkjfHAZscPcEBdMaNAbx1eAI4gthBk5Ai1iNw4Y0Bp+huPUsTnDwH/YL/fgqKo7jv9277l3s+GRBw8jQrwECwFCNhJRI6XipEApTyOgGUjCQjYkMezG3U0yvGpiyUNGpWAbyqOFKRYBLbRSLGNboC+i8tAyyBsdQKR1CtUpxUog2+/v3LvhJtlkiOWPdsr+5rO/33nec8495/x+l7Uaba0XumqvCh0MI97GGjAH8dzfUQ97LfplXjO04jA0ztvd4pqBeii0L2w38wlYYaxXW0KhdsteawdrnbqWace90H+lJHEaz/w9TVMa6G4rQqC8PX6LOWKN7eepF6PcZWhGFZTUIUXtEKGufH9/pCTtF6HG1mB+icIVuhaR5a3SUTSqBXsxhwiok6mfYyVYhff4Od55V9ADtMrHmBy3E22tgThK6bin03H3zI6EOgnlFrSR0A/TAJGDNu2Cb5eOyr24J/LRP9vv0HTJk8iLRd9dkL8Z/gS6DXtRbmI/3YaBwGVJx2lvtCgfrFyhdAZ9NSPSIqMNRnlpB/THeCLzrTZ5q9rBUkeutSWt/Rh5mzCWTeazBkFbwL0zuz3U51D+YlvUUZTcLh9EIEI9uX+uULKjghytEbvoHry7uIgEW6XTKdMKfHd61Gi8n09JKNtprPJrGiv9FPtQxDxiqYn/pq0+C16l3tYYxXEFYTXiFGvcgX1+M374GSXIOCFg+GZtlumn2Yezn43HM4G2gKayH9R6wo8upxRnKpiGdoVGfcd+2HOhl1FC1FDDp4djMGvs4riLUqJel37foX0f6S/R9zDk5aE9wd9+jLx1HFmi/kDYm+EnOGZwYxwguit5ONrkOakvNc8jVjuE9mtQvwJ9nYX9HBDmGHgeYR+NOTh+ibKvYx49JSnae0SMjMewXupbqH8Y61Jg9Mn1HLHIs8Se4ZiPCa8xx3/hNW4TD5nrKNeS+9sv31k/GVswqCdjjUZLrLSCevPzeO2lz19JM8USSlbqTJ4x9fPYi4S9+Ge8e4sf1q7gfh5BmWomysNkox77SOZDzLG/kS/jA9bsjzhmsFOv8N2tfiJ9WSL2e5JajL1eBtaZ7WooWXsL9jL4iBfgX+ORJ27GHqa/trOPZn/vECi/CD96gbppA8guKihe24q8U6FGxxj0NYsSozYj3R3jXkp9pa+cCF8DosrhMxOMOYk9WLsEzOFtildfh8/LwRi+xLh+CJ2L9vvNMfA8zPZiGyVi7/dSCzAPngvHIBl43xnGu+f1gt1PtSOf12qmPONJ2kPozxJzRVpjjnnCa9zC5/MYLH5Q9of1UhaEdovvoC37UPh+6U+rULeCusl3sAXxXKzhE+UzBlH/Fn6ZY53pADELxzRqFCU5vGAq+v8nYofvybXvKr8VZhnfSfKeuEaj5d2A2DS8T3nu8hzxXjO/GVTVjPfN+wB7ZUr4HIXvAnk2jxjtxOWmE1qg6YTibDqhngnVqiObtqtHQrWyb7RR/mHE7c3fHdjn/K2knMMcL+Iu5uc7cT6daMf6jHkOcHZ4TNZvOsd56B0YQxXy74F9H43GmfWIeoyT41peuzys5wojPlW2QJ/EXnqF3PZ1KNuJePBsqBHveSt8c6Oy1nxXh7GfDtBqZT3sU4jHfoC9s4j6qvtgn0N97EfM3cN92NeFLoMjXN4M+uByOQY8l5+pDEMs9x7a3od3MgT5Q8EQ83l8TvrgeVgDxLbp2LOJcuwYJz9TjofzXjDa8RlSHoWNeFGzo78DODv8vD8gbxfSmdCLEFstljF4kuhnWx89AmtSSdngR+BJMAMMB1lgGsgF08062WoTTbydoM+nlF30NTGfJsFXjZPPfoa+jb3/BOLAJNxnWbBniH1ULMaTF+W+NmP0thzjLc4lz6xX0lE9+zkaDh4HD4I0oAOXmc4wy0fcaj1bz6bdWjXu1TpwjB7UxkHXUJpWaaaPwT5GulYk0y5tkdRp0s5o7ue2jYfYVxYT2Z0mT9NSELBvo1xJMdLFSJsa42BdzfXEN7C3AJcpf6NVyhLspSqqxt71iFqapGxDfxsoXvJ3ymM4zzHLgG1Zp1WZvR591iMGPWdynd4F6e3mY7ziUTCSalgjXSPnwOM6TwWMfYaBUkIVtnNU0TpfHEc8dpC+aU9Gf0Dey5V0EfEI6wSxjiqhMx0/ocehNyKu5z0UoxFiT4C9vF27n3KhZzvW4s65jHZLcHdewtnFPldeNrRajTvuJO6LLpQhxzEB43mT1jNiME3Afb5aTKIcrZ6WOGtwf/EZ2YD+q7BH3yDBzwRDQLmpmcVgKkhxHsL7rKQeuO8f4bRWSz3EnyhVbMQ91RP+v1Lm89524dspQc1DrMHfvC8iRtoj59RDdcs7IcU5U+pcxO9rsB89ZrsRwIkYK15Uhj4WE2zlyiBZli+yaLfIst2A7bGwuFW6wITtNFOPMWF7tfqmvBfq7U24b44YPon9jPQx2cjje3mzHGuB1kDZzlVs25bj/e0EH4Cgqa3po450yhHjyM/c8h11g/Zgb1crf6GM8LtGug5xd51APCrI9htDh21QeWMmqMLRugZCRHjTZLsAuxHJelFsaxDPhobg3B1A3lWUrYE+Dr0LpIPPkL5kwu3zoJFn6wN+DrYieyHwwN4BcIJtJajTh+SPy5v7ReRqe9foly4bfdq0Vn1uN/NGRx5PR2OR98dVzGkN9HHoXSAd9iWTENJ50J9B9wHFoKQzbdjXi/cR2/G3AGLCsObzSHT9CwsY+/VjWObT0O8bdtNqDHu//A4LU0wnuT70qVZtj6LtKUNLPgWfixzcB0D5F0XZT1u+Zc3vQCzBOFrcaWmgBpuwyGiL1HVC9tn22Z0WKZBS36GcYVFUi+Qpm1rIh19FxL1SFppyoJV8ERbVdUuSK2VrWDRVG9OBLOu0NECu3BTHKIsEOyUbo/q2kPlSXu1ATrI4B5oy1SIHovu1kilfSTZALnTpb4q7jdQ0y+Fbka6xkECz7O3mjCAPRZCXu3eTkt39p3fkjtyRO/JfKh/FKDEPxPhjVsbsj42LHRr73dh3/o/lo9imuOhmGd9GnoJ4Ikp13Csdyra4X/1nEp8opbbTcuyO/O8K2YjUHbSXYglfoJwiF/5s9oUxZRQl012pXmr8lIf5Q8gwqTdShi1gTzZtDXa+aTsoQ1mImjbhREGpssO0bZQSPcC07dQ9eoppK8jPMW0B+3nT1mDvNG0H+aPPbtGHpw1/QJ9UNNfvC/gKgnqmz1/q87uDRT5vqv5YSYmeVTSvMBjQszwBj7/ck5+qTyv06ElPe/zeJD3onlPi0X0FerCwKKAX+LxBvcId0PM95Z4SX6knXy/y6qVuf1AvCxR55+luPRAsy1+gz1mgP+bN97+kjy2bWxjQfV609+h+T4mn3O2dKzvk/rlJqbvIH9CTC4PB0sAjLte8omBh2ZzUub75Ljd68Awr4B5cZu1hsrZrTolvjmu+OxD0+F0Tx2eOmfzEmNT5+YNTMbfSBX6eDiZ9f4Z1DKn6VM+/aauaHrdtIMqfIuypQbR2WvTSvW2CFimwCYpuD0FutEhLzEqiQFIx9if1p/Vf9M0jZWmdL+QQGJapmeG8eW+GdBhcjKBdgUpng0WVbdBjsqaujsGyrKbTobV1lXylx8dqsiFigz8k7cbMsAHGWRFR9KSDRbCpdIy+cRr5KuObebBjoszV0fUWHEWDq/uy4+oZQYzVvYgovsVVnSCCnxMEiym4RnLUCGr62UgNi7t3gysIlDf3EUnnCAZSZ10N3rij/FrSmuZD72JXV8ZJ6sOcYIxibOwou8Bj70MVLQYDGRzqJte1OsYIyiSCpiIRcU+dH54ykaGZ0brYWe4xHpIR8YNtklgk/Oj73p+EWuNH44RRvOEY6oP/aEklt3X0CZXmCkT/aW1qccVOo/SDLXrlEdUbNkHQY0LfHaTHUSDcJcvd27vX7+/ePb+dko/3Nrjj9Uvfm++x8lUU0FUK2thBh4cFZj2ObfDzxMnzw6RHlLhT/6pK/aJe4PsrVm+UU40KyquI71El2F5hFdTEp4bFYTWqHTy3qsenUn/D1qoOvsg3i1+L6I94Gkb+A6/F75V6oGfEqkK8VgdkEI+giaVDLslyJIrgnxAlFoM4ydjDMzFzhdgRzwkRgbEzIsXWYq3xjbDOiHzE+sDnLbwG0f9h/Qd8DRAj8ceCL9UE4giehr3ZVLjUv6AItoNFcvxEDRJsUd2oPT4tfJJzBvoOebwaYNWlBquukXOpYX+R+3qTe0+dPJ57ZNDkJbF7daf+RId+V2/VPZ47eI16Rs1fUadHRC3dyZ3+Wf32RR1k31/MPLAPsXS7Kl3p6LNFy5YTMbIWo2p2TbyrWpJVetPCVlNfz86M3D8xWywIwi6R8fikh03h8emMLDN6IoYtmQ1/I70NInWpTyZILDO4WVa9TrNU7tjx3Md0ntf7C4wrqLsykZnUPAPuyfxc7pIpzpPggZ/KhEkXA0/cUkddMjXIKXO76HC5u8f7QNuWwzq92/OYK515JuuNnrIesBaU4/ndbro1cW57qt3RYrjOVR9YS46M58iG2i5YuR973h0VrfnGyDW4ovfa189pV2/6mrlM5wlNF1O08j1RreGrPVlumrmcusjIFcfwKZlXjh8Q0RA3xyzZ5b7qeUZP5641rMmwTlfqu9nchnL7ed5pa1e2p3WELRVNtxos87/qsD2pT3dFnsCs+qGwXudre4vqL/QmnLlHztvI7Hnq87/Cyu5bvdzhnrpTr9V7PN+p57iFJuoYEWnJ/Yh77yW1NPwnaYHcc/f37PxRsat3mR5NtnIPipoDK334RIfP/a+2fJ+Rcb0tZWInapz13/0vwAClsCJRDWVuZHN0cmVhbQ1lbmRvYmoNOTcgMCBvYmoNPDwvRmlsdGVyL0ZsYXRlRGVjb2RlL0xlbmd0aCA3OT4+c3RyZWFtDQpIiTrAwKCh0MDA1OTAMCHBgYGBU0CggUFIgkGBgUFEAMg/MIHBo5mRgYFBx0ERqDSBg9mAgVpA/gcqn8PCQYOxgbEByJwA5AEEGAB70guZDWVuZHN0cmVhbQ1lbmRvYmoNOTggMCBvYmoNPDwvQmFzZUZvbnQvTkxIWkxYK0FwdG9zU2VyaWYtQm9sZC9DSURTeXN0ZW1JbmZvIDk0IDAgUi9DSURUb0dJRE1hcC9JZGVudGl0eS9EVyAxMDAwL0ZvbnREZXNjcmlwdG9yIDk5IDAgUi9TdWJ0eXBlL0NJREZvbnRUeXBlMi9UeXBlL0ZvbnQvV1sxWzY3MF0yNls2NzZdMjhbNjk1XTM0Wzc0N100MFs2MTZdNjJbNTY5XTY0WzcyMF03MFs4MDZdNzNbMzc5XTg4WzY5M105MVs1ODhdOTdbODY1IDc3NF0xMDVbNzMzXTEzMls2NDVdMTM1WzcxNV0xMzlbNjEwXTE0N1s2MzNdMTUyWzc0NF0xNzFbNjcwXTE3NFsxMDUxXTE3OVs2NjIgNjU0XTE5NFs1NTRdMjE5WzYwN10yMjFbNTI3XTIyN1s2MDRdMjMzWzU0MV0yNTZbMzQ5IDUyNF0yNjRbNjI1XTI2N1szMTddMjgxWzMxM10yODRbNTk4XTI4OFszMTZdMjk0WzkxMyA2MjJdMzAzWzU3MV0zMzBbNjE0XTMzMls1OTUgNDcyXTMzN1s1MDJdMzQ2WzM2MV0zNTFbNjI3XTM3MFs1MjVdMzcyWzgzNl0zNzdbNTgzIDUyM10zODhbNTA0XTM5OFs2NjMgOTQ2XTQwMls2MzEgNjM0XTk5NSAxMDA0IDU2MyAxMTI0WzI1NF0xMTMwIDExMzIgMzAyIDExMzdbNTMwXTExNDZbMzI4XTExNDhbMzY3XTExNTkgMTE2MCAzMjMgMTE3NSAxMTc2IDMwMiAxMjA4Wzc0MV0xMjExWzc0OV0xMjM2WzU2M11dPj4NZW5kb2JqDTk5IDAgb2JqDTw8L0FzY2VudCAxMDEwL0NJRFNldCA5NyAwIFIvQ2FwSGVpZ2h0IDY1Ny9EZXNjZW50IC0yNzUvRmxhZ3MgNi9Gb250QkJveFstNTE4IC0yNzUgMTMwOSAxMDEwXS9Gb250RmFtaWx5KEFwdG9zIFNlcmlmKS9Gb250RmlsZTIgOTYgMCBSL0ZvbnROYW1lL05MSFpMWCtBcHRvc1NlcmlmLUJvbGQvRm9udFN0cmV0Y2gvTm9ybWFsL0ZvbnRXZWlnaHQgNzAwL0l0YWxpY0FuZ2xlIDAvU3RlbVYgMTQwL1R5cGUvRm9udERlc2NyaXB0b3IvWEhlaWdodCA0NzA+Pg1lbmRvYmoNMTAxIDAgb2JqDTw8L0ZpbHRlci9GbGF0ZURlY29kZS9MZW5ndGggNTg3Pj5zdHJlYW0NCkiJXJTbjqJAEIbveYq+nLmYAN0NDYkxUdDEiz1knX0AhdYlWZEgXvj2i/X1zmyWRJOPv7pOXVRc7epd300q/j5em72f1Knr29Hfrvex8eroz10fpVq1XTMFkv/mchiieD68f9wmf9n1p2u0WKj4xyzepvGhXlbt9ehfo/jb2Pqx68/q5We1f1Xx/j4Mv/3F95NK1HKpWn+aHX05DF8PF69iOfa2a2e9mx5v85lPi/fH4JUWTkmmubb+NhwaPx76s48Wyfws1WI7P8vI9+1/unMcO56aX4dxNk/FPEnyfCmHUyGbLkWDcgcVUAGtoVIoLaGVeElXeNFQBRksoXwtpEP0Siy1xtKi5Wg15KANluRiM7Qt2lY0s0GjIksE6yB82gIia0sNlqxdApGnoxO2hqSiNKMvTipKspALFWXBi0WjS7ZCI08nWSd56HUNhdqlPptboaREC3lu0YiggyURdAWRtZF7sI4IRs6ljgguh4jguFtHBMfdulBDiZcQj+iOCJqsC7xk9CyQYwoKbiyTntlAuoDomaa+ghoyJqTYhIn8O5Vpsf3nzcfMlfrzLX5Kgx/mJ5DodKd85qBnf1iTQ5ahFWh4WoWMmKEVGWXM0DpEwcs6dIBerUNdOYSXFT6rkK9MlK05p5mTOnxNfDE105YzX5tQh1iaQCaB8GJSKIM0xKwbA9F/E7yQp2ESN+HrzdAgk0PcvnEQeZoCCtNWyqoJO+W5dObdqD42WnMfx3mZyQKVLfbcX13vP3bscB3UfOr5i/4IMACwfEUcDWVuZHN0cmVhbQ1lbmRvYmoNMTM5IDAgb2JqDTw8L0JpdHNQZXJDb21wb25lbnQgOC9Db2xvclNwYWNlIDU3IDAgUi9GaWx0ZXIvRmxhdGVEZWNvZGUvSGVpZ2h0IDk5L0xlbmd0aCA2MTUvV2lkdGggNzY+PnN0cmVhbQ0KSInslzGO6yAQhsWWuKJK5RtQLleBVOEs4Iq7zFQ+DNfZAZysvc+JLYKediV+lECS0cfPzCSxY2yicWSsDYlYlzao7KiNLXbHNKB9tGMlW4KLZqwho1qwxovgTViUrVEkX+x9FmOXsWTrbRYRxmE5YgNWzKj3lXorZ6uBki1+FnUQmHJ09oj8deB3z59QzsUgllFWP0LOZov2pF3zM4/31T8x51hc5N4RaSaP99dVejhKboqvSlJc8hRLlpZ8VbLunh6+4k6+zqJKFXOW0gHLuool+Ho8q+M5Pfpq019VqJ8e34csqu+rrq6urv8tDGEO9xfhVeQJ1qeY1HW+WRqBBztfg52uaIOvgAUVlFVK2cEOQsxRqSDsoKytYHk1qZvl4lNYwZWNN4WKBy5uFaw45wfSyOsqQ080ze1YXV1dXV2/SgiIwc+YZvrzTXM1i/4b6Q5IqdU9UTVsxjQiJleRVohTta93RVcNSFcNzzODkyefN/IJRywhBqXEYNXmzfVmOYc5jwcooOz4GHB7NbO54UOcPbmi+h6wjJHRSen8Brb25Zx04KTx7gAVARx5S2MduvaVPgHIMQcJ05KCvJRIu+/78gwjeOeikfLIWT4HpP33fS1Ev404L3EcslXxAnvXo/wRsZmfozTI6KlCzGjnjJdgtJG48uUdaDqb/JBMGucpHqXRepdc3vRYqpgrhRtfOSYNv8yvTTpmHBhgjq3Pus4XUPcx55kxx7lfdsPndYQItUWMFXX8MwIsX6Pq1HxLS82YN5p5xjT1FIPUV6e+g7vO0iP9JkDppuPfhq6uv6CvAQDcSiy1DWVuZHN0cmVhbQ1lbmRvYmoNMTQ2IDAgb2JqDTw8L0xlbmd0aCA0NTMxL1N1YnR5cGUvWE1ML1R5cGUvTWV0YWRhdGE+PnN0cmVhbQ0KPD94cGFja2V0IGJlZ2luPSLvu78iIGlkPSJXNU0wTXBDZWhpSHpyZVN6TlRjemtjOWQiPz4KPHg6eG1wbWV0YSB4bWxuczp4PSJhZG9iZTpuczptZXRhLyIgeDp4bXB0az0iQWRvYmUgWE1QIENvcmUgOS4xLWMwMDEgNzkuNjc1ZDBmNywgMjAyMy8wNi8xMS0xOToyMToxNiAgICAgICAgIj4KICAgPHJkZjpSREYgeG1sbnM6cmRmPSJodHRwOi8vd3d3LnczLm9yZy8xOTk5LzAyLzIyLXJkZi1zeW50YXgtbnMjIj4KICAgICAgPHJkZjpEZXNjcmlwdGlvbiByZGY6YWJvdXQ9IiIKICAgICAgICAgICAgeG1sbnM6eG1wPSJodHRwOi8vbnMuYWRvYmUuY29tL3hhcC8xLjAvIgogICAgICAgICAgICB4bWxuczp4bXBNTT0iaHR0cDovL25zLmFkb2JlLmNvbS94YXAvMS4wL21tLyIKICAgICAgICAgICAgeG1sbnM6c3RSZWY9Imh0dHA6Ly9ucy5hZG9iZS5jb20veGFwLzEuMC9zVHlwZS9SZXNvdXJjZVJlZiMiCiAgICAgICAgICAgIHhtbG5zOnN0RXZ0PSJodHRwOi8vbnMuYWRvYmUuY29tL3hhcC8xLjAvc1R5cGUvUmVzb3VyY2VFdmVudCMiCiAgICAgICAgICAgIHhtbG5zOmRjPSJodHRwOi8vcHVybC5vcmcvZGMvZWxlbWVudHMvMS4xLyIKICAgICAgICAgICAgeG1sbnM6cGRmPSJodHRwOi8vbnMuYWRvYmUuY29tL3BkZi8xLjMvIj4KICAgICAgICAgPHhtcDpDcmVhdGVEYXRlPjIwMjUtMTAtMjlUMDg6NTI6NTQtMDc6MDA8L3htcDpDcmVhdGVEYXRlPgogICAgICAgICA8eG1wOk1ldGFkYXRhRGF0ZT4yMDI1LTEwLTI5VDA4OjU0OjMxLTA3OjAwPC94bXA6TWV0YWRhdGFEYXRlPgogICAgICAgICA8eG1wOk1vZGlmeURhdGU+MjAyNS0xMC0yOVQwODo1NDozMS0wNzowMDwveG1wOk1vZGlmeURhdGU+CiAgICAgICAgIDx4bXA6Q3JlYXRvclRvb2w+QWRvYmUgSW5EZXNpZ24gMjAuNSAoTWFjaW50b3NoKTwveG1wOkNyZWF0b3JUb29sPgogICAgICAgICA8eG1wTU06SW5zdGFuY2VJRD51dWlkOmJlNTIyZmIxLTE2MzMtYWM0NS04MTE4LTM2ZTg2MzFiNDY3MDwveG1wTU06SW5zdGFuY2VJRD4KICAgICAgICAgPHhtcE1NOk9yaWdpbmFsRG9jdW1lbnRJRD54bXAuZGlkOmMxNTYyNmZiLWMyM2UtNGNkNi05MjFiLWE2ODZiMTNjYWVhMjwveG1wTU06T3JpZ2luYWxEb2N1bWVudElEPgogICAgICAgICA8eG1wTU06RG9jdW1lbnRJRD54bXAuaWQ6NmU0NDA1OWEtMzk4Yy00MmEwLTljN2YtZjRiNDE4OTVmMzk3PC94bXBNTTpEb2N1bWVudElEPgogICAgICAgICA8eG1wTU06UmVuZGl0aW9uQ2xhc3M+cHJvb2Y6cGRmPC94bXBNTTpSZW5kaXRpb25DbGFzcz4KICAgICAgICAgPHhtcE1NOkRlcml2ZWRGcm9tIHJkZjpwYXJzZVR5cGU9IlJlc291cmNlIj4KICAgICAgICAgICAgPHN0UmVmOmluc3RhbmNlSUQ+eG1wLmlpZDpkOGY2MmNkYy0wMzAyLTQ1NDAtYmE2NC04OTRjOTM4ZTM5OGE8L3N0UmVmOmluc3RhbmNlSUQ+CiAgICAgICAgICAgIDxzdFJlZjpkb2N1bWVudElEPnhtcC5kaWQ6YjAxMmMzMDktNmU2Ni00ZWQ5LThlNjYtNWI4YTE3MzNlOTdkPC9zdFJlZjpkb2N1bWVudElEPgogICAgICAgICAgICA8c3RSZWY6b3JpZ2luYWxEb2N1bWVudElEPnhtcC5kaWQ6YzE1NjI2ZmItYzIzZS00Y2Q2LTkyMWItYTY4NmIxM2NhZWEyPC9zdFJlZjpvcmlnaW5hbERvY3VtZW50SUQ+CiAgICAgICAgICAgIDxzdFJlZjpyZW5kaXRpb25DbGFzcz5kZWZhdWx0PC9zdFJlZjpyZW5kaXRpb25DbGFzcz4KICAgICAgICAgPC94bXBNTTpEZXJpdmVkRnJvbT4KICAgICAgICAgPHhtcE1NOkhpc3Rvcnk+CiAgICAgICAgICAgIDxyZGY6U2VxPgogICAgICAgICAgICAgICA8cmRmOmxpIHJkZjpwYXJzZVR5cGU9IlJlc291cmNlIj4KICAgICAgICAgICAgICAgICAgPHN0RXZ0OmFjdGlvbj5jb252ZXJ0ZWQ8L3N0RXZ0OmFjdGlvbj4KICAgICAgICAgICAgICAgICAgPHN0RXZ0OnBhcmFtZXRlcnM+ZnJvbSBhcHBsaWNhdGlvbi94LWluZGVzaWduIHRvIGFwcGxpY2F0aW9uL3BkZjwvc3RFdnQ6cGFyYW1ldGVycz4KICAgICAgICAgICAgICAgICAgPHN0RXZ0OnNvZnR3YXJlQWdlbnQ+QWRvYmUgSW5EZXNpZ24gMjAuNSAoTWFjaW50b3NoKTwvc3RFdnQ6c29mdHdhcmVBZ2VudD4KICAgICAgICAgICAgICAgICAgPHN0RXZ0OmNoYW5nZWQ+Lzwvc3RFdnQ6Y2hhbmdlZD4KICAgICAgICAgICAgICAgICAgPHN0RXZ0OndoZW4+MjAyNS0xMC0yOVQwODo1Mjo1NC0wNzowMDwvc3RFdnQ6d2hlbj4KICAgICAgICAgICAgICAgPC9yZGY6bGk+CiAgICAgICAgICAgIDwvcmRmOlNlcT4KICAgICAgICAgPC94bXBNTTpIaXN0b3J5PgogICAgICAgICA8ZGM6Zm9ybWF0PmFwcGxpY2F0aW9uL3BkZjwvZGM6Zm9ybWF0PgogICAgICAgICA8cGRmOlByb2R1Y2VyPkFkb2JlIFBERiBMaWJyYXJ5IDE3LjA8L3BkZjpQcm9kdWNlcj4KICAgICAgICAgPHBkZjpUcmFwcGVkPkZhbHNlPC9wZGY6VHJhcHBlZD4KICAgICAgPC9yZGY6RGVzY3JpcHRpb24+CiAgIDwvcmRmOlJERj4KPC94OnhtcG1ldGE+CiAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAKICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIAogICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgCiAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAKICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIAogICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgCiAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAKICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIAogICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgCiAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAKICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIAogICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgCiAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAKICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIAogICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgCiAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAKICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIAogICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgCiAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAKICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIAogICAgICAgICAgICAgICAgICAgICAgICAgICAKPD94cGFja2V0IGVuZD0idyI/Pg1lbmRzdHJlYW0NZW5kb2JqDTE0NyAwIG9iag08PC9DcmVhdGlvbkRhdGUoRDoyMDI1MTAyOTA4NTI1NC0wNycwMCcpL0NyZWF0b3IoQWRvYmUgSW5EZXNpZ24gMjAuNSBcKE1hY2ludG9zaFwpKS9Nb2REYXRlKEQ6MjAyNTEwMjkwODU0MzEtMDcnMDAnKS9Qcm9kdWNlcihBZG9iZSBQREYgTGlicmFyeSAxNy4wKS9UcmFwcGVkL0ZhbHNlPj4NZW5kb2JqDTE0OSAwIG9iag08PC9MYW5nKGVuLVVTKS9NZXRhZGF0YSAxNDYgMCBSL09wZW5BY3Rpb24gMTYwIDAgUi9PdXRsaW5lcyAxMTAgMCBSL1BhZ2VMYXlvdXQvU2luZ2xlUGFnZS9QYWdlTW9kZS9Vc2VUaHVtYnMvUGFnZXMgMTQwIDAgUi9UeXBlL0NhdGFsb2cvVmlld2VyUHJlZmVyZW5jZXM8PC9EaXJlY3Rpb24vTDJSPj4+Pg1lbmRvYmoNMTUxIDAgb2JqDTw8L0FJUyBmYWxzZS9CTS9Ob3JtYWwvQ0EgMS4wL09QIGZhbHNlL09QTSAxL1NBIHRydWUvU01hc2svTm9uZS9UeXBlL0V4dEdTdGF0ZS9jYSAxLjAvb3AgZmFsc2U+Pg1lbmRvYmoNMTUyIDAgb2JqDVsvSUNDQmFzZWQgMTU3IDAgUl0NZW5kb2JqDTE1NSAwIG9iag08PC9Bc2NlbnQgMTEzNS9DYXBIZWlnaHQgNzEzL0Rlc2NlbnQgLTYyNy9GbGFncyAzMi9Gb250QkJveFstNjI2IC02MjcgMjQyMCAxMTM1XS9Gb250RmFtaWx5KFBvcHBpbnMgQmxhY2spL0ZvbnRGaWxlMiAxNTggMCBSL0ZvbnROYW1lL05MSFpMWCtQb3BwaW5zLUJsYWNrL0ZvbnRTdHJldGNoL05vcm1hbC9Gb250V2VpZ2h0IDkwMC9JdGFsaWNBbmdsZSAwL1N0ZW1WIDIyNC9UeXBlL0ZvbnREZXNjcmlwdG9yL1hIZWlnaHQgNTY0Pj4NZW5kb2JqDTE1NiAwIG9iag08PC9GaWx0ZXIvRmxhdGVEZWNvZGUvTGVuZ3RoIDM1NT4+c3RyZWFtDQpIiVySzWrDMAzH734KH9dDSZq2dgsh0GYt5LAPlu0BUlvpAotjnPSQt59klQ5mSPQzluS/JCdl9Vy5bpLJexhMDZNsO2cDjMMtGJAXuHZOrDJpOzPdd/Fv+saLBIPreZygr1w7iDyXyQcejlOY5dPBDhdYiOQtWAidu8qnr7JeyKS+ef8DPbhJprIopIUWE700/rXpQSYxbFlZPO+meYkxfx6fsweZxf2KxZjBwugbA6FxVxB5iquQ+RlXIcDZf+eZ5rBLa76bIPKMnNMUjcg3q8hokDPmjHjNvCbWzJp4z7wnPjAfkLebyGhErjinopyK8yjKo9hHRZ8t85aY8yvKr3bMO2K+S9Fd6sh8JC6ZS+IT84n4zIxNyDXXqKlGzXVpqkuzHk16NOvRpEezHk16tGJWxKxHkx7NetBQk+/dpHbjq5CPWZpbCDjG+HTi/GhynYPH6/KDlxhFn/gVYACvmaxsDWVuZHN0cmVhbQ1lbmRvYmoNMTU3IDAgb2JqDTw8L0ZpbHRlci9GbGF0ZURlY29kZS9MZW5ndGggMjU3NC9OIDM+PnN0cmVhbQ0KSImclnlUU3cWx39vyZ6QlbDDYw1bgLAGkDVsYZEdBFEISQgBEkJI2AVBRAUURUSEqpUy1m10Rk9FnS6uY60O1n3q0gP1MOroOLQW146dFzhHnU5nptPvH+/3Ofd37+/d3733nfMAoCelqrXVMAsAjdagz0qMxRYVFGKkCQADCiACEQAyea0uLTshB+CSxkuwWtwJ/IueXgeQab0iTMrAMPD/iS3X6Q0AQBk4ByiUtXKcO3GuqjfoTPYZnHmllSaGURPr8QRxtjSxap6953zmOdrECo1WgbMpZ51CozDxaZxX1xmVOCOpOHfVqZX1OF/F2aXKqFHj/NwUq1HKagFA6Sa7QSkvx9kPZ7o+J0uC8wIAyHTVO1z6DhuUDQbTpSTVuka9WlVuwNzlHpgoNFSMJSnrq5QGgzBDJq+U6RWYpFqjk2kbAZi/85w4ptpieJGDRaHBwUJ/H9E7hfqvm79Qpt7O05PMuZ5B/AtvbT/nVz0KgHgWr836t7bSLQCMrwTA8uZbm8v7ADDxvh2++M59+KZ5KTcYdGG+vvX19T5qpdzHVNA3+p8Ov0DvvM/HdNyb8mBxyjKZscqAmeomr66qNuqxWp1MrsSEPx3iXx3483l4ZynLlHqlFo/Iw6dMrVXh7dYq1AZ1tRZTa/9TE39l2E80P9e4uGOvAa/YB7Au8gDytwsA5dIAUrQN34He9C2Vkgcy8DXf4d783M8J+vdT4T7To1atmouTZOVgcqO+bn7P9FkCAqACJuABK2APnIE7EAJ/EALCQTSIB8kgHeSAArAUyEE50AA9qActoB10gR6wHmwCw2A7GAO7wX5wEIyDj8EJ8EdwHnwJroFbYBJMg4dgBjwFryAIIkEMiAtZQQ6QK+QF+UNiKBKKh1KhLKgAKoFUkBYyQi3QCqgH6oeGoR3Qbuj30FHoBHQOugR9BU1BD6DvoJcwAtNhHmwHu8G+sBiOgVPgHHgJrIJr4Ca4E14HD8Gj8D74MHwCPg9fgyfhh/AsAhAawkccESEiRiRIOlKIlCF6pBXpRgaRUWQ/cgw5i1xBJpFHyAuUiHJRDBWi4WgSmovK0Rq0Fe1Fh9Fd6GH0NHoFnUJn0NcEBsGW4EUII0gJiwgqQj2hizBI2En4iHCGcI0wTXhKJBL5RAExhJhELCBWEJuJvcStxAPE48RLxLvEWRKJZEXyIkWQ0kkykoHURdpC2kf6jHSZNE16TqaRHcj+5ARyIVlL7iAPkveQPyVfJt8jv6KwKK6UMEo6RUFppPRRxijHKBcp05RXVDZVQI2g5lArqO3UIep+6hnqbeoTGo3mRAulZdLUtOW0IdrvaJ/Tpmgv6By6J11CL6Ib6evoH9KP07+iP2EwGG6MaEYhw8BYx9jNOMX4mvHcjGvmYyY1U5i1mY2YHTa7bPaYSWG6MmOYS5lNzEHmIeZF5iMWheXGkrBkrFbWCOso6wZrls1li9jpbA27l72HfY59n0PiuHHiOQpOJ+cDzinOXS7CdeZKuHLuCu4Y9wx3mkfkCXhSXgWvh/db3gRvxpxjHmieZ95gPmL+ifkkH+G78aX8Kn4f/yD/Ov+lhZ1FjIXSYo3FfovLFs8sbSyjLZWW3ZYHLK9ZvrTCrOKtKq02WI1b3bFGrT2tM63rrbdZn7F+ZMOzCbeR23TbHLS5aQvbetpm2TbbfmB7wXbWzt4u0U5nt8XulN0je759tH2F/YD9p/YPHLgOkQ5qhwGHzxz+ipljMVgVNoSdxmYcbR2THI2OOxwnHF85CZxynTqcDjjdcaY6i53LnAecTzrPuDi4pLm0uOx1uelKcRW7lrtudj3r+sxN4Jbvtspt3O2+wFIgFTQJ9gpuuzPco9xr3Efdr3oQPcQelR5bPb70hD2DPMs9RzwvesFewV5qr61el7wJ3qHeWu9R7xtCujBGWCfcK5zy4fuk+nT4jPs89nXxLfTd4HvW97VfkF+V35jfLRFHlCzqEB0Tfefv6S/3H/G/GsAISAhoCzgS8G2gV6AycFvgn4O4QWlBq4JOBv0jOCRYH7w/+EGIS0hJyHshN8Q8cYa4V/x5KCE0NrQt9OPQF2HBYYawg2F/DxeGV4bvCb+/QLBAuWBswd0IpwhZxI6IyUgssiTy/cjJKMcoWdRo1DfRztGK6J3R92I8Yipi9sU8jvWL1cd+FPtMEiZZJjkeh8QlxnXHTcRz4nPjh+O/TnBKUCXsTZhJDEpsTjyeREhKSdqQdENqJ5VLd0tnkkOSlyWfTqGnZKcMp3yT6pmqTz2WBqclp21Mu73QdaF24Xg6SJemb0y/kyHIqMn4QyYxMyNzJPMvWaKslqyz2dzs4uw92U9zYnP6cm7luucac0/mMfOK8nbnPcuPy+/Pn1zku2jZovMF1gXqgiOFpMK8wp2Fs4vjF29aPF0UVNRVdH2JYEnDknNLrZdWLf2kmFksKz5UQijJL9lT8oMsXTYqmy2Vlr5XOiOXyDfLHyqiFQOKB8oIZb/yXllEWX/ZfVWEaqPqQXlU+WD5I7VEPaz+tiKpYnvFs8r0yg8rf6zKrzqgIWtKNEe1HG2l9nS1fXVD9SWdl65LN1kTVrOpZkafot9ZC9UuqT1i4OE/UxeM7saVxqm6yLqRuuf1efWHGtgN2oYLjZ6NaxrvNSU0/aYZbZY3n2xxbGlvmVoWs2xHK9Ra2nqyzbmts216eeLyXe3U9sr2P3X4dfR3fL8if8WxTrvO5Z13Vyau3Ntl1qXvurEqfNX21ehq9eqJNQFrtqx53a3o/qLHr2ew54deee8Xa0Vrh9b+uK5s3URfcN+29cT12vXXN0Rt2NXP7m/qv7sxbePhAWyge+D7TcWbzg0GDm7fTN1s3Dw5lPpPAKQBW/6YuJkkmZCZ/JpomtWbQpuvnByciZz3nWSd0p5Anq6fHZ+Ln/qgaaDYoUehtqImopajBqN2o+akVqTHpTilqaYapoum/adup+CoUqjEqTepqaocqo+rAqt1q+msXKzQrUStuK4trqGvFq+LsACwdbDqsWCx1rJLssKzOLOutCW0nLUTtYq2AbZ5tvC3aLfguFm40blKucK6O7q1uy67p7whvJu9Fb2Pvgq+hL7/v3q/9cBwwOzBZ8Hjwl/C28NYw9TEUcTOxUvFyMZGxsPHQce/yD3IvMk6ybnKOMq3yzbLtsw1zLXNNc21zjbOts83z7jQOdC60TzRvtI/0sHTRNPG1EnUy9VO1dHWVdbY11zX4Nhk2OjZbNnx2nba+9uA3AXcit0Q3ZbeHN6i3ynfr+A24L3hROHM4lPi2+Nj4+vkc+T85YTmDeaW5x/nqegy6LzpRunQ6lvq5etw6/vshu0R7ZzuKO6070DvzPBY8OXxcvH/8ozzGfOn9DT0wvVQ9d72bfb794r4Gfio+Tj5x/pX+uf7d/wH/Jj9Kf26/kv+3P9t//8CDAD3hPP7DWVuZHN0cmVhbQ1lbmRvYmoNMTU4IDAgb2JqDTw8L0ZpbHRlci9GbGF0ZURlY29kZS9MZW5ndGggNDQzOS9MZW5ndGgxIDk4OTg+PnN0cmVhbQ0KSImUVgtQVNcZPudcYHN5Lcu+eLnc3Yu7uLz3wfIGrSzQiKAuvkCUKikqDxXjmPhCtxrqg8YmE200xhqcSRhnTNJppmYwYxvRaOlkqjV1kmHbZbEasWnHgJjq3u1/7l2QPGZq78x3/3PvOef7v//8/zn3bt70fDMKR12IQVzNoiwLkq4zgFWr25o22NmCMYRwJELk6k9bX3hu/daXexBiPkNItq6luWlN/F9TdiAUUQbjc1vghTQ9YgvcUlraNm8NPr+OUMz+1o7VTSc+OPkQoaQUhJ6pbGvaukHqT2mFG9fe1Nbs/v2tS/B8EHwKGzo6Nwd+h0CTcT/tRyHMFuZnKBS07CdL4c2zksWNyIIXUp5wNHl1ydC0q8rlrEEXEHpEQhKEU2hNSAfp5BB6hfYRG7kiscMdwzpgsJEohHwE9nVYmTCUAK0oGLETy3Ai5nEOduBKXI+b8U78C/xL7CeJZBnpJ5fJFTLEXGAZNoKNYhWsik1ls1krm8+Ws1VsNVvLNrLNbAe7gd2k26s7r/ta9w0Xxam4BE7HGTgjl80VcHO5t7kz3Ifceb1Sb9Ab9ZkGYggzyA2xBrUhwaAzpBkqDasMzTOvzhx8RAIBMTyqTY9O4nCsw6k4F+fjebgRt4jaHpM4Udsl0HYTtGE2lI1k5aySVbNmNoe1s0VsBfssaFvKrmKfE7V16fp193UPuUhOycVxSRwnassPajv3PW0K0BY/pW2NqA2DNhwYD/hIJ1lIasl88mPiJOVkDikjJSSTpOOP8Tu4FTRjWPD7KAahB2I0D/wT8olohCYipNxN5D/4N9zjJxIe/PrWgluJI7dHfH93+676Lvsu+QZ8f/Cd873ne/tvt3yzEfJZhoeGPx0eHB7w3vf+y3vb+w/viNfr9XiveT/wvuk97sn7fIAlYob/n4tWZzsK1iq0ELT3oH3i076nZni660X0AtoG9ReLopEcqVANKkXlaCfajtRIg7QoDsVDPSYiA9KhZMSLmd+BIqAGktAMdAAdRD3MV3SPQDGPkX6o5zDEAp8cIYVeocd6LeMwYYVMaZLhMSES9wpn+j7p68Mv9x3s6yP9/rlkf0D4SyAgECyIDUQoFxNKLiIZ3WAzeRmP9ZhngODhPf5LzGCEyd1lZWXr15OL/iIcOzAAXmHXkldgTjRoTgYCjVoVxoMAC23ITFZLrt1m5PlYMDyvtpJ5Fds6hUN4bev22bmPF+tmzNAtds8obG7GDSuKVzSTi43LS+qiy+PiE+KFE9oE6xq6V3WBR+Q6+SPEjWJzc60WjUbLG428IUyt0oADhzWa8Aaj0a6rO7G+4XC9/G5MoTFv9uw8Y2HMXXn94Yb1J+rwYG99+U4Xb3JVVLhMvGtneX3v2knuaxI3fsLp4O16dViYyGoTXWrxSFS2ocw5f0F11nt4beap7e1vLVlyqu3A2Rh8Ta1dVLloYckbnpqNQLu2t35fJ+WGtcExsDYMWAWvwDEeunDwAvrCA98QDppy2qeinuxWMRq7gnB7t+4++kVSnEpDLgqOXe6e7jQ+gcNXxHmw3o1ijhBW88DK20ljv+dDcvFd/z2iehe6kQq4t5BCqC3d5Ipp7VYYGYwo5cna2VXF6+Y4atVDQ+pax5x1xXhvZkpKJgXudJdnmKr9g9WmjHL3sgyLJYOCaqD81cAfP8XOP1k5a9CJqsrtaj+iGo0yJiYnJxqjRlVH2l3uKrzJ7dzenm7JybGkt293updO6R15er01ao9HXfNDev3+pO/qlfhdoFdLs4xkelFmsGak7GrUJqhSg4y4GOFYaF5KzGhk9fNOkAtBwN2bklgYjp9RV+mLVjpA81K3s7xriT1pRj5lF0bF1dYhM61/qlwlCjdZRcX2aXWkmRYJtsGyF+xu7n4z4nO21JQuJQDCOz4ZEimkCfisZs/8XW3pqY4fiYEtc5ePTcsF3X8HYO2U4t6DerCJLqBhVYBDomsbSkuZafZ4EpYUkbw9HcI5nJaalZUq3CAjwn9S6XQ4YxDWM8VwukA1xlKlVnH78lqgaXE6C/Kdzvx2D2kqycouLc3OKsnwDxLbpPde8A5VqTepqU+HnlHiYwc8nkOYXL/p9YKXHdeFEeHO1H4Ymb4fRvxJ8GIqjrwfikP9P+KwLYYwpCy3QB7kcGoizbTU0mzkiseQtPZfdldXd9fVifdkszk52TyLk0lZle4XcrKzcyiA1SLcJ69O7iX0hBDSK2r7VkZn1gRTKFboW1N5jA4mLsMknGbmVJ/8dv7wFYg7UmRXUzK6jmps+Ym9tLTQ48H+wn+m590mthYYrYYYdaDGLEYIBaaRDlhTJpk8p6ZORq2OiEqHtlWG3gjhExUqs6W4ptDRWr1pd9RAKJeoiDVnFrtKCtqqZLaGgvg4eYQyJjwyaW6RrS5nw3JtfFSUQsFG6qrKLLWZ4JueVIfhSxML3wbQabfzdqvdqgbNNHx82HXH6fQ0NCg158/ffvVcd/e5o6pYGmFm4DF5CcpFKWZd2g12qJTJ0+4lmtImKb3E5h+EbO7pwBXCDZpenAYMLNTGa8AQBp6VVkbPWHHt8nv9wmj/veu4abIW4SLHoRlBa1HGKxmr1mGFYuxdWTF2/vLDlZVjHw/u2oVn4YiuLsEjfAVzAg8gu2dhDj1NMZ2iVJKzwpGve0Yn1q0mtscfYTOJE4axTuQPwWG7YzeuWCkvGkcMc4d6vNn7zqfUfqHJ/cTf4z/Ebg7poGeM9DWls6Q/UXadv+fhMLv5u/8kIQY8Fmz2SWBqkDXkDWQlswNjIrIC40x1YDwkSwJzCPCrwDg5JIGOFcfT9y6pjWsC4xKE+wgJkDmhBfBzwG8BiUEk0z5cG+iAsfB/LVTiBYFTzPvA82dAPfD/BnAT4IfnIkALYBNgEbxzA44DsgFHg5r+BDYdpZJmaN9BNmaexMFQjrNgX0RmpgMs/DGSGLAwj7xGOZGNXAI7B54rwfYB3CiHWQ12Us9yyf+Uv5sSBzkNOAYAX7hF0ovfl/SSWYA0gPz7ekkdjNsGGAK9a8D2gYZQsMugrxfsRrBZyExM0D4d9NX+X/bLPTirowzj7+7ZczIJVgb4AgZLgLa2aSGBhDQgcglBHKwZCgURe5kaiIRwSwxBxanaVlEq09oKyuhUoBXa2Ivi9E5bLFYMKoVitTPSFlsFsbYOYAmt3I6/vXzyEehMnLH+lew8eXb37Nl9933ed89+1KfBFVKpvkz97dP26hop1yVn2uPWZy58u9/5t0ou1bOFxD91FGzQ35NB6ttSoKukSDfIh/Qz2LBartHLYI5ifYcM15+UYjNaxqrd8mH1VblVPya3muekQk+wJ1L6OrhRr7TnSKrVN+1aJ2/L9dk5NXwhR8P1OT5dDT8fNKwPGt6Yo+FPztTwP/rxu9Lp9+Bpf5g+6QFsOJTVzYz+L7XKsctptarrWlm7nE5FEnXWKUrSA9hwKKsP7Y5kQsCMtCMuBu+AXgCfmbHwTJ4xR3wd/AP4Yfr/Ce8BAz2SyQEfp807SQR3gG9Qvxi+CH4DPgqekPK8JVIej5Fyswfennbk9eD5Fhgb8i5LO/Ln025k7KcDDtHOeMSrA0oCOgL+DNDGPAvfBPC1WQbe4r2nAH6MP8P8A8KY26jj4/hbYb8WD/AMP8WzYOwx+8McvGv+5BH3B0Opb4UrA+zadwbcwrx1rHecOlrEFYwl/w3+McfA7fStgP8I/wiUeph2uN7bFZNv5l/wxLCX5ei1ysPOp1f7eIo/At8LLE9Mj5pd8CTfF1uNf8g828I+vgheob/daxhX037N7yVJA6+FY79/iwifmIfSIwZdzKOAOE+IT9PLI5nKuCrqaJu0wZwRZiV96GTsHsi1hDUTfJxYrSqkxBwGXyGWN6f/sIg2uJw4Ytnqqr/gEf+e9W92OXlU21iIpTLZIpVxqVSazWAa9Sfx9W5vm9PM+rUMvMh6y7yGdv14JHwCoI1ZAIgvwzltiPFkW+DBPtbzCmnf7xE/H7Dcx2Wyw+uRNw7OZ8w6mO9Tgqb5rJFn6ONZ9DpMbhliLd7iY8UMoj7J+9A0+hyKOvw6SV8Pq2f8dY9Ew1fATR4x508yBRT7fDA7PJI7aPOtMFeGdad7jQ12mxF+bza2TQPMuZX8jnp/r5n1T8yZFg8I+JVcZn4OyBlj50UH89JpJD+Gbd7fw14n+725vLZxw/kV233+Al4D7B6vBcfD/guwj3Mp4ZzKoy8ZxRi0i1/xcPHOng3nuHmT+jifP3nX+jVdvkiII+vLg+ANv078N8bthVkjORh8jmZmU7AB7aNj/vsdv0rcgGiuRPEK4uhJcJy+RbTXwkPB0+H5d6lzTlpEnF3JRs+GHDG9af/Ms7U9uQu+xMPGhPkLfWtC3p3nvwHxox55dg+/Bmhi0Nrs9Bob4jmx5xCxmNicnevz2GzwsDlhWDNu9meX8xl3D7PGn7v6D/DHwELsxI+a+NBrfPyqK0/u5Lt7gptWf76XSyzsHcvek07j5M4swh0pi55ZcF9qysGsLHg2Hb47upy18/03x2FO+Ebel72XvYdol3r1dymNNnKv+L4UR/dJYTReLlL5Uqp2SZXaxZ2yXGboSySjZkqprobH23tI+nJX7yNu/E0yUR2WjG7hfcv9padplNoo5h7+APeTw1KsD8BDwXhwiPZbUqFqqE9hDVs/JhXRY6AHyPD8lsBrGfM5OV/PY9wuKdPHuSnX0o9yeg/4PM8L5fposWyHR+mj2HtCytVHGd+GLW08r3OcYY4Mtvr+J9z6F6jqdK/e4G0xlYylX98Q3mOcegGeKIXqYenJszK9TvKJpVTfydobOYsTxuyTMcpzlW6XjL27W9/zXkbfKwP1NTLG2qo2SaOezlx3SUEU4bvXeD4ffQpkpPN9St+zUqAOST+nyT1SolbJeaofNh+UTzCur7pOhqlPMWYAz19071dETcyxXkqNSA2+7239fk5Yf1kthgYtAtj7QI/0BHgJrSSrQ2foSZKBezstcmHntpoNk6HB72fBFMN1XodcqFYZFVCoWonJr3l9nA6dgV/0ItayWuTCamE1g13csV5ndnuvOwcTm/zusCzEecb5ZV4X2MZxWw4f8YwPH2cfu+Hfwvvgv8IpfMoDn7eiZzHzbPCx7/yfhpyYAEzof5x6Pnq3EjM9fHxGYwNn21aXG5wuZ7ApQrNT2EUOuTh+OnC2bfOK2D6LyTUX71neFXzcRbb56XJkT8iRbJ6SI50ZbYrVjHSzjU0XHw+eZUNGfUmq1fW0LWx+rJQCeQb+ICiT3uo3zK/IkV9KQXbtzoxmw51muTZZvl9GRm0ykjUq3DrzZIhegW0rpFov5Ux8TkboHbQ/IPXRZ2VQbLCHflDBb5T9UV/pGY1g7W3YgnbRQ6zXTwbrfezjZuraxVmBvoJcPsa7nK02h6MT0ieqlcFqVNpuzwx3dr7poccwfjuwe93MGZ6RIlUo56taGad+Ks3keC/XX+3scjmhirC/KMSMPUtn8hvI5lFX8BRnZvacv0oulD58FS/uLt2lu3SX7vKelmppkfWh7KS8LO+cXVTBu5bRlNnqO2qr2qpFX6DHU2bqespyvUm/Snk7ujyaFrVEyynroke6S3f5fxVR3OoulNvlfbJYElpaimGRehDREskn/hnl2hn++zq3LIqvc0uUEp4qk0/rbhkT6orevaGu5f38AvP1iJtWJtQN9ez4hHr9lNrJV9fOGjK1qbm5cfGS0pqFdXMWdLVPJkqTNMsyLG6UBpknrTJIKmS4wyCZQQ83RJnqRjUzZrEsce0WeubzbI57Y4IshefR1+Kel7iZWnljiYyWYZQG3rUjlspsKeOtJllEr+2bS30p89bz7jL6zlzrUpkitTJZrub/LBnS6Wmp1MhCqWO+BXIV1jQwk223dPmt//W4yOkr6SN48Bx//xZgALdFOfANZW5kc3RyZWFtDWVuZG9iag0xNjAgMCBvYmoNPDwvRFtudWxsL0ZpdF0vUy9Hb1RvPj4NZW5kb2JqDTE2OCAwIG9iag08PC9EZWNvZGVQYXJtczw8L0NvbHVtbnMgNC9QcmVkaWN0b3IgMTI+Pi9GaWx0ZXIvRmxhdGVEZWNvZGUvSURbPDlEQUFGRUNGMUZEQTQyNDRCRTE4OTY5Q0EwNEEwRTIxPjwxM0I2MTFEQjM1NTg0QUQ1OTNCNEJBRUE1NjhGN0M2MT5dL0luZm8gMTQ3IDAgUi9MZW5ndGggMzY3L1Jvb3QgMTQ5IDAgUi9TaXplIDE2OS9UeXBlL1hSZWYvV1sxIDIgMV0+PnN0cmVhbQ0KaN680ksohFEUwPH73SFj5DEkSZLE5JWRsmNlsrSyMB4LS1lR7OxYKJHXys4rsbQWWSImI3klSZKYmLybuc5fxqOJrGx+3XPuuV/nnu9qpcaVVqoNFFhgwAYhiIUXiIMniIcHSIA7SIQgJMMNOCEAaXAF6XAJGXABmXAOWXAG2XAKOXACuXAMeXAE+XAALtiDQtiFYtiBUtiGMvBBOWxCBWwordW00ibmUEL7PDm3YI1JLpj8PiYrySHh7f3H1CJYKSsUe2Q38Pye02pGQucjudaoE1/OplJ37f1ht6Rddv2jsiqTqVm+QUsbd5/RZsv/rc7LSHQloScy2KIauhphY1hKute1Nv21YW260n5p6BOtZpUOq4Y/Ff8H1kCP0OmypKtGE93utFxwaCmsVaq8Z9MyIcWT8q5M8xmrfabRIWHT4tvvsWkztRaSnJ0JzQkOuaqp65Xi1QJZVe1Hd6BSKK7mUwvCcr16FWAAfthjZg1lbmRzdHJlYW0NZW5kb2JqDXN0YXJ0eHJlZg00OTk5OQ0lJUVPRg0=";
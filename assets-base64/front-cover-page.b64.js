@@ -0,0 +1 @@
+window.ASSET_FRONT_COVER_PDF_B64 = "JVBERi0xLjcNJeLjz9MNCjE2NSAwIG9iag08PC9GaWx0ZXIvRmxhdGVEZWNvZGUvRmlyc3QgMjAvTGVuZ3RoIDQ2Mi9OIDMvVHlwZS9PYmpTdG0+PnN0cmVhbQ0KaN58Ul1r2zAU1U/R4/LQyvJX4lEMa7yWsGYziUdhIQ+KLaeC2AqyAt6f33akZmG0ZDbXvjrn3uNj6fI4oAHlMafRlPIkoLOM3t2xuT71lnL2RTXDxrEBXW1Z9fMoWSn2csjzd0VJ8FpUCiMd7IVXb3s+GXuvx01wCxaR8hDPaYbnlt0fpGyusnPdWwgPcBl55bnRx6vVS9kocZW9ePQ/xkola7noWw2Di76Qg9r3SAtdnzrULYoPv36TkXTkSG5JQxTiI9mRgHASkppEyDJyQ1IiESmyGFnjsdkFS9AxIwI9U3REwDNkzYQ9icEudaNaJRv3oQLiISRDtHD/zvBOcDskJj8m7Oup20mjW7+vOIFvRu1VLw7/d1x7mRQyKWnh5gZI6J04xzVqnM8MGPeswHqG2GEdgReoFCSc+OOsjOiHVptOWKX7pbBGjU9qsNi3YMPPm+7in3yb5773+6L4W0pDHp7RZ9XYlwvuzyv3F1vJQZ9MLQc/dAdt1kdRS7dYQz8J3SGi7PNoH9dWWMc8eoafmQfMDsCqcmB8Bkuj67W0G1YWD6ySo3X2VtoJ0IBVYjewZ1a9YKsp56+DUhnVXR2qy6Tn+R8BBgCqTth1DWVuZHN0cmVhbQ1lbmRvYmoNMTY2IDAgb2JqDTw8L0ZpbHRlci9GbGF0ZURlY29kZS9GaXJzdCA2L0xlbmd0aCAyMjEvTiAxL1R5cGUvT2JqU3RtPj5zdHJlYW0NCmjepI7NasMwEIRfZe+hyJKsXRtCIL/0YEJpUxJacnAckYgUyUjKoW9fWU16ak9lYfk0OzOIqxIKGI/ZrA165Wxk6+bxrdmNnlzfGxseZh9td2FL27mjsSe2NXZqg/l5r4wPcX5uPUjBhvxCh86bPjoPXKnU/cya9mbhgrOX6yF+9ppt/FVvMrhXa1KbTn7M/iznv2zNMZ7DO6cC/jtEErAqgZS8K0qkLYUAVf+WQI5/tmGVd1Fn+nZmqik3JiK8U9JQ4i1TIoGiGspBGS7EBw9WiWg/mXwJMAC6cF/QDWVuZHN0cmVhbQ1lbmRvYmoNMTY3IDAgb2JqDTw8L0ZpbHRlci9GbGF0ZURlY29kZS9GaXJzdCA2L0xlbmd0aCA0Mi9OIDEvVHlwZS9PYmpTdG0+PnN0cmVhbQ0KaN4yNDRQMFCwsdF3zi/NK1Ew0A+pLEjV9y8tycnMSy22swMIMACPLAnSDWVuZHN0cmVhbQ1lbmRvYmoNNTcgMCBvYmoNWy9JbmRleGVkL0RldmljZVJHQiAyNTUgNTggMCBSXQ1lbmRvYmoNNTggMCBvYmoNPDwvRmlsdGVyL0ZsYXRlRGVjb2RlL0xlbmd0aCAzMzY+PnN0cmVhbQ0KSIm0UluVQkEMqwUsYKEWsICFWLgWsBALWMBCLGABC9lkPGz/eqZN85iZ1M5ghjOacbvdWcxyVrPuI3aAAQcauLPcIYYcauiuakcYcaSRgzTeMcYca+wCFzpYWc60e6eFXe5q1z2bDlhwoYXLIo/EkkstXVKZFVZcaeVwzOoaa661dilXQ0iHZWi5Cnop0MHKsiuofYqAAFdfzqYjQYGu3LDIowgJctSHVGZhwoJdM2pWtmNH9LveVFLAQjosXat6ONiBDpbrXJ/Tp0S6RkZfzqaTKMfXyA2LPNKiXZubCjpbo13X6x26WjvcEKoQRSppN5PyQIEL7UbUafROy0ksRkZfzqaT7fMbfPL2SdQnM59UfHz3cdbHOx93fPT7KPTR4MPSh4fPJR8sn2mf/na73e/3x+PxfD6v63q9Xu/3+/P5fL/f3+/nf6u/AQAQcatjDWVuZHN0cmVhbQ1lbmRvYmoNMTExIDAgb2JqDTw8L0JpdHNQZXJDb21wb25lbnQgOC9Db2xvclNwYWNlIDU3IDAgUi9GaWx0ZXIvRmxhdGVEZWNvZGUvSGVpZ2h0IDk5L0xlbmd0aCA0NjUvV2lkdGggNzY+PnN0cmVhbQ0KSInslj1ygzAQhYeUq4atXHELtuIirrR3saq9i1VxGF0nKwEmyRgSCc2k0dNg/Qz+eHpaxg6hioah6+qQlHWrg0qO6tjqNkwF2kc9VrSFgNVYJqFqsIYbQhWWpjVg9NVdZ3XdbVjSusxSwmDWLVZghYS6rlhbKa0KirbgGJX1lJjR8RYhZ/d7zb9V2r3BtaW5OeWd7APiczB+QthGp6zjfWitrG4SaJsX6eVo91VICmtOKbE4C6a8el6ekp/lKnRmVkRKCaOvNC5iIXxtfzvHY18/2pW8vnu8DllVXldNTU1NTZu8yDKQbUWObv1VMpJnK+yBha0XfqDOPae1XBgzEwI7JDSMxDpm7NkIUrYxyxZHBgEHyDTiiGmOHm02SzV/6efg9XITzgW/b++jfsw+/wwcOaepzyyOtdfmdObyc4+2erIIxHSfgGCydNfwdYULWI5IDKGeGqEnTV/0NIWoxJdGvWTuw9JCmheh9vBF1n15P82Hd59qxKdYZ7Vi7eT4ydaB9P4uWvnZLM2LYr3Hnlg0MdJ3gA0y5rqTnnsC6mmkh8ZvCVir3umKZP/RjM9GCcRhq/n9PSiRPIO78v2mpqampqampqampn/T5wB6W0oXDWVuZHN0cmVhbQ1lbmRvYmoNMTQ2IDAgb2JqDTw8L0xlbmd0aCA0NTMxL1N1YnR5cGUvWE1ML1R5cGUvTWV0YWRhdGE+PnN0cmVhbQ0KPD94cGFja2V0IGJlZ2luPSLvu78iIGlkPSJXNU0wTXBDZWhpSHpyZVN6TlRjemtjOWQiPz4KPHg6eG1wbWV0YSB4bWxuczp4PSJhZG9iZTpuczptZXRhLyIgeDp4bXB0az0iQWRvYmUgWE1QIENvcmUgOS4xLWMwMDEgNzkuNjc1ZDBmNywgMjAyMy8wNi8xMS0xOToyMToxNiAgICAgICAgIj4KICAgPHJkZjpSREYgeG1sbnM6cmRmPSJodHRwOi8vd3d3LnczLm9yZy8xOTk5LzAyLzIyLXJkZi1zeW50YXgtbnMjIj4KICAgICAgPHJkZjpEZXNjcmlwdGlvbiByZGY6YWJvdXQ9IiIKICAgICAgICAgICAgeG1sbnM6eG1wPSJodHRwOi8vbnMuYWRvYmUuY29tL3hhcC8xLjAvIgogICAgICAgICAgICB4bWxuczp4bXBNTT0iaHR0cDovL25zLmFkb2JlLmNvbS94YXAvMS4wL21tLyIKICAgICAgICAgICAgeG1sbnM6c3RSZWY9Imh0dHA6Ly9ucy5hZG9iZS5jb20veGFwLzEuMC9zVHlwZS9SZXNvdXJjZVJlZiMiCiAgICAgICAgICAgIHhtbG5zOnN0RXZ0PSJodHRwOi8vbnMuYWRvYmUuY29tL3hhcC8xLjAvc1R5cGUvUmVzb3VyY2VFdmVudCMiCiAgICAgICAgICAgIHhtbG5zOmRjPSJodHRwOi8vcHVybC5vcmcvZGMvZWxlbWVudHMvMS4xLyIKICAgICAgICAgICAgeG1sbnM6cGRmPSJodHRwOi8vbnMuYWRvYmUuY29tL3BkZi8xLjMvIj4KICAgICAgICAgPHhtcDpDcmVhdGVEYXRlPjIwMjUtMTAtMjlUMDg6NTI6NTQtMDc6MDA8L3htcDpDcmVhdGVEYXRlPgogICAgICAgICA8eG1wOk1ldGFkYXRhRGF0ZT4yMDI1LTEwLTI5VDA4OjU0OjI0LTA3OjAwPC94bXA6TWV0YWRhdGFEYXRlPgogICAgICAgICA8eG1wOk1vZGlmeURhdGU+MjAyNS0xMC0yOVQwODo1NDoyNC0wNzowMDwveG1wOk1vZGlmeURhdGU+CiAgICAgICAgIDx4bXA6Q3JlYXRvclRvb2w+QWRvYmUgSW5EZXNpZ24gMjAuNSAoTWFjaW50b3NoKTwveG1wOkNyZWF0b3JUb29sPgogICAgICAgICA8eG1wTU06SW5zdGFuY2VJRD51dWlkOjY5N2M1ZWE4LTFmZTMtNmU0NS1hNTM0LTI2MGYwNjY5MmNkZjwveG1wTU06SW5zdGFuY2VJRD4KICAgICAgICAgPHhtcE1NOk9yaWdpbmFsRG9jdW1lbnRJRD54bXAuZGlkOmMxNTYyNmZiLWMyM2UtNGNkNi05MjFiLWE2ODZiMTNjYWVhMjwveG1wTU06T3JpZ2luYWxEb2N1bWVudElEPgogICAgICAgICA8eG1wTU06RG9jdW1lbnRJRD54bXAuaWQ6NmU0NDA1OWEtMzk4Yy00MmEwLTljN2YtZjRiNDE4OTVmMzk3PC94bXBNTTpEb2N1bWVudElEPgogICAgICAgICA8eG1wTU06UmVuZGl0aW9uQ2xhc3M+cHJvb2Y6cGRmPC94bXBNTTpSZW5kaXRpb25DbGFzcz4KICAgICAgICAgPHhtcE1NOkRlcml2ZWRGcm9tIHJkZjpwYXJzZVR5cGU9IlJlc291cmNlIj4KICAgICAgICAgICAgPHN0UmVmOmluc3RhbmNlSUQ+eG1wLmlpZDpkOGY2MmNkYy0wMzAyLTQ1NDAtYmE2NC04OTRjOTM4ZTM5OGE8L3N0UmVmOmluc3RhbmNlSUQ+CiAgICAgICAgICAgIDxzdFJlZjpkb2N1bWVudElEPnhtcC5kaWQ6YjAxMmMzMDktNmU2Ni00ZWQ5LThlNjYtNWI4YTE3MzNlOTdkPC9zdFJlZjpkb2N1bWVudElEPgogICAgICAgICAgICA8c3RSZWY6b3JpZ2luYWxEb2N1bWVudElEPnhtcC5kaWQ6YzE1NjI2ZmItYzIzZS00Y2Q2LTkyMWItYTY4NmIxM2NhZWEyPC9zdFJlZjpvcmlnaW5hbERvY3VtZW50SUQ+CiAgICAgICAgICAgIDxzdFJlZjpyZW5kaXRpb25DbGFzcz5kZWZhdWx0PC9zdFJlZjpyZW5kaXRpb25DbGFzcz4KICAgICAgICAgPC94bXBNTTpEZXJpdmVkRnJvbT4KICAgICAgICAgPHhtcE1NOkhpc3Rvcnk+CiAgICAgICAgICAgIDxyZGY6U2VxPgogICAgICAgICAgICAgICA8cmRmOmxpIHJkZjpwYXJzZVR5cGU9IlJlc291cmNlIj4KICAgICAgICAgICAgICAgICAgPHN0RXZ0OmFjdGlvbj5jb252ZXJ0ZWQ8L3N0RXZ0OmFjdGlvbj4KICAgICAgICAgICAgICAgICAgPHN0RXZ0OnBhcmFtZXRlcnM+ZnJvbSBhcHBsaWNhdGlvbi94LWluZGVzaWduIHRvIGFwcGxpY2F0aW9uL3BkZjwvc3RFdnQ6cGFyYW1ldGVycz4KICAgICAgICAgICAgICAgICAgPHN0RXZ0OnNvZnR3YXJlQWdlbnQ+QWRvYmUgSW5EZXNpZ24gMjAuNSAoTWFjaW50b3NoKTwvc3RFdnQ6c29mdHdhcmVBZ2VudD4KICAgICAgICAgICAgICAgICAgPHN0RXZ0OmNoYW5nZWQ+Lzwvc3RFdnQ6Y2hhbmdlZD4KICAgICAgICAgICAgICAgICAgPHN0RXZ0OndoZW4+MjAyNS0xMC0yOVQwODo1Mjo1NC0wNzowMDwvc3RFdnQ6d2hlbj4KICAgICAgICAgICAgICAgPC9yZGY6bGk+CiAgICAgICAgICAgIDwvcmRmOlNlcT4KICAgICAgICAgPC94bXBNTTpIaXN0b3J5PgogICAgICAgICA8ZGM6Zm9ybWF0PmFwcGxpY2F0aW9uL3BkZjwvZGM6Zm9ybWF0PgogICAgICAgICA8cGRmOlByb2R1Y2VyPkFkb2JlIFBERiBMaWJyYXJ5IDE3LjA8L3BkZjpQcm9kdWNlcj4KICAgICAgICAgPHBkZjpUcmFwcGVkPkZhbHNlPC9wZGY6VHJhcHBlZD4KICAgICAgPC9yZGY6RGVzY3JpcHRpb24+CiAgIDwvcmRmOlJERj4KPC94OnhtcG1ldGE+CiAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAKICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIAogICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgCiAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAKICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIAogICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgCiAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAKICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIAogICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgCiAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAKICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIAogICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgCiAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAKICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIAogICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgCiAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAKICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIAogICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgCiAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAKICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIAogICAgICAgICAgICAgICAgICAgICAgICAgICAKPD94cGFja2V0IGVuZD0idyI/Pg1lbmRzdHJlYW0NZW5kb2JqDTE0NyAwIG9iag08PC9DcmVhdGlvbkRhdGUoRDoyMDI1MTAyOTA4NTI1NC0wNycwMCcpL0NyZWF0b3IoQWRvYmUgSW5EZXNpZ24gMjAuNSBcKE1hY2ludG9zaFwpKS9Nb2REYXRlKEQ6MjAyNTEwMjkwODU0MjQtMDcnMDAnKS9Qcm9kdWNlcihBZG9iZSBQREYgTGlicmFyeSAxNy4wKS9UcmFwcGVkL0ZhbHNlPj4NZW5kb2JqDTE0OSAwIG9iag08PC9MYW5nKGVuLVVTKS9NZXRhZGF0YSAxNDYgMCBSL09wZW5BY3Rpb24gMTYwIDAgUi9PdXRsaW5lcyAxMTAgMCBSL1BhZ2VMYXlvdXQvU2luZ2xlUGFnZS9QYWdlTW9kZS9Vc2VUaHVtYnMvUGFnZXMgMTQwIDAgUi9UeXBlL0NhdGFsb2cvVmlld2VyUHJlZmVyZW5jZXM8PC9EaXJlY3Rpb24vTDJSPj4+Pg1lbmRvYmoNMTUxIDAgb2JqDTw8L0FJUyBmYWxzZS9CTS9Ob3JtYWwvQ0EgMS4wL09QIGZhbHNlL09QTSAxL1NBIHRydWUvU01hc2svTm9uZS9UeXBlL0V4dEdTdGF0ZS9jYSAxLjAvb3AgZmFsc2U+Pg1lbmRvYmoNMTUyIDAgb2JqDVsvSUNDQmFzZWQgMTU3IDAgUl0NZW5kb2JqDTE1MyAwIG9iag08PC9GaWx0ZXIvRmxhdGVEZWNvZGUvTGVuZ3RoIDEzMTQ+PnN0cmVhbQ0KSInsVruOJDcMzPsrFK6D0YkU9QptwzAcHjyA48P4Xsbc3mPtwH/vKqq7p3e9BwOOL5meYkukSBWL/XlJIYUqGtrQ8OX18lu4X178+GsKlwe8SDELfoaF8HDBi5/x4u3D8jkIX+JXVWLOaqF0iUlGDZcP7vLDcpIeu1mwEiVJuC4ni2OM0FpsMiauVkLrsdj63uAAuPcSgJp1HCtq7eEEJ5o3dIHzwbib4eqG1sa+XlOU7u8TghPm0jzW4HatsaURao5VK7fnHFOVdcHEmuu+H7Dmm/dsMfV6OI51nO94HKOj3UDYm+faRnYIK1Cudd1uciwNApSmx9qhvLkHHfCzYimFmGEOUFsLt9V0Dl+5W5AceVEzt5FyEI2KQk9DHS2I4MLCVgpHzFVjxym5ehxrh0dp2UtfkA2iouSyGQr+wVAQkVBECNvAQ3DvtUyofpdIVupm4H7Uxf214udLm7tW88QifeIKekpRggynpN5lebO8PHI0o+oqFmrlgbDzwFGNpXf8Z9QMt/jLPyV7fNN2hMO8AJuhVi/J9ZFldJwUbgfYd6oN9uFYR9/xhSkk1HAzXJc1xRV7yxGwbitAuTu3Tui/1x2Ycl0BedKzNRBQq4+MPh0WpYJatxrkEhVhOs5cnGswVCTeQZNRVkMvNXSSks1QcYHdYZ9wQEAAE9yQcM15fXPYNOakOGC1tuLa/NyadDX07JQoFVUBLNUJMRgAUCZhCBGgdNB7bAbsLyhb29cDiU2CsXcLzledPmuz4sCoBHouy0yveq/fDBA13DQvtW24IEMajGICOFGewBxRvNjLituom+HqhqFjM5wMfQiOkG0rLJ3d1XL27VCc4s0iZW5HT4snV6y5dIy8p0qZScfSsMbHysCN2YYBhveNfa1VWkLTUxeVd2pHlsQBec3OsRN0CvWvWJs3APmFhOAEE0I9lAcjhafSDIp4r16IJPMiwBPkDt3HW0GVHFDQRjQ6QTaVVYHqQTkkzcriAemXKQcbQjyyelmxFgg+O+SGWzWuFlAY2iXoV5wZggegYCO2xoQUoaGZhW7gmBBJFhcBTZ1ubMwB1F0eFdzkReCpII+AWmDKBveirBgipa6HBCwH24kSzggsfXF6g1jqOmmZ8glxpoagg/UGMdFGdd+bAU/QFdARxQxI58BRdH23rebmhkEuI4aPy4JeZc5WyoboGo1gu+GE7Hi3dE4Z9TPYOlydfWwczh8M48FRwrSTzhVNDxil1rwVhhZIzJiTbrdUlyXihPYhNh4Ce5kmRSh7UBQmM0fKPHMB2zhMT7bq95rUCi8Ll++QjdeYEifzDW3F3QwoRMbxIIyMVECNYwO9XH44//dX04vzmT12frNAbLg5k8vNL9kSvghSsnD+sNydX1/e3X+8fnz793fnP5a7wF+OJZ8G59+Xu1/uH/768ur+8vor77//9On6/vLqz/cf7/nup7M3MfRP5oluDV8T2JcSvoyqM/v4/YZb5sQ4FYt9lWncbj8YUGhyLYNyrlUTc5i+87owJu7qX1ELppGlkv2j8xYQLUrJ4PAsbbaueCPsBnSM124LcHCZoRGFiXBYUQMPQ57yTTZW5z4VHy3XD4YGtWtPDv7oDg+B8BFhA3rR8HGmvR0rhjOQk6eBtG2OFjQlQ+8WTK6nkZ69GAwa+ELPtAY5oPTcwnBQkYZCyUg+UTPp88hEbRvPl2rAtdp4Un3oGackW3VOaaT3yICPxCTPevzGom8s+r8s+keAAQAhVdMEDWVuZHN0cmVhbQ1lbmRvYmoNMTU1IDAgb2JqDTw8L0FzY2VudCAxMTM1L0NhcEhlaWdodCA3MTMvRGVzY2VudCAtNjI3L0ZsYWdzIDMyL0ZvbnRCQm94Wy02MjYgLTYyNyAyNDIwIDExMzVdL0ZvbnRGYW1pbHkoUG9wcGlucyBCbGFjaykvRm9udEZpbGUyIDE1OCAwIFIvRm9udE5hbWUvTkxIWkxYK1BvcHBpbnMtQmxhY2svRm9udFN0cmV0Y2gvTm9ybWFsL0ZvbnRXZWlnaHQgOTAwL0l0YWxpY0FuZ2xlIDAvU3RlbVYgMjI0L1R5cGUvRm9udERlc2NyaXB0b3IvWEhlaWdodCA1NjQ+Pg1lbmRvYmoNMTU2IDAgb2JqDTw8L0ZpbHRlci9GbGF0ZURlY29kZS9MZW5ndGggMzU1Pj5zdHJlYW0NCkiJXJLNasMwDMfvfgof10NJmrZ2CyHQZi3ksA+W7QFSW+kCi2Oc9JC3n2SVDmZI9DOW5L8kJ2X1XLluksl7GEwNk2w7ZwOMwy0YkBe4dk6sMmk7M9138W/6xosEg+t5nKCvXDuIPJfJBx6OU5jl08EOF1iI5C1YCJ27yqevsl7IpL55/wM9uEmmsiikhRYTvTT+telBJjFsWVk876Z5iTF/Hp+zB5nF/YrFmMHC6BsDoXFXEHmKq5D5GVchwNl/55nmsEtrvpsg8oyc0xSNyDeryGiQM+aMeM28JtbMmnjPvCc+MB+Qt5vIaESuOKeinIrzKMqj2EdFny3zlpjzK8qvdsw7Yr5L0V3qyHwkLplL4hPzifjMjE3INdeoqUbNdWmqS7MeTXo069GkR7MeTXq0YlbErEeTHs160FCT792kduOrkI9ZmlsIOMb4dOL8aHKdg8fr8oOXGEWf+BVgAK+ZrGwNZW5kc3RyZWFtDWVuZG9iag0xNTcgMCBvYmoNPDwvRmlsdGVyL0ZsYXRlRGVjb2RlL0xlbmd0aCAyNTc0L04gMz4+c3RyZWFtDQpIiZyWeVRTdxbHf2/JnpCVsMNjDVuAsAaQNWxhkR0EUQhJCAESQkjYBUFEBRRFRISqlTLWbXRGT0WdLq5jrQ7WferSA/Uw6ug4tBbXjp0XOEedTmem0+8f7/c593fv793fvfed8wCgJ6WqtdUwCwCN1qDPSozFFhUUYqQJAAMKIAIRADJ5rS4tOyEH4JLGS7Ba3An8i55eB5BpvSJMysAw8P+JLdfpDQBAGTgHKJS1cpw7ca6qN+hM9hmceaWVJoZRE+vxBHG2NLFqnr3nfOY52sQKjVaBsylnnUKjMPFpnFfXGZU4I6k4d9WplfU4X8XZpcqoUeP83BSrUcpqAUDpJrtBKS/H2Q9nuj4nS4LzAgDIdNU7XPoOG5QNBtOlJNW6Rr1aVW7A3OUemCg0VIwlKeurlAaDMEMmr5TpFZikWqOTaRsBmL/znDim2mJ4kYNFocHBQn8f0TuF+q+bv1Cm3s7Tk8y5nkH8C29tP+dXPQqAeBavzfq3ttItAIyvBMDy5luby/sAMPG+Hb74zn34pnkpNxh0Yb6+9fX1Pmql3MdU0Df6nw6/QO+8z8d03JvyYHHKMpmxyoCZ6iavrqo26rFanUyuxIQ/HeJfHfjzeXhnKcuUeqUWj8jDp0ytVeHt1irUBnW1FlNr/1MTf2XYTzQ/17i4Y68Br9gHsC7yAPK3CwDl0gBStA3fgd70LZWSBzLwNd/h3vzczwn691PhPtOjVq2ai5Nk5WByo75ufs/0WQICoAIm4AErYA+cgTsQAn8QAsJBNIgHySAd5IACsBTIQTnQAD2oBy2gHXSBHrAebALDYDsYA7vBfnAQjIOPwQnwR3AefAmugVtgEkyDh2AGPAWvIAgiQQyIC1lBDpAr5AX5Q2IoEoqHUqEsqAAqgVSQFjJCLdAKqAfqh4ahHdBu6PfQUegEdA66BH0FTUEPoO+glzAC02EebAe7wb6wGI6BU+AceAmsgmvgJrgTXgcPwaPwPvgwfAI+D1+DJ+GH8CwCEBrCRxwRISJGJEg6UoiUIXqkFelGBpFRZD9yDDmLXEEmkUfIC5SIclEMFaLhaBKai8rRGrQV7UWH0V3oYfQ0egWdQmfQ1wQGwZbgRQgjSAmLCCpCPaGLMEjYSfiIcIZwjTBNeEokEvlEATGEmEQsIFYQm4m9xK3EA8TjxEvEu8RZEolkRfIiRZDSSTKSgdRF2kLaR/qMdJk0TXpOppEdyP7kBHIhWUvuIA+S95A/JV8m3yO/orAorpQwSjpFQWmk9FHGKMcoFynTlFdUNlVAjaDmUCuo7dQh6n7qGept6hMajeZEC6Vl0tS05bQh2u9on9OmaC/oHLonXUIvohvp6+gf0o/Tv6I/YTAYboxoRiHDwFjH2M04xfia8dyMa+ZjJjVTmLWZjZgdNrts9phJYboyY5hLmU3MQeYh5kXmIxaF5caSsGSsVtYI6yjrBmuWzWWL2OlsDbuXvYd9jn2fQ+K4ceI5Ck4n5wPOKc5dLsJ15kq4cu4K7hj3DHeaR+QJeFJeBa+H91veBG/GnGMeaJ5n3mA+Yv6J+SQf4bvxpfwqfh//IP86/6WFnUWMhdJijcV+i8sWzyxtLKMtlZbdlgcsr1m+tMKs4q0qrTZYjVvdsUatPa0zreutt1mfsX5kw7MJt5HbdNsctLlpC9t62mbZNtt+YHvBdtbO3i7RTme3xe6U3SN7vn20fYX9gP2n9g8cuA6RDmqHAYfPHP6KmWMxWBU2hJ3GZhxtHZMcjY47HCccXzkJnHKdOpwOON1xpjqLncucB5xPOs+4OLikubS47HW56UpxFbuWu252Pev6zE3glu+2ym3c7b7AUiAVNAn2Cm67M9yj3GvcR92vehA9xB6VHls9vvSEPYM8yz1HPC96wV7BXmqvrV6XvAneod5a71HvG0K6MEZYJ9wrnPLh+6T6dPiM+zz2dfEt9N3ge9b3tV+QX5XfmN8tEUeULOoQHRN95+/pL/cf8b8awAhICGgLOBLwbaBXoDJwW+Cfg7hBaUGrgk4G/SM4JFgfvD/4QYhLSEnIeyE3xDxxhrhX/HkoITQ2tC3049AXYcFhhrCDYX8PF4ZXhu8Jv79AsEC5YGzB3QinCFnEjojJSCyyJPL9yMkoxyhZ1GjUN9HO0YrondH3YjxiKmL2xTyO9YvVx34U+0wSJlkmOR6HxCXGdcdNxHPic+OH479OcEpQJexNmEkMSmxOPJ5ESEpJ2pB0Q2onlUt3S2eSQ5KXJZ9OoadkpwynfJPqmapPPZYGpyWnbUy7vdB1oXbheDpIl6ZvTL+TIcioyfhDJjEzI3Mk8y9ZoqyWrLPZ3Ozi7D3ZT3Nic/pybuW65xpzT+Yx84ryduc9y4/L78+fXOS7aNmi8wXWBeqCI4WkwrzCnYWzi+MXb1o8XRRU1FV0fYlgScOSc0utl1Yt/aSYWSwrPlRCKMkv2VPygyxdNiqbLZWWvlc6I5fIN8sfKqIVA4oHyghlv/JeWURZf9l9VYRqo+pBeVT5YPkjtUQ9rP62Iqlie8WzyvTKDyt/rMqvOqAha0o0R7UcbaX2dLV9dUP1JZ2Xrks3WRNWs6lmRp+i31kL1S6pPWLg4T9TF4zuxpXGqbrIupG65/V59Yca2A3ahguNno1rGu81JTT9phltljefbHFsaW+ZWhazbEcr1FraerLNua2zbXp54vJd7dT2yvY/dfh19Hd8vyJ/xbFOu87lnXdXJq7c22XWpe+6sSp81fbV6Gr16ok1AWu2rHndrej+osevZ7Dnh1557xdrRWuH1v64rmzdRF9w37b1xPXa9dc3RG3Y1c/ub+q/uzFt4+EBbKB74PtNxZvODQYObt9M3WzcPDmU+k8ApAFb/pi4mSSZkJn8mmia1ZtCm6+cHJyJnPedZJ3SnkCerp8dn4uf+qBpoNihR6G2oiailqMGo3aj5qRWpMelOKWpphqmi6b9p26n4KhSqMSpN6mpqhyqj6sCq3Wr6axcrNCtRK24ri2uoa8Wr4uwALB1sOqxYLHWskuywrM4s660JbSctRO1irYBtnm28Ldot+C4WbjRuUq5wro7urW7LrunvCG8m70VvY++Cr6Evv+/er/1wHDA7MFnwePCX8Lbw1jD1MRRxM7FS8XIxkbGw8dBx7/IPci8yTrJuco4yrfLNsu2zDXMtc01zbXONs62zzfPuNA50LrRPNG+0j/SwdNE08bUSdTL1U7V0dZV1tjXXNfg2GTY6Nls2fHadtr724DcBdyK3RDdlt4c3qLfKd+v4DbgveFE4cziU+Lb42Pj6+Rz5PzlhOYN5pbnH+ep6DLovOlG6dDqW+rl63Dr++yG7RHtnO4o7rTvQO/M8Fjw5fFy8f/yjPMZ86f0NPTC9VD13vZt9vv3ivgZ+Kj5OPnH+lf65/t3/Af8mP0p/br+S/7c/23//wIMAPeE8/sNZW5kc3RyZWFtDWVuZG9iag0xNTggMCBvYmoNPDwvRmlsdGVyL0ZsYXRlRGVjb2RlL0xlbmd0aCA0NDM5L0xlbmd0aDEgOTg5OD4+c3RyZWFtDQpIiZRWC1BU1xk+51xgc3kty754udzdi7u4vPfB8gatLNCIoC6+QJQqKSoPFeOY+EK3GuqDxiYTbTTGGpxJGGdM0mmmZjBjG9Fo6WSqNXWSYdtlsRqxaceAmOre7X/uXZA8ZmrvzHf/c+855/u///z/Ofdu3vR8MwpHXYhBXM2iLAuSrjOAVavbmjbY2YIxhHAkQuTqT1tfeG791pd7EGI+Q0i2rqW5aU38X1N2IBRRBuNzW+CFND1iC9xSWto2bw0+v45QzP7WjtVNJz44+RChpBSEnqlsa9q6QepPaYUb197U1uz+/a1L8HwQfAobOjo3B36HQJNxP+1HIcwW5mcoFLTsJ0vhzbOSxY3IghdSnnA0eXXJ0LSryuWsQRcQekRCEoRTaE1IB+nkEHqF9hEbuSKxwx3DOmCwkSiEfAT2dViZMJQArSgYsRPLcCLmcQ524Epcj5vxTvwL/EvsJ4lkGeknl8kVMsRcYBk2go1iFayKTWWzWSubz5azVWw1W8s2ss1sB7uB3aTbqzuv+1r3DRfFqbgETscZOCOXzRVwc7m3uTPch9x5vVJv0Bv1mQZiCDPIDbEGtSHBoDOkGSoNqwzNM6/OHHxEAgExPKpNj07icKzDqTgX5+N5uBG3iNoekzhR2yXQdhO0YTaUjWTlrJJVs2Y2h7WzRWwF+yxoW8quYp8TtXXp+nX3dQ+5SE7JxXFJHCdqyw9qO/c9bQrQFj+lbY2oDYM2HBgP+EgnWUhqyXzyY+Ik5WQOKSMlJJOk44/xO7gVNGNY8PsoBqEHYjQP/BPyiWiEJiKk3E3kP/g33OMnEh78+taCW4kjt0d8f3f7rvou+y75Bnx/8J3zved7+2+3fLMR8lmGh4Y/HR4cHvDe9/7Le9v7D++I1+v1eK95P/C+6T3uyft8gCVihv+fi1ZnOwrWKrQQtPegfeLTvqdmeLrrRfQC2gb1F4uikRypUA0qReVoJ9qO1EiDtCgOxUM9JiID0qFkxIuZ34EioAaS0Ax0AB1EPcxXdI9AMY+RfqjnMMQCnxwhhV6hx3ot4zBhhUxpkuExIRL3Cmf6Punrwy/3HezrI/3+uWR/QPhLICAQLIgNRCgXE0ouIhndYDN5GY/1mGeA4OE9/kvMYITJ3WVlZevXk4v+Ihw7MABeYdeSV2BONGhOBgKNWhXGgwALbchMVkuu3Wbk+VgwPK+2knkV2zqFQ3ht6/bZuY8X62bM0C12zyhsbsYNK4pXNJOLjctL6qLL4+IT4oUT2gTrGrpXdYFH5Dr5I8SNYnNzrRaNRssbjbwhTK3SgAOHNZrwBqPRrqs7sb7hcL38bkyhMW/27DxjYcxdef3hhvUn6vBgb335ThdvclVUuEy8a2d5fe/aSe5rEjd+wung7Xp1WJjIahNdavFIVLahzDl/QXXWe3ht5qnt7W8tWXKq7cDZGHxNrV1UuWhhyRuemo1Au7a3fl8n5Ya1wTGwNgxYBa/AMR66cPAC+sID3xAOmnLap6Ke7FYxGruCcHu37j76RVKcSkMuCo5d7p7uND6Bw1fEebDejWKOEFbzwMrbSWO/50Ny8V3/PaJ6F7qRCri3kEKoLd3kimntVhgZjCjlydrZVcXr5jhq1UND6lrHnHXFeG9mSkomBe50l2eYqv2D1aaMcveyDIslg4JqoPzVwB8/xc4/WTlr0Imqyu1qP6IajTImJicnGqNGVUfaXe4qvMnt3N6ebsnJsaS3b3e6l07pHXl6vTVqj0dd80N6/f6k7+qV+F2gV0uzjGR6UWawZqTsatQmqFKDjLgY4VhoXkrMaGT1806QC0HA3ZuSWBiOn1FX6YtWOkDzUrezvGuJPWlGPmUXRsXV1iEzrX+qXCUKN1lFxfZpdaSZFgm2wbIX7G7ufjPic7bUlC4lAMI7PhkSKaQJ+Kxmz/xdbempjh+JgS1zl49NywXdfwdg7ZTi3oN6sIkuoGFVgEOiaxtKS5lp9ngSlhSRvD0dwjmclpqVlSrcICPCf1LpdDhjENYzxXC6QDXGUqVWcfvyWqBpcToL8p3O/HYPaSrJyi4tzc4qyfAPEtuk917wDlWpN6mpT4eeUeJjBzyeQ5hcv+n1gpcd14UR4c7UfhiZvh9G/EnwYiqOvB+KQ/0/4rAthjCkLLdAHuRwaiLNtNTSbOSKx5C09l92V1d319WJ92SzOTnZPIuTSVmV7hdysrNzKIDVItwnr07uJfSEENIravtWRmfWBFMoVuhbU3mMDiYuwyScZuZUn/x2/vAViDtSZFdTMrqOamz5ib20tNDjwf7Cf6bn3Sa2Fhithhh1oMYsRggFppEOWFMmmTynpk5GrY6ISoe2VYbeCOETFSqzpbim0NFavWl31EAol6iINWcWu0oK2qpktoaC+Dh5hDImPDJpbpGtLmfDcm18VJRCwUbqqsostZngm55Uh+FLEwvfBtBpt/N2q92qBs00fHzYdcfp9DQ0KDXnz99+9Vx397mjqlgaYWbgMXkJykUpZl3aDXaolMnT7iWa0iYpvcTmH4Rs7unAFcINml6cBgws1MZrwBAGnpVWRs9Yce3ye/3CaP+967hpshbhIsehGUFrUcYrGavWYYVi7F1ZMXb+8sOVlWMfD+7ahWfhiK4uwSN8BXMCDyC7Z2EOPU0xnaJUkrPCka97RifWrSa2xx9hM4kThrFO5A/BYbtjN65YKS8aRwxzh3q82fvOp9R+ocn9xN/jP8RuDumgZ4z0NaWzpD9Rdp2/5+Ewu/m7/yQhBjwWbPZJYGqQNeQNZCWzA2MisgLjTHVgPCRLAnMI8KvAODkkgY4Vx9P3LqmNawLjEoT7CAmQOaEF8HPAbwGJQSTTPlwb6ICx8H8tVOIFgVPM+8DzZ0A98P8GcBPgh+ciQAtgE2ARvHMDjgOyAUeDmv4ENh2lkmZo30E2Zp7EwVCOs2BfRGamAyz8MZIYsDCPvEY5kY1cAjsHnivB9gHcKIdZDXZSz3LJ/5S/mxIHOQ04BgBfuEXSi9+X9JJZgDSA/Pt6SR2M2wYYAr1rwPaBhlCwy6CvF+xGsFnITEzQPh301f5f9ss9OKujDOPv7tlzMglWBvgCBkuAtrZpIYGENCByCUEcrBkKBRF7mRqIhHBLDEHFqdpWUSrT2grK6FSgFdrYi+L0TlssVgwqhWK1M9IWWwWxtg5gCa3cjr+9fPIR6Eycsf6V7Dx5dvfs2X33fd53z37Up8EVUqm+TP3t0/bqGinXJWfa49ZnLny73/m3Si7Vs4XEP3UUbNDfk0Hq21Kgq6RIN8iH9DPYsFqu0ctgjmJ9hwzXn5RiM1rGqt3yYfVVuVU/Jrea56RCT7AnUvo6uFGvtOdIqtU37Vonb8v12Tk1fCFHw/U5Pl0NPx80rA8a3pij4U/O1PA/+vG70un34Gl/mD7pAWw4lNXNjP4vtcqxy2m1qutaWbucTkUSddYpStID2HAoqw/tjmRCwIy0Iy4G74BeAJ+ZsfBMnjFHfB38A/hh+v8J7wEDPZLJAR+nzTtJBHeAb1C/GL4IfgM+Cp6Q8rwlUh6PkXKzB96eduT14PkWGBvyLks78ufTbmTspwMO0c54xKsDSgI6Av4M0MY8C98E8LVZBt7ivacAfow/w/wDwpjbqOPj+FthvxYP8Aw/xbNg7DH7wxy8a/7kEfcHQ6lvhSsD7Np3BtzCvHWsd5w6WsQVjCX/Df4xx8Dt9K2A/wj/CJR6mHa43tsVk2/mX/DEsJfl6LXKw86nV/t4ij8C3wssT0yPml3wJN8XW41/yDzbwj6+CF6hv91rGFfTfs3vJUkDr4Vjv3+LCJ+Yh9IjBl3Mo4A4T4hP08sjmcq4Kupom7TBnBFmJX3oZOweyLWENRN8nFitKqTEHAZfIZY3p/+wiDa4nDhi2eqqv+AR/571b3Y5eVTbWIilMtkilXGpVJrNYBr1J/H1bm+b08z6tQy8yHrLvIZ2/XgkfAKgjVkAiC/DOW2I8WRb4ME+1vMKad/vET8fsNzHZbLD65E3Ds5nzDqY71OCpvmskWfo41n0OkxuGWIt3uJjxQyiPsn70DT6HIo6/DpJXw+rZ/x1j0TDV8BNHjHnTzIFFPt8MDs8kjto860wV4Z1p3uNDXabEX5vNrZNA8y5lfyOen+vmfVPzJkWDwj4lVxmfg7IGWPnRQfz0mkkP4Zt3t/DXif7vbm8tnHD+RXbff4CXgPsHq8Fx8P+C7CPcynhnMqjLxnFGLSLX/Fw8c6eDee4eZP6OJ8/edf6NV2+SIgj68uD4A2/Tvw3xu2FWSM5GHyOZmZTsAHto2P++x2/StyAaK5E8Qri6ElwnL5FtNfCQ8HT4fl3qXNOWkScXclGz4YcMb1p/8yztT25C77Ew8aE+Qt9a0Lenee/AfGjHnl2D78GaGLQ2uz0GhviObHnELGY2Jyd6/PYbPCwOWFYM272Z5fzGXcPs8afu/oP8MfAQuzEj5r40Gt8/KorT+7ku3uCm1Z/vpdLLOwdy96TTuPkzizCHSmLnllwX2rKwawseDYdvju6nLXz/TfHYU74Rt6XvZe9h2iXevV3KY02cq/4vhRH90lhNF4uUvlSqnZJldrFnbJcZuhLJKNmSqmuhsfbe0j6clfvI278TTJRHZaMbuF9y/2lp2mU2ijmHv4A95PDUqwPwEPBeHCI9ltSoWqoT2ENWz8mFdFjoAfI8PyWwGsZ8zk5X89j3C4p08e5KdfSj3J6D/g8zwvl+mixbIdH6aPYe0LK1UcZ34YtbTyvc5xhjgy2+v4n3PoXqOp0r97gbTGVjKVf3xDeY5x6AZ4oheph6cmzMr1O8omlVN/J2hs5ixPG7JMxynOVbpeMvbtb3/NeRt8rA/U1MsbaqjZJo57OXHdJQRThu9d4Ph99CmSk831K37NSoA5JP6fJPVKiVsl5qh82H5RPMK6vuk6GqU8xZgDPX3TvV0RNzLFeSo1IDb7vbf1+Tlh/WS2GBi0C2PtAj/QEeAmtJKtDZ+hJkoF7Oy1yYee2mg2TocHvZ8EUw3Veh1yoVhkVUKhaicmveX2cDp2BX/Qi1rJa5MJqYTWDXdyxXmd2e687BxOb/O6wLMR5xvllXhfYxnFbDh/xjA8fZx+74d/C++C/wil8ygOft6JnMfNs8LHv/J+GnJgATOh/nHo+ercSMz18fEZjA2fbVpcbnC5nsClCs1PYRQ65OH46cLZt84rYPovJNRfvWd4VfNxFtvnpcmRPyJFsnpIjnRltitWMdLONTRcfD55lQ0Z9SarV9bQtbH6slAJ5Bv4gKJPe6jfMr8iRX0pBdu3OjGbDnWa5Nlm+X0ZGbTKSNSrcOvNkiF6BbSukWi/lTHxORugdtD8g9dFnZVBssId+UMFvlP1RX+kZjWDtbdiCdtFDrNdPBut97ONm6trFWYG+glw+xrucrTaHoxPSJ6qVwWpU2m7PDHd2vumhxzB+O7B73cwZnpEiVSjnq1oZp34qzeR4L9df7exyOaGKsL8oxIw9S2fyG8jmUVfwFGdm9py/Si6UPnwVL+4u3aW7dJfu8p6WammR9aHspLws75xdVMG7ltGU2eo7aqvaqkVfoMdTZup6ynK9Sb9KeTu6PJoWtUTLKeuiR7pLd/l/FVHc6i6U2+V9slgSWlqKYZF6ENESySf+GeXaGf77Orcsiq9zS5QSniqTT+tuGRPqit69oa7l/fwC8/WIm1Ym1A317PiEev2U2slX184aMrWpublx8ZLSmoV1cxZ0tU8mSpM0yzIsbpQGmSetMkgqZLjDIJlBDzdEmepGNTNmsSxx7RZ65vNsjntjgiyF59HX4p6XuJlaeWOJjJZhlAbetSOWymwp460mWUSv7ZtLfSnz1vPuMvrOXOtSmSK1Mlmu5v8sGdLpaanUyEKpY74FchXWNDCTbbd0+a3/9bjI6SvpI3jwHH//FmAAt0U58A1lbmRzdHJlYW0NZW5kb2JqDTE2MCAwIG9iag08PC9EWzE1MCAwIFIvRml0XS9TL0dvVG8+Pg1lbmRvYmoNMTY4IDAgb2JqDTw8L0RlY29kZVBhcm1zPDwvQ29sdW1ucyA0L1ByZWRpY3RvciAxMj4+L0ZpbHRlci9GbGF0ZURlY29kZS9JRFs8OURBQUZFQ0YxRkRBNDI0NEJFMTg5NjlDQTA0QTBFMjE+PEVFOTQyQTYyQjk1NTRBMzg5Q0VDQjVBRjhGOUI2QjExPl0vSW5mbyAxNDcgMCBSL0xlbmd0aCAyNTMvUm9vdCAxNDkgMCBSL1NpemUgMTY5L1R5cGUvWFJlZi9XWzEgMiAxXT4+c3RyZWFtDQpo3uTSzUoCQBDA8dkVUYvQEhGTCJEQCUnx4EGlXiN8hU6+g48i4VvUMSJCJaIiJPIDSYkQibBc598hIl9A6PJjdmdgl5mxIgWxIhcgYMCBB77ACzPwwQcE4B3WYQobMIEgvMEmvEIYxhCBF4jCEGIwgDj0YAeeYReeIAEdSMIj7MEDpOAO0nAL+3ADGWjDATQhB9eQh6ufRijGQyNMVqz7bP5O/DesnGoPvDoPNyut0K/q35Gxc6m4v1njZ+G2dJ9df6TH7Uulf2+ti/fmWlJltLo5plvTkkSXo1+xDWXtWO9aJ5o9OtTo7HzpcSMhilkpU1TKE1kIMAB4WDv/DWVuZHN0cmVhbQ1lbmRvYmoNc3RhcnR4cmVmDTE2NDkxDSUlRU9GDQ==";
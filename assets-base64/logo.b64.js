@@ -0,0 +1 @@
+window.ASSET_LOGO_PNG_B64 = "iVBORw0KGgoAAAANSUhEUgAAAj8AAAE9CAYAAADkjAOhAAAACXBIWXMAAAsTAAALEwEAmpwYAAAFxmlUWHRYTUw6Y29tLmFkb2JlLnhtcAAAAAAAPD94cGFja2V0IGJlZ2luPSLvu78iIGlkPSJXNU0wTXBDZWhpSHpyZVN6TlRjemtjOWQiPz4gPHg6eG1wbWV0YSB4bWxuczp4PSJhZG9iZTpuczptZXRhLyIgeDp4bXB0az0iQWRvYmUgWE1QIENvcmUgOS4xLWMwMDMgNzkuOTY5MGE4N2ZjLCAyMDI1LzAzLzA2LTIwOjUwOjE2ICAgICAgICAiPiA8cmRmOlJERiB4bWxuczpyZGY9Imh0dHA6Ly93d3cudzMub3JnLzE5OTkvMDIvMjItcmRmLXN5bnRheC1ucyMiPiA8cmRmOkRlc2NyaXB0aW9uIHJkZjphYm91dD0iIiB4bWxuczp4bXA9Imh0dHA6Ly9ucy5hZG9iZS5jb20veGFwLzEuMC8iIHhtbG5zOmRjPSJodHRwOi8vcHVybC5vcmcvZGMvZWxlbWVudHMvMS4xLyIgeG1sbnM6cGhvdG9zaG9wPSJodHRwOi8vbnMuYWRvYmUuY29tL3Bob3Rvc2hvcC8xLjAvIiB4bWxuczp4bXBNTT0iaHR0cDovL25zLmFkb2JlLmNvbS94YXAvMS4wL21tLyIgeG1sbnM6c3RFdnQ9Imh0dHA6Ly9ucy5hZG9iZS5jb20veGFwLzEuMC9zVHlwZS9SZXNvdXJjZUV2ZW50IyIgeG1wOkNyZWF0b3JUb29sPSJBZG9iZSBQaG90b3Nob3AgMjYuMTEgKE1hY2ludG9zaCkiIHhtcDpDcmVhdGVEYXRlPSIyMDI1LTEwLTI5VDA4OjU1OjQ2LTA3OjAwIiB4bXA6TW9kaWZ5RGF0ZT0iMjAyNS0xMC0yOVQwOTozMDoyNy0wNzowMCIgeG1wOk1ldGFkYXRhRGF0ZT0iMjAyNS0xMC0yOVQwOTozMDoyNy0wNzowMCIgZGM6Zm9ybWF0PSJpbWFnZS9wbmciIHBob3Rvc2hvcDpDb2xvck1vZGU9IjMiIHhtcE1NOkluc3RhbmNlSUQ9InhtcC5paWQ6MmY0OGYwNGEtMGZiMi00NzE0LWE3YjYtYzMyZTYwM2ZhMzkyIiB4bXBNTTpEb2N1bWVudElEPSJ4bXAuZGlkOmRhYzNmNDA3LTA0ZGYtNDRiOC1hYTBhLTExNTI3NzZkODE1MiIgeG1wTU06T3JpZ2luYWxEb2N1bWVudElEPSJ4bXAuZGlkOmRhYzNmNDA3LTA0ZGYtNDRiOC1hYTBhLTExNTI3NzZkODE1MiI+IDx4bXBNTTpIaXN0b3J5PiA8cmRmOlNlcT4gPHJkZjpsaSBzdEV2dDphY3Rpb249ImNyZWF0ZWQiIHN0RXZ0Omluc3RhbmNlSUQ9InhtcC5paWQ6ZGFjM2Y0MDctMDRkZi00NGI4LWFhMGEtMTE1Mjc3NmQ4MTUyIiBzdEV2dDp3aGVuPSIyMDI1LTEwLTI5VDA4OjU1OjQ2LTA3OjAwIiBzdEV2dDpzb2Z0d2FyZUFnZW50PSJBZG9iZSBQaG90b3Nob3AgMjYuMTEgKE1hY2ludG9zaCkiLz4gPHJkZjpsaSBzdEV2dDphY3Rpb249InNhdmVkIiBzdEV2dDppbnN0YW5jZUlEPSJ4bXAuaWlkOjJmNDhmMDRhLTBmYjItNDcxNC1hN2I2LWMzMmU2MDNmYTM5MiIgc3RFdnQ6d2hlbj0iMjAyNS0xMC0yOVQwOTozMDoyNy0wNzowMCIgc3RFdnQ6c29mdHdhcmVBZ2VudD0iQWRvYmUgUGhvdG9zaG9wIDI2LjExIChNYWNpbnRvc2gpIiBzdEV2dDpjaGFuZ2VkPSIvIi8+IDwvcmRmOlNlcT4gPC94bXBNTTpIaXN0b3J5PiA8L3JkZjpEZXNjcmlwdGlvbj4gPC9yZGY6UkRGPiA8L3g6eG1wbWV0YT4gPD94cGFja2V0IGVuZD0iciI/PoaQT4MAADXWSURBVHic7d0HtGVFlf/xLw1NTgWSo+QgUbJklSBCKSBJUFKTcf46zoyu/3/UcWZcOuM4KrHJSEZBi6BkCSpiRAUVUMAESLDIgqT/qntPSwPvvX7v3XtO1dnn91nroQL9zrbDvftW7TAbYoePKwFfBTYEbgT2JLjHcoclIiJSkim5A5ChOq5KfJJtgX/PHI+IiEhxZssdgAyJj6sDv37d330aWJrgnsoUlYiISHF08mPHMSP8vfmBfTPEIiIiUiwlPxb4uCBw4Cj/9PCGoxERESmakh8bDqpOeUayIT5u1nA8IiIixVLy03Y+prqtoydxJSYiItJJSn7ab0dg1Vn8O3vh4xINxSMiIlI0JT/tN55TnanAEQ3EIiIiUjy1ureZjysD94zz1/EBYEWCe6GByERERIqlk592O3oCCezSwB41xyMiIlI8JT9t5eN8VZfXRMyqMFpERMQ8JT/ttT+w8AR/zJb4uEFN8YiIiLSCkp/2mmz7utreRUSk01Tw3EY+bgfcMMkf/RywrLa9i4hIV+nkp50GOb2ZGzhkiLGIiIi0ik5+2sbH5YF7gdkH+C6/A1YmuJeGGJmIiEgr6OSnfY4YMPFJVgDePaR4REREWkXJT5v4mK6spg3pu31oSN9HRESkVZT8tMvewJuG9L22x8e1hvS9REREWkPJT7sM+7RGbe8iItI5KnhuCx83A24d8nd9prf2Irgnh/x9RUREiqWTn/aoo0ZnMisyREREWk0nP23g4xLAH4CpNXz33wCrEdwrNXxvERGR4ujkpz3t7XUkPskqwI41fW8REZHiKPkpnY9Tq+SnTsfW/P1FRESKoeSnfHsAS9b8jJ3xceWanyEiIlIEJT/lO7ah2i+1vYuISCeo4LlkPm4A/KShpz1ebXtP7e8iIiJm6eSnbE2uoFgYOKDB54mIiGSh5KdUPi4K7NPwU3X1JSIi5in5KVdaYJoWmTZpbXzcruFnioiINErJT4l8nL2B9vbRqO1dRERMU/JTpt2AFbI928flMz1bRESkdkp+ypTz9CWdOh2Z8fkiIiK1Uqt7aXxcG7gjcxSPAssR3HOZ4xARERk6nfyUp4SOqzdl6DQTERFphJKfkvi4UEGzdlT4LCIiJin5KctBwHyUYUN83Dx3ECIiIsOm5KcUPqZfi6Mpi05/RETEHCU/5dgRWIWy7ImPS+UOQkREZJiU/JSjxFOWqcBhuYMQEREZJrW6l8DHdOJzd6G/Hg/1Bi4G97fcgYiIiAyDTn7KcHShiU+yJLB77iBERESGRclPbj7ODxxM2T6UOwAREZFhUfKT3/7AgpRtc3zcIHcQIiIiw6DkJycfZyu00HkkOv0RERETlPzktS2wFu2wLz4umjsIERGRQSn5yatNpylzAdNyByEiIjKoUjuM7PNxeeC+liWgvwdWIriXcgciIiIyWW1647XmqBb+/KeEbbfcQYiIiAyibW++Nvg4N3Ao7dSmqzoREZE3UPKTx75AW4uHt8XHtXMHISIiMllKfvJoS3u71fhFRKTDVPDcNB+3AL5Luz0DLENwT+QOREREZKLmmPCPkEFZqJmZr1rJ8b+5AxERkZr4OA+wCLDQTF+pZnXmA5T0956sPhSnr6eB9MH4MYJLf79IOvlpko9LAb8DptJ+vwFWJ7iXcwciIiKT5GNKbtYF1gFWq7p6l6v+c9Da1L8CDwAPVf95L3APcHfvP4NLfz8Lnfw06wgjiU+yCrAT8M3cgYiIyDj4OCewMbBV9bU+sHSNT0wnRytXXyPFk06GfgH8ZKavXxLci9RMJz/N/qZLpz5LYse3CO5duYMQkaFdcXy0WrszO2V7uaqd/BzBpWsWGY2P6TTHA7sAm77u2qpEzwM/Am4Cbun9Ogf31LAfouSnKT7uB5yHLa9UV1/pGFNG4+NbgYt707HbJ73J/Br4LMGdQxv4uCLweWBHYH7a6ZfAOwjuwQaXLF8NvJN2+Q6wja7fX8fHdI21X5X0rEG7vQz8FLi+94G7nwy9MOg31bVXc47BntmqSdUfzh1I4f6zpYnPjHEYafnuV/CR4hMgHxcAbgRWoN3Sz/newBcbet5mLUx8ki2rr5vpOh8d8H7gIGBD7JgCvLX6+mfgKXy8riq5+CbBPTDZbyrNfPLfHJsOxse2frpuipU/Z5/Dx9Jr1v7BQOIzQzpxa8rINRnt0NYPFsORhs76eEZVVHycscRnJOkDznuBU4E/4uMt+HgsPi7dxRfl0lk89ZlhQWD/3EEU7iJsSN2Ke1CqfmJ2JDakbsprGnyebgHaxset8fEK4I7qtCfVlXbNbNXJ35dnSoQOxcdZ/n5W8lM3Hxer1llYlrJu1Y+N7sJqDoYFJc+pem/NnStNOl51LDIiHzfCx+urguBUxCyvTYTSidAVs3pPUvJTv7TAdC5sS/UJ2+UOoljBpcFfZ2HD5vi4AWWysnYldS+dmTsIKYyPK+HjBcAPge1zh1O41OzwjrH+BSU/deofvVk5hu/KG09dTsCO8k5/fFyv+tRnwVklT8aVhvk4Fz5+CvgVsE/ucFok1dqOSslPvXarJmV2wW74aKXQdPiCu7tqJbZgX3wcdPKr/YRs8k7MHYAUVNcDtwOf7GhNzyDGnGek5KdeXToNmdKhU67JOh4b0jXuNMoaz2+lru5agkuf8KXL+qc9X6rqeto+p6dISn7q4uNbqkmpXTINH0ufHprTN6vdNhYciY+zF1RXl6YTW2DpelQmw8eU7Nxm7DSzOEp+6mO5vX00lj6BD1+/e8fKm9vy1bVuXj5OqQZtWnA/cHnuICQjH9PYkB8DqYZNaqTkpw4+LgwcQDfp08rYUhfPs9hQwq/1roaGGp6g9vaOSkm8j58F0gT1eXOH0wVKfupxUId/A6+Pj1vkDqJYwcXqBc6CbXvTZfOyUlf3VyBN6ZWu6U/I/zrwL7lD6RIlP/Ucw3fxyqu0E4GSWbn6ypt8+Lgm8HZsOI/g/pI7CMmyj+v6Iq6QO0bJz/Dt1PldM7A7PqZVCDKS4H5RLd+0YH98XCjTsy19yLDSCSjj5ePi1ULWTXKH0kVKfoZPpx6QdiwdkTuIwll5s5uvt9y2aT6mnXIfwIabCe5nuYOQBvm4DPA9IHUFSwZKfobJx1WrsdoCh+OjhnKNLgB/wIajquvepuvqUq2EBZauQWV8c6muAlbOHUqXKfkZLkvH8INaAtgzdxDFCu5F4GRsWKW67m1Gf2Hh0djwJ+DS3EFIQ3xMjTDf0olPfkp+hluxnz6Nir1OnLqk7cPPY0OTiX86XU2nrBZMrxJhsa4/FPQS1fiUQcnP8KT6gwVyB1GYzfBxzOVynRbcI8BF2LBTde3bBCsnrH/rJT/SFZ9r9IRUxqTkZ3jH8FZekIdNpz9j+zI2NHMV5WOqk3gXNlxMcA/nDkIam9z8j7nDkFcp+RmO7YE0c0TeaB98XCx3EMUKLo2y/z42HFRd/9bp6CrRsuC43AFIA3xcFzgtdxjyWkp+hkOnG2NvAE+LJ8X+m+CCta518XE+Q3V1PyC4H+QOQmrWX/R8XvU6KAVR8jMoH1es9gvJ2BvA58gdRMG+BvwZG46proHrkK4O0t48C6zMeZJZ1/mos6tASn4GlzZK6+dxbMtpfPsYgrNU+LoWsF1N39tKXZ2lQncZjY9p9YqG3hZKb9qD8HEe4JDcYbSErgbHlmb+WGl5Hv6vtY/bGfoEPb1KeMUqH9M114m5w5DRKfkZzH5AmtYp49sAvk7uIIoV3IPVDBALdsPHFYb8Pa2c+rxkaLiljO5jwGq5g5DRKfkZjJUX5KZYmcpbly8bel05cmjfzcfl01+x4VKCS1OdxSof02Lrj+cOQ8am5GeyfNwKWD93GC1zAD663EEUK7i06PB2bJhWXQsPQ1qSm6bjWqBCZ/s+re6u8in5mTydYkxc2mtzYO4gCmfl9CddB+8zpFbhadjwc4K7OXcQUvtMn1QOIYVT8jMZPi4D7JE7jBa3Quv33eguAP6CDcPodNkbeBM2WJnnJKP7jKEhnKbpTWhyDgM0t2Zy0n34zrmDKFZwz1ULTy1YHx/fNuD3sNIqHIHzcwchtZ/67JI7DBkfJT8T5eOcVQ2CTJ7a3sd2EvAyXf+19nFzYENsOI3gns0dhNRKu7taRMnPxL0PWDx3EC23Y4MbwNsnuN8Bl2HDHvi4VMeT5FeqhFas8nFpYN/cYcj4Kfnp7gtybhoT0I3C5zkmdVLq45LAnthwOcHdlzsIqVX6PT41dxAyfkp+JsLHjYFNc4dhRBMbwNvsRuCX2HBEdV08EYcbejNRe7tl/V12H8gdhkyMkp+J0WnF8CygF4wxBPeKoe6gxSd0iuPjVEN1db8GrssdhNRqG2DYE82lZkp+xsvHxYcyt0RmdmyNG8AtOBd4Ehsm0rWVxkikay8LTqgSWbFLs8taSMnP+B0KTPToXsa2BrB97iCKFdzTwBnYsCk+vrVjdXVPAWfnDkJq5GOaPL5b7jBk4pT8jIePqWjzqNxhGGVljktd0mboVzrza+3jBsAW2HAWwaUESOxKa460sqeFlPyMT1qqmKY6y/C9Gx9XzB1EsYK7B7gKG/bGx8U6lAyfkDsAqd2uuQOQyVHyMz6WXpBL/D2oU7VudAvNNeaeLh8XNTQr5RqCuyt3EFI7TatvKSU/s+LjOsDWucMw7pAhbgC3KJ38/AY7be+jrYaZZmgbtpWEVcZO1tfMHYZMjvZTdaf4svQN4GkT8um5AylScC/jY7pC+V/ab7nqGvmSEQpHj8SGe4ErcwchtbNSmzYrqeP0J9Xv6zR9/iEgNWPMvK5lrmoBcbrWXrza4bhKNQKgyDyjyKCK4WMqZHt/7jA6NENJyc/ozgT+A5gPGx8oXpv89DtmlseGE3sJq1i3JTa9AlwPXFGdOt896XEN/VPetaodfelrE2AjIH3YyUrJz9gOBubNHURHpA3gWxHcLbkDKVJwT+DjOUaG/23Tu04O7hcGT1ifNTSeQMaWJv5b8kx1unwqwf1+KN8xuBeBn1dfZ/X+Xn+yf0octwPeBbyFDFTzMxof08/N0bnD6Bj9fHenjuTVaek+rl29EFpwHsHF3EFIY3PKrDgNWJHg/nVoic9Y88uCu4rg/oXgUk3tm6umohuAxk5MlfyMbpfqF0Wa3QCukQKjCe5O4NvYsH91rWxtbYyVlSQyFh8XBpai/Z7uXTkHN43gHs0SQXD3E9xxBPd2YFng/wA/qPuxSn5GZ+kFuS3mqBZaiv0313mr5bYLAQdgw82vu8oTu9JppYVC5q0I7nJKEdyDBPclgtu0Oln7AvBYHY9S8jMSH1cHdsgdRkcdPokN4F1yWdVxYeWa81AjRdzJl3MHII1pe3H+K8DuBHc7pUpzsoL7x2rAcGo8Gmo9qJKfkan2JJ/UJrlX7iCKFdxLwMnYkNphP40Nf0q/OrmDkMYsTbsdT3Cpo6t8wT1PcOcT3NZVt9hFQHodHIiSn9fzcQFt6c1OV45jOxV4DhvmNdTenjpbpBuWoN1dXZ+mjYL7IcHtU80Q+mL1/2U0Y7bnK/l5ow8CKQGSvBvArbWRDk9w6Q78wtxhyN/9reqWke5IhbltdVG24ubhFkl/uNehBp8bJQlKQxlHpeRnZj7OpiuvYuj0Z2yqLynHhQT3cO4gpFFtPrG8AitSEhfcx0ZIgtJwxovH+qFKfl7rncZmN7TZPviY6n9kJMH9FPhe7jDEVAeejN/cuQMYwI+w5tUkKF1HLkNwO/dqhcag5Oe1dOpTjjmrTiAZnd5087uN4Oy9mYjV5OcVgvsDVgX3DME9MJ5/VcnPDD6mgYa75g5DXuOoMTaAS38/1oO5g+g4JaDdNA/tne0jSn5e4ygg1fxYYGWj9DLVBnAZSXAvANNzh9Fhqc7nq7mDkCz+Sjupmaei5CfxMRWvHYINP64GQqUFixaknS8yujTzJyVB0ryTCS51eom0xRR8tLCWY2BKfvr2A2bsGWq7tCPlCSBtALdga3xcN3cQxQruz8DXcofRQWmmzym5g5BsxiymLdzGuQMogZKfvmOx4dGZ5r9YqkVQ2/vY1PbevEsILk11lm6KtNf2uQMogZIfH9PIbCsnC6f+vb2vvwH8RuxtAJfXC+77wE9yh9ExJ+QOQLL6C+21Fz7OTscp+bFzqpB2nZxk9EQgdVYcnDuIwln5tW6D2wluqEsWpXUeob2WAnaj47qd/PiYuol2x4YwwvyGywErMx2Oxsdu/34dW1r21+6R9e1xfO4AJLu2v65+jI7r+pvJEYCV47831vj0Fy2eiA1pDtMuuYMoVnDPVQtPpf7rjvNzByHZtT352QQf30uHdTf58XEu4HBsuIPgRqvvOb3lnQkWryjrclJ1/Sn1OY3g2jrjRYbnHtrvC/jY1knVA+tu8pOKvmAxbBi9syu4dDd9ATbsgI+r5w6iWP1rz5A7DMNeHqGuTrrp/hYPOpwhLQP9dzqqy8mPlfb2x4HzZvHvWGp71/617vxal+ZygktvetJ1waVE+C7a7yP4uCUd1M3kx8dNDA16OqO3zG0swaU26Fux4UB81Ij20fSvP+/IHYZRSixlZj8ykgOcj49vomO6mfzYOfV5ZQIFzVZeuFPic2DuIAqnbqTh+xVwQ+4gpCg/wIblgHO7Nvune8mPj4tX9T4WXElwv53ABvCHsLPt3coS2jqcW12HyvAcT3Dpw4bIDFZO05Mdgc/SId1LfvodXnPStSmz/QWMVjaArwG8M3cQxepfg56ROwxDngK+kjsIKc6dxmZrfRQfD6UjupX8+DiHofb2u4GrJ/hjphvaAK7C57Gl61CdVAzHmQT3dO4gpDD9k0BrV6HT8bET89S6lfz0pzmnqc4WnDjhY/jgHqyuvyzYFR/T4EMZSf869MrcYRihGioZzTexlxN8FR+3wLiuJT9WhuSlT6FnTvLHWil8TjU/R+UOonBavjm4qwnOwkA7qUf6gJHa3i2ZB/hW1RVtVneSHx/XA7bChq8Q3JOT+pHBfQ/4KTYcgo/z5g6iYFdX16MyeVoYK6MLLtX8fAd7Fuwldj6ug1HdSX7stLcP4xjeyumPA/bLHUSx+teiVna75XAvcFXuIKR4Vibov16a/XMDPm6EQd1IfnxcxNCb5HUEl2aODPqH1UqXgqWktg7pelTFupNvb7d2pSHDd7GhRpKREqDr8XFTjOlG8pOuR/r3mBYcP6QN4GnhqQXr4uPWuYMoVv96VG3aE/fsAHV10iXB/QX4BnYtCFyDj9tiiP3kx8cphgpj016hy4f0vU40tAHcSiF7XdStNHHnEJwGRcp4nYZtC/Y623zcHiPsJz+pJbq/vdaCk4Z2DB/c74eYSOW2Oz4umzuIYvWvSa/LHUbLKGGUibiuA80F8/Rq4HzcAwO6kPxYGYb31xo+XVjpZJnd0PDKuujNfPxuJDgth5Xx638o/SL2Te3VOPl4GC1nO/nxcU1DaxAuqO6Whye4bwO/xIbD8XGu3EEU7PLq2lS60w0pzTobeAz7plSToD9Bi9lOfuzU+tR5SmPlhX4xQwtr6/pkelLuMFrgD8BluYOQFgouFcl/nu74N3w8rqqrbZ1WBj0uPqYCrQOx4TsE97Oavvc5wOQGJpZHbe9jO626PpWx6+pezB2EtHqqepcK5Y8BLmrjqbvd5Kef+MyPDfWdztjaAL6x9ZHsA+lfm1odyDYMz3ega0fqFNxTwGfolj2Ba/FxYVrEZvLj42yGCp0fAC5toBjWygZwnf50o8i9rrq6R3IHIa2XXk//RLdsBXwXH5ejJWwmP7ADsBo2nFz7MXx/A7iVMf574ePiuYMoVv/69JbcYRRKHXEyuODS1fLH6Z61gFvxcV1awGryY2XoXRqZPr2hZ1k5EZhTbe+zpDf5N7qV4H6cOwgx41zgNrpnmd6HKx+3o3D2kh8fVwJ2wYaLCO7hhp51DfAb7LS9z5E7iIJdWl2nyquUEMqwlwqn0osu7oZbELgaH/emYPaSn/5vuFTzY8HxDbdCH2/o08fuuYMoVv8a9eTcYRTkIeBruYMQY/oniVZGiUxmGOKF+PhhCmUr+fFxXuBgbPghwTV9bHoWkLq/LLBy9VmX6YY3UU/UKQT3t9xBiEn/r+PDRb+Aj+mruAMJW8kP7A+0qt1uDM2fwgT3hKEN4Fvh43q5gyhW/zr1otxhFCAlgDoFk3oE9zTwQUPdtJORTn8uwMdUj1kMa8mPlU/7j2R8Y0pDuqxQ2/vYunokP7NLCe7B3EGIYcHd3DsB6ba9gW/h40IUwk7y4+M2wDrYMJ3g0sC15gV3J3ADNuyHj4vkDqJYwf2gd73abVa6HKX866/02tpl2wM34eNSFMBO8gMfwoaXGmxvH42Vwud5gENyB1G4Lp/+3E5w38sdhHRAcM8B76+miHfZelUr/Mq5A7GR/Pi4bPordo7h/5g5hrTY8XfYcFRbF+815OLqmrWLdOojTQ8YtbJ5YBArVwlQ1puaKYa2t8+ODflrboJ7ydAG8BWBXXMHUaz+9Wruk8YcHtOeM2lccKcDZ+YOowBLVQnQZrkCaH/y098meyg2/JzgbqIMacFjOqq1QJ+2xpaSn5Twdslp1VWESI7Xo3QK1HUL9epLfUy1QI1rf/ID+wCLYUM5tTbBWfpk/E58XDN3EMXqX7PWvTy3JGmg54m5g5BO7/5KQ1jTa2zXzQNcgY87N/1gC8mPlfb2CJxHWSwVw6arUSn5urU5lxHc73MHIR0W3L3AezVo9O8JUMDH3WhQu5Of/n3hRthwBsE9S0mC+ynwXWw4EB/TzhkZSf+69ed0gwqdJb/gblE36mvWYXytyQSo3cmPnVOfVwr+5F3OVdxg5u8lQNKVk77R/BK4MXcQIj3BnQP8Z+4wupgAtTf58XEJYC9suJzg7qNMlwBWJuAeXeKOmYKcX12/WnZctXFbpBT/CqQkSGguAWpv8gNHVD9RFpxQ8CeTFwy1Qq8G7JA7iGL1r11TK65VTwLn5g5C5DX6yXi6/roydyiFJUC71PmQdiY/PqafnMOw4dfAtZTtZEOFeVauSuuSuqCsnoycUS2aFCnxQ2a6yfhO7lAKkd7jv4qPW9b1gHYmP7AHsDQ2nFj8MXxwf+5l4jbsgo8r5Q6iWP3r18uxJ/0ZU3u7lH7y+m7gF7lDKagL7Mq6JkG3NfmxMrTuKeAs2sFKh8xshn7/dO8advKuIrh7cgchMqbgngDeDtyRO5RCpA7da+rYBda+5MfHDYDajsIadjbBpQSofMF9H/gxNhyMj/PmDqJg11bXsZZ0oZNNLAgu7dpLU4+7vgV+hiWBq/FxcTqd/Niq2WhbG7mVN5CFgf1zB1Gs/jWspdOf3/RePEXalQDtBPw2dyiFSCc/X8fHubuZ/Pi4KLAfNlxLcHfRLhcCj2KDpSS6DqnOy4qHCS6ttBBp29qZbavkXWCLXtPCkMaVtCv56bcDDi3zy+y4lm4APxUb1sHHbXIHUTBLdVFb4ON6uYMQmWQClN70VQPUty/wSTqV/Pg4u6H9TPe1eKbDSYY2gH8odwBF6ndXWEsMrbx2SHdrgKzUXA7qk/i4V3eSn34L4ArYcEJrj+GD+0NvCZ0NHh+XzR1EgSxeCe6PjwvlDkJkgAQodYHdljuUQpyOj2t0Jfmx8in9r717y3Zr35XdyCydJg6Hj85oMXjq7tNuN2l7G3w6AbomdyiF7Gq8BB/ns538+LhW9YtuwbkE1+79ScHdaOgO+lB8nCt3EAU5qEoULNJuN7EwCHHX3vRjWQs4xXbyY+sYvm3t7db/fywG7JM7iCL4OMVYofPrrQq8I3cQIgMJ7m9V4e+k3/gN2Q8fD7eZ/PiYJjx+ABtuJrifY0NaEPk4NlhKrgeRFglaX/1hObmTrgjuJYJLb/r/ljuUAvwPPq5iL/npH8NP+l6vMMcZ+sP3jIHapRk2wsfNcgdRgC4kBrvi4/K5gxAZiuA+VS35bmcDzXCk/ODsqiPcSPLTv5+38qn8T8A3sMXSBnArv88mx8fVgR2xL73mHZk7CJGhCS7NXntP1UzTVVsAH7WT/PRfjCd8nFXw9vYXsSS437Z4XtHr7YWPS9BdXep6O0RF7mJKcJdXrfCP0V2fxse3WEl+jsWGVKB2GjZZ2QE1FZhU4Vzr+bhAdb3cFanI/X25gxAZquBuBd4G3E83zdkrAu83brQ4+emvsN8ZGy4kuIexKS2MvBsbDsfHlAR1TWooSAlQl3Shvkm6pr8vMl0B3U43bQ5Ma3fy06/BsDKTw0pb+GgbwFPtjwVLA3vQJbbq6iZiM3zcIHcQIkMX3IPVeppr6abPVMNaW5j89Kc2WjmGv43gfohtZwJPY0PXTgRSncBAY+JbzMq1ushrBfdktRLqHLpnkfGMACgz+YEDACt7eOye+rz2D9pXsGHLjp0IdDkB2Acf0wuliNVhiB8EPkv3HDWr2T+lJj9WjuFTnc/FdIOlJM/K77+x+bhiNSq/q+bRvi8xLZUlBPfx6jWtS7OAZgf+o13Jj4/bAWtjw/Qq+7YvuF8B12NnZPqidKO93Upd3SCfEMt7HRQZpuBOqDocn6M79sbH9Uf7hyX+obdyDJ9m+kynW6xMsJ67NwvGMh/T8tJDc4dRgJU7MtxRui64S6vf60/SHR9rR/LTHzu/GzZcQnBpqnOXXG5oxsRREx2X3jJpMeIsOyI6omtF7tJVwd0MbA08RDek4bVrlJ/89MfOW3nDsTL8b/yCS3fKJ2HDClW3hFUfyh1AQd6Fj2/OHYRII4L7Wa+xA9KEfuvStf6Hy05+fJzb0DH87QR3C910mqEdMzYTBB+3AtbNHUZhL5BH5A5CpOHVRG/ryDDEA0aq4ZxSVNspvAkbLHU+TUxwfwEuwIbt8XFN7LFSVzfsfV/pA5hINwT3Z2Bb4Ad0sKuzpOTHygtyevM/n277MnZY+X3Z5+MywHtzh1GgRasPYCLdEdwTwA7A97HtsDKTHx/TLpINseF0grNy7TPInfJ3sHNkuiB2pOudOXIHUSgVPktXE6C3A9/GrtXwMV3zFZb82Bkq97KhPVeDstL2Pr+ZVSs+zjnSJyD5u43wcePcQYg0LrhnqwYPywnQfmUlPz4uBeyJDVcQnJVW70F9HXgAG46pFoC23d7A4rmDKJxOf6SbgvkE6H0zjy/Jn/z0P4lOxQZLtS6DCe4F4GRsWMXIIDwrJ6x17/vqwnRvkbESIIs1QIsBqdO1gOSnfwxvpcU0rXe4IXcQhUkTrlMSZEG7C5993ARIXzK2uQyN3BCZbAK0E3AH9uxaysnP7sCS2HB8b4mcvCq4tNj1ImzYGR/TKoS20qnP+B2hfV/SaaFXBL0z8AdsedeM/5L7D7iVIXJPAV/JHUShrMw8mq21CYSPi1f1PjI+K878IinSScH9sUqA0vubFWvg45J5kx8fNwA2x4YzCe7p3EEUKbjbgB9iw4H4OB/tk+rq0hWzjJ8Kn0WCu7PaA5g6ma14R+6THyunPpZON+pi5edn4d7cnzbxcQ5DdXVN2hEfU6G7SLcFdyXwSezYPF/y0++mSNmkBVcT3D25gyhcqvt5BBvadiKQpjmnqc4y8WvOo3IHIVKIzwDXYsMmOU9+plVdFRZYGeZXn+CeB07Bhrfg43a0RzvrlMq55pw3dxAi2QWXrr3eDzxK+62Lj1ObT376Q4asfKK6F/hW7iBaIs38eQkb2pFQ+LgesHXuMFrMad+XSCW4R4y8d6f6x9VynPzsBiyHnfZ2S4VgdXcOpKnPFnh8XJ7ytSNJK5t+DkVmCO6rwFW03xo5kh8rhc5pENSZuYNoGSuFz+n08khK5uMi1TG1DGYDfLTSlSoyDB8xcIq/erPJj49rA9tiwzkE93juIFoluJuAn2PDofg4N+U6GJgndxBGtK3IXaQ+waVtBmfTbss3ffLT7hUBNk8xmmbl5+1NxdaD9KcT6w17uAsRtRBW5FWfB9q80aDB5MfHhYD9seFGgrO496QJ5wERG0pN5t9dTSmW4RVIHpI7CJHCTn9upL2WmNLwMXwbp+OORO3tgy3NOwMbNiy0HkRFusN3ZNWpKiJ9F9Nei0xp8BjeQosc1aK3y3IH0XIntPzItNzTHx/XAN6ZOwyDlpt5I7SI0Oaur4aSH9gJsDIq/iSCezF3EK0W3H3AFdiw54xFeYVQrU999HMrr/Jxe3w8Gx9PqD50dEtw9wMP004LTunkp+PJS5OKT8sdhBFWCp+nAodTAh8X7E0llrq8Ax9Xyx2EFMDHHYHrgQ9Utxo/w8dPpcnBdMu9tFT9yY+Pq/aWBNpwYTXlUgaX9sTchQ1HFPKi90Fg/txBGGfl+l4Gc/gIRfFp+eeP8HEjuuMxWmpKQ0fFaUmgBSp0HpbgXqlqfyxI1157ZI3Ax/RnTIXO9TsIH600bsjkpSGiI1kX+D4+fqbwOWDD0trdd/UmPz6mT6EHYcOtBPfj3EEYcxbwNDbknlyeipx1JVO/BQ2N7JB6pK7Aj1dXYdabD5akpeo++TmgerGwwEqNSjmCe6pKgCzYHB83yPh8K3V1baCrLxmP9GHkGny8EB+XwRrfu+pfmXZ6rr7kx9Yx/EPA13IHYZSlpDLP6U9/+vAuWZ7dTevi45a5g5DW2Bv4NT7+UyG1gcOyflXr1EaP13nysx2wFjacQnB/yx2EScHdVRU/W7AvPi6a4blrGKqrawsrH+ykGakE5L+qqzArDUA70F694YN1sXIM/wJwcu4gjLNSSD4XMC3T4E1p1u6FzXeSdlizNxzQx+vw8a202+6014P1JD8+rgDshg2XEtyDuYMw7kogDcyyoPk1CP2hkbc1+kxJ1xeH5Q5CWuvtVVv8efj4ZtrG9+obN6S9akp+0htAM230Tfhy7gDMC+5lQ7U/y2dK/K38/LXJYfg4R+4gpNX268078/FL+LgU7fER2u13w09QfJwn09F/HW4nuO/lDqIjzgT+ig3HZloy2NZR8221jKETbsl7ipiaJe7Fxy8WnwT5+Bbg/bTbPXWczuwzxgCottGpT1OC+wtwLjZsh49rN/rEfkG+atOaZ6W2UfJLQxH/AbgPH08pcpWK713pn2agweLuKQaHvQ1zbPcFuYPoGCsTn3N1A50CaOlus7bFRytdrVJW40Rqj/86PqbO6VL8G7Ap7XfncJMfH99W9f5bcBrBPZc7iE4J7mfAzdhwAD4u1OgTg/sTcEmjz5REQw+lDul05T3ADfh4Jz4eg48LZ4vGx1TL+39pv/sJ7olhn/xYOQJOBbgn5g6io6wU7qb9TwdneK6l07O2+AA+LpA7CDFtrWokyENVh9hOjQ1M9HEqPn7B0Htib03V8DoV+kVaeZc7Ds9lBPf72p/S7xTZphpSZ2ny56BHvlYc1evi6HezNSO4W/DxdkMnsG2wQLXv66TcgUgnXh/3q74iPqbNA5cB1xPc8BtGfNwJ+DzQbA1jvW5Nfxlmm+YRQ/5+tgudfVwF+DqQKufFpvRrnF48vpnh9CwVJZYuAhdWozEs1Hgp+ZEmuao2KH09h4/frsoGbuqdbkx2K4GPK1frcqYZfX/qdXAPJ1nxMe33OBwbfgnc2MCJTzC0/kPGflNsOvk5vxqlX3rX5anV1xEGukfWwsdtCa7e1w6R0TvFdq6+khfxMb2X/Rz4TTUF/o+9JAmerG4a5qsWjy9afVBL3WUbA2lIsVXPDPvaa09gCWw4juBeqfkZ6edLiU83pLv5VQnunsaemI6/fTwd+CfK9VKvPildL/t4DWBh39HRtX9wEhmf9N6+bvUlr/r2jBOxYRU8W2lvf7KhWTPpRVK6YbZM3UCpOLG5WqOJCzPV1Vm5LnoPPi6dOwgRGdV1M/7L4MlPfzmbhb7/5AyCe7qBnShb1voMKc3B+Ji2OjcnuLQr7XLK9aWZ/vsVRpazzmHo+l/EolRuwrBOfqyc+rzSUJtwjuF3kteCVTdQ01JrbKlrY16d5xRcugKbjp19X+rcFCnzdef+4SQ/Pi4G7I0NVxFcKgyrj4+LVi2K0j3H4mPTRb03AL+iHd2UqTvtBdpvSWD33EGIyBuksQAM6+RnmqG5LE18Sj6kqsqX7kkF7ts2+sR+4X5pQyMfHXFtTHB/Bi7FBk18FilP6oIdQvLTb9dOLaoWpBOfqxtYCKcXxW7LcUX8FeApyjF9jLUxVibIbl1tvhaRMnyX4O4b1smPB5bDhtRyW3dnzK7G5yfIrO2Gj83+HugX8J9JGV4cs7OrXwd0Jzaotk+kHG8Y+jpI8nOMoaFHTbw5WNl7JpM3JdM041Kuvi6plq+OxUrb+/74mArdRST/JPmLh5P8+LhO4/UL9TknbXit9Qk+pnqP7Wt9hrTFNHxstu6rP2Cx3mvdibe3j3VNV++4iWak6bkH5g5CRDiL4J4d1smPpSF9TXwqtnJKJoNLKyf2Nbmvbmw/JLjeQsExBfdUQ4NGm3Bkhg4/EXnVS6N96Jp48uNjWqZ2ADbcQHD11hj0j74/UOszpG1yFD5fBdxLO7oprVx9raETX5GsLiK43430DyZz8nMQMC82NHHqc1B1BC4yw/r4uEWjT+wX9Oeq/Xm49yI0XsGlZYzfwQad+orkkUZ9fGa0fzix5MfHKYauvFI2eFmtT+gfeevFT0o5/UmF/W+4+27AiTOWCXbw9GdXfLTSFSvSJhePdbMz0ZOfdwErYcPJ1Vj9OqVN1avU/Axpp93xcalGnxjc470C/2alqc0nT3Ia6yO0X5rvpX1fIs1K7+2fGutfmGjyY+UUIw1ZO7WB56i9XUYzNdOQ0OMz3Lmn6c0T0z8pesNsjhZ3+M2ZOwiRDplOcL8eTvLj42rVSYYFFxLcY7U+wceVgZ1rfYZYWILZ7JticHcANxbW3j6a6dW9fdstDuyZOwiRjngc+MSs/qWJnPxYqfVpqu03nZKpzVVmtQRzT8Pb3m8luB9N+kf3uzSuwAZLr58iJfvX8RxujC/58XGBqmvJgu8R3E9rfYKPGnAmJV+NpkL/P7TkQ4aVwuct8HH93EGIGPf98e4IHO/JT5rrkxIgC5r41Jt+vhZu4DnSfpvh41sbfWJwLzawRDStsbhkCN8nTaZ+zULCFtPpj0i9zRWHjXdP55RxtmtbKdx9cEgvyLOiFzmZiBx/vk4Hnq+5vT29GA2m/0Jm5fRnv2pIrIgM3ycI7hfj/ZfHc/KzfTWp1EoF+OAvyGPxcTvgLbU+Q6zZBx8Xa/SJwaU28gtq+u7PD7mb8syaE7WmpOGwug4XGb6bgf+eyA+YUugwtpLmjdDRcQDSnLmAQw21vV9QJVfDEdyjI21lbqmjtO9LZKhScfMBE53bN3by4+OKvQmlNnxtUvNGJsLH5dNfa32GWJWWYM7R6BOD+3GvI2v4vljD96y7RqkpaejpDrmDEDEiXYvvQ3C/n+gPnNXJz1GG2rWbaG8/sproKjJRaQXCbgZOf24muJ/VkKilLo7bsSG9rorI4P4vwV03mR84evLj4zyZjuLr8JPqxbM+Ps5t6OdLulP4nNZIPNSSDxlWTn/eXZ2qi8jknUlwn53sDx7r5Gc/wEpnQhOnPvsAb2rgOWLXtvjYbLF8f43EKUP6bmkoYaA+5wNP0H5TMq02EbHi2kF35o2V/Fhpb0/Fkhc18BwrP1+SV46C+dQI8MKQ2tvTDKF6BPcMcDY2HIKPqdBdRCbmB8Aeg3Zuj5z8+LgVsB42nEpwaZFpfXzcHNiw1mdIVxzQ+CyY4IYx/+qvDS0ibaJjswnplHjv3EGItExal7MDwT016DeaYrxd+6WGBqTp1EfaPgtm0Mnn5xDcX6hbcL8Cvo0NKnwWmdiJz84EN5Sr7zcmPz4uA+yODYHg6t1h5GOu5ZRi1zH4OJGlw4ML7nvATwuvq7NW+LwpPm6UOwiRFkgfeN5ezfwaipFeYFMhXrPzRtq9xysVXU1t4DnSHSv1PuG058/LDQR3J835RrWqxgKtwhEZ24XATgT3NEP02uTHxzl7i8FsuIPgbqz1CT6mpEddG2LlKvWCalpqyac+MxazDqtDrYTVJovkDkImzEryXbpP9DrP+12pQ/X6k59UgLc4NtQ1un9mewDp2ktk2HbEx1UbfWK/MWCiRcv3ApfTvLQ7bELj7AuV5oMdnDsImbAvAUN/Q5a/e6Lq6Pp3gnuFGkwxegT7OHBuA89RobPUKUfjwYnVyPjxOr7avN6s4P5U80yhplebNFvjJYPpD83dsBoSWsubc4f9ENiA4C6t8yGv/oHzcZNeAZ6dyY9pJkh9fNwA2KLWZ0jXHYSP8zf6xP6OnMvG+W+nP2NnkI+VwudcNV4yiFTnFtz7gNWrk0idBA0mneR+BtiS4O6jZlMMnvqkLPyEBp5jZdu9lGsB4AMZnjveGp6zhtV2Okk3AHdhg9re2yq4ewgu1cqmlSX/DTyZO6QW+hmwCcGlXV2NJJH95MfHxav1DBZcSXC/rfUJPi5q6OdLym97b3a5cHCprfSXhXRTjq5fC2Bl6OHO+JhOgKSt0rDQ4P4ZWLpacv2L3CG1wBPAR4CNCe4nTT54xsnPNCB1elnQxKnPtKpQUaRuawLbZ3jurBKbqwmuhFOXs6rp0m03W/WGKW2XSi6CO5ng1u3t64OLgfrWvrT3iusUYFWC+99BV1VMxpSqXdvKkevdvRflOvk4u9rbpWE5rljPmcXxfbPt7aMJ7vFq4akFB+PjPLmDkCEK7iaCS13UywPpVKjrp0EvVfv51iC4wwnukVyBpJOf91XHdBakxYp1V97vBqxQ8zNEZvZufEz1BM3pNwycPsaHjG9RDiuFz4tkvE5Xx1L9V2L/XZ0GpWaZLwIP0x3PVH9OU9JzIMH9JndAUwwV7qbpj2c28BwdTUuOP6dpplTTvjjKLJ3U3l7Om2W/ViDt/bEgV+PJQ5me2z3B3U5wHwbSKqmdqro1q0MT7wY+2vv/GtzRJSQ9M7+ophZ3C75AcE1U2a/cwDNEXi/HLJ3fV6PlZ/ZUVWdTGiunP2/FxxwjR25tcZdSmvnUPmlSeXCpdu7IKhHaDPgs8Gva7dHqz+OmBLc6wf1P5q7QUZOfVIzVZqlQ6gvApxt6Xs65JtJNv8qYcPzX6/73aQSXEqDSXATUv1W+Gc3XYPY/OP4D7ZO6Em+i7dJJanC3EdzHCS41Oby5N+erXx/zO8p3F/B5YJve1oP+KU/Rp7GzVZNFNwbmaWnic9cwN72Oi4/rAKndXaRuaebFj5qafTEiH/8F+MeqWHMvgpvM/q/6+fj5Ks62S7/Wy2YpBvXxncDHgLcAc1Gu56tN3x8huAewrl/zt101WPetwDoZF5C/XF1npaTzlt5/BvdHWqbZ+SEiInXxMV1J32PkdS2dAKQrEJE38jGNWlmrSlLXqqZMr1R9zT/EBPNe4H4g1ercUQ0j/AXBPUvLWXiREBHp8/Gq3lLY9ktXHStl2Zsm7ebjwsBSVRe3A9L/XqiaGD9SF9YL1aysdKL76N+/gjNdBK/kR0Ts8NED38AGT3Dj3bMmIhOgTcIiYskVQOpSs8DK8FmR4ij5ERE7gpsxNt+CHfFx1dxBiFik5EdErDmtqmOwQKc/IjVQ8iMitgT3Z+ASbDgQH+fNHYSINUp+RMSik7AhderslzsIEWuU/IiIPcHdDNyJDcfkDkDEGiU/ImKVlX1f6+Hj23IHIWKJkh8Rseoc4GlsUOGzyBAp+RERm/oLWM/Fhvfh4+K5gxCxQsmPiFhm5eprKjAtdxAiVmi9hYjY5mPaPL0l7Zc2Z7+Z4F7MHYhI2+nkR0Sss3L6syywa+4gRCxQ8iMi1qWBh49gw9G5AxCxQMmPiNgW3N+qlRcWvB0f18gdhEjbKfkRkS6YDryMDWp7FxmQCp5FpBt8vMxIzUxq4V+a4KzMMBJpnE5+RKQrrOz7WgDYP3cQIm2m5EdEuuJq4F5s0NWXyACU/IhINwSXan5OxoZ18HHr3EGItJWSHxHpkjOB57FBbe8ik6TkR0S6I7hHgYuwYXd8XCp3ECJtpORHRLrGSuHzHMBhuYMQaSO1uotI9/j4U2B92u8BYAXt+xKZGJ38iEgXnYANSwPvzR2ESNso+RGRLroAeAIbVPgsMkFKfkSke4J7BjgbG7bBx7VzByHSJkp+RKSrrBQ+Jxp6KDIBKngWke7y8QZgO9rv6WrfV9r7JSKzoJMfEemyE7FhfuCDuYMQaQslPyLSZd8AHsSGo/BRp/ki46DkR0S6qz8f5xRsWBPYNncQIm2g5EdEuu5U4CVsUNu7yDgo+RGRbgvuT+mv2PAefFwmdxAipVPyIyJip/B5duDw3EGIlE7Jj4gIpJb3u7DhMHycM3cQIiVT8iMiEtwrhoYeLgHskjsIkZIp+RER6Ztu6PTH5Q5ApGSaCSEiMoOPywKfB94NzFfjk9JJ05M1fd+bgP0I7tkavr8IFvx/xca/HYfxMZMAAAAASUVORK5CYII=";
@@ -0,0 +1,100 @@
+/**
+ * PDF Assets
+ *
+ * The cover and end page templates and the header logo, embedded as base64
+ * globals (assets-base64/*.b64.js) the same way as the fonts, so PDFs can be
+ * generated from a page opened from file://, where fetch() is blocked.
+ *
+ * preloadPdfAssetsUMD(names) loads the asset scripts that are not loaded yet
+ * (a script tag in the page, importScripts in the PDF worker) and resolves to
+ * { name: bytes }; getPdfAssetUMD(name) returns the bytes of a loaded asset.
+ * Both fail with a "Missing PDF asset" error naming the script that could not
+ * be loaded, marked userFacing so the PDF generator shows it.
+ *
+ * Assets: frontCover and endPage (PDF), logo (PNG). After replacing a file in
+ * pdf/, regenerate its script, e.g.
+ *   printf 'window.ASSET_LOGO_PNG_B64 = "%s";\n' "$(base64 -w0 pdf/logo.png)" > assets-base64/logo.b64.js
+ */
+(function (global) {
+  var PDF_ASSETS = {
+    frontCover: { label: 'front cover template', variable: 'ASSET_FRONT_COVER_PDF_B64', script: 'assets-base64/front-cover-page.b64.js' },
+    endPage: { label: 'end page template', variable: 'ASSET_END_PAGE_PDF_B64', script: 'assets-base64/end-last-page.b64.js' },
+    logo: { label: 'header logo', variable: 'ASSET_LOGO_PNG_B64', script: 'assets-base64/logo.b64.js' }
+  };
+  var decoded = {};
+  var loading = {};
+
+  function missingAsset(name) {
+    var asset = PDF_ASSETS[name];
+    var error = new Error(asset
+      ? 'Missing PDF asset: the ' + asset.label + ' (' + asset.script + ') could not be loaded. Check that it is deployed next to the page.'
+      : 'Missing PDF asset: there is no asset named "' + name + '".');
+    error.userFacing = true;
+    return error;
+  }
+
+  function decodeBase64(base64) {
+    var binary = global.atob(base64);
+    var bytes = new Uint8Array(binary.length);
+    for (var i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+  }
+
+  // Bytes of a loaded asset; throws the missing-asset error otherwise
+  function getPdfAsset(name) {
+    var asset = PDF_ASSETS[name];
+    if (!asset || !global[asset.variable]) throw missingAsset(name);
+    if (!decoded[name]) decoded[name] = decodeBase64(global[asset.variable]);
+    return decoded[name];
+  }
+
+  // Resolves once the script has run or failed; a failure surfaces as a missing asset
+  function loadScript(src) {
+    if (typeof global.importScripts === 'function') {
+      try {
+        global.importScripts(src);
+      } catch (error) {
+        // Reported by getPdfAsset
+      }
+      return Promise.resolve();
+    }
+    if (!global.document) return Promise.resolve();
+    return new Promise(function (resolve) {
+      var script = global.document.createElement('script');
+      script.src = src;
+      script.onload = resolve;
+      script.onerror = function () {
+        script.remove();
+        resolve();
+      };
+      global.document.head.appendChild(script);
+    });
+  }
+
+  // Resolves to { name: bytes } for the given assets (default: all of them)
+  function preloadPdfAssets(names) {
+    names = names || Object.keys(PDF_ASSETS);
+    return Promise.all(names.map(function (name) {
+      var asset = PDF_ASSETS[name];
+      if (!asset) return Promise.reject(missingAsset(name));
+      if (!loading[name]) {
+        loading[name] = global[asset.variable] ? Promise.resolve() : loadScript(asset.script);
+      }
+      return loading[name].then(function () {
+        try {
+          return getPdfAsset(name);
+        } catch (error) {
+          delete loading[name]; // Try again on the next call
+          throw error;
+        }
+      });
+    })).then(function (bytes) {
+      var assets = {};
+      names.forEach(function (name, i) { assets[name] = bytes[i]; });
+      return assets;
+    });
+  }
+
+  global.getPdfAssetUMD = getPdfAsset;
+  global.preloadPdfAssetsUMD = preloadPdfAssets;
+})(window);
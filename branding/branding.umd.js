@@ -0,0 +1,194 @@
+/**
+ * Branding
+ *
+ * White-label configuration of the application PDFs and the wizard, so each
+ * distribution partner (broker, MGA) gets its own theme. Themes are JSON files
+ * in branding/themes/; the wizard loads one with ?theme=<name> (see
+ * themes/axis.json for the format) and the CLI with --branding.
+ *
+ * Config (every entry optional; missing ones fall back to DEFAULT_BRANDING):
+ * - name: partner name, shown before headerText in the wizard title
+ * - headerText: title on the right of the PDF page headers
+ * - logo: PNG of the page headers; logoText is drawn when it cannot be
+ * - templates: { frontCover, endPage } - cover and end page PDFs
+ * - colors: { primary, highlight, dark } - '#RRGGBB' or [r, g, b]; primary for
+ *   headings, rules and table headers, highlight for the company name on the
+ *   cover, dark for the wizard gradients
+ * - fonts: { header, title, body, label, coverTitle, coverText, pageNumber } -
+ *   FONT_TOKENS keys; the interactive (fillable) PDF keeps its own fonts
+ * - filenamePrefix: start of the downloaded file names
+ *
+ * logo and the templates are bytes or data: URLs, or paths relative to the
+ * theme file, which loadBrandingUMD reads; null is the embedded Axis asset
+ * (assets/pdfAssets.umd.js).
+ *
+ * resolveBrandingUMD(config) validates a config and returns it complete, with
+ * colors as [r, g, b] and files as bytes; it accepts its own output, which can
+ * be posted to the PDF worker.
+ */
+(function (global) {
+  var DEFAULT_BRANDING = {
+    name: 'Axis',
+    headerText: 'Technology Insurance Application',
+    logo: null,
+    logoText: 'AXIS',
+    templates: { frontCover: null, endPage: null },
+    colors: {
+      primary: [0, 80, 240], // #0050F0
+      highlight: [0, 188, 255], // #00BCFF
+      dark: [0, 0, 54] // #000036
+    },
+    fonts: {
+      header: 'PoppinsBlack12',
+      title: 'PoppinsExtraBold16',
+      body: 'AptosSerifReg12',
+      label: 'AptosSerifBold12',
+      coverTitle: 'PoppinsBlack14',
+      coverText: 'AptosSerifReg14',
+      pageNumber: 'Vollkorn14'
+    },
+    filenamePrefix: 'Axis-Technology-Insurance'
+  };
+  var TEXT_KEYS = ['name', 'headerText', 'logoText', 'filenamePrefix'];
+
+  // Marked userFacing: the PDF generator shows its message instead of a generic error
+  function invalid(message) {
+    var error = new Error('Invalid branding: ' + message);
+    error.userFacing = true;
+    return error;
+  }
+
+  // Rejects misspelt settings, which would otherwise be ignored silently
+  function checkKeys(object, allowed, prefix) {
+    Object.keys(object).forEach(function (key) {
+      if (!Object.prototype.hasOwnProperty.call(allowed, key)) {
+        throw invalid('unknown setting "' + prefix + key + '".');
+      }
+    });
+  }
+
+  function parseColor(value, key) {
+    if (typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value)) {
+      return [1, 3, 5].map(function (i) { return parseInt(value.substr(i, 2), 16); });
+    }
+    if (Array.isArray(value) && value.length === 3 && value.every(function (c) { return c >= 0 && c <= 255; })) {
+      return value.slice();
+    }
+    throw invalid('colors.' + key + ' must be a #RRGGBB color or [r, g, b].');
+  }
+
+  function decodeBase64(base64) {
+    var binary = global.atob(base64);
+    var bytes = new Uint8Array(binary.length);
+    for (var i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+  }
+
+  // Bytes of a file setting; null keeps the embedded asset
+  function parseFile(value, key) {
+    if (value === null || value === undefined) return null;
+    if (ArrayBuffer.isView(value)) return new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+    if (Object.prototype.toString.call(value) === '[object ArrayBuffer]') return new Uint8Array(value);
+    var match = typeof value === 'string' && /^data:[^,]*;base64,(.*)$/.exec(value);
+    if (match) return decodeBase64(match[1]);
+    throw invalid(key + ' must be a base64 data: URL, or a path in a theme loaded with loadBrandingUMD.');
+  }
+
+  function resolveBranding(config) {
+    config = config || {};
+    checkKeys(config, DEFAULT_BRANDING, '');
+    var colors = config.colors || {};
+    var fonts = config.fonts || {};
+    var templates = config.templates || {};
+    checkKeys(colors, DEFAULT_BRANDING.colors, 'colors.');
+    checkKeys(fonts, DEFAULT_BRANDING.fonts, 'fonts.');
+    checkKeys(templates, DEFAULT_BRANDING.templates, 'templates.');
+
+    var branding = { colors: {}, fonts: {}, templates: {} };
+    TEXT_KEYS.forEach(function (key) {
+      var value = config[key] !== undefined ? config[key] : DEFAULT_BRANDING[key];
+      if (typeof value !== 'string' || !value.trim()) throw invalid(key + ' must be a non-empty string.');
+      branding[key] = value;
+    });
+    if (!/^[\w.-]+$/.test(branding.filenamePrefix)) {
+      throw invalid('filenamePrefix may only contain letters, digits, "-", "_" and ".".');
+    }
+    Object.keys(DEFAULT_BRANDING.colors).forEach(function (key) {
+      branding.colors[key] = parseColor(colors[key] !== undefined ? colors[key] : DEFAULT_BRANDING.colors[key], key);
+    });
+    Object.keys(DEFAULT_BRANDING.fonts).forEach(function (role) {
+      var token = fonts[role] || DEFAULT_BRANDING.fonts[role];
+      if (!global.FONT_TOKENS[token]) throw invalid('fonts.' + role + ' "' + token + '" is not a FONT_TOKENS key.');
+      branding.fonts[role] = token;
+    });
+    branding.logo = parseFile(config.logo, 'logo');
+    Object.keys(DEFAULT_BRANDING.templates).forEach(function (key) {
+      branding.templates[key] = parseFile(templates[key], 'templates.' + key);
+    });
+    return branding;
+  }
+
+  // Replaces the logo and template paths of a theme with the bytes readFile(path) resolves to
+  function readBrandingFiles(config, readFile) {
+    var result = {};
+    Object.keys(config).forEach(function (key) { result[key] = config[key]; });
+    result.templates = {};
+    Object.keys(config.templates || {}).forEach(function (key) { result.templates[key] = config.templates[key]; });
+
+    function isPath(value) {
+      return typeof value === 'string' && value.indexOf('data:') !== 0;
+    }
+    function read(path) {
+      return new Promise(function (resolve) { resolve(readFile(path)); });
+    }
+    var reads = [];
+    if (isPath(result.logo)) {
+      reads.push(read(result.logo).then(function (bytes) { result.logo = bytes; }));
+    }
+    Object.keys(result.templates).forEach(function (key) {
+      if (isPath(result.templates[key])) {
+        reads.push(read(result.templates[key]).then(function (bytes) { result.templates[key] = bytes; }));
+      }
+    });
+    return Promise.all(reads).then(function () { return result; });
+  }
+
+  function fetchOk(url, description) {
+    return global.fetch(url).then(function (response) {
+      if (!response.ok) throw new Error(description + ' could not be loaded (HTTP ' + response.status + ').');
+      return response;
+    });
+  }
+
+  // Resolves to the branding of a theme file; its file paths are relative to it
+  function loadBranding(url) {
+    var themeUrl = new URL(url, global.location.href);
+    return fetchOk(themeUrl.href, 'The branding theme ' + url).then(function (response) {
+      return response.json();
+    }).then(function (config) {
+      return readBrandingFiles(config, function (path) {
+        return fetchOk(new URL(path, themeUrl).href, 'The branding file ' + path).then(function (response) {
+          return response.arrayBuffer();
+        });
+      });
+    }).then(resolveBranding);
+  }
+
+  // CSS custom properties of the wizard for a resolved branding
+  function brandingCssVariables(branding) {
+    function hex(color) {
+      return '#' + color.map(function (c) { return (c < 16 ? '0' : '') + Math.round(c).toString(16); }).join('');
+    }
+    return {
+      '--primary-color': hex(branding.colors.primary),
+      '--highlight-color': hex(branding.colors.highlight),
+      '--dark-color': hex(branding.colors.dark)
+    };
+  }
+
+  global.DEFAULT_BRANDING = DEFAULT_BRANDING;
+  global.resolveBrandingUMD = resolveBranding;
+  global.readBrandingFilesUMD = readBrandingFiles;
+  global.loadBrandingUMD = loadBranding;
+  global.brandingCssVariablesUMD = brandingCssVariables;
+})(window);
@@ -0,0 +1,435 @@
+/**
+ * Fillable PDF Module
+ *
+ * Builds an interactive (AcroForm) version of the Axis Technology Insurance Application.
+ * Every question from the questionnaire schema becomes a real PDF form field, prefilled
+ * with the current wizard answers, so clients who cannot use the web wizard can complete
+ * the application offline and return it by email.
+ *
+ * Field names are "<section key>.<input name>" (checkbox groups add ".<option value>"),
+ * matching the keys returned by collectFormData().
+ *
+ * The form is in the language of the page (t, see i18n/i18n.umd.js).
+ *
+ * Dependencies:
+ * - pdf-lib (window.PDFLib)
+ * - fontkit (window.fontkit) for the custom fonts
+ * - Custom fonts (base64 encoded)
+ * - Branding of the page (pdfBranding): logo, header text, primary color and file name
+ * - Paper size of the page (pdfPageSize, see PDF_PAGE_SIZES in generate-pdf.js)
+ * - Embedded logo (preloadPdfAssetsUMD, see assets/pdfAssets.umd.js)
+ * - Questionnaire schema (QUESTIONNAIRE_SCHEMA)
+ */
+
+async function generateFillablePDF() {
+    try {
+        showNotification(t('📝 Generating interactive PDF form...'), 'info');
+        
+        // Collect all form data
+        const formData = collectFormData();
+        
+        const { PDFDocument, PageSizes, rgb } = PDFLib;
+        const pdfDoc = await PDFDocument.create();
+        pdfDoc.registerFontkit(window.fontkit);
+        
+        // Regular font is embedded in full so text typed into the fields renders with it
+        const regularFont = await pdfDoc.embedFont(window.FONT_APTOSSERIF_REG_B64, { subset: false });
+        const boldFont = await pdfDoc.embedFont(window.FONT_APTOSSERIF_BOLD_B64);
+        const headingFont = await pdfDoc.embedFont(window.FONT_POPPINS_EXTRABOLD_B64);
+        const headerFont = await pdfDoc.embedFont(window.FONT_POPPINS_BLACK_B64);
+        
+        const logo = pdfBranding.logo || (await window.preloadPdfAssetsUMD(['logo'])).logo;
+        const logoImage = await pdfDoc.embedPng(logo);
+        
+        const form = pdfDoc.getForm();
+        
+        // Layout in points, measured from the top of the page
+        const [pageWidth, pageHeight] = PageSizes[PDF_PAGE_SIZES[pdfPageSize]];
+        const margin = 56;
+        const contentTop = 142; // Below header area
+        const followUpIndent = 16;
+        const fieldHeight = 20;
+        const multilineFieldHeight = 54;
+        const boxSize = 11;
+        const [red, green, blue] = pdfBranding.colors.primary;
+        const brandBlue = rgb(red / 255, green / 255, blue / 255); // #0050F0 by default - Primary brand color
+        const mutedGrey = rgb(0.4, 0.4, 0.4);
+        const fieldBorder = rgb(0.6, 0.6, 0.6);
+        const fieldBackground = rgb(0.96, 0.97, 1);
+        
+        let page;
+        let y;
+        
+        // Helper function to add a page with the standard header
+        function addPage() {
+            page = pdfDoc.addPage([pageWidth, pageHeight]);
+            y = contentTop;
+            
+            // Axis logo image (left side)
+            page.drawImage(logoImage, { x: margin, y: pageHeight - 85, width: 85, height: 42.5 });
+            
+            // Technology Insurance Application (right side)
+            const headerText = t(pdfBranding.headerText);
+            page.drawText(headerText, {
+                x: pageWidth - margin - headerFont.widthOfTextAtSize(headerText, 12),
+                y: pageHeight - 71,
+                size: 12,
+                font: headerFont,
+                color: brandBlue
+            });
+            
+            // Blue border line at bottom of header
+            page.drawLine({
+                start: { x: margin, y: pageHeight - 99 },
+                end: { x: pageWidth - margin, y: pageHeight - 99 },
+                thickness: 1.4,
+                color: brandBlue
+            });
+        }
+        
+        // Helper function to add new page if needed
+        function checkPageBreak(height) {
+            if (y + height > pageHeight - margin) {
+                addPage();
+            }
+        }
+        
+        // Split text into lines that fit maxWidth
+        function wrapText(text, font, size, maxWidth) {
+            const lines = [];
+            String(text).split('\n').forEach(paragraph => {
+                let line = '';
+                paragraph.split(/\s+/).forEach(word => {
+                    const candidate = line ? `${line} ${word}` : word;
+                    if (line && font.widthOfTextAtSize(candidate, size) > maxWidth) {
+                        lines.push(line);
+                        line = word;
+                    } else {
+                        line = candidate;
+                    }
+                });
+                lines.push(line);
+            });
+            return lines;
+        }
+        
+        // Helper function to add text with word wrapping
+        function addWrappedText(text, x, { font = regularFont, size = 10, color = rgb(0, 0, 0), maxWidth } = {}) {
+            const lineHeight = size * 1.35;
+            wrapText(text, font, size, maxWidth || pageWidth - margin - x).forEach(line => {
+                checkPageBreak(lineHeight);
+                page.drawText(line, { x: x, y: pageHeight - y - size, size: size, font: font, color: color });
+                y += lineHeight;
+            });
+        }
+        
+        function addSectionTitle(text) {
+            checkPageBreak(60);
+            addWrappedText(text, margin, { font: headingFont, size: 16, color: brandBlue });
+            y += 10;
+        }
+        
+        // Common widget appearance for every field
+        function widgetOptions(x, height, width) {
+            return {
+                x: x,
+                y: pageHeight - y - height,
+                width: width,
+                height: height,
+                textColor: rgb(0, 0, 0),
+                backgroundColor: fieldBackground,
+                borderColor: fieldBorder,
+                borderWidth: 0.75,
+                font: regularFont
+            };
+        }
+        
+        function addTextField(name, value, x, { width, multiline = false } = {}) {
+            const height = multiline ? multilineFieldHeight : fieldHeight;
+            checkPageBreak(height + 6);
+            const field = form.createTextField(name);
+            if (multiline) {
+                field.enableMultiline();
+            }
+            field.setText(value ? String(value) : '');
+            field.addToPage(page, widgetOptions(x, height, width || pageWidth - margin - x));
+            field.setFontSize(10);
+            y += height + 6;
+        }
+        
+        function addCheckBox(name, checked, label, x) {
+            checkPageBreak(boxSize + 6);
+            const field = form.createCheckBox(name);
+            field.addToPage(page, widgetOptions(x, boxSize, boxSize));
+            if (checked) {
+                field.check();
+            }
+            const labelTop = y;
+            y -= 1; // Align the first label line with the box
+            addWrappedText(label, x + boxSize + 6);
+            y = Math.max(y, labelTop + boxSize) + 4;
+        }
+        
+        // One radio group, one option per line (yesNo options share a line)
+        function addRadioGroup(name, options, selectedValue, x) {
+            const group = form.createRadioGroup(name);
+            const inline = options.length === 2 && options.every(option => option.label.length < 8);
+            
+            if (inline) {
+                checkPageBreak(boxSize + 6);
+            }
+            options.forEach((option, index) => {
+                const optionX = inline ? x + index * 70 : x;
+                if (!inline) {
+                    checkPageBreak(boxSize + 6);
+                }
+                group.addOptionToPage(option.value, page, widgetOptions(optionX, boxSize, boxSize));
+                
+                const labelTop = y;
+                y -= 1;
+                addWrappedText(option.label, optionX + boxSize + 6);
+                y = inline ? labelTop : Math.max(y, labelTop + boxSize) + 4;
+            });
+            if (inline) {
+                y += boxSize + 6;
+            }
+            
+            if (options.some(option => option.value === selectedValue)) {
+                group.select(selectedValue);
+            }
+        }
+        
+        // Radio options of a yesNo, scale or choice item, as rendered in the wizard
+        function getChoiceOptions(item) {
+            if (item.type === 'yesNo') {
+                return [
+                    { value: 'yes', label: t('Yes') },
+                    { value: 'no', label: t('No') }
+                ];
+            }
+            if (item.type === 'scale') {
+                return item.levels.map((level, i) => ({ value: String(i + 1), label: t(level) }));
+            }
+            return item.options.map(option => ({ value: option.value, label: t(option.label || option.value.trim()) }));
+        }
+        
+        // Flags are single checkboxes; saved answers may be 'yes' or ['yes']
+        function isChecked(value) {
+            return Array.isArray(value) ? value.includes('yes') : value === 'yes';
+        }
+        
+        // PDF field names use '.' for hierarchy, so it cannot appear inside a name part
+        function fieldName(sectionKey, ...parts) {
+            return [sectionKey].concat(parts.map(part => String(part).replace(/\[\]$/, '').replace(/\./g, '_'))).join('.');
+        }
+        
+        const FIELD_TYPES = ['text', 'textarea', 'number', 'date', 'email', 'tel'];
+        
+        function addFollowUp(followUp, section, sectionData, x) {
+            const condition = followUp.when === 'yes' ? t('If “Yes”, please complete:') : t('If applicable, please complete:');
+            addWrappedText(condition, x + followUpIndent, { size: 9, color: mutedGrey });
+            y += 2;
+            followUp.items.forEach(item => addQuestionnaireItem(item, section, sectionData, x + followUpIndent));
+        }
+        
+        // Render one schema item (see questionnaire/schema.umd.js) as form fields
+        function addQuestionnaireItem(item, section, sectionData, x) {
+            const labelWidth = pageWidth - margin - x;
+            
+            if (item.type === 'note') {
+                addWrappedText(t(item.text), x, { font: boldFont });
+                y += 4;
+                return;
+            }
+            
+            if (item.label) {
+                // Units shown as input-group addons in the wizard go in the label
+                const unit = item.prefix || item.suffix;
+                checkPageBreak(40);
+                addWrappedText(unit ? `${t(item.label)} (${t(unit)})` : t(item.label), x, { font: boldFont, maxWidth: labelWidth });
+                y += 3;
+            }
+            if (item.help) {
+                addWrappedText(t(item.help), x, { size: 9, color: mutedGrey, maxWidth: labelWidth });
+                y += 3;
+            }
+            
+            if (FIELD_TYPES.includes(item.type)) {
+                addTextField(fieldName(section.key, item.name), sectionData[item.name], x, { multiline: item.type === 'textarea' });
+            } else if (item.type === 'yesNo' || item.type === 'scale' || item.type === 'choice') {
+                addRadioGroup(fieldName(section.key, item.name), getChoiceOptions(item), sectionData[item.name], x);
+                if (item.followUp) {
+                    addFollowUp(item.followUp, section, sectionData, x);
+                }
+            } else if (item.type === 'checkboxes') {
+                const selectedValues = sectionData[item.name] || [];
+                item.options.forEach(option => {
+                    addCheckBox(fieldName(section.key, item.name, option.value), selectedValues.includes(option.value), t(option.label), x);
+                    if (option.followUp) {
+                        addFollowUp(option.followUp, section, sectionData, x);
+                    }
+                });
+            } else if (item.type === 'flags') {
+                item.options.forEach(option => {
+                    addCheckBox(fieldName(section.key, option.name), isChecked(sectionData[option.name]), t(option.label), x);
+                });
+                if (item.followUp) {
+                    addFollowUp(item.followUp, section, sectionData, x);
+                }
+            } else if (item.type === 'group') {
+                item.items.forEach(field => {
+                    if (FIELD_TYPES.includes(field.type)) {
+                        const unit = field.prefix || field.suffix;
+                        const fieldLabel = t(field.label || field.placeholder);
+                        addWrappedText(unit ? `${fieldLabel} (${t(unit)})` : fieldLabel, x, { size: 9 });
+                        addTextField(fieldName(section.key, field.name), sectionData[field.name], x, { multiline: field.type === 'textarea' });
+                    } else {
+                        addQuestionnaireItem(field, section, sectionData, x);
+                    }
+                });
+            } else if (item.type === 'percentageTable') {
+                item.rows.forEach(row => {
+                    checkPageBreak(fieldHeight + 6);
+                    const rowTop = y;
+                    addWrappedText(`${t(row.label)} (%)`, x, { maxWidth: 220 });
+                    y = rowTop;
+                    addTextField(fieldName(section.key, row.name), sectionData[row.name], x + 230, { width: 80 });
+                });
+            } else if (item.type === 'riskTable') {
+                item.rows.forEach(row => {
+                    checkPageBreak(40);
+                    addWrappedText(t(row.label), x, { font: boldFont, size: 9 });
+                    addRadioGroup(fieldName(section.key, row.name), getChoiceOptions({ type: 'yesNo' }), sectionData[row.name], x);
+                    addWrappedText(t('Details (if Yes)'), x, { size: 9, color: mutedGrey });
+                    addTextField(fieldName(section.key, `${row.idPrefix}_details`), sectionData[`${row.idPrefix}_details`], x);
+                });
+            } else if (item.type === 'gridTable') {
+                const rowHeaderWidth = item.rowHeader ? 90 : 0;
+                const columnWidth = (pageWidth - margin - x - rowHeaderWidth) / item.columns.length;
+                
+                checkPageBreak(30 + fieldHeight);
+                const headerTop = y;
+                item.columns.forEach((column, index) => {
+                    y = headerTop;
+                    addWrappedText(t(column.header), x + rowHeaderWidth + index * columnWidth, { font: boldFont, size: 9, maxWidth: columnWidth - 4 });
+                });
+                y = headerTop + 24;
+                
+                item.rows.forEach(row => {
+                    checkPageBreak(fieldHeight + 6);
+                    const rowTop = y;
+                    let rowBottom = rowTop + fieldHeight + 6;
+                    if (item.rowHeader) {
+                        addWrappedText(t(row.label), x, { size: 9, maxWidth: rowHeaderWidth - 6 });
+                        rowBottom = Math.max(rowBottom, y + 4);
+                    }
+                    item.columns.forEach((column, index) => {
+                        y = rowTop;
+                        const name = `${row.prefix}_${column.suffix}`;
+                        addTextField(fieldName(section.key, name), sectionData[name], x + rowHeaderWidth + index * columnWidth, { width: columnWidth - 4 });
+                    });
+                    y = rowBottom;
+                });
+            }
+            
+            y += 8;
+        }
+        
+        addPage();
+        
+        // Title and instructions
+        addWrappedText(t('Interactive Application Form'), margin, { font: headingFont, size: 18, color: brandBlue });
+        y += 6;
+        addWrappedText(t('Complete the fields below in any PDF reader that supports forms (e.g. Adobe Acrobat Reader), save the file and email it back to your broker. Answers you already entered in the online application are prefilled.'), margin);
+        y += 16;
+        
+        // Question sections come from the same schema as the wizard; sector sections are included
+        // for the selected sectors, or all of them when no sector has been chosen yet
+        window.QUESTIONNAIRE_SCHEMA.sections.forEach(section => {
+            if (section.sector && formData.sectors.length && !formData.sectors.includes(section.sector)) {
+                return;
+            }
+            const sectionData = section.key === 'sectors' ? { 'sectors[]': formData.sectors } : (formData[section.key] || {});
+            
+            addSectionTitle(t(section.pdfTitle || section.title));
+            if (section.intro) {
+                addWrappedText(`${t(section.intro.heading)} ${t(section.intro.text)}`, margin, { size: 9, color: mutedGrey });
+                y += 8;
+            }
+            section.items.forEach(item => addQuestionnaireItem(item, section, sectionData, margin));
+            y += 10;
+        });
+        
+        // Signature and declaration
+        const signature = formData.signature || {};
+        addPage();
+        addSectionTitle(t('Signature & Declaration'));
+        addCheckBox(
+            fieldName('signature', 'certify_information'),
+            signature.certified,
+            signature.certificationStatement || t('I certify that all information provided in this application is true, accurate, and complete to the best of my knowledge.'),
+            margin
+        );
+        y += 8;
+        addWrappedText(t('By signing this application, the applicant acknowledges that any false or misleading information may result in denial of coverage or cancellation of the policy.'), margin, { size: 9, color: mutedGrey });
+        y += 12;
+        addWrappedText(t('Name of Signer'), margin, { font: boldFont });
+        addTextField(fieldName('signature', 'signer_name'), signature.signerName, margin);
+        addWrappedText(t('Title / Position'), margin, { font: boldFont });
+        addTextField(fieldName('signature', 'signer_title'), signature.signerTitle, margin);
+        addWrappedText(t('Date'), margin, { font: boldFont });
+        addTextField(fieldName('signature', 'signed_date'), signature.signedAt ? new Date(signature.signedAt).toLocaleDateString(window.getLocaleUMD()) : '', margin, { width: 160 });
+        y += 30;
+        checkPageBreak(40);
+        page.drawLine({
+            start: { x: margin, y: pageHeight - y },
+            end: { x: margin + 250, y: pageHeight - y },
+            thickness: 0.75,
+            color: rgb(0, 0, 0)
+        });
+        y += 4;
+        addWrappedText(t('Signature'), margin, { size: 9, color: mutedGrey });
+        
+        // Page footers
+        const pages = pdfDoc.getPages();
+        pages.forEach((footerPage, index) => {
+            const footerText = t('Page {page} of {total}', { page: index + 1, total: pages.length });
+            footerPage.drawText(footerText, {
+                x: pageWidth - margin - regularFont.widthOfTextAtSize(footerText, 10),
+                y: 28,
+                size: 10,
+                font: regularFont
+            });
+        });
+        
+        // Default appearance for every field so viewers render typed text with the embedded font
+        form.updateFieldAppearances(regularFont);
+        
+        const pdfBytes = await pdfDoc.save();
+        
+        // Generate filename with timestamp
+        const timestamp = new Date().toISOString().slice(0,19).replace(/:/g,'-');
+        const filename = `${pdfBranding.filenamePrefix}-Application-Form-${timestamp}.pdf`;
+        
+        // Download the fillable PDF
+        const blob = new Blob([pdfBytes], { type: 'application/pdf' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+        
+        showNotification(t('✅ Interactive PDF form downloaded successfully!'), 'success');
+        
+    } catch (error) {
+        console.error('Error generating fillable PDF:', error);
+        if (error.userFacing) {
+            showNotification(`❌ ${t(error.message)}`, 'error');
+        } else {
+            showNotification(t('❌ Error generating interactive PDF. Please try again.'), 'error');
+        }
+    }
+}
@@ -0,0 +1,316 @@
+#!/usr/bin/env node
+/**
+ * PDF Generation CLI
+ *
+ * Builds the Axis Technology Insurance Application PDF from saved answers without a browser,
+ * using the same createApplicationPdf() renderer as the wizard (generate-pdf.js).
+ *
+ * Usage:
+ *   node generate-pdf-cli.js answers.json -o out.pdf
+ *   node generate-pdf-cli.js renewals/ -o renewals-pdf/
+ *   node generate-pdf-cli.js renewals/ --prior last-year/ -o renewals-pdf/
+ *   node generate-pdf-cli.js draft.json --compare final.json -o comparison.pdf
+ *   node generate-pdf-cli.js answers.json --sign applicant.p12 --sign-password secret -o signed.pdf
+ *   node generate-pdf-cli.js answers.json --branding branding/themes/partner.json -o out.pdf
+ *   node generate-pdf-cli.js answers.json --locale fr-CA -o out-fr.pdf
+ *   node generate-pdf-cli.js answers.json --page-size letter -o out-letter.pdf
+ *   node generate-pdf-cli.js answers.json --submission-reference SUB-20261019-3F9A2C -o final.pdf
+ *
+ * The input is a JSON file holding collectFormData() output (or the answers saved by the wizard, see
+ * readAnswersJsonUMD), or a directory of them; a directory produces one PDF per JSON file. Without -o each PDF is written next to its JSON file.
+ *
+ * --prior adds the "Changes Since Prior Application" page of a renewal. It takes the prior year's
+ * answers file, or a directory where each input's prior answers have the same file name; inputs
+ * without one are generated as new applications.
+ *
+ * --compare builds a side-by-side comparison PDF of two answer files instead of an application PDF
+ * (default output: <input>-comparison.pdf).
+ *
+ * --sign digitally signs each PDF with the certificate of a PKCS#12 (.p12 / .pfx) file, as the
+ * "Signed PDF" download of the wizard does; --sign-password is the password of that file.
+ *
+ * --branding applies a white-label theme file (see branding/branding.umd.js) to the application and
+ * comparison PDFs; its logo and template paths are relative to the theme file.
+ *
+ * --locale sets the language of the PDFs: en-CA (default) or fr-CA (see i18n/i18n.umd.js).
+ *
+ * --page-size sets the paper size of the PDFs: a4 (default), letter or legal.
+ *
+ * Application PDFs are drafts, watermarked "DRAFT – NOT SUBMITTED", unless --submission-reference gives
+ * the reference of the submitted application; it takes a single answers file.
+ *
+ * Each generated application PDF is listed with its answers reference (see security/answersStamp.umd.js),
+ * which only depends on the answers: the same file gives the same reference with every --locale.
+ *
+ * Fonts are read from fonts/ and the cover/end templates and logo from pdf/ on disk.
+ *
+ * Dependencies (same versions as the CDN scripts in the HTML page):
+ *   npm install jspdf@2.5.1 jspdf-autotable@3.5.31 pdf-lib@1.17.1 qrcode-generator@1.4.4
+ *   npm install node-forge@1.3.1   (only needed for --sign)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const APP_DIR = __dirname;
+
+// Font globals expected by typography/registerFonts.umd.js, loaded from the TTFs in fonts/
+const FONT_FILES = {
+    FONT_POPPINS_BLACK_B64: 'Poppins-Black.ttf',
+    FONT_POPPINS_EXTRABOLD_B64: 'Poppins-ExtraBold.ttf',
+    FONT_VOLLKORN_REGULAR_B64: 'Vollkorn-Regular.ttf',
+    FONT_APTOSSERIF_REG_B64: 'Aptos-Serif.ttf',
+    FONT_APTOSSERIF_BOLD_B64: 'Aptos-Serif-Bold.ttf'
+};
+
+// Asset globals expected by assets/pdfAssets.umd.js, loaded from pdf/
+const ASSET_FILES = {
+    ASSET_FRONT_COVER_PDF_B64: 'front cover page.pdf',
+    ASSET_END_PAGE_PDF_B64: 'end last page.pdf',
+    ASSET_LOGO_PNG_B64: 'logo.png'
+};
+
+// Browser modules shared with the wizard; they attach themselves to `window`
+const BROWSER_SCRIPTS = [
+    'typography/registerFonts.umd.js',
+    'typography/tokens.umd.js',
+    'typography/useFont.umd.js',
+    'assets/pdfAssets.umd.js',
+    'branding/branding.umd.js',
+    'i18n/i18n.umd.js',
+    'i18n/en-CA.umd.js',
+    'i18n/fr-CA.umd.js',
+    'questionnaire/schema.umd.js',
+    'questionnaire/answerAttachment.umd.js',
+    'questionnaire/riskScore.umd.js',
+    'questionnaire/redFlags.umd.js',
+    'questionnaire/completeness.umd.js',
+    'questionnaire/renewal.umd.js',
+    'security/answersStamp.umd.js',
+    'security/pdfSignature.umd.js'
+];
+
+function printUsage() {
+    console.log('Usage: node generate-pdf-cli.js <answers.json | directory> [--prior <prior.json | directory>]');
+    console.log('           [--sign <certificate.p12> [--sign-password <password>]] [--branding <theme.json>]');
+    console.log('           [--locale <en-CA | fr-CA>] [--page-size <a4 | letter | legal>] [--submission-reference <reference>]');
+    console.log('           [-o <output.pdf | directory>]');
+    console.log('       node generate-pdf-cli.js <answers.json> --compare <other.json> [--branding <theme.json>]');
+    console.log('           [--locale <en-CA | fr-CA>] [--page-size <a4 | letter | legal>] [-o <output.pdf>]');
+}
+
+function parseArgs(argv) {
+    const args = { input: null, output: null, prior: null, compare: null, sign: null, 'sign-password': null, branding: null, locale: null, 'page-size': null, 'submission-reference': null, help: false };
+    
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-h' || arg === '--help') {
+            args.help = true;
+        } else if (arg === '-o' || arg === '--output') {
+            args.output = argv[++i];
+            if (!args.output) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+        } else if (['--prior', '--compare', '--sign', '--sign-password', '--branding', '--locale', '--page-size', '--submission-reference'].includes(arg)) {
+            const value = argv[++i];
+            if (!value) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+            args[arg.slice(2)] = value;
+        } else if (arg.startsWith('-')) {
+            throw new Error(`Unknown option: ${arg}`);
+        } else if (!args.input) {
+            args.input = arg;
+        } else {
+            throw new Error(`Unexpected argument: ${arg}`);
+        }
+    }
+    
+    return args;
+}
+
+// Sets up the globals generate-pdf.js relies on in the browser and returns its API
+function loadGenerator() {
+    global.window = global;
+    
+    // Wingdings 2 has no unicode cmap so it is not registered (as in the browser); jsPDF warns on
+    // every switch to the Wingdings2BoxedCheck token, which would bury the per-file results
+    const warn = console.warn;
+    console.warn = (...args) => {
+        if (!String(args[0]).startsWith('Unable to look up font label')) {
+            warn(...args);
+        }
+    };
+    
+    Object.keys(FONT_FILES).forEach(name => {
+        global[name] = fs.readFileSync(path.join(APP_DIR, 'fonts', FONT_FILES[name])).toString('base64');
+    });
+    Object.keys(ASSET_FILES).forEach(name => {
+        global[name] = fs.readFileSync(path.join(APP_DIR, 'pdf', ASSET_FILES[name])).toString('base64');
+    });
+    
+    global.jspdf = require('jspdf');
+    require('jspdf-autotable'); // registers doc.autoTable on jsPDF
+    global.PDFLib = require('pdf-lib');
+    global.qrcode = require('qrcode-generator');
+    
+    BROWSER_SCRIPTS.forEach(file => {
+        const fullPath = path.join(APP_DIR, file);
+        vm.runInThisContext(fs.readFileSync(fullPath, 'utf8'), { filename: fullPath });
+    });
+    
+    return require('./generate-pdf.js');
+}
+
+// Lists the [input, output] pairs to generate
+function resolveJobs(input, output) {
+    if (!fs.existsSync(input)) {
+        throw new Error(`Input not found: ${input}`);
+    }
+    
+    if (!fs.statSync(input).isDirectory()) {
+        return [[input, output || input.replace(/\.json$/i, '') + '.pdf']];
+    }
+    
+    const files = fs.readdirSync(input).filter(file => /\.json$/i.test(file)).sort();
+    if (files.length === 0) {
+        throw new Error(`No JSON files found in ${input}`);
+    }
+    
+    const outputDir = output || input;
+    fs.mkdirSync(outputDir, { recursive: true });
+    return files.map(file => [
+        path.join(input, file),
+        path.join(outputDir, file.replace(/\.json$/i, '') + '.pdf')
+    ]);
+}
+
+// Branding of a --branding theme file, or null for the default one
+async function loadBranding(themeFile) {
+    if (!themeFile) {
+        return null;
+    }
+    if (!fs.existsSync(themeFile)) {
+        throw new Error(`Branding theme not found: ${themeFile}`);
+    }
+    const config = JSON.parse(fs.readFileSync(themeFile, 'utf8'));
+    const themeDir = path.dirname(themeFile);
+    const withFiles = await window.readBrandingFilesUMD(config, file => {
+        const filePath = path.join(themeDir, file);
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`Branding file not found: ${filePath}`);
+        }
+        return fs.readFileSync(filePath);
+    });
+    return window.resolveBrandingUMD(withFiles);
+}
+
+// Language of the PDFs for --locale; setLocaleUMD rejects the unsupported ones
+function applyLocale(locale) {
+    if (locale) {
+        window.setLocaleUMD(locale);
+    }
+}
+
+// Comparison PDF of two answer files
+async function compareApplications(input, other, output, themeFile, locale, pageSize) {
+    [input, other].forEach(file => {
+        if (!fs.existsSync(file) || fs.statSync(file).isDirectory()) {
+            throw new Error(`Answers file not found: ${file}`);
+        }
+    });
+    
+    const { createComparisonPdf } = loadGenerator();
+    applyLocale(locale);
+    const outputFile = output || input.replace(/\.json$/i, '') + '-comparison.pdf';
+    const pdfBytes = await createComparisonPdf(
+        window.readAnswersJsonUMD(fs.readFileSync(input, 'utf8')),
+        window.readAnswersJsonUMD(fs.readFileSync(other, 'utf8')),
+        {
+            jsPDF: global.jspdf.jsPDF,
+            branding: await loadBranding(themeFile),
+            pageSize: pageSize || undefined,
+            labels: [path.basename(input), path.basename(other)]
+        }
+    );
+    fs.writeFileSync(outputFile, pdfBytes);
+    console.log(`✅ ${input} vs ${other} -> ${outputFile}`);
+    return 0;
+}
+
+// Prior year's answers for an input file, or null when it is not a renewal
+function loadPriorAnswers(prior, inputFile) {
+    const priorFile = fs.statSync(prior).isDirectory() ? path.join(prior, path.basename(inputFile)) : prior;
+    if (!fs.existsSync(priorFile)) {
+        return null;
+    }
+    return window.readAnswersJsonUMD(fs.readFileSync(priorFile, 'utf8'));
+}
+
+// Signer for --sign; node-forge is only required when signing
+function loadSigner(certificateFile, password) {
+    if (!fs.existsSync(certificateFile)) {
+        throw new Error(`Certificate file not found: ${certificateFile}`);
+    }
+    global.forge = require('node-forge');
+    return window.readPkcs12UMD(fs.readFileSync(certificateFile), password);
+}
+
+async function main(argv) {
+    const args = parseArgs(argv);
+    if (args.help || !args.input) {
+        printUsage();
+        return args.help ? 0 : 1;
+    }
+    if (args.compare) {
+        return compareApplications(args.input, args.compare, args.output, args.branding, args.locale, args['page-size']);
+    }
+    
+    const jobs = resolveJobs(args.input, args.output);
+    if (args.prior && !fs.existsSync(args.prior)) {
+        throw new Error(`Prior application not found: ${args.prior}`);
+    }
+    if (args['submission-reference'] && jobs.length > 1) {
+        throw new Error('--submission-reference takes a single answers file');
+    }
+    const { createApplicationPdf } = loadGenerator();
+    applyLocale(args.locale);
+    const pdfOptions = {
+        jsPDF: global.jspdf.jsPDF,
+        PDFLib: global.PDFLib,
+        branding: await loadBranding(args.branding),
+        pageSize: args['page-size'] || undefined,
+        submission: args['submission-reference'] ? { reference: args['submission-reference'], submittedAt: new Date().toISOString() } : null,
+        digitalSignature: args.sign ? loadSigner(args.sign, args['sign-password']) : null
+    };
+    
+    let failures = 0;
+    for (const [inputFile, outputFile] of jobs) {
+        try {
+            const formData = window.readAnswersJsonUMD(fs.readFileSync(inputFile, 'utf8'));
+            const priorAnswers = args.prior ? loadPriorAnswers(args.prior, inputFile) : null;
+            const pdfBytes = await createApplicationPdf(formData, Object.assign({ priorAnswers }, pdfOptions));
+            fs.writeFileSync(outputFile, pdfBytes);
+            const stamp = await window.createAnswersStampUMD(formData);
+            const notes = [`Ref ${stamp.reference}`, !pdfOptions.submission && 'draft', priorAnswers && 'renewal', pdfOptions.digitalSignature && `signed by ${pdfOptions.digitalSignature.name}`].filter(Boolean);
+            console.log(`✅ ${inputFile} -> ${outputFile}${notes.length ? ` (${notes.join(', ')})` : ''}`);
+        } catch (error) {
+            failures++;
+            console.error(`❌ ${inputFile}: ${error.message}`);
+        }
+    }
+    
+    if (jobs.length > 1) {
+        console.log(`${jobs.length - failures} of ${jobs.length} PDFs generated`);
+    }
+    return failures > 0 ? 1 : 0;
+}
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+}).catch(error => {
+    console.error(`❌ ${error.message}`);
+    printUsage();
+    process.exitCode = 1;
+});
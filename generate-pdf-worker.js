@@ -0,0 +1,62 @@
+/**
+ * PDF Generation Worker
+ *
+ * Runs createApplicationPdf() (generate-pdf.js) off the main thread so the wizard stays responsive
+ * while the PDF is rendered and merged. startPdfGeneration() in generate-pdf.js drives it.
+ *
+ * Messages:
+ * - received: { formData, options } - createApplicationPdf options that can be posted (no callbacks
+ *   or library overrides; the digitalSignature signer is plain data)
+ * - posted: { type: 'progress', progress } for each step, then { type: 'done', pdfBytes } or
+ *   { type: 'error', message, userFacing } (userFacing errors are shown to the user as they are)
+ *
+ * Cancelling terminates the worker. The embedded templates and logo (assets-base64/) are imported
+ * on demand relative to this script, which sits next to the HTML page.
+ */
+
+// The shared modules and generate-pdf.js attach themselves to `window`
+self.window = self;
+
+// Same libraries and modules as the HTML page, minus the wizard
+importScripts(
+    'https://cdnjs.cloudflare.com/ajax/libs/jspdf/2.5.1/jspdf.umd.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/jspdf-autotable/3.5.31/jspdf.plugin.autotable.min.js',
+    'https://unpkg.com/pdf-lib@1.17.1/dist/pdf-lib.min.js',
+    'https://cdn.jsdelivr.net/npm/node-forge@1.3.1/dist/forge.min.js',
+    'https://cdn.jsdelivr.net/npm/qrcode-generator@1.4.4/qrcode.js',
+    './fonts-base64/Poppins-Black.b64.js',
+    './fonts-base64/Poppins-ExtraBold.b64.js',
+    './fonts-base64/Vollkorn-Regular.b64.js',
+    './fonts-base64/Aptos-Serif.b64.js',
+    './fonts-base64/Aptos-Serif-Bold.b64.js',
+    './typography/registerFonts.umd.js',
+    './typography/tokens.umd.js',
+    './typography/useFont.umd.js',
+    './assets/pdfAssets.umd.js',
+    './branding/branding.umd.js',
+    './i18n/i18n.umd.js',
+    './i18n/en-CA.umd.js',
+    './i18n/fr-CA.umd.js',
+    './questionnaire/schema.umd.js',
+    './questionnaire/answerAttachment.umd.js',
+    './questionnaire/riskScore.umd.js',
+    './questionnaire/redFlags.umd.js',
+    './questionnaire/completeness.umd.js',
+    './questionnaire/renewal.umd.js',
+    './security/pdfEncryption.umd.js',
+    './security/pdfSignature.umd.js',
+    './security/answersStamp.umd.js',
+    './generate-pdf.js'
+);
+
+self.onmessage = async (event) => {
+    const { formData, options } = event.data;
+    try {
+        const pdfBytes = await createApplicationPdf(formData, Object.assign({}, options, {
+            onProgress: progress => self.postMessage({ type: 'progress', progress })
+        }));
+        self.postMessage({ type: 'done', pdfBytes }, [pdfBytes.buffer]);
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message, userFacing: error.userFacing === true });
+    }
+};
@@ -0,0 +1,13 @@
+/**
+ * en-CA message catalog
+ *
+ * English is the source language: messages are keyed by the English text of
+ * the code and the questionnaire schema, so this catalog only lists the
+ * messages whose Canadian spelling differs from the source.
+ */
+(function (global) {
+  global.registerCatalogUMD('en-CA', {
+    'Government/Defense': 'Government/Defence',
+    'The answers attached to this PDF are not in a recognised format.': 'The answers attached to this PDF are not in a recognized format.'
+  });
+})(window);
@@ -0,0 +1,1030 @@
+/**
+ * fr-CA message catalog
+ *
+ * Canadian French for the wizard, the notifications and the PDFs, keyed by the
+ * English source text (see i18n/i18n.umd.js). Messages that read the same in
+ * French (e.g. GPS, SHA-256) are left out and fall back to the source.
+ */
+(function (global) {
+  global.registerCatalogUMD('fr-CA', {
+    // Questionnaire: sectors
+    '1. Sectors': '1. Secteurs',
+    'Instructions:': 'Instructions :',
+    'Please select all sectors that apply to your business. You may select multiple options.': 'Veuillez sélectionner tous les secteurs qui s’appliquent à votre entreprise. Vous pouvez sélectionner plusieurs options.',
+    'Does your business provide products or services within any of the following sectors?': 'Votre entreprise offre-t-elle des produits ou des services dans l’un des secteurs suivants?',
+    '(tick all that apply)': '(cochez toutes les réponses applicables)',
+    'Please select at least one sector that applies to your business.': 'Veuillez sélectionner au moins un secteur qui s’applique à votre entreprise.',
+    'Artificial Intelligence': 'Intelligence artificielle',
+    'Decentralized Finance & Digital Assets': 'Finance décentralisée et actifs numériques',
+    'Autonomous Robotics': 'Robotique autonome',
+
+    // Questionnaire: generalInfo
+    '2. General Information': '2. Renseignements généraux',
+    '1. Legal Name of Organization': '1. Dénomination sociale de l’organisation',
+    'Please provide the legal name of your organization.': 'Veuillez indiquer la dénomination sociale de votre organisation.',
+    'Location of Incorporation': 'Lieu de constitution',
+    'Please provide the location of incorporation.': 'Veuillez indiquer le lieu de constitution.',
+    '2. Mailing Address': '2. Adresse postale',
+    'Please provide your complete mailing address.': 'Veuillez indiquer votre adresse postale complète.',
+    '3. List all subsidiaries & Location of Incorporation': '3. Énumérez toutes les filiales et leur lieu de constitution',
+    'List each subsidiary with full legal name and its location of incorporation': 'Indiquez la dénomination sociale complète de chaque filiale et son lieu de constitution',
+    'Please provide the complete legal name of each subsidiary and its jurisdiction of incorporation.': 'Veuillez indiquer la dénomination sociale complète de chaque filiale et son territoire de constitution.',
+    '4. List all Physical Locations': '4. Énumérez tous les emplacements physiques',
+    'List all physical office/facility locations': 'Énumérez tous les emplacements physiques de bureaux et d’installations',
+    'Please list all physical locations.': 'Veuillez énumérer tous les emplacements physiques.',
+    '5. List all URL\'s': '5. Énumérez toutes les adresses URL',
+    'List all company websites and web applications': 'Énumérez tous les sites Web et applications Web de l’entreprise',
+    'Please list all company URLs.': 'Veuillez énumérer toutes les adresses URL de l’entreprise.',
+    '6. Year Company Established': '6. Année de fondation de l’entreprise',
+    'Please provide a valid year.': 'Veuillez indiquer une année valide.',
+    '7. Number of Employees': '7. Nombre d’employés',
+    'Please provide the number of employees.': 'Veuillez indiquer le nombre d’employés.',
+    '8. Are any Employees based outside of Canada?': '8. Des employés sont-ils établis à l’extérieur du Canada?',
+    'If yes, list the country and the number of employees in each:': 'Si oui, indiquez chaque pays et le nombre d’employés qui y sont établis :',
+    'Country: Number of employees': 'Pays : nombre d’employés',
+    '9. Breach Response Contact': '9. Personne-ressource en cas d’atteinte',
+    'Name': 'Nom',
+    'Title': 'Titre',
+    'Email': 'Courriel',
+    'Phone': 'Téléphone',
+    '10. Any recent or planned mergers, acquisitions, or divestitures?': '10. Y a-t-il des fusions, acquisitions ou cessions récentes ou prévues?',
+    'Please provide details:': 'Veuillez donner des précisions :',
+    'Please describe the mergers, acquisitions, or divestitures including timeline, entities involved, and current status...': 'Veuillez décrire les fusions, acquisitions ou cessions, y compris l’échéancier, les entités concernées et l’état actuel...',
+    '11. Is your organization regulated by any governing body or required to comply with specific legislation, standards, or licensing requirements?': '11. Votre organisation est-elle réglementée par un organisme de réglementation ou tenue de se conformer à des lois, des normes ou des exigences de permis particulières?',
+    'If yes, please specify the authority and relevant legislation:': 'Si oui, veuillez préciser l’autorité et les lois applicables :',
+    'Please specify the governing body/authority and relevant legislation, standards, or licensing requirements...': 'Veuillez préciser l’organisme de réglementation ou l’autorité et les lois, normes ou exigences de permis applicables...',
+    '12. Does your organization hold any recognized certifications (e.g., ISO 27001, SOC 2, PCI DSS, or equivalent)?': '12. Votre organisation détient-elle des certifications reconnues (p. ex. ISO 27001, SOC 2, PCI DSS ou l’équivalent)?',
+    'If yes, please specify:': 'Si oui, veuillez préciser :',
+    'Please specify the certifications held (e.g., ISO 27001, SOC 2, PCI DSS, etc.)...': 'Veuillez préciser les certifications détenues (p. ex. ISO 27001, SOC 2, PCI DSS, etc.)...',
+    '13. Does your organization undergo any independent audits, assessments, or third-party evaluations of its internal controls or risk management practices?': '13. Votre organisation fait-elle l’objet d’audits, d’évaluations indépendantes ou d’évaluations par des tiers de ses contrôles internes ou de ses pratiques de gestion des risques?',
+    'If yes, please specify the scope, frequency, and auditing party:': 'Si oui, veuillez préciser la portée, la fréquence et l’auditeur :',
+    'Please specify the scope, frequency, and auditing party for independent audits or assessments...': 'Veuillez préciser la portée, la fréquence et l’auditeur des audits ou évaluations indépendants...',
+
+    // Questionnaire: operations
+    '3. Operations': '3. Activités',
+    '1. Briefly describe the services and/or technology products your company provides': '1. Décrivez brièvement les services et/ou les produits technologiques qu’offre votre entreprise',
+    'Please describe your services and products.': 'Veuillez décrire vos services et vos produits.',
+    '2. Percentage of revenue derived from each activity': '2. Pourcentage des revenus tirés de chaque activité',
+    'Activity': 'Activité',
+    'Percentage (%)': 'Pourcentage (%)',
+    'The total percentage must equal 100%.': 'Le pourcentage total doit être égal à 100 %.',
+    'Custom Software Development': 'Développement de logiciels sur mesure',
+    'Software as a Service': 'Logiciel-service (SaaS)',
+    'Consulting Services': 'Services-conseils',
+    'Hardware': 'Matériel informatique',
+    'Other': 'Autre',
+    '3. Do you operate in any of the following areas?': '3. Exercez-vous des activités dans l’un des domaines suivants?',
+    'Area': 'Domaine',
+    'Yes/No': 'Oui/Non',
+    'Details (if Yes)': 'Précisions (si oui)',
+    'Critical Infrastructure': 'Infrastructures essentielles',
+    'Financial Services': 'Services financiers',
+    'Healthcare': 'Soins de santé',
+    'Government/Defense': 'Gouvernement/Défense',
+    'Aerospace': 'Aérospatiale',
+    'Rail': 'Ferroviaire',
+    'Mining/Oil & Gas': 'Mines/Pétrole et gaz',
+    'Energy': 'Énergie',
+    'Adult Entertainment/Gambling': 'Divertissement pour adultes/Jeux de hasard',
+    'Semi-Conductors': 'Semi-conducteurs',
+    'Architecture/Engineering': 'Architecture/Ingénierie',
+    '4. Do you sell tangible products?': '4. Vendez-vous des produits tangibles?',
+    'If yes, describe the products:': 'Si oui, décrivez les produits :',
+    '% Revenue:': '% des revenus :',
+    '5. Do you (or your subcontractors) install hardware at client sites?': '5. Installez-vous (ou vos sous-traitants) du matériel chez vos clients?',
+    'If yes, % revenue:': 'Si oui, % des revenus :',
+    '6. Do you provide hosting services to third parties?': '6. Offrez-vous des services d’hébergement à des tiers?',
+    'If yes, do you use:': 'Si oui, utilisez-vous :',
+    'Own Infrastructure': 'Votre propre infrastructure',
+    'Third Party': 'Un tiers',
+    'If Third Party - Name:': 'Si un tiers – Nom :',
+    'Provider name': 'Nom du fournisseur',
+    'Tier Rating:': 'Niveau (Tier) :',
+    'Tier rating': 'Niveau (Tier)',
+    '7. Do you use artificial intelligence (AI) or machine learning (ML) tools in your business operations?': '7. Utilisez-vous des outils d’intelligence artificielle (IA) ou d’apprentissage automatique (AA) dans vos activités?',
+    'If yes, please provide details:': 'Si oui, veuillez donner des précisions :',
+    'Describe your AI/ML tools and usage': 'Décrivez vos outils d’IA/AA et leur utilisation',
+    '8. Do you provide any managed IT services?': '8. Offrez-vous des services de TI gérés?',
+    '9. Approximately how many customers do you have?': '9. Combien de clients avez-vous approximativement?',
+    'Please enter the number of customers.': 'Veuillez entrer le nombre de clients.',
+    '10. List the top 3 clients over the past 3 years': '10. Indiquez vos 3 principaux clients des 3 dernières années',
+    'Include: name, service provided, duration, value': 'Indiquez : nom, service fourni, durée, valeur',
+    'Client Name': 'Nom du client',
+    'Client 1 name': 'Nom du client 1',
+    'Client 2 name': 'Nom du client 2',
+    'Client 3 name': 'Nom du client 3',
+    'Service Provided': 'Service fourni',
+    'Service provided': 'Service fourni',
+    'Duration': 'Durée',
+    'Value ($)': 'Valeur ($)',
+    'e.g., 2 years': 'p. ex. 2 ans',
+    'e.g., 1.5 years': 'p. ex. 1,5 an',
+    'e.g., 6 months': 'p. ex. 6 mois',
+
+    // Questionnaire: financials
+    '4. Financials': '4. Renseignements financiers',
+    '1. Date of financial year end': '1. Date de fin d’exercice',
+    'Please provide your financial year end date.': 'Veuillez indiquer votre date de fin d’exercice.',
+    '2. Provide gross revenues for:': '2. Indiquez les revenus bruts pour :',
+    'Period': 'Période',
+    'USA ($)': 'États-Unis ($)',
+    'Foreign ($)': 'Étranger ($)',
+    'Last completed fiscal year end': 'Dernier exercice terminé',
+    'Estimate for current fiscal year end': 'Estimation pour l’exercice en cours',
+    'Estimate for next completed fiscal year end': 'Estimation pour le prochain exercice',
+    '3. Percentage of sales business to business': '3. Pourcentage des ventes interentreprises',
+    'Please enter the B2B sales percentage.': 'Veuillez entrer le pourcentage des ventes interentreprises (B2B).',
+    '4. Percentage of sales business to consumer': '4. Pourcentage des ventes aux consommateurs',
+    'Please enter the B2C sales percentage.': 'Veuillez entrer le pourcentage des ventes aux consommateurs (B2C).',
+    '5. Average contract value': '5. Valeur moyenne des contrats',
+    'Please enter the average contract value.': 'Veuillez entrer la valeur moyenne des contrats.',
+    '6. Do any single clients represent more than 5% of your total annual revenue?': '6. Un client représente-t-il à lui seul plus de 5 % de vos revenus annuels totaux?',
+    'If yes, provide details:': 'Si oui, donnez des précisions :',
+    'Describe which clients and their percentage of revenue': 'Indiquez les clients concernés et leur pourcentage des revenus',
+    '7. List your largest 3 Projects or Contracts in the past 2 years': '7. Indiquez vos 3 plus importants projets ou contrats des 2 dernières années',
+    '#': 'N°',
+    'Project/Contract Name': 'Nom du projet ou du contrat',
+    'Project name': 'Nom du projet',
+    'Client name': 'Nom du client',
+    'e.g., 12 months': 'p. ex. 12 mois',
+    'e.g., 8 months': 'p. ex. 8 mois',
+    '8. Total payroll': '8. Masse salariale totale',
+    'Please enter the total payroll amount.': 'Veuillez entrer le montant total de la masse salariale.',
+
+    // Questionnaire: contractualControls
+    '5. Contractual Controls': '5. Contrôles contractuels',
+    '1. Do you rely solely on your terms of service to limit your liability to customers?': '1. Comptez-vous uniquement sur vos conditions de service pour limiter votre responsabilité envers vos clients?',
+    'Yes, customers are to agree to our terms of service': 'Oui, les clients doivent accepter nos conditions de service',
+    'No, customers are not to agree to our terms of service': 'Non, les clients ne sont pas tenus d’accepter nos conditions de service',
+    '2. Do you use a written contract or agreement for 100% of all product and service engagements?': '2. Utilisez-vous un contrat ou une entente écrite pour 100 % de vos mandats de produits et de services?',
+    'What percentage of engagements are governed by a written contract?': 'Quel pourcentage des mandats est régi par un contrat écrit?',
+    '3. What percentage of engagements are under your own vs customer-provided contract?': '3. Quel pourcentage des mandats est régi par vos propres contrats par rapport aux contrats fournis par les clients?',
+    'The total should equal 100%': 'Le total doit être égal à 100 %',
+    '% of own contracts': '% de contrats propres',
+    '% of customer contracts': '% de contrats des clients',
+    '4. Has your standard customer contract, including terms of service if applicable, been reviewed by your legal counsel?': '4. Votre contrat client type, y compris les conditions de service s’il y a lieu, a-t-il été examiné par votre conseiller juridique?',
+    '5. Do you have a clear process for reviewing and approving key contracts, including with clients, vendors, and other partners?': '5. Avez-vous un processus clair d’examen et d’approbation des contrats importants, notamment avec les clients, les fournisseurs et les autres partenaires?',
+    'No formal contract review or approval process exists.': 'Il n’existe aucun processus officiel d’examen ou d’approbation des contrats.',
+    'Contracts are reviewed on a case-by-case basis, typically by the CEO, founder, or internal stakeholders, but there is no consistent process, legal review, or formal approval protocol.': 'Les contrats sont examinés au cas par cas, habituellement par le chef de la direction, le fondateur ou des intervenants internes, mais il n’y a ni processus uniforme, ni examen juridique, ni protocole d’approbation officiel.',
+    'There is a defined contract review and approval process involving legal or executive oversight for key agreements.': 'Un processus défini d’examen et d’approbation des contrats, supervisé par le service juridique ou la direction, s’applique aux ententes importantes.',
+    'A documented workflow is in place with legal review, delegated signing authority, contract risk checks, and version control for all major agreements.': 'Un processus documenté prévoit un examen juridique, une délégation du pouvoir de signature, une vérification des risques contractuels et le contrôle des versions pour toutes les ententes importantes.',
+    '6. Do your standard contracts include limitations on your financial liability and legal liability, including for missing service levels?': '6. Vos contrats types limitent-ils votre responsabilité financière et juridique, y compris en cas de non-respect des niveaux de service?',
+    'Standard contracts do not include any limitations of liability.': 'Les contrats types ne comportent aucune limitation de responsabilité.',
+    'Liability limits are included in standard contracts and sometimes negotiated, but they are not consistently applied or reviewed and often do not address consequential damages or SLA breaches.': 'Des limites de responsabilité figurent dans les contrats types et sont parfois négociées, mais elles ne sont pas appliquées ni revues de façon uniforme et ne visent souvent pas les dommages indirects ni les manquements aux ententes de niveau de service.',
+    'Contracts include defined financial caps and disclaimers for indirect damages and SLA non-performance.': 'Les contrats comportent des plafonds financiers définis et des exclusions pour les dommages indirects et le non-respect des ententes de niveau de service.',
+    'The organization uses tailored limitation clauses covering direct and indirect risks, with regular legal review to align with evolving exposures and jurisdictions.': 'L’organisation utilise des clauses de limitation adaptées couvrant les risques directs et indirects, revues régulièrement par le service juridique en fonction de l’évolution des expositions et des territoires.',
+    '7. Do you have a process to track contract obligations (timelines, deliverables, SLAs) and escalate issues if a project is at risk?': '7. Avez-vous un processus de suivi des obligations contractuelles (échéanciers, livrables, ententes de niveau de service) et de remontée des problèmes lorsqu’un projet est à risque?',
+    'We do not have a formal process to track projects.': 'Nous n’avons aucun processus officiel de suivi des projets.',
+    'We track key project deadlines and deliverables manually and escalatory actions vary by project or manager.': 'Nous suivons manuellement les principales échéances et les livrables des projets, et les mesures de remontée varient selon le projet ou le gestionnaire.',
+    'A project management system is used to track deliverables, milestones, and SLAs, with internal reviews and escalation as needed.': 'Un système de gestion de projet sert au suivi des livrables, des jalons et des ententes de niveau de service, avec des revues internes et une remontée au besoin.',
+    'Contract commitments are integrated into project and performance tracking tools, with automated alerts, escalation processes, and reporting to leadership.': 'Les engagements contractuels sont intégrés aux outils de suivi des projets et du rendement, avec des alertes automatisées, des processus de remontée et des rapports à la direction.',
+    '8. How do you handle changes in project scope, customer feedback, or issues needing corrective action?': '8. Comment gérez-vous les changements de portée des projets, les commentaires des clients et les problèmes exigeant des mesures correctives?',
+    'Changes and feedback are handled informally without documentation.': 'Les changements et les commentaires sont traités de façon informelle, sans documentation.',
+    'Changes are typically discussed and approved through email or meetings, with some controls like change request forms in place, but there is no structured tracking or sign-off and these controls are not used consistently.': 'Les changements sont habituellement discutés et approuvés par courriel ou en réunion, et certains contrôles comme des formulaires de demande de changement existent, mais il n’y a ni suivi structuré ni approbation officielle, et ces contrôles ne sont pas utilisés de façon uniforme.',
+    'There is a formal process for scope changes and issue resolution, including documentation, approvals, and updates to contracts or timelines.': 'Un processus officiel encadre les changements de portée et la résolution des problèmes, y compris la documentation, les approbations et la mise à jour des contrats ou des échéanciers.',
+    'The company enforces change control procedures, customer feedback loops, root cause analysis, and continuous improvement tracking for service delivery.': 'L’entreprise applique des procédures de contrôle des changements, des boucles de rétroaction des clients, des analyses des causes profondes et un suivi de l’amélioration continue de la prestation des services.',
+    '9. Is there a formal process for customers to accept your product?': '9. Existe-t-il un processus officiel d’acceptation de votre produit par les clients?',
+    '10. Do you subcontract professional services?': '10. Sous-traitez-vous des services professionnels?',
+    '% of revenue to subcontractors': '% des revenus versés aux sous-traitants',
+    '11. How do you ensure your subcontractors meet the same insurance and risk standards that are required of you in your contracts?': '11. Comment vous assurez-vous que vos sous-traitants respectent les mêmes normes d’assurance et de gestion des risques que celles exigées de vous dans vos contrats?',
+    'Subcontractors are not subject to any formal requirements.': 'Les sous-traitants ne sont soumis à aucune exigence officielle.',
+    'Our contracts require subcontractors to carry insurance and comply with security terms, but there is no consistent process to verify compliance and enforcement is uneven.': 'Nos contrats exigent que les sous-traitants soient assurés et respectent des conditions de sécurité, mais il n’existe aucun processus uniforme de vérification de la conformité et l’application est inégale.',
+    'Subcontractors must provide proof of compliance (e.g., COIs), and compliance is checked during onboarding.': 'Les sous-traitants doivent fournir une preuve de conformité (p. ex. des certificats d’assurance), et la conformité est vérifiée lors de leur intégration.',
+    'Subcontractor risk controls are embedded in procurement and project workflows, with centralized tracking, renewal monitoring, and compliance audits.': 'Les contrôles des risques liés aux sous-traitants sont intégrés aux processus d’approvisionnement et de projet, avec un suivi centralisé, une surveillance des renouvellements et des audits de conformité.',
+    '12. How do you make sure claims about the performance of your products or services in marketing and sales materials are accurate?': '12. Comment vous assurez-vous que les affirmations sur le rendement de vos produits ou services dans vos documents de marketing et de vente sont exactes?',
+    'No process exists to verify marketing or sales claims.': 'Aucun processus ne permet de vérifier les affirmations de marketing ou de vente.',
+    'Marketing materials are created by internal teams with occasional product input and a basic review by product or leadership before release, but they are not reviewed for legal or factual accuracy.': 'Les documents de marketing sont préparés par des équipes internes, avec l’apport occasionnel de l’équipe produit et un examen sommaire par l’équipe produit ou la direction avant leur diffusion, mais leur exactitude juridique ou factuelle n’est pas vérifiée.',
+    'There is a review process involving legal, product, and marketing to ensure accuracy and compliance with advertising standards.': 'Un processus d’examen faisant intervenir les services juridique, produit et marketing assure l’exactitude et la conformité aux normes publicitaires.',
+    'A structured marketing review process exists with documented substantiation for performance claims, legal signoff, and audit trails for compliance.': 'Un processus structuré d’examen du marketing prévoit la justification documentée des affirmations de rendement, l’approbation du service juridique et des pistes d’audit de la conformité.',
+    '13. Do you have a process to identify and update legacy contracts that may not conform to your current standard templates?': '13. Avez-vous un processus pour repérer et mettre à jour les anciens contrats qui pourraient ne pas être conformes à vos modèles types actuels?',
+    'No formal process exists. Legacy contracts remain in place without review, regardless of alignment with current standards or protocols.': 'Il n’existe aucun processus officiel. Les anciens contrats demeurent en vigueur sans examen, qu’ils soient ou non conformes aux normes ou protocoles actuels.',
+    'Legacy contracts are occasionally reviewed or updated, but only when issues arise (e.g., disputes, renewals). No systematic approach or central oversight': 'Les anciens contrats sont parfois examinés ou mis à jour, mais seulement lorsque des problèmes surviennent (p. ex. litiges, renouvellements). Aucune approche systématique ni supervision centrale',
+    'A structured process is in place to review and update legacy contracts, typically during renewals or major business changes. Some contracts may still fall outside current standards.': 'Un processus structuré permet d’examiner et de mettre à jour les anciens contrats, habituellement lors des renouvellements ou de changements importants dans l’entreprise. Certains contrats peuvent encore déroger aux normes actuelles.',
+    'Comprehensive, proactive process in place with regular audits of all contracts. Legacy agreements are systematically identified, tracked, and updated to align with current templates and risk protocols.': 'Un processus complet et proactif prévoit des audits réguliers de tous les contrats. Les anciennes ententes sont systématiquement repérées, suivies et mises à jour pour correspondre aux modèles et aux protocoles de risque actuels.',
+    '14. Do your sales, marketing, or customer-facing materials use terms such as "guarantee" or "warranty" that could create obligations beyond contractual commitments or fall outside the scope of insurance coverage?': '14. Vos documents de vente, de marketing ou destinés aux clients utilisent-ils des termes comme « garantie » ou « garanti » qui pourraient créer des obligations au-delà des engagements contractuels ou sortir de la portée de la couverture d’assurance?',
+    'Sales and marketing materials may include “guarantee” or “warranty” language without legal or risk review.': 'Les documents de vente et de marketing peuvent contenir des termes comme « garantie » sans examen juridique ou des risques.',
+    'References to “guarantees” or “warranties” are occasionally reviewed, but not consistently controlled or approved by legal/risk teams.': 'Les mentions de « garanties » sont parfois examinées, mais elles ne sont pas contrôlées ni approuvées de façon uniforme par les équipes juridiques ou de gestion des risques.',
+    'Marketing and sales content is generally reviewed by legal or compliance before publication. Warranty or guarantee language is identified and managed, though gaps may still exist in older or decentralized materials.': 'Le contenu de marketing et de vente est généralement examiné par le service juridique ou de la conformité avant sa publication. Les termes de garantie sont repérés et gérés, bien que des lacunes puissent subsister dans des documents plus anciens ou décentralisés.',
+    'All marketing and sales materials are systematically vetted to avoid unintended guarantees/warranties. Employees are trained on the insurance and liability implications of such terms, ensuring alignment with contractual and insurance protections.': 'Tous les documents de marketing et de vente sont systématiquement vérifiés pour éviter les garanties involontaires. Les employés sont formés sur les conséquences de ces termes en matière d’assurance et de responsabilité, ce qui assure leur cohérence avec les protections contractuelles et d’assurance.',
+
+    // Questionnaire: cybersecurity
+    '6. Cybersecurity, Technical & Crime Controls': '6. Contrôles de cybersécurité, techniques et contre la criminalité',
+    '1. Who is responsible for overseeing cybersecurity on a day-to-day basis?': '1. Qui est responsable de la supervision quotidienne de la cybersécurité?',
+    'No one is formally responsible for cybersecurity.': 'Personne n’est officiellement responsable de la cybersécurité.',
+    'Cybersecurity responsibilities are informally assigned, usually handled part-time by IT, operations, or a designated staff member.': 'Les responsabilités en cybersécurité sont attribuées de façon informelle et habituellement assumées à temps partiel par les TI, les opérations ou un membre du personnel désigné.',
+    'A full-time staff member or external provider is responsible, with defined oversight.': 'Un employé à temps plein ou un fournisseur externe en est responsable, selon une supervision définie.',
+    'A qualified internal or external CISO manages cybersecurity with clear authority, reporting, and board-level oversight.': 'Un chef de la sécurité de l’information (CISO) qualifié, interne ou externe, gère la cybersécurité avec une autorité claire, des rapports et une supervision par le conseil d’administration.',
+    '2. Is there a formal cybersecurity policy in place for employees to follow?': '2. Existe-t-il une politique officielle de cybersécurité que les employés doivent suivre?',
+    'No cybersecurity policy exists.': 'Il n’existe aucune politique de cybersécurité.',
+    'A policy exists and is shared with employees during onboarding but it may be outdated or not consistently distributed to all staff beyond initial hiring.': 'Une politique existe et est communiquée aux employés lors de leur intégration, mais elle peut être désuète ou ne pas être diffusée de façon uniforme à tout le personnel après l’embauche.',
+    'The policy is current, distributed to all employees, and acknowledged in writing.': 'La politique est à jour, diffusée à tous les employés et reconnue par écrit.',
+    'A comprehensive, regularly updated policy is enforced and supported with training and accountability mechanisms.': 'Une politique complète et mise à jour régulièrement est appliquée et appuyée par de la formation et des mécanismes de responsabilisation.',
+    '3. Do all team members receive regular training to help them recognize cyber threats and scams?': '3. Tous les membres de l’équipe reçoivent-ils régulièrement une formation pour reconnaître les cybermenaces et les escroqueries?',
+    'No cybersecurity training is provided.': 'Aucune formation en cybersécurité n’est offerte.',
+    'Most employees receive annual training, but it may be informal, one-time, or not consistently tracked.': 'La plupart des employés reçoivent une formation annuelle, mais elle peut être informelle, ponctuelle ou ne pas faire l’objet d’un suivi uniforme.',
+    'All employees receive mandatory cybersecurity training annually.': 'Tous les employés suivent chaque année une formation obligatoire en cybersécurité.',
+    'Training is ongoing, tailored by role, and includes phishing simulations and tracking of completion and performance.': 'La formation est continue, adaptée aux rôles et comprend des simulations d’hameçonnage ainsi que le suivi de la participation et des résultats.',
+    '4. Is multi-factor authentication (MFA) required for accessing company systems, email, and cloud tools remotely?': '4. L’authentification multifacteur (AMF) est-elle exigée pour accéder à distance aux systèmes, au courriel et aux outils infonuagiques de l’entreprise?',
+    'MFA is not used.': 'L’AMF n’est pas utilisée.',
+    'MFA is required for remote access to critical systems and used for some other users or systems, but overall implementation is inconsistent.': 'L’AMF est exigée pour l’accès à distance aux systèmes critiques et utilisée pour certains autres utilisateurs ou systèmes, mais sa mise en œuvre globale est inégale.',
+    'MFA is enforced for all users across remote and cloud environments.': 'L’AMF est imposée à tous les utilisateurs dans les environnements à distance et infonuagiques.',
+    'MFA is universally enforced, regularly tested, and monitored for compliance and anomalies.': 'L’AMF est imposée partout, testée régulièrement et surveillée pour la conformité et les anomalies.',
+    '5. Is remote access to your internal or cloud systems restricted to secure methods like VPN or SSO and protected with MFA?': '5. L’accès à distance à vos systèmes internes ou infonuagiques est-il limité à des méthodes sécurisées comme le RPV ou l’authentification unique (SSO) et protégé par l’AMF?',
+    'Remote access is open or unmanaged.': 'L’accès à distance est ouvert ou non géré.',
+    'Remote access typically relies on passwords and may use VPN or SSO, but secure controls like MFA are not consistently applied.': 'L’accès à distance repose habituellement sur des mots de passe et peut passer par un RPV ou la SSO, mais les contrôles sécurisés comme l’AMF ne sont pas appliqués de façon uniforme.',
+    'Secure access (VPN or SSO) with MFA is required for all remote users.': 'Un accès sécurisé (RPV ou SSO) avec AMF est exigé pour tous les utilisateurs à distance.',
+    'Remote access is tightly controlled with policy enforcement, MFA, and centralized access logging.': 'L’accès à distance est étroitement contrôlé par l’application de politiques, l’AMF et la journalisation centralisée des accès.',
+    '6. What tools or protections secure employee devices and email from cyber threats?': '6. Quels outils ou protections sécurisent les appareils et le courriel des employés contre les cybermenaces?',
+    'Devices and email are not protected by security tools.': 'Les appareils et le courriel ne sont protégés par aucun outil de sécurité.',
+    'Basic antivirus, standard endpoint protection, and email filtering are in place.': 'Un antivirus de base, une protection standard des terminaux et un filtrage des courriels sont en place.',
+    'Devices are protected by centrally managed EDR, and email systems have advanced filtering and threat detection.': 'Les appareils sont protégés par une solution EDR gérée de façon centralisée, et les systèmes de courriel disposent d’un filtrage avancé et de la détection des menaces.',
+    'A layered security stack is deployed across all devices and email accounts, including EDR, DLP, and sandboxing.': 'Une sécurité multicouche est déployée sur tous les appareils et comptes de courriel, y compris l’EDR, la prévention des pertes de données (DLP) et l’exécution en bac à sable.',
+    '7. How is user access managed, including setting, adjusting, and promptly removing access?': '7. Comment l’accès des utilisateurs est-il géré, y compris l’attribution, l’ajustement et le retrait rapide des accès?',
+    'Access is granted manually and rarely updated.': 'Les accès sont accordés manuellement et rarement mis à jour.',
+    'Access rights are adjusted as needed and reviewed occasionally, with revocation upon termination, though delays may occur.': 'Les droits d’accès sont ajustés au besoin et revus à l’occasion, et révoqués au départ de l’employé, bien que des retards puissent survenir.',
+    'Role-based access controls are in place with regular access reviews.': 'Des contrôles d’accès fondés sur les rôles sont en place, avec des revues régulières des accès.',
+    'Access is centrally managed, provisioned by role, reviewed quarterly, and automatically revoked upon role change or termination.': 'Les accès sont gérés de façon centralisée, attribués selon le rôle, revus chaque trimestre et révoqués automatiquement lors d’un changement de rôle ou d’un départ.',
+    '8. Do you collect and review activity logs across your IT environment?': '8. Recueillez-vous et examinez-vous les journaux d’activité de l’ensemble de votre environnement de TI?',
+    'No activity logs are collected or retained.': 'Aucun journal d’activité n’est recueilli ni conservé.',
+    'Logs are collected from key systems but are not actively monitored, and reviews are performed reactively.': 'Les journaux des systèmes clés sont recueillis, mais ne sont pas surveillés activement, et les examens se font de façon réactive.',
+    'Centralized log management is in place with routine review and alerting.': 'Une gestion centralisée des journaux est en place, avec des examens courants et des alertes.',
+    'Logs are collected, analyzed with SIEM tools, and reviewed proactively with incident response integration.': 'Les journaux sont recueillis, analysés au moyen d’outils SIEM et examinés de façon proactive, en lien avec la réponse aux incidents.',
+    '9. Do you use tools or services to identify cyber threats or unusual system activity in real time?': '9. Utilisez-vous des outils ou des services pour détecter en temps réel les cybermenaces ou les activités inhabituelles des systèmes?',
+    'No tools are used to monitor system activity or threats.': 'Aucun outil ne sert à surveiller l’activité des systèmes ou les menaces.',
+    'Basic alerts come from standard antivirus or firewall tools, with some real-time monitoring in place, though it is not centrally managed.': 'Des alertes de base proviennent des outils antivirus ou pare-feu standard, avec une certaine surveillance en temps réel qui n’est toutefois pas gérée de façon centralisée.',
+    'Real-time threat detection tools are used and monitored by internal or external IT/security teams.': 'Des outils de détection des menaces en temps réel sont utilisés et surveillés par des équipes internes ou externes de TI ou de sécurité.',
+    'A fully integrated threat detection and response system (e.g., MDR, SIEM) monitors activity 24/7 with alerting and escalation.': 'Un système entièrement intégré de détection et d’intervention (p. ex. MDR, SIEM) surveille l’activité en tout temps, avec alertes et remontée.',
+    '10. How does your organization manage aging technology and ensure software and systems stay updated and supported?': '10. Comment votre organisation gère-t-elle les technologies vieillissantes et s’assure-t-elle que les logiciels et les systèmes restent à jour et pris en charge?',
+    'Software updates and patching are done irregularly or not at all.': 'Les mises à jour et les correctifs logiciels sont appliqués irrégulièrement ou pas du tout.',
+    'Most systems are updated periodically, though some legacy systems remain unsupported, and updates often occur reactively without a set schedule.': 'La plupart des systèmes sont mis à jour périodiquement, mais certains anciens systèmes ne sont plus pris en charge, et les mises à jour se font souvent de façon réactive, sans calendrier établi.',
+    'Key systems are tracked, security patches are regularly applied, and major upgrades are planned every few years, though some older systems remain in use if still functional.': 'Les systèmes clés sont suivis, les correctifs de sécurité sont appliqués régulièrement et les mises à niveau majeures sont planifiées aux quelques années, bien que certains systèmes plus anciens restent en service s’ils fonctionnent encore.',
+    'Systems are proactively monitored for EOL/EOS, with automated patching and lifecycle management to maintain secure, supported software.': 'La fin de vie et la fin de soutien des systèmes sont surveillées de façon proactive, avec l’application automatisée des correctifs et la gestion du cycle de vie pour maintenir des logiciels sécurisés et pris en charge.',
+    '11. Are firewalls in place to protect the network perimeter and to segment internal networks?': '11. Des pare-feu protègent-ils le périmètre du réseau et segmentent-ils les réseaux internes?',
+    'Please describe your firewall configuration...': 'Veuillez décrire la configuration de vos pare-feu...',
+    '12. Are internal/external vulnerability scans or penetration tests of your network performed?': '12. Effectuez-vous des analyses de vulnérabilité internes ou externes ou des tests d’intrusion de votre réseau?',
+    'If yes, frequency and methods:': 'Si oui, fréquence et méthodes :',
+    'Please describe frequency and methods of vulnerability scans/penetration tests...': 'Veuillez décrire la fréquence et les méthodes des analyses de vulnérabilité et des tests d’intrusion...',
+    '13. Do you restrict user access/permissions to a need-to-know basis?': '13. Limitez-vous les accès et les autorisations des utilisateurs selon le principe du besoin de savoir?',
+    'Please describe your access restriction policy...': 'Veuillez décrire votre politique de restriction des accès...',
+    '14. Are unused/unneeded network services and ports disabled or closed promptly?': '14. Les services et ports réseau inutilisés ou inutiles sont-ils désactivés ou fermés rapidement?',
+    'Please describe how you handle unused network services and ports...': 'Veuillez décrire comment vous gérez les services et ports réseau inutilisés...',
+    '15. Name your service provider for each function:': '15. Nommez votre fournisseur de services pour chaque fonction :',
+    'Data center/cloud hosting': 'Centre de données/hébergement infonuagique',
+    'Managed security service': 'Service de sécurité géré',
+    'Security event/alert monitoring': 'Surveillance des événements et des alertes de sécurité',
+    'Managed IT service provider': 'Fournisseur de services de TI gérés',
+    '16. Do you have a formal procedure for departing employees that includes revoking access to systems and recovery of all company devices/credentials?': '16. Avez-vous une procédure officielle de départ des employés qui comprend la révocation des accès aux systèmes et la récupération de tous les appareils et identifiants de l’entreprise?',
+    'Please describe your departing employee procedure...': 'Veuillez décrire votre procédure de départ des employés...',
+    '17. Do you require more than one person to approve high-risk financial transactions like wire transfers?': '17. Exigez-vous l’approbation de plus d’une personne pour les opérations financières à risque élevé comme les virements télégraphiques?',
+    'No approval process is required; a single individual can execute high-risk transactions.': 'Aucun processus d’approbation n’est exigé; une seule personne peut effectuer des opérations à risque élevé.',
+    'Dual approval is expected for some transactions and occasionally required, but it is not consistently applied, enforced, or documented.': 'La double approbation est attendue pour certaines opérations et parfois exigée, mais elle n’est pas appliquée, imposée ni documentée de façon uniforme.',
+    'A dual-approval policy is enforced for all high-risk transactions (e.g., wire transfers, bank account changes), with audit trail documentation.': 'Une politique de double approbation est appliquée à toutes les opérations à risque élevé (p. ex. virements télégraphiques, modifications de comptes bancaires), avec une piste d’audit documentée.',
+    'Dual authorization is mandatory for all high-risk transactions, embedded in financial systems, with tiered thresholds, role-based permissions, fraud alerts, and periodic audits to verify compliance.': 'La double autorisation est obligatoire pour toutes les opérations à risque élevé et intégrée aux systèmes financiers, avec des seuils échelonnés, des autorisations fondées sur les rôles, des alertes de fraude et des audits périodiques de la conformité.',
+    '18. What controls are in place to prevent and detect financial fraud, including scams targeting incoming and outgoing wire transfers or internal theft?': '18. Quels contrôles sont en place pour prévenir et détecter la fraude financière, y compris les escroqueries visant les virements télégraphiques entrants et sortants ou le vol interne?',
+    'No formal controls or monitoring systems are in place; the company relies on trust or informal checks.': 'Aucun contrôle ni système de surveillance officiel n’est en place; l’entreprise se fie à la confiance ou à des vérifications informelles.',
+    'Basic safeguards exist, such as accounting software permissions and finance team reviews, with some vendor verification and fraud awareness efforts, but proactive measures against risks like phishing, business email compromise, or internal theft are limited, and monitoring is minimal.': 'Des mesures de protection de base existent, comme les autorisations du logiciel comptable et les examens de l’équipe des finances, avec une certaine vérification des fournisseurs et de la sensibilisation à la fraude, mais les mesures proactives contre des risques comme l’hameçonnage, la compromission de courriels d’affaires ou le vol interne sont limitées et la surveillance est minimale.',
+    'Documented fraud prevention policies exist, with training, vendor validation, audit logs, and periodic financial audits or reconciliations.': 'Des politiques documentées de prévention de la fraude existent, avec de la formation, la validation des fournisseurs, des journaux d’audit et des audits ou rapprochements financiers périodiques.',
+    'A formal fraud prevention framework is in place, including dual controls, transaction monitoring, fraud detection tools, employee training, whistleblower protections, and regular testing or audits of financial systems.': 'Un cadre officiel de prévention de la fraude est en place, comprenant des doubles contrôles, la surveillance des opérations, des outils de détection de la fraude, la formation des employés, la protection des lanceurs d’alerte et des tests ou audits réguliers des systèmes financiers.',
+
+    // Questionnaire: dataBackup
+    '7. Data Backup & Business Continuity & Supply Chain Controls': '7. Contrôles de sauvegarde des données, de continuité des activités et de la chaîne d’approvisionnement',
+    '1. What processes are in place to quickly detect and respond to data breaches or unauthorized access?': '1. Quels processus sont en place pour détecter rapidement les atteintes à la protection des données ou les accès non autorisés et y réagir?',
+    'No formal detection or response process exists.': 'Il n’existe aucun processus officiel de détection ou d’intervention.',
+    'Incidents are handled reactively when staff notice something suspicious, supported by basic detection tools like antivirus and system logs, but incident response is largely ad hoc.': 'Les incidents sont traités de façon réactive lorsque le personnel remarque quelque chose de suspect, avec l’appui d’outils de détection de base comme l’antivirus et les journaux système, mais la réponse aux incidents est en grande partie improvisée.',
+    'A defined incident response plan exists, with detection tools, trained responders, and escalation protocols.': 'Un plan de réponse aux incidents défini existe, avec des outils de détection, des intervenants formés et des protocoles de remontée.',
+    'A comprehensive incident response program includes 24/7 monitoring, real-time alerting, runbooks, tabletop testing, and post-incident review.': 'Un programme complet de réponse aux incidents comprend une surveillance en tout temps, des alertes en temps réel, des guides d’intervention, des exercices sur table et un examen post-incident.',
+    '2. Do you have a communications plan to protect your company\'s reputation in the event of a major issue or breach?': '2. Avez-vous un plan de communication pour protéger la réputation de votre entreprise en cas de problème majeur ou d’atteinte?',
+    'No communications plan exists for handling incidents.': 'Il n’existe aucun plan de communication pour la gestion des incidents.',
+    'Incident responses are generally handled by PR or leadership, supported by a basic communications plan with draft statements and designated spokespersons, but there is no formal protocol.': 'Les réponses aux incidents sont généralement gérées par les relations publiques ou la direction, avec l’appui d’un plan de communication de base comprenant des ébauches de déclarations et des porte-parole désignés, mais il n’y a aucun protocole officiel.',
+    'A formal reputational risk communications plan is documented, with media, legal, and customer messaging protocols.': 'Un plan officiel de communication sur le risque de réputation est documenté, avec des protocoles de messages pour les médias, les questions juridiques et les clients.',
+    'The company maintains a comprehensive communications playbook for crisis events, including breach notification, regulatory guidance, and stakeholder outreach, tested regularly through simulations.': 'L’entreprise tient à jour un guide complet de communication de crise, comprenant la notification des atteintes, les directives réglementaires et la communication avec les parties prenantes, testé régulièrement au moyen de simulations.',
+    '3. Do you have backup systems to recover data after a cyber incident or outage?': '3. Avez-vous des systèmes de sauvegarde pour récupérer les données après un cyberincident ou une panne?',
+    'No backup systems exist.': 'Il n’existe aucun système de sauvegarde.',
+    'Regular backups are taken and stored offsite or in the cloud, but not all data is covered, testing is limited, and updates may not be consistent.': 'Des sauvegardes régulières sont effectuées et stockées hors site ou dans le nuage, mais elles ne couvrent pas toutes les données, les tests sont limités et les mises à jour peuvent être irrégulières.',
+    'Backups are automated, encrypted, and tested periodically for critical systems.': 'Les sauvegardes des systèmes critiques sont automatisées, chiffrées et testées périodiquement.',
+    'An enterprise-grade backup and recovery system is in place with real-time replication, frequent testing, and integration into the overall incident response strategy.': 'Un système de sauvegarde et de reprise de niveau entreprise est en place, avec réplication en temps réel, des tests fréquents et une intégration à la stratégie globale de réponse aux incidents.',
+    '4. If systems go down, how quickly can you get your critical data and operations back online?': '4. En cas de panne, en combien de temps pouvez-vous rétablir vos données et vos activités critiques?',
+    'There is no defined recovery timeframe; recovery would be improvised.': 'Aucun délai de reprise n’est défini; la reprise serait improvisée.',
+    'A target recovery window is defined for key systems (e.g., 48–72 hours), but for other areas recovery could take several days, and there are no documented targets.': 'Un délai de reprise cible est défini pour les systèmes clés (p. ex. de 48 à 72 heures), mais la reprise pourrait prendre plusieurs jours pour les autres secteurs, et aucune cible n’est documentée.',
+    'Recovery goals (RTOs) are set by system tier, with most critical services recoverable within 24 hours.': 'Des délais de reprise cibles (RTO) sont établis selon le niveau des systèmes, et la plupart des services critiques peuvent être rétablis en moins de 24 heures.',
+    'Rapid recovery (RTO < 4 hours for critical systems) is enabled via automated failover, and performance against RTOs is tested and validated.': 'Une reprise rapide (RTO de moins de 4 heures pour les systèmes critiques) est assurée par un basculement automatisé, et le respect des RTO est testé et validé.',
+    '5. Do you maintain business continuity and disaster recovery plans, and what are your key recovery goals?': '5. Tenez-vous à jour des plans de continuité des activités et de reprise après sinistre, et quels sont vos principaux objectifs de reprise?',
+    'No formal plans exist.': 'Il n’existe aucun plan officiel.',
+    'Recovery plans exist with defined Recovery Time Objectives and Recovery Point Objectives and some written procedures, but they are not thoroughly tested or fully aligned to recovery goals.': 'Des plans de reprise existent, avec des délais de reprise (RTO) et des points de reprise (RPO) définis et certaines procédures écrites, mais ils ne sont pas testés à fond ni pleinement harmonisés avec les objectifs de reprise.',
+    'BCP and DRP are documented, with role assignments, key systems prioritized, and regular stakeholder reviews.': 'Les plans de continuité des activités (PCA) et de reprise après sinistre (PRS) sont documentés, avec l’attribution des rôles, la priorisation des systèmes clés et des revues régulières par les parties prenantes.',
+    'Continuity and disaster recovery plans are fully developed, tested regularly, and aligned to business impact analyses with clearly defined and measured RTOs/RPOs.': 'Les plans de continuité et de reprise après sinistre sont entièrement élaborés, testés régulièrement et harmonisés avec les analyses d’impact sur les activités, avec des RTO et des RPO clairement définis et mesurés.',
+    '6. How often are recovery plans tested, and what improvements have resulted?': '6. À quelle fréquence les plans de reprise sont-ils testés, et quelles améliorations en ont découlé?',
+    'Recovery plans are never tested.': 'Les plans de reprise ne sont jamais testés.',
+    'Recovery plans are reviewed occasionally and tested annually, with some lessons learned incorporated, but exercises are not frequent or comprehensive.': 'Les plans de reprise sont revus à l’occasion et testés chaque année, et certaines leçons apprises sont intégrées, mais les exercices ne sont ni fréquents ni complets.',
+    'Tests are conducted at least twice per year, with results documented and improvements tracked.': 'Des tests ont lieu au moins deux fois par année, et les résultats sont documentés et les améliorations suivies.',
+    'Plans are tested regularly using realistic scenarios (e.g., tabletop and live failover), with continuous improvement cycles and executive oversight.': 'Les plans sont testés régulièrement au moyen de scénarios réalistes (p. ex. exercices sur table et basculements réels), avec des cycles d’amélioration continue et une supervision par la haute direction.',
+    '7. Do you rely on third parties for critical business operations (Cloud providers, managed IT, payment processors, API data)?': '7. Dépendez-vous de tiers pour des activités critiques (fournisseurs infonuagiques, TI gérées, processeurs de paiement, données d’API)?',
+    'Please list key suppliers and functions they support:': 'Veuillez énumérer les principaux fournisseurs et les fonctions qu’ils soutiennent :',
+    'List key suppliers and their functions...': 'Énumérez les principaux fournisseurs et leurs fonctions...',
+    '8. Does your business continuity or disaster recovery plan specifically address prolonged outages of critical third-party services?': '8. Votre plan de continuité des activités ou de reprise après sinistre traite-t-il précisément des pannes prolongées de services critiques de tiers?',
+    'Our business continuity and disaster recovery plans do not specifically address prolonged outages of critical third-party services.': 'Nos plans de continuité des activités et de reprise après sinistre ne traitent pas précisément des pannes prolongées de services critiques de tiers.',
+    'Our plans generally mention third-party risks, but do not include detailed strategies for extended outages of critical providers.': 'Nos plans mentionnent de façon générale les risques liés aux tiers, mais ne comprennent pas de stratégies détaillées en cas de panne prolongée de fournisseurs critiques.',
+    'Our plans include scenarios for disruptions to critical third-party services, but they are not deeply detailed or regularly tested.': 'Nos plans comprennent des scénarios d’interruption de services critiques de tiers, mais ils ne sont ni très détaillés ni testés régulièrement.',
+    'Our business continuity and disaster recovery plans explicitly cover prolonged outages of critical third-party services, with documented procedures, alternate arrangements, and regular testing.': 'Nos plans de continuité des activités et de reprise après sinistre couvrent explicitement les pannes prolongées de services critiques de tiers, avec des procédures documentées, des solutions de rechange et des tests réguliers.',
+    '9. Have you assessed how a primary cloud provider outage would impact your operations, and does your continuity plan address this?': '9. Avez-vous évalué l’incidence d’une panne de votre principal fournisseur infonuagique sur vos activités, et votre plan de continuité en tient-il compte?',
+    'No assessment has been done, and no contingency exists for cloud service failure.': 'Aucune évaluation n’a été faite, et aucune mesure d’urgence n’est prévue en cas de défaillance des services infonuagiques.',
+    'Cloud risks are informally acknowledged, with documented impacts of downtime and some alternate communication or manual processes identified, but they are not fully integrated into formal planning.': 'Les risques infonuagiques sont reconnus de façon informelle, avec une documentation des effets des interruptions et certains moyens de communication de rechange ou processus manuels définis, mais ils ne sont pas pleinement intégrés à la planification officielle.',
+    'Cloud dependency is mapped in continuity plans, and mitigations (e.g., data export, failover zones) are in place.': 'La dépendance au nuage est cartographiée dans les plans de continuité, et des mesures d’atténuation (p. ex. exportation des données, zones de basculement) sont en place.',
+    'Cloud risk is deeply integrated into BCP, with multi-region failover, vendor SLAs, and automated recovery tested regularly.': 'Le risque infonuagique est pleinement intégré au PCA, avec un basculement multirégional, des ententes de niveau de service avec les fournisseurs et une reprise automatisée testée régulièrement.',
+    '10. How do you investigate and address the root cause of major security incidents, service problems, or customer complaints?': '10. Comment enquêtez-vous sur la cause profonde des incidents de sécurité majeurs, des problèmes de service ou des plaintes des clients, et comment la corrigez-vous?',
+    'Root cause is not formally investigated; focus is only on fixing the immediate issue.': 'La cause profonde ne fait pas l’objet d’une enquête officielle; on se concentre uniquement sur la correction du problème immédiat.',
+    'Issues are discussed internally, with root cause reviews and some documentation or follow-up for significant incidents, but lessons learned and corrective actions are applied inconsistently.': 'Les problèmes sont discutés à l’interne, avec des analyses des causes profondes et une certaine documentation ou un suivi pour les incidents importants, mais les leçons apprises et les mesures correctives sont appliquées de façon inégale.',
+    'A structured post-incident review (PIR) process is used for all major events, with documented corrective actions.': 'Un processus structuré d’examen post-incident est utilisé pour tous les événements majeurs, avec des mesures correctives documentées.',
+    'Formal root cause analysis is conducted with executive oversight, cross-functional input, tracked improvements, and trend analysis.': 'Une analyse officielle des causes profondes est menée sous la supervision de la haute direction, avec l’apport de plusieurs fonctions, le suivi des améliorations et l’analyse des tendances.',
+
+    // Questionnaire: thirdParty
+    '8. Third Party, Vendor & Supply Chain Controls': '8. Contrôles des tiers, des fournisseurs et de la chaîne d’approvisionnement',
+    '1. What steps are taken when bringing on a new customer to assess potential risks to your business?': '1. Quelles mesures prenez-vous lors de l’accueil d’un nouveau client pour évaluer les risques potentiels pour votre entreprise?',
+    'No formal risk assessment is conducted before onboarding new customers.': 'Aucune évaluation officielle des risques n’est effectuée avant l’accueil de nouveaux clients.',
+    'Vetting is mostly informal, relying on relationship history or perceived reputation, with some credit or legal checks performed, but these are not standardized.': 'La vérification est surtout informelle et repose sur l’historique de la relation ou la réputation perçue, avec certaines vérifications de crédit ou juridiques, qui ne sont toutefois pas normalisées.',
+    'The company uses a risk-based onboarding process including financial, operational, and legal reviews for high-risk customers.': 'L’entreprise utilise un processus d’accueil fondé sur les risques, comprenant des examens financiers, opérationnels et juridiques pour les clients à risque élevé.',
+    'A formal customer risk assessment framework is in place, including KYC, creditworthiness, contract risk, regulatory exposure, and service capacity evaluation.': 'Un cadre officiel d’évaluation des risques liés aux clients est en place, comprenant la connaissance du client (KYC), la solvabilité, le risque contractuel, l’exposition réglementaire et l’évaluation de la capacité de service.',
+    '2. Do you have a formal due diligence process to evaluate potential risks when onboarding new vendors or suppliers?': '2. Avez-vous un processus officiel de vérification diligente pour évaluer les risques potentiels lors de l’intégration de nouveaux fournisseurs?',
+    'Vendors are onboarded informally with no checks or documentation.': 'Les fournisseurs sont intégrés de façon informelle, sans vérification ni documentation.',
+    'Basic vetting is performed, such as checking references and requiring insurance certificates from vendors, but reviews of insurance and risk factors are inconsistent and formal risk assessments are rare.': 'Une vérification de base est effectuée, comme la vérification des références et l’exigence de certificats d’assurance des fournisseurs, mais l’examen des assurances et des facteurs de risque est inégal et les évaluations officielles des risques sont rares.',
+    'Onboarding includes documented review of insurance, security, and financial risk, with sign-off by relevant departments.': 'L’intégration comprend un examen documenté des assurances, de la sécurité et du risque financier, avec l’approbation des services concernés.',
+    'A structured onboarding workflow is in place, including insurance verification, legal review, risk scoring, and approval gates for higher-risk vendors.': 'Un processus d’intégration structuré est en place, comprenant la vérification des assurances, un examen juridique, une cote de risque et des étapes d’approbation pour les fournisseurs à risque plus élevé.',
+    '3. How does your organization assess and monitor the cybersecurity posture of third-party vendors, and what steps are taken if a vendor is found to pose elevated risk?': '3. Comment votre organisation évalue-t-elle et surveille-t-elle la posture de cybersécurité des fournisseurs tiers, et quelles mesures sont prises lorsqu’un fournisseur présente un risque élevé?',
+    'We don\'t currently assess vendor cybersecurity posture and rely on vendors to manage their own risks.': 'Nous n’évaluons pas actuellement la posture de cybersécurité des fournisseurs et comptons sur eux pour gérer leurs propres risques.',
+    'We conduct basic due diligence when onboarding vendors, such as reviewing security questionnaires, but we don\'t monitor risk on an ongoing basis.': 'Nous effectuons une vérification diligente de base lors de l’intégration des fournisseurs, comme l’examen de questionnaires de sécurité, mais nous ne surveillons pas le risque de façon continue.',
+    'We assess vendor cyber risk at onboarding and periodically review key vendors\' security posture. If a vendor is found to pose elevated risk, we may request remediation or consider contract changes.': 'Nous évaluons le cyberrisque des fournisseurs lors de leur intégration et revoyons périodiquement la posture de sécurité des principaux fournisseurs. Lorsqu’un fournisseur présente un risque élevé, nous pouvons exiger des correctifs ou envisager des modifications au contrat.',
+    'We use continuous monitoring tools (e.g., third-party risk scoring or threat intelligence platforms) to track vendor cybersecurity posture in real time. High-risk vendors trigger formal escalation protocols, including audits, contractual enforcement, or offboarding if necessary.': 'Nous utilisons des outils de surveillance continue (p. ex. cotation du risque des tiers ou plateformes de renseignement sur les menaces) pour suivre en temps réel la posture de cybersécurité des fournisseurs. Les fournisseurs à risque élevé déclenchent des protocoles officiels de remontée, y compris des audits, l’application des clauses contractuelles ou la fin de la relation au besoin.',
+    '4. Do you have redundant systems or alternate suppliers in place to minimize disruption if a critical third party fails or is unavailable?': '4. Disposez-vous de systèmes redondants ou de fournisseurs de rechange pour réduire au minimum les perturbations si un tiers critique fait défaut ou n’est pas disponible?',
+    'We rely on single providers for critical services and would face major disruption if one failed.': 'Nous dépendons d’un seul fournisseur pour les services critiques et subirions des perturbations majeures en cas de défaillance.',
+    'We are aware of possible alternates but have no formal agreements or automated systems. Switching would be manual and could be delayed.': 'Nous connaissons des solutions de rechange possibles, mais n’avons ni entente officielle ni système automatisé. Le changement serait manuel et pourrait prendre du temps.',
+    'We have identified and maintain relationships with alternate suppliers, or have partial redundant systems for critical functions. However, these are not fully integrated or routinely tested, so some disruption could still occur.': 'Nous avons désigné des fournisseurs de rechange et entretenons des relations avec eux, ou disposons de systèmes partiellement redondants pour les fonctions critiques. Toutefois, ils ne sont ni pleinement intégrés ni testés régulièrement; certaines perturbations pourraient donc survenir.',
+    'We have fully redundant systems and formal agreements with alternative suppliers, along with tested failover processes, to ensure minimal disruption in the event of a critical third-party failure. These contingencies are regularly reviewed and tested as part of our business continuity program.': 'Nous disposons de systèmes entièrement redondants et d’ententes officielles avec des fournisseurs de rechange, ainsi que de processus de basculement testés, pour réduire au minimum les perturbations en cas de défaillance d’un tiers critique. Ces mesures d’urgence sont revues et testées régulièrement dans le cadre de notre programme de continuité des activités.',
+    '5. Do your vendors agree to take responsibility if they mishandle personal or confidential information?': '5. Vos fournisseurs acceptent-ils d’assumer la responsabilité d’une mauvaise gestion de renseignements personnels ou confidentiels?',
+    'There are no contract terms addressing vendor responsibility for data mishandling.': 'Aucune clause contractuelle ne traite de la responsabilité des fournisseurs en cas de mauvaise gestion des données.',
+    'Many vendor contracts include general confidentiality or data protection clauses, but the enforceability, scope, and presence of liability terms vary.': 'Bon nombre de contrats avec les fournisseurs comportent des clauses générales de confidentialité ou de protection des données, mais leur force exécutoire, leur portée et la présence de clauses de responsabilité varient.',
+    'Vendor agreements include specific data handling obligations, breach notification requirements, and indemnity clauses.': 'Les ententes avec les fournisseurs comprennent des obligations précises de traitement des données, des exigences de notification des atteintes et des clauses d’indemnisation.',
+    'All vendor agreements involving sensitive data include legally vetted, standardized language on liability, data safeguards, breach response, and indemnification for damages.': 'Toutes les ententes avec les fournisseurs portant sur des données sensibles comprennent des clauses normalisées et validées sur le plan juridique concernant la responsabilité, la protection des données, la réponse aux atteintes et l’indemnisation des dommages.',
+    '6. Do your critical vendors provide proof of strong security practices (like SOC 2 or ISO 27001), and how often is that reviewed?': '6. Vos fournisseurs critiques fournissent-ils une preuve de pratiques de sécurité rigoureuses (comme SOC 2 ou ISO 27001), et à quelle fréquence est-elle examinée?',
+    'No security documentation is requested from vendors.': 'Aucune documentation sur la sécurité n’est demandée aux fournisseurs.',
+    'Security credentials, such as SOC 2 or ISO 27001 reports, are requested from critical vendors during onboarding, but overall reviews and ongoing tracking are inconsistent.': 'Des attestations de sécurité, comme des rapports SOC 2 ou ISO 27001, sont demandées aux fournisseurs critiques lors de leur intégration, mais les examens et le suivi continu sont inégaux.',
+    'Security documentation is required and reviewed at onboarding and annually for all high-risk vendors.': 'Une documentation sur la sécurité est exigée et examinée lors de l’intégration, puis chaque année, pour tous les fournisseurs à risque élevé.',
+    'A formal third-party security assessment program is in place, with regular audits, attestation reviews, and automated tracking of vendor certifications and renewals.': 'Un programme officiel d’évaluation de la sécurité des tiers est en place, avec des audits réguliers, l’examen des attestations et le suivi automatisé des certifications des fournisseurs et de leurs renouvellements.',
+    '7. Do your third-party contracts that involve APIs include data protection and liability terms?': '7. Vos contrats avec des tiers portant sur des API comprennent-ils des clauses de protection des données et de responsabilité?',
+    'No specific data protection or liability clauses are included in contracts.': 'Les contrats ne comportent aucune clause précise de protection des données ou de responsabilité.',
+    'Contracts include general data security and confidentiality terms that apply to API use, but they may not specifically address API-related risks.': 'Les contrats comportent des clauses générales de sécurité des données et de confidentialité qui s’appliquent à l’utilisation des API, mais elles peuvent ne pas viser précisément les risques liés aux API.',
+    'API-integrated contracts specify data protection responsibilities, liability for breaches, and usage limits.': 'Les contrats intégrant des API précisent les responsabilités en matière de protection des données, la responsabilité en cas d’atteinte et les limites d’utilisation.',
+    'Third-party contracts include detailed API-specific clauses (e.g., data use, retention, security standards, breach notification, indemnity) reviewed by legal and security teams.': 'Les contrats avec des tiers comprennent des clauses détaillées propres aux API (p. ex. utilisation et conservation des données, normes de sécurité, notification des atteintes, indemnisation) examinées par les équipes juridiques et de sécurité.',
+    '8. How do you ensure third-party or open-source components meet your company\'s quality and security expectations before use?': '8. Comment vous assurez-vous que les composants de tiers ou à code source ouvert répondent aux attentes de votre entreprise en matière de qualité et de sécurité avant leur utilisation?',
+    'Components are used without any evaluation or tracking.': 'Les composants sont utilisés sans aucune évaluation ni aucun suivi.',
+    'Developers choose components mainly based on familiarity or popularity and vet them for functionality, but security and licensing risks are not systematically reviewed.': 'Les développeurs choisissent les composants surtout selon leur familiarité ou leur popularité et en vérifient les fonctionnalités, mais les risques liés à la sécurité et aux licences ne sont pas examinés systématiquement.',
+    'Components must meet internal guidelines and are checked for known vulnerabilities and license terms before use.': 'Les composants doivent respecter des lignes directrices internes, et leurs vulnérabilités connues et conditions de licence sont vérifiées avant leur utilisation.',
+    'A formal approval process is in place with automated scanning for vulnerabilities (e.g., SCA tools), legal review of licenses, and centralized tracking of third-party components.': 'Un processus officiel d’approbation est en place, avec la détection automatisée des vulnérabilités (p. ex. outils SCA), l’examen juridique des licences et le suivi centralisé des composants de tiers.',
+    '9. What steps are taken to test your products or software to ensure they work as intended before launch?': '9. Quelles mesures prenez-vous pour tester vos produits ou logiciels afin de vous assurer qu’ils fonctionnent comme prévu avant leur lancement?',
+    'No formal testing is done before release. Issues are addressed post-launch.': 'Aucun test officiel n’est effectué avant la mise en production. Les problèmes sont réglés après le lancement.',
+    'Basic manual testing, including unit and integration tests with occasional regression checks before major releases, is typically performed by developers or end users.': 'Des tests manuels de base, y compris des tests unitaires et d’intégration avec des vérifications de régression occasionnelles avant les versions majeures, sont habituellement effectués par les développeurs ou les utilisateurs finaux.',
+    'A structured QA process is in place, including automated testing, regression testing, and staging environment validation before release.': 'Un processus d’assurance qualité structuré est en place, comprenant des tests automatisés, des tests de régression et une validation en environnement de préproduction avant la mise en production.',
+    'A comprehensive testing framework is enforced with automated test coverage, peer reviews, security testing, and production readiness sign-off by QA and product teams.': 'Un cadre de test complet est appliqué, avec une couverture de tests automatisés, des revues par les pairs, des tests de sécurité et une approbation de la mise en production par les équipes d’assurance qualité et de produit.',
+
+    // Questionnaire: privacy
+    '9. Privacy, Data Security & API Controls': '9. Contrôles de la confidentialité, de la sécurité des données et des API',
+    '1. Do you collect, store, or process customer data?': '1. Recueillez-vous, stockez-vous ou traitez-vous des données de clients?',
+    'Contact information (Names, addresses, emails)': 'Coordonnées (noms, adresses, courriels)',
+    'Approx. number of records:': 'Nombre approximatif de dossiers :',
+    'Number of records': 'Nombre de dossiers',
+    'Personal Health Data': 'Renseignements personnels sur la santé',
+    'Payment Card Data': 'Données de cartes de paiement',
+    'Financial Records': 'Dossiers financiers',
+    'Government ID Numbers': 'Numéros d’identification gouvernementaux',
+    'Biometric Data': 'Données biométriques',
+    '2. Do you maintain a data inventory or data classification policy?': '2. Tenez-vous un inventaire des données ou une politique de classification des données?',
+    'We are unsure what personal or sensitive data we handle.': 'Nous ne savons pas avec certitude quelles données personnelles ou sensibles nous traitons.',
+    'There is a general understanding of the types of personal data handled, with some documented categories, but no formal or comprehensive classification of personal or sensitive data.': 'Les types de données personnelles traitées sont connus de façon générale, et certaines catégories sont documentées, mais il n’existe aucune classification officielle ou complète des données personnelles ou sensibles.',
+    'We classify data (e.g., PII, health, financial) and apply protection policies accordingly.': 'Nous classifions les données (p. ex. renseignements personnels, données de santé ou financières) et appliquons les politiques de protection en conséquence.',
+    'We maintain a detailed data inventory with classification levels, mapped to systems and regulatory obligations, and aligned to risk-based protection standards.': 'Nous tenons un inventaire détaillé des données avec des niveaux de classification, associés aux systèmes et aux obligations réglementaires et harmonisés avec des normes de protection fondées sur les risques.',
+    '3. How do you determine what data is sensitive, and what protections are applied based on that sensitivity?': '3. Comment déterminez-vous quelles données sont sensibles, et quelles protections sont appliquées selon leur degré de sensibilité?',
+    'There is no process for classifying or protecting sensitive data.': 'Il n’existe aucun processus de classification ou de protection des données sensibles.',
+    'Sensitivity is generally determined case-by-case with informal guidance, though a basic classification policy exists with some controls like encryption for high-risk data.': 'La sensibilité est généralement déterminée au cas par cas selon des directives informelles, bien qu’une politique de classification de base existe avec certains contrôles comme le chiffrement des données à risque élevé.',
+    'Data is classified based on regulatory and business impact, with defined controls for each level (e.g., access control, encryption, retention).': 'Les données sont classifiées selon leur incidence réglementaire et opérationnelle, avec des contrôles définis pour chaque niveau (p. ex. contrôle d’accès, chiffrement, conservation).',
+    'A comprehensive data classification and protection framework is used, with automated enforcement, access logging, and policy integration across platforms.': 'Un cadre complet de classification et de protection des données est utilisé, avec une application automatisée, la journalisation des accès et l’intégration des politiques à toutes les plateformes.',
+    '4. Do you have a process for permanently deleting personal data when it\'s no longer needed?': '4. Avez-vous un processus de suppression définitive des données personnelles lorsqu’elles ne sont plus nécessaires?',
+    'No defined process for deleting personal data.': 'Aucun processus défini de suppression des données personnelles.',
+    'Personal data is deleted when required, typically through manual processes, but this is done occasionally and not in a systematic or irreversible way.': 'Les données personnelles sont supprimées lorsque c’est nécessaire, habituellement par des processus manuels, mais de façon occasionnelle et non systématique ou irréversible.',
+    'A documented data deletion process is in place, aligned to retention policies, with periodic audits.': 'Un processus documenté de suppression des données est en place, harmonisé avec les politiques de conservation et assorti d’audits périodiques.',
+    'Automated and auditable deletion workflows are in place for personal data, based on retention schedules, legal holds, and privacy regulations (e.g., PIPEDA, GDPR, CPRA).': 'Des processus de suppression automatisés et vérifiables sont en place pour les données personnelles, fondés sur les calendriers de conservation, les mises en suspens pour litige et la réglementation sur la protection des renseignements personnels (p. ex. LPRPDE, RGPD, CPRA).',
+    '5. Are you PCI compliant if processing payment cards?': '5. Êtes-vous conforme à la norme PCI si vous traitez des cartes de paiement?',
+    'Yes': 'Oui',
+    'No': 'Non',
+    'Not Applicable': 'Sans objet',
+    '6. Do you enforce data retention or deletion schedules?': '6. Appliquez-vous des calendriers de conservation ou de suppression des données?',
+    'We do not have a formal data retention or deletion policy in place.': 'Nous n’avons aucune politique officielle de conservation ou de suppression des données.',
+    'We have informal guidelines, but enforcement is inconsistent and often left to individual departments.': 'Nous avons des lignes directrices informelles, mais leur application est inégale et souvent laissée à chaque service.',
+    'We have a documented data retention and deletion policy, with scheduled reviews, but enforcement is only partially automated.': 'Nous avons une politique documentée de conservation et de suppression des données, avec des revues planifiées, mais son application n’est que partiellement automatisée.',
+    'We enforce automated data retention and deletion schedules across all systems, aligned with legal, regulatory, and contractual requirements, and monitored for compliance.': 'Nous appliquons des calendriers automatisés de conservation et de suppression des données dans tous les systèmes, harmonisés avec les exigences juridiques, réglementaires et contractuelles, et dont la conformité est surveillée.',
+    '7. Do you use data loss prevention (DLP) or file encryption tools?': '7. Utilisez-vous des outils de prévention des pertes de données (DLP) ou de chiffrement des fichiers?',
+    'We do not use any DLP or file encryption tools.': 'Nous n’utilisons aucun outil de DLP ni de chiffrement des fichiers.',
+    'We use basic file encryption tools on select systems, but no DLP solution is in place.': 'Nous utilisons des outils de base de chiffrement des fichiers sur certains systèmes, mais aucune solution de DLP n’est en place.',
+    'We use either DLP or encryption tools across core systems handling sensitive data, though coverage may not be enterprise-wide.': 'Nous utilisons des outils de DLP ou de chiffrement sur les systèmes principaux qui traitent des données sensibles, bien que la couverture puisse ne pas s’étendre à toute l’entreprise.',
+    'We use both DLP and encryption tools organization-wide, with centralized policies, real-time monitoring, and alerting to prevent unauthorized data exfiltration.': 'Nous utilisons des outils de DLP et de chiffrement dans toute l’organisation, avec des politiques centralisées, une surveillance en temps réel et des alertes pour prévenir l’exfiltration non autorisée de données.',
+    '8. Do you encrypt sensitive data in transit over networks and at rest?': '8. Chiffrez-vous les données sensibles en transit sur les réseaux et au repos?',
+    'Sensitive data is not consistently encrypted either in transit or at rest.': 'Les données sensibles ne sont pas chiffrées de façon uniforme, ni en transit ni au repos.',
+    'We encrypt sensitive data in transit (e.g., HTTPS, VPN), but at-rest encryption is not applied across all systems.': 'Nous chiffrons les données sensibles en transit (p. ex. HTTPS, RPV), mais le chiffrement au repos n’est pas appliqué à tous les systèmes.',
+    'Sensitive data is encrypted both in transit and at rest for key systems, but not fully standardized across the organization.': 'Les données sensibles sont chiffrées en transit et au repos dans les systèmes clés, mais pas de façon entièrement normalisée dans l’organisation.',
+    'All sensitive data is encrypted by default both in transit and at rest using industry-standard algorithms, enforced via policy and regularly audited.': 'Toutes les données sensibles sont chiffrées par défaut en transit et au repos au moyen d’algorithmes conformes aux normes de l’industrie, selon une politique appliquée et auditée régulièrement.',
+    '9. How is access to your APIs controlled, and how is sensitive data protected during transmission?': '9. Comment l’accès à vos API est-il contrôlé, et comment les données sensibles sont-elles protégées pendant leur transmission?',
+    'APIs are open or unsecured, with no encryption or access control.': 'Les API sont ouvertes ou non sécurisées, sans chiffrement ni contrôle d’accès.',
+    'Basic API keys, passwords, and encryption (e.g., HTTPS) are used for most APIs, but controls are not consistently enforced or standardized.': 'Des clés d’API de base, des mots de passe et du chiffrement (p. ex. HTTPS) sont utilisés pour la plupart des API, mais les contrôles ne sont pas appliqués ni normalisés de façon uniforme.',
+    'Access is controlled via secure methods like OAuth, API gateways, and all traffic is encrypted.': 'L’accès est contrôlé par des méthodes sécurisées comme OAuth et des passerelles d’API, et tout le trafic est chiffré.',
+    'APIs use strong authentication (OAuth2, JWT), encryption (TLS 1.2+), rate limiting, and token lifecycle controls, with centralized access management.': 'Les API utilisent une authentification forte (OAuth2, JWT), le chiffrement (TLS 1.2 ou plus), la limitation du débit et des contrôles du cycle de vie des jetons, avec une gestion centralisée des accès.',
+    '10. Are your APIs regularly reviewed for security risks, and how do you handle any issues that are found?': '10. Vos API font-elles l’objet d’examens réguliers des risques de sécurité, et comment traitez-vous les problèmes relevés?',
+    'No regular review or testing of APIs for security vulnerabilities.': 'Aucun examen ni test régulier des API pour détecter les vulnérabilités de sécurité.',
+    'APIs are informally tested or reviewed during development or when problems are reported, but follow-up and ongoing testing are inconsistent.': 'Les API sont testées ou examinées de façon informelle pendant le développement ou lorsque des problèmes sont signalés, mais le suivi et les tests continus sont inégaux.',
+    'Regular static/dynamic security testing is performed, and findings are addressed through a formal remediation process.': 'Des tests de sécurité statiques et dynamiques sont effectués régulièrement, et les constatations sont traitées au moyen d’un processus officiel de correction.',
+    'APIs undergo routine automated and manual security testing (e.g., SAST, DAST, fuzzing), with tracked remediation SLAs and integration into DevSecOps.': 'Les API font l’objet de tests de sécurité automatisés et manuels courants (p. ex. SAST, DAST, test à données aléatoires), avec des délais de correction suivis et une intégration au DevSecOps.',
+    '11. How do you monitor API use in real time to detect unusual behavior or potential data leaks?': '11. Comment surveillez-vous l’utilisation des API en temps réel pour détecter les comportements inhabituels ou les fuites de données potentielles?',
+    'No monitoring of API traffic or behavior is in place.': 'Aucune surveillance du trafic ou du comportement des API n’est en place.',
+    'API logs are collected and usage is monitored through manual reviews or basic alerts, but not on a regular or proactive basis.': 'Les journaux des API sont recueillis et leur utilisation est surveillée au moyen d’examens manuels ou d’alertes de base, mais pas de façon régulière ou proactive.',
+    'Real-time monitoring is in place for usage patterns, errors, and rate anomalies, with alerts for suspicious behavior.': 'Une surveillance en temps réel des tendances d’utilisation, des erreurs et des anomalies de débit est en place, avec des alertes en cas de comportement suspect.',
+    'API traffic is monitored continuously using analytics or threat detection tools, with anomaly detection, alerting, and response workflows integrated with incident handling.': 'Le trafic des API est surveillé en continu au moyen d’outils d’analyse ou de détection des menaces, avec la détection des anomalies, des alertes et des processus d’intervention intégrés à la gestion des incidents.',
+
+    // Questionnaire: intellectualProperty
+    '10. Intellectual Property & Content Governance Controls': '10. Contrôles de la propriété intellectuelle et de la gouvernance du contenu',
+    '1. Do your contracts with customers, partners, or distributors include indemnification provisions that make you responsible for IP infringement claims?': '1. Vos contrats avec vos clients, partenaires ou distributeurs comprennent-ils des clauses d’indemnisation qui vous rendent responsable des réclamations pour violation de la propriété intellectuelle (PI)?',
+    'We haven\'t reviewed our contracts for IP indemnity exposure and are unsure whether such provisions exist.': 'Nous n’avons pas examiné notre exposition aux indemnisations en matière de PI dans nos contrats et ne savons pas si de telles clauses existent.',
+    'Some contracts include IP indemnities, but we accept them as-is without negotiation or risk transfer strategies.': 'Certains contrats comprennent des indemnisations en matière de PI, mais nous les acceptons telles quelles, sans négociation ni stratégie de transfert du risque.',
+    'We review IP indemnity provisions case-by-case and seek to limit or share liability where possible, often with legal input.': 'Nous examinons les clauses d’indemnisation en matière de PI au cas par cas et cherchons à limiter ou à partager la responsabilité lorsque c’est possible, souvent avec l’apport du service juridique.',
+    'We have a formal process for reviewing and negotiating IP indemnities, consistently limit our exposure through contract language, and align coverage with our insurance program to ensure claims are insurable.': 'Nous avons un processus officiel d’examen et de négociation des indemnisations en matière de PI, limitons systématiquement notre exposition par le libellé des contrats et harmonisons la couverture avec notre programme d’assurance pour que les réclamations soient assurables.',
+    '2. What is your plan if your company is accused of infringing someone else\'s IP?': '2. Quel est votre plan si votre entreprise est accusée de violer la PI d’autrui?',
+    'No plan or insurance is in place to address IP disputes.': 'Aucun plan ni aucune assurance ne sont en place pour les litiges en matière de PI.',
+    'Leadership relies on legal counsel and a general dispute response approach, but there is no documented or detailed plan specific to IP disputes.': 'La direction s’en remet au conseiller juridique et à une approche générale de règlement des litiges, mais il n’existe aucun plan documenté ou détaillé propre aux litiges en matière de PI.',
+    'A formal incident response process is in place, including legal review and insurance support.': 'Un processus officiel de réponse aux incidents est en place, comprenant un examen juridique et le soutien de l’assureur.',
+    'The company has a documented IP risk response plan, legal counsel on standby, indemnification strategies, and intellectual property insurance.': 'L’entreprise dispose d’un plan documenté d’intervention en cas de risque lié à la PI, d’un conseiller juridique disponible, de stratégies d’indemnisation et d’une assurance propriété intellectuelle.',
+    '3. How do you monitor and manage the use of third-party software licenses?': '3. Comment surveillez-vous et gérez-vous l’utilisation des licences de logiciels de tiers?',
+    'Software is used without tracking licenses or usage rights.': 'Les logiciels sont utilisés sans suivi des licences ni des droits d’utilisation.',
+    'Teams manage licensing informally with a partial inventory and some tools to track third-party software, but tracking is incomplete and decentralized.': 'Les équipes gèrent les licences de façon informelle au moyen d’un inventaire partiel et de quelques outils de suivi des logiciels de tiers, mais le suivi est incomplet et décentralisé.',
+    'License use is tracked and reviewed regularly, with controls to prevent unauthorized or expired use.': 'L’utilisation des licences est suivie et revue régulièrement, avec des contrôles pour prévenir toute utilisation non autorisée ou expirée.',
+    'A centralized license management system is in place, integrated with procurement and development, with regular audits and automated compliance alerts.': 'Un système centralisé de gestion des licences est en place, intégré à l’approvisionnement et au développement, avec des audits réguliers et des alertes de conformité automatisées.',
+    '4. What measures are in place to prevent the misuse of someone else\'s IP? (like patents, content, or software)': '4. Quelles mesures sont en place pour prévenir l’utilisation abusive de la PI d’autrui? (brevets, contenu ou logiciels, par exemple)',
+    'No measures are in place; staff use third-party materials without oversight.': 'Aucune mesure n’est en place; le personnel utilise des documents de tiers sans supervision.',
+    'Teams follow basic guidelines and reminders to avoid IP misuse, but there are no formal policies, checks, or consistent monitoring in place.': 'Les équipes suivent des lignes directrices et des rappels de base pour éviter l’utilisation abusive de la PI, mais il n’y a ni politique officielle, ni vérification, ni surveillance uniforme.',
+    'The company has documented policies, training, and review processes to avoid IP infringement.': 'L’entreprise dispose de politiques documentées, de formation et de processus d’examen pour éviter la violation de la PI.',
+    'A formal IP compliance program is in place, including legal review, licensing audits, content screening, and employee training.': 'Un programme officiel de conformité en matière de PI est en place, comprenant un examen juridique, des audits des licences, le filtrage du contenu et la formation des employés.',
+    '5. Is there a review process to ensure marketing or public content doesn\'t violate IP rights or privacy laws?': '5. Existe-t-il un processus d’examen pour s’assurer que le contenu de marketing ou public ne viole pas les droits de PI ni les lois sur la protection de la vie privée?',
+    'Content is published without any review for legal or IP concerns.': 'Le contenu est publié sans aucun examen des enjeux juridiques ou de PI.',
+    'Content, including marketing materials, is reviewed informally by managers or legal when requested, but there is no defined process or consistent checklist.': 'Le contenu, y compris les documents de marketing, est examiné de façon informelle par les gestionnaires ou le service juridique sur demande, mais il n’y a ni processus défini ni liste de vérification uniforme.',
+    'A standard review process is in place for all public-facing content, including checks for IP and privacy issues.': 'Un processus d’examen standard s’applique à tout le contenu public, y compris la vérification des enjeux de PI et de protection de la vie privée.',
+    'All content goes through a formal legal/compliance review process with documented approvals, IP clearance procedures, and version control.': 'Tout le contenu fait l’objet d’un processus officiel d’examen juridique et de conformité, avec des approbations documentées, des procédures de libération des droits de PI et le contrôle des versions.',
+    '6. What controls does your organization have in place to detect and prevent unauthorized use or infringement of your intellectual property by others?': '6. Quels contrôles votre organisation a-t-elle mis en place pour détecter et prévenir l’utilisation non autorisée ou la violation de sa propriété intellectuelle par autrui?',
+    'We don\'t currently monitor for IP infringement and rely on third parties to notify us if issues arise.': 'Nous ne surveillons pas actuellement les violations de notre PI et comptons sur des tiers pour nous aviser en cas de problème.',
+    'We occasionally search for misuse of our IP online or respond when issues are brought to our attention, but have no formal process.': 'Nous recherchons à l’occasion l’utilisation abusive de notre PI en ligne ou réagissons lorsque des problèmes nous sont signalés, mais nous n’avons aucun processus officiel.',
+    'We monitor for unauthorized use of our IP using basic tools (e.g., manual searches, Google alerts) and engage legal counsel when needed.': 'Nous surveillons l’utilisation non autorisée de notre PI au moyen d’outils de base (p. ex. recherches manuelles, alertes Google) et faisons appel à un conseiller juridique au besoin.',
+    'We use active monitoring tools (e.g., trademark watch services, brand protection platforms), have internal escalation procedures, and enforce our rights through cease-and-desist letters, takedowns, or litigation when appropriate.': 'Nous utilisons des outils de surveillance active (p. ex. services de surveillance des marques de commerce, plateformes de protection de la marque), avons des procédures internes de remontée et faisons valoir nos droits par des mises en demeure, des demandes de retrait ou des poursuites, s’il y a lieu.',
+    '7. Do you publish, distribute, or create original media? (images, videos, code, written content)': '7. Publiez-vous, distribuez-vous ou créez-vous des médias originaux? (images, vidéos, code, contenu écrit)',
+    'Please describe:': 'Veuillez décrire :',
+    'Please describe the type of original media you create...': 'Veuillez décrire le type de médias originaux que vous créez...',
+    'Do you review content for potential infringement, defamation, and privacy risks?': 'Examinez-vous le contenu pour déceler les risques de violation, de diffamation et d’atteinte à la vie privée?',
+    'Are such content reviews performed by or under the supervision of an attorney?': 'Ces examens du contenu sont-ils effectués par un avocat ou sous sa supervision?',
+    '8. What steps do you take to protect your intellectual property (e.g., registrations, confidentiality agreements, employee IP assignment agreements)?': '8. Quelles mesures prenez-vous pour protéger votre propriété intellectuelle (p. ex. enregistrements, ententes de confidentialité, ententes de cession de PI des employés)?',
+    'Registered patents or trademarks': 'Brevets ou marques de commerce enregistrés',
+    'Employee and contractor IP assignment/confidentiality agreements': 'Ententes de cession de PI et de confidentialité avec les employés et les entrepreneurs',
+    'Other (please specify):': 'Autre (veuillez préciser) :',
+    'Please specify other IP protections': 'Veuillez préciser les autres protections de la PI',
+    'No formal protections': 'Aucune protection officielle',
+
+    // Questionnaire: employment
+    '11. People, Employment Practices & Insider Controls': '11. Contrôles du personnel, des pratiques d’emploi et des menaces internes',
+    '1. What background checks or screening do you use to evaluate new hires, especially for roles with access to sensitive data or systems?': '1. Quelles vérifications des antécédents ou quelle présélection utilisez-vous pour évaluer les nouvelles recrues, surtout pour les postes ayant accès à des données ou à des systèmes sensibles?',
+    'No background checks or screening are conducted before hiring.': 'Aucune vérification des antécédents ni présélection n’est effectuée avant l’embauche.',
+    'Basic reference checks and, for sensitive roles, occasional criminal background or employment verification are performed, but there is no formal screening policy and practices are inconsistent.': 'Des vérifications de base des références et, pour les postes sensibles, des vérifications occasionnelles des antécédents criminels ou d’emploi sont effectuées, mais il n’existe aucune politique officielle de présélection et les pratiques sont inégales.',
+    'Standardized screening process includes criminal, employment, and education verification for all roles with data/system access.': 'Un processus de présélection normalisé comprend la vérification des antécédents criminels, des emplois et de la scolarité pour tous les postes ayant accès aux données ou aux systèmes.',
+    'A comprehensive, risk-based screening process is applied based on role sensitivity, including background, credit (where appropriate), and regulatory compliance checks.': 'Un processus de présélection complet et fondé sur les risques est appliqué selon la sensibilité du poste, comprenant la vérification des antécédents, du crédit (s’il y a lieu) et de la conformité réglementaire.',
+    '2. What is your process for ensuring new hires understand and follow your company\'s key policies, like security and acceptable use?': '2. Quel est votre processus pour vous assurer que les nouvelles recrues comprennent et respectent les principales politiques de l’entreprise, comme la sécurité et l’utilisation acceptable?',
+    'New hires receive little or no orientation on company policies.': 'Les nouvelles recrues reçoivent peu ou pas d’orientation sur les politiques de l’entreprise.',
+    'New hires receive policies to review as part of basic onboarding, with signed acknowledgment required for key policies like confidentiality or acceptable use, but broader training or acknowledgment is not consistently required.': 'Les nouvelles recrues reçoivent les politiques à lire dans le cadre d’une intégration de base, avec une reconnaissance signée exigée pour les principales politiques comme la confidentialité ou l’utilisation acceptable, mais une formation ou une reconnaissance plus étendue n’est pas exigée de façon uniforme.',
+    'New hires complete structured onboarding, including required training on security, privacy, and acceptable use policies.': 'Les nouvelles recrues suivent une intégration structurée, comprenant une formation obligatoire sur les politiques de sécurité, de protection de la vie privée et d’utilisation acceptable.',
+    'Onboarding includes interactive, role-specific policy training with testing, tracked completion, and annual re-certification for key policies.': 'L’intégration comprend une formation interactive sur les politiques, adaptée au rôle, avec des tests, un suivi de la participation et une recertification annuelle pour les principales politiques.',
+    '3. How are employees trained to avoid accidentally sharing confidential information through email, messages, or presentations?': '3. Comment les employés sont-ils formés pour éviter de communiquer accidentellement des renseignements confidentiels par courriel, par message ou lors de présentations?',
+    'No training is provided on handling confidential information.': 'Aucune formation n’est offerte sur le traitement des renseignements confidentiels.',
+    'Employees receive informal reminders and confidentiality training during onboarding, but there is no structured or ongoing training program.': 'Les employés reçoivent des rappels informels et une formation sur la confidentialité lors de leur intégration, mais il n’y a aucun programme de formation structuré ou continu.',
+    'Regular training is provided, including email and presentation dos/don\'ts and examples of accidental disclosure.': 'Une formation régulière est offerte, comprenant les bonnes et mauvaises pratiques pour les courriels et les présentations ainsi que des exemples de divulgation accidentelle.',
+    'Employees receive role-based, scenario-driven training with testing, reinforced by policy, monitoring, and reporting mechanisms.': 'Les employés reçoivent une formation adaptée à leur rôle et fondée sur des scénarios, avec des tests, renforcée par des politiques, de la surveillance et des mécanismes de signalement.',
+    '4. What steps are in place to detect unusual employee behavior that could indicate a security or policy issue?': '4. Quelles mesures sont en place pour détecter un comportement inhabituel d’un employé pouvant révéler un problème de sécurité ou de respect des politiques?',
+    'No monitoring or detection tools or processes are in place.': 'Aucun outil ni processus de surveillance ou de détection n’est en place.',
+    'Potential issues are identified informally through manager observation or peer reporting, with HR or IT conducting manual log reviews when concerns arise, but there is no ongoing monitoring.': 'Les problèmes potentiels sont relevés de façon informelle par l’observation des gestionnaires ou le signalement par des collègues, et les RH ou les TI examinent manuellement les journaux en cas de préoccupation, mais il n’y a aucune surveillance continue.',
+    'Systems log user activity and can flag anomalies; HR and IT have a defined process to investigate concerns.': 'Les systèmes journalisent l’activité des utilisateurs et peuvent signaler les anomalies; les RH et les TI disposent d’un processus défini pour enquêter sur les préoccupations.',
+    'Behavioral analytics and monitoring tools are in place for high-risk roles, with integrated alerting, response protocols, and legal/HR oversight.': 'Des outils d’analyse comportementale et de surveillance sont en place pour les postes à risque élevé, avec des alertes intégrées, des protocoles d’intervention et une supervision par le service juridique et les RH.',
+    '5. Do employment agreements clearly define confidentiality obligations, IP ownership, and terms that continue after someone leaves?': '5. Les contrats de travail définissent-ils clairement les obligations de confidentialité, la propriété de la PI et les conditions qui s’appliquent après le départ d’une personne?',
+    'Employment agreements do not include confidentiality or IP ownership provisions, and have no post-employment obligations.': 'Les contrats de travail ne comportent aucune clause de confidentialité ou de propriété de la PI ni aucune obligation postérieure à l’emploi.',
+    'Some agreements include confidentiality clauses, but IP ownership or post-employment obligations are missing or inconsistent.': 'Certains contrats comportent des clauses de confidentialité, mais les clauses de propriété de la PI ou les obligations postérieures à l’emploi sont absentes ou inégales.',
+    'Most agreements include confidentiality, IP ownership, and some terms that extend after employment ends, though not always reviewed or tailored.': 'La plupart des contrats comprennent des clauses de confidentialité, de propriété de la PI et certaines conditions qui se prolongent après la fin de l’emploi, sans toujours être revus ni adaptés.',
+    'All employment agreements clearly define confidentiality, IP ownership, and post-employment obligations, are reviewed by legal counsel, and updated regularly.': 'Tous les contrats de travail définissent clairement la confidentialité, la propriété de la PI et les obligations postérieures à l’emploi, sont examinés par un conseiller juridique et mis à jour régulièrement.',
+    '6. What steps ensure NDAs are signed, enforced, and followed, particularly after employment ends?': '6. Quelles mesures assurent que les ententes de non-divulgation (END) sont signées, appliquées et respectées, particulièrement après la fin de l’emploi?',
+    'NDAs are rarely used or tracked, with no process to enforce them during or after employment.': 'Les END sont rarement utilisées ou suivies, et aucun processus n’en assure l’application pendant ou après l’emploi.',
+    'NDAs are signed for some roles or situations, but tracking is informal and follow-up after employment is minimal.': 'Des END sont signées pour certains postes ou certaines situations, mais le suivi est informel et minimal après l’emploi.',
+    'NDAs are standard for employees and key contractors, tracked centrally, with reminders of obligations given during exit processes.': 'Les END sont la norme pour les employés et les principaux entrepreneurs, suivies de façon centralisée, et les obligations sont rappelées lors des processus de départ.',
+    'NDAs are mandatory for all staff and applicable vendors, systematically tracked, enforced with formal exit procedures, and obligations monitored post-employment.': 'Les END sont obligatoires pour tout le personnel et les fournisseurs concernés, suivies systématiquement, appliquées au moyen de procédures de départ officielles, et les obligations sont surveillées après l’emploi.',
+
+    // Questionnaire: aiTools
+    '12. Artificial Intelligence Tools & Controls': '12. Outils et contrôles d’intelligence artificielle',
+    '1. Do you have formal policies governing employee use of generative AI tools in the workplace?': '1. Avez-vous des politiques officielles encadrant l’utilisation d’outils d’IA générative par les employés au travail?',
+    'No formal policy exists; employees use AI tools at their discretion without oversight or guidance.': 'Il n’existe aucune politique officielle; les employés utilisent les outils d’IA à leur discrétion, sans supervision ni directives.',
+    'Informal guidelines are communicated verbally or via ad hoc communications, but no formalized or documented policy is in place.': 'Des lignes directrices informelles sont communiquées verbalement ou de façon ponctuelle, mais aucune politique officielle ou documentée n’est en place.',
+    'A documented policy exists outlining acceptable AI use cases and prohibited applications; periodic reminders or basic training are provided.': 'Une politique documentée décrit les utilisations acceptables de l’IA et les applications interdites; des rappels périodiques ou une formation de base sont offerts.',
+    'A comprehensive, regularly updated AI use policy is in place, aligned with legal, regulatory, and ethical standards. Mandatory employee training, acknowledgement tracking, and compliance audits ensure adherence.': 'Une politique complète d’utilisation de l’IA, mise à jour régulièrement, est en place et harmonisée avec les normes juridiques, réglementaires et éthiques. Une formation obligatoire des employés, le suivi des reconnaissances et des audits de conformité en assurent le respect.',
+    '2. How does your organization ensure sensitive, proprietary or customer data is not inadvertently inputted into public or third-party AI tools?': '2. Comment votre organisation s’assure-t-elle que des données sensibles, exclusives ou de clients ne sont pas saisies par inadvertance dans des outils d’IA publics ou de tiers?',
+    'No controls or employee awareness; sensitive data may be shared with AI tools without restriction or monitoring.': 'Aucun contrôle ni aucune sensibilisation des employés; des données sensibles peuvent être communiquées à des outils d’IA sans restriction ni surveillance.',
+    'Employees are instructed not to share sensitive data with AI tools, but enforcement is manual and there are no technical safeguards.': 'Les employés ont pour consigne de ne pas communiquer de données sensibles aux outils d’IA, mais l’application est manuelle et il n’existe aucune mesure de protection technique.',
+    'Data classification and access rules are defined, with monitoring tools or DLP (Data Loss Prevention) systems in place to detect and prevent accidental sharing.': 'Des règles de classification des données et d’accès sont définies, avec des outils de surveillance ou des systèmes de prévention des pertes de données (DLP) pour détecter et prévenir la communication accidentelle.',
+    'Strong, enforced controls combining technical safeguards (e.g., AI input filtering, DLP, endpoint restrictions) with mandatory training, AI-specific data handling protocols, and real-time monitoring to prevent sensitive data leakage.': 'Des contrôles rigoureux et appliqués combinent des mesures de protection techniques (p. ex. filtrage des saisies dans l’IA, DLP, restrictions sur les terminaux) à une formation obligatoire, à des protocoles de traitement des données propres à l’IA et à une surveillance en temps réel pour prévenir les fuites de données sensibles.',
+    '3. How are AI tools provisioned and monitored internally to ensure only authorized employees can access and use them?': '3. Comment les outils d’IA sont-ils attribués et surveillés à l’interne pour que seuls les employés autorisés puissent y accéder et les utiliser?',
+    'No restrictions; any employee can access and use AI tools, including unsanctioned or public platforms, without oversight.': 'Aucune restriction; tout employé peut accéder aux outils d’IA et les utiliser, y compris des plateformes publiques ou non approuvées, sans supervision.',
+    'AI tool access is limited to certain teams, but controls are informal and not technically enforced (e.g., relying on manager approval or trust).': 'L’accès aux outils d’IA est limité à certaines équipes, mais les contrôles sont informels et ne sont pas imposés techniquement (p. ex. ils reposent sur l’approbation du gestionnaire ou la confiance).',
+    'Approved AI tools are centrally provisioned with role-based access controls; usage logs are reviewed periodically but not continuously monitored.': 'Les outils d’IA approuvés sont attribués de façon centralisée avec des contrôles d’accès fondés sur les rôles; les journaux d’utilisation sont revus périodiquement, mais ne sont pas surveillés en continu.',
+    'Enterprise-approved AI tools integrated with identity and access management (IAM), multi-factor authentication, continuous monitoring, automated alerts for misuse, and centralized reporting dashboards for compliance oversight.': 'Des outils d’IA approuvés par l’entreprise sont intégrés à la gestion des identités et des accès (GIA), avec authentification multifacteur, surveillance continue, alertes automatisées en cas d’utilisation abusive et tableaux de bord centralisés pour la supervision de la conformité.',
+    '4. What steps do you take to make sure AI-generated content doesn\'t violate privacy rules or IP rights?': '4. Quelles mesures prenez-vous pour vous assurer que le contenu généré par l’IA ne viole pas les règles de protection de la vie privée ni les droits de PI?',
+    'No review or safeguards are in place to monitor AI-generated content.': 'Aucun examen ni aucune mesure de protection n’est en place pour surveiller le contenu généré par l’IA.',
+    'There is informal awareness of potential privacy and IP risks, with some safeguards such as manual review of public content, but no specific controls or consistent validation process are in place.': 'Il existe une sensibilisation informelle aux risques potentiels liés à la vie privée et à la PI, avec certaines mesures de protection comme l’examen manuel du contenu public, mais aucun contrôle précis ni processus de validation uniforme n’est en place.',
+    'The business has implemented content review procedures, and AI output is checked for privacy or IP issues before publication or use.': 'L’entreprise a mis en place des procédures d’examen du contenu, et les résultats de l’IA sont vérifiés pour déceler les enjeux de vie privée ou de PI avant leur publication ou leur utilisation.',
+    'There is a formal review and compliance process involving legal, compliance, and product teams to ensure AI outputs align with IP, copyright, and data privacy obligations.': 'Un processus officiel d’examen et de conformité fait intervenir les équipes juridiques, de conformité et de produit pour s’assurer que les résultats de l’IA respectent les obligations en matière de PI, de droit d’auteur et de protection des données personnelles.',
+    '5. Have you implemented controls to monitor and validate the accuracy and reliability of outputs generated by third-party AI tools?': '5. Avez-vous mis en place des contrôles pour surveiller et valider l’exactitude et la fiabilité des résultats générés par des outils d’IA de tiers?',
+    'No controls in place; outputs from AI tools are used without review or validation, relying entirely on the tool\'s outputs.': 'Aucun contrôle n’est en place; les résultats des outils d’IA sont utilisés sans examen ni validation, en se fiant entièrement à l’outil.',
+    'Manual review of outputs occurs inconsistently, dependent on individual user discretion, with no formal validation process or documented standards.': 'L’examen manuel des résultats est irrégulier et laissé à la discrétion de chaque utilisateur, sans processus de validation officiel ni normes documentées.',
+    'A formal processes exist for reviewing and validating AI outputs, including documented criteria and periodic spot checks by subject matter experts.': 'Des processus officiels d’examen et de validation des résultats de l’IA existent, comprenant des critères documentés et des vérifications ponctuelles périodiques par des experts en la matière.',
+    'A comprehensive validation framework in place, combining automated checks, human-in-the-loop oversight, and ongoing performance monitoring. Continuous audits and feedback loops are used to detect errors, bias, and drift, with results feeding into process improvements.': 'Un cadre de validation complet est en place, combinant des vérifications automatisées, une supervision humaine et une surveillance continue du rendement. Des audits continus et des boucles de rétroaction servent à détecter les erreurs, les biais et les dérives, et leurs résultats alimentent l’amélioration des processus.',
+    '6. Do you have incident response procedures in place to address errors, misuse, or breaches resulting from third-party AI tool use?': '6. Avez-vous des procédures de réponse aux incidents pour traiter les erreurs, les utilisations abusives ou les atteintes découlant de l’utilisation d’outils d’IA de tiers?',
+    'No formal incident response procedures exist for AI-related errors or misuse.': 'Il n’existe aucune procédure officielle de réponse aux incidents pour les erreurs ou les utilisations abusives liées à l’IA.',
+    'General IT or cybersecurity incident response procedures exist but do not address AI-specific risks or third-party tool misuse.': 'Des procédures générales de réponse aux incidents de TI ou de cybersécurité existent, mais elles ne traitent pas des risques propres à l’IA ni de l’utilisation abusive d’outils de tiers.',
+    'A documented incident response plan includes AI-related scenarios, with designated roles and escalation paths. Periodic tabletop exercises or testing are conducted, but scope remains limited.': 'Un plan documenté de réponse aux incidents comprend des scénarios liés à l’IA, avec des rôles désignés et des voies de remontée. Des exercices sur table ou des tests périodiques sont menés, mais leur portée demeure limitée.',
+    'A comprehensive AI-specific incident response plan is fully integrated with enterprise risk and cybersecurity frameworks. It includes rapid detection, predefined playbooks for AI errors/misuse, coordination with third-party vendors, post-incident reviews, and continuous improvement.': 'Un plan complet de réponse aux incidents propre à l’IA est pleinement intégré aux cadres de gestion des risques d’entreprise et de cybersécurité. Il comprend une détection rapide, des guides prédéfinis pour les erreurs et les utilisations abusives de l’IA, la coordination avec les fournisseurs tiers, des examens post-incident et l’amélioration continue.',
+    '7. Have you reviewed whether your insurance or contracts adequately address risks from using AI, such as errors, reputation damage, or legal issues?': '7. Avez-vous vérifié si vos assurances ou vos contrats couvrent adéquatement les risques liés à l’utilisation de l’IA, comme les erreurs, l’atteinte à la réputation ou les problèmes juridiques?',
+    'No review has been done, and existing policies or contracts may not address AI-related risks.': 'Aucun examen n’a été fait, et les polices ou contrats existants peuvent ne pas couvrir les risques liés à l’IA.',
+    'AI-related risks have been considered internally, and while some insurance coverage has been extended or gaps flagged by general counsel, there has been no formal review or comprehensive adjustments to coverage.': 'Les risques liés à l’IA ont été examinés à l’interne et, bien que certaines garanties d’assurance aient été étendues ou que des lacunes aient été signalées par le chef du contentieux, il n’y a eu ni examen officiel ni rajustement global de la couverture.',
+    'AI-related risks have been reviewed with legal and insurance advisors, and contracts include basic protections (e.g., disclaimers, indemnity).': 'Les risques liés à l’IA ont été examinés avec des conseillers juridiques et en assurance, et les contrats comprennent des protections de base (p. ex. avis de non-responsabilité, indemnisation).',
+    'The company proactively manages AI risks through tailored contractual clauses, D&O/E&O/cyber coverage extensions, and periodic reviews aligned to evolving uses of AI and regulatory guidance.': 'L’entreprise gère les risques liés à l’IA de façon proactive au moyen de clauses contractuelles adaptées, d’extensions des garanties responsabilité des administrateurs et dirigeants, responsabilité professionnelle et cyberrisques, et d’examens périodiques tenant compte de l’évolution des utilisations de l’IA et des directives réglementaires.',
+    '8. Do you require contractual indemnities or evidence of insurance from third-party AI vendors used in your internal operations?': '8. Exigez-vous des indemnisations contractuelles ou une preuve d’assurance des fournisseurs d’IA tiers utilisés dans vos activités internes?',
+    'We accept the vendors Terms of Service without review or monitoring of indemnification obligations.': 'Nous acceptons les conditions de service des fournisseurs sans examen ni suivi des obligations d’indemnisation.',
+    'Some contracts include general indemnification language, but vendor insurance evidence is not consistently requested.': 'Certains contrats comportent des clauses générales d’indemnisation, mais la preuve d’assurance des fournisseurs n’est pas demandée de façon uniforme.',
+    'Contracts include defined indemnities for AI-related risks and require vendors to provide proof of insurance, but enforcement and periodic review are limited.': 'Les contrats prévoient des indemnisations définies pour les risques liés à l’IA et exigent des fournisseurs une preuve d’assurance, mais l’application et les examens périodiques sont limités.',
+    'Robust vendor agreements mandate AI-specific indemnification, verified insurance coverage aligned with exposure (e.g., tech E&O, cyber), and ongoing compliance monitoring to ensure protections remain current.': 'Des ententes rigoureuses avec les fournisseurs exigent une indemnisation propre à l’IA, une couverture d’assurance vérifiée et adaptée à l’exposition (p. ex. responsabilité professionnelle en technologie, cyberrisques) et une surveillance continue de la conformité pour que les protections restent à jour.',
+
+    // Questionnaire: priorIncidents
+    '13. Prior Incidents & Claims': '13. Incidents et réclamations antérieurs',
+    '1. In the last 5 years, has the Company, or any entity falling within the definition of \'Insured\' under the proposed Policy, its partners, directors, officers, or employees ever had a written demand or civil proceedings for compensatory damages made against them?': '1. Au cours des 5 dernières années, l’entreprise ou toute entité visée par la définition d’« assuré » de la police proposée, ou ses associés, administrateurs, dirigeants ou employés, ont-ils fait l’objet d’une mise en demeure écrite ou d’une poursuite civile en dommages-intérêts compensatoires?',
+    'Provide details including dates, nature of claims, and outcomes...': 'Donnez des précisions, y compris les dates, la nature des réclamations et leur issue...',
+    '2. In the past 5 years has the Company, or any entity falling within the definition of \'Insured\' under the proposed Policy:': '2. Au cours des 5 dernières années, l’entreprise ou toute entité visée par la définition d’« assuré » de la police proposée a-t-elle :',
+    'Received any claims or complaints regarding privacy, data protection or network security, or unauthorized disclosure of information?': 'Reçu des réclamations ou des plaintes concernant la vie privée, la protection des données, la sécurité des réseaux ou la divulgation non autorisée de renseignements?',
+    'Notified any persons of a privacy violation and/or data breach incident?': 'Avisé des personnes d’une atteinte à la vie privée ou d’un incident d’atteinte à la protection des données?',
+    'Received an extortion demand relating to your data and/or computer systems?': 'Reçu une demande d’extorsion concernant vos données ou vos systèmes informatiques?',
+    'Experienced a network outage that resulted in a significant disruption to your operations?': 'Subi une panne de réseau ayant causé une perturbation importante de vos activités?',
+    'Been subject to any government action, investigation, subpoena regarding any alleged violation of privacy law or regulation?': 'Fait l’objet d’une mesure gouvernementale, d’une enquête ou d’une assignation concernant une présumée violation d’une loi ou d’un règlement sur la protection de la vie privée?',
+    'Received a complaint or cease and desist demand alleging trademark, copyright, invasion of privacy, defamation with regard to content published, displayed, or distributed by or on behalf of the applicant?': 'Reçu une plainte ou une mise en demeure alléguant une violation de marque de commerce ou de droit d’auteur, une atteinte à la vie privée ou de la diffamation relativement à du contenu publié, affiché ou distribué par le proposant ou en son nom?',
+    'Experienced any incident which may be covered under this policy?': 'Subi un incident qui pourrait être couvert par cette police?',
+    'If Yes to any of the above, please provide details on an addendum including relevant dates, brief summary of incident and any preventative measures that have been taken to prevent a reoccurrence:': 'Si vous avez répondu oui à l’une des questions ci-dessus, veuillez donner des précisions dans un addenda, y compris les dates pertinentes, un bref résumé de l’incident et les mesures prises pour éviter qu’il se reproduise :',
+    'Provide comprehensive details for each applicable incident including dates, circumstances, resolution, and preventative measures implemented...': 'Donnez des précisions complètes sur chaque incident applicable, y compris les dates, les circonstances, le règlement et les mesures préventives mises en place...',
+    '3. Is the Applicant, or any person applying for this insurance aware of any fact, circumstance, situation, event, or act that reasonably could give rise to a claim against them for any coverages for which the Applicant is applying?': '3. Le proposant ou toute personne qui demande cette assurance a-t-il connaissance d’un fait, d’une circonstance, d’une situation, d’un événement ou d’un acte qui pourrait raisonnablement donner lieu à une réclamation contre lui au titre des garanties demandées?',
+
+    // Questionnaire: ai
+    'Artificial Intelligence (Additional Questions)': 'Intelligence artificielle (questions supplémentaires)',
+    '1. Artificial Intelligence (Additional Questions)': '1. Intelligence artificielle (questions supplémentaires)',
+    'Additional Questions: Artificial Intelligence': 'Questions supplémentaires : intelligence artificielle',
+    'Additional AI Questions:': 'Questions supplémentaires sur l’IA :',
+    'Since you selected Artificial Intelligence as a sector, please complete these additional questions.': 'Comme vous avez sélectionné le secteur de l’intelligence artificielle, veuillez répondre à ces questions supplémentaires.',
+    '1. Is AI functionality integrated into any of your software products or services provided to customers or third parties?': '1. Des fonctionnalités d’IA sont-elles intégrées à l’un de vos logiciels ou services fournis à des clients ou à des tiers?',
+    'If yes, specify which products/services and describe the functionality': 'Si oui, précisez les produits ou services visés et décrivez les fonctionnalités',
+    'Please describe which products/services include AI functionality and how it works...': 'Veuillez indiquer les produits ou services qui comprennent des fonctionnalités d’IA et décrire leur fonctionnement...',
+    '2. Do you develop your own proprietary AI or ML models?': '2. Développez-vous vos propres modèles d’IA ou d’AA exclusifs?',
+    'If yes, please describe the types of models and applications': 'Si oui, veuillez décrire les types de modèles et leurs applications',
+    'Please describe the types of AI/ML models you develop and their applications...': 'Veuillez décrire les types de modèles d’IA/AA que vous développez et leurs applications...',
+    '3. Do you use third-party or open-source AI/ML models in your offerings?': '3. Utilisez-vous des modèles d’IA/AA de tiers ou à code source ouvert dans vos offres?',
+    'Please describe the third-party or open-source AI/ML models you use and their applications...': 'Veuillez décrire les modèles d’IA/AA de tiers ou à code source ouvert que vous utilisez et leurs applications...',
+    '4. Do you have formal processes to test, validate, and monitor the performance and reliability of AI/ML models before and after deployment?': '4. Avez-vous des processus officiels pour tester, valider et surveiller le rendement et la fiabilité des modèles d’IA/AA avant et après leur déploiement?',
+    'If yes, please describe': 'Si oui, veuillez décrire',
+    'Please describe your AI/ML testing, validation, and monitoring processes...': 'Veuillez décrire vos processus de test, de validation et de surveillance de l’IA/AA...',
+    '5. Do you have internal policies addressing the ethical or regulatory use of AI, including issues such as bias, fairness, explainability, or compliance with applicable AI legislation?': '5. Avez-vous des politiques internes sur l’utilisation éthique ou réglementaire de l’IA, y compris les questions de biais, d’équité, d’explicabilité ou de conformité aux lois applicables sur l’IA?',
+    '6. Do you train AI/ML models on customer or third-party data?': '6. Entraînez-vous des modèles d’IA/AA sur des données de clients ou de tiers?',
+    'If yes, do you have processes to obtain appropriate permissions, anonymize, or secure the data?': 'Si oui, avez-vous des processus pour obtenir les autorisations appropriées, anonymiser ou sécuriser les données?',
+    'Please describe your processes for obtaining permissions, anonymizing, or securing customer/third-party data...': 'Veuillez décrire vos processus d’obtention des autorisations, d’anonymisation ou de sécurisation des données de clients ou de tiers...',
+    '7. Have you taken steps to ensure that the use of data in training or operating your AI systems does not infringe third-party intellectual property rights?': '7. Avez-vous pris des mesures pour vous assurer que l’utilisation de données pour l’entraînement ou l’exploitation de vos systèmes d’IA ne viole pas les droits de propriété intellectuelle de tiers?',
+    '8. Do your customer contracts include disclaimers or limitations of liability specifically addressing your AI functionality (e.g., output reliability, errors, or recommendations generated by AI)?': '8. Vos contrats avec les clients comprennent-ils des avis de non-responsabilité ou des limitations de responsabilité visant précisément vos fonctionnalités d’IA (p. ex. fiabilité des résultats, erreurs ou recommandations générées par l’IA)?',
+    '9. Have you been subject to any complaints, demands, or legal proceedings arising out of your use or provision of AI systems?': '9. Avez-vous fait l’objet de plaintes, de mises en demeure ou de poursuites découlant de votre utilisation ou de votre fourniture de systèmes d’IA?',
+    '10. Are AI agents integrated into any of your software products or services provided to customers or third parties?': '10. Des agents d’IA sont-ils intégrés à l’un de vos logiciels ou services fournis à des clients ou à des tiers?',
+    '11. Describe the primary functions of your AI agents (check all that apply)': '11. Décrivez les principales fonctions de vos agents d’IA (cochez toutes les réponses applicables)',
+    'Decision making': 'Prise de décisions',
+    'User interaction (chat, voice, etc)': 'Interaction avec les utilisateurs (clavardage, voix, etc.)',
+    'Autonomous task execution': 'Exécution autonome de tâches',
+    'Data analysis': 'Analyse de données',
+    'Please provide additional details about your AI agents\' functions...': 'Veuillez donner des précisions sur les fonctions de vos agents d’IA...',
+    '12. Do your AI agents have the ability to take autonomous action without human review or intervention?': '12. Vos agents d’IA peuvent-ils agir de façon autonome, sans examen ni intervention humaine?',
+    'Yes - in limited, low-risk scenarios': 'Oui – dans des scénarios limités et à faible risque',
+    'Yes – in critical or user-facing scenarios': 'Oui – dans des scénarios critiques ou en contact avec les utilisateurs',
+    '13. What controls are in place to prevent prompt injection, adversarial manipulation, or misuse of AI agents?': '13. Quels contrôles sont en place pour prévenir l’injection de requêtes, la manipulation malveillante ou l’utilisation abusive des agents d’IA?',
+    'Input sanitization': 'Assainissement des entrées',
+    'Role-based access': 'Accès fondé sur les rôles',
+    'Behavior monitoring/logging': 'Surveillance et journalisation du comportement',
+    'Automated policy enforcement': 'Application automatisée des politiques',
+    'External audit or red teaming': 'Audit externe ou exercices d’équipe rouge',
+    '14. Have you assessed whether the outputs or actions of your AI agents could result in:': '14. Avez-vous évalué si les résultats ou les actions de vos agents d’IA pourraient entraîner :',
+    'Violations of privacy laws (e.g., GDPR, CCPA)?': 'Des violations des lois sur la protection de la vie privée (p. ex. RGPD, CCPA)?',
+    'Yes – full legal/compliance review conducted': 'Oui – examen juridique et de conformité complet effectué',
+    'Partial or informal assessment': 'Évaluation partielle ou informelle',
+    'Not yet reviewed': 'Pas encore examiné',
+    'Infringement of third-party IP rights?': 'Une violation des droits de PI de tiers?',
+    'Defamation, discrimination, or regulatory violations?': 'De la diffamation, de la discrimination ou des infractions réglementaires?',
+    '15. Do you have contractual limitations of liability and indemnities in place where customers or third parties may rely on agent-generated outputs or actions?': '15. Avez-vous des limitations contractuelles de responsabilité et des indemnisations lorsque des clients ou des tiers peuvent se fier aux résultats ou aux actions générés par des agents?',
+    'Yes – included in all contracts': 'Oui – prévues dans tous les contrats',
+    'In some contracts or pilot programs': 'Dans certains contrats ou projets pilotes',
+    '16. Are your AI agents integrated into any systems that can initiate financial transactions, access sensitive data, or control physical infrastructure (e.g., IoT devices, robotics)?': '16. Vos agents d’IA sont-ils intégrés à des systèmes pouvant effectuer des opérations financières, accéder à des données sensibles ou contrôler une infrastructure physique (p. ex. appareils IdO, robotique)?',
+    'Yes – in read-only or monitored mode': 'Oui – en lecture seule ou sous surveillance',
+    'Yes – Autonomous execution without human oversight': 'Oui – exécution autonome sans supervision humaine',
+    '17. Do you maintain logs and version control for AI agent behavior, prompts, and outputs?': '17. Tenez-vous des journaux et un contrôle des versions du comportement, des requêtes et des résultats des agents d’IA?',
+    'Yes – Comprehensive and retained for 12+ months': 'Oui – complets et conservés 12 mois ou plus',
+    'Yes – Limited or partial logging': 'Oui – journalisation limitée ou partielle',
+    '18. Have your AI agents or models been independently reviewed, tested, or red-teamed for safety, fairness, and robustness?': '18. Vos agents ou modèles d’IA ont-ils fait l’objet d’un examen, de tests ou d’exercices d’équipe rouge indépendants quant à leur sécurité, leur équité et leur robustesse?',
+    'Yes - By a third party specialist': 'Oui – par un spécialiste externe',
+    'Yes – Internally only': 'Oui – à l’interne seulement',
+    'No formal review conducted': 'Aucun examen officiel effectué',
+    '19. Do your AI agents interact with minors, healthcare data, financial advice, or other regulated environments?': '19. Vos agents d’IA interagissent-ils avec des mineurs, des données de santé, des conseils financiers ou d’autres environnements réglementés?',
+    'Yes - in compliance with applicable laws and controls': 'Oui – conformément aux lois et aux contrôles applicables',
+    'Yes – but limited safeguards in place': 'Oui – mais avec des mesures de protection limitées',
+    '20. Have you experienced or been notified of any incidents involving the misuse, failure, or unintended outputs of your AI agents?': '20. Avez-vous subi ou été avisé d’incidents mettant en cause l’utilisation abusive, la défaillance ou des résultats imprévus de vos agents d’IA?',
+    'Yes – But no resulting claim or harm': 'Oui – mais sans réclamation ni préjudice',
+    'Yes – Resulted in customer dispute, loss or legal action': 'Oui – ayant entraîné un différend avec un client, une perte ou une poursuite',
+
+    // Questionnaire: defi
+    'Decentralized Finance & Digital Assets (Additional Questions)': 'Finance décentralisée et actifs numériques (questions supplémentaires)',
+    '2. Decentralized Finance & Digital Assets (Additional Questions)': '2. Finance décentralisée et actifs numériques (questions supplémentaires)',
+    'Additional Questions: Decentralized Finance & Digital Assets': 'Questions supplémentaires : finance décentralisée et actifs numériques',
+    'Additional DeFi Questions:': 'Questions supplémentaires sur la finance décentralisée :',
+    'Since you selected Decentralized Finance & Digital Assets as a sector, please complete these additional questions.': 'Comme vous avez sélectionné le secteur de la finance décentralisée et des actifs numériques, veuillez répondre à ces questions supplémentaires.',
+    '1. Do you provide any services involving cryptocurrency custody, wallet management, or private key management on behalf of clients?': '1. Offrez-vous des services de garde de cryptomonnaies, de gestion de portefeuilles ou de gestion de clés privées pour le compte de clients?',
+    'If yes, please describe the controls in place to secure these assets': 'Si oui, veuillez décrire les contrôles en place pour sécuriser ces actifs',
+    'Please describe your security controls for cryptocurrency custody, wallet management, and private key management...': 'Veuillez décrire vos contrôles de sécurité pour la garde de cryptomonnaies, la gestion des portefeuilles et la gestion des clés privées...',
+    '2. Do you operate or maintain a cryptocurrency exchange or trading platform?': '2. Exploitez-vous ou maintenez-vous une bourse de cryptomonnaies ou une plateforme de négociation?',
+    'If yes, specify:': 'Si oui, précisez :',
+    'Types of cryptocurrencies supported': 'Types de cryptomonnaies prises en charge',
+    'List the types of cryptocurrencies supported on your exchange...': 'Énumérez les types de cryptomonnaies prises en charge par votre plateforme...',
+    'Average daily transaction volume': 'Volume quotidien moyen des opérations',
+    'e.g., $1M USD equivalent': 'p. ex. l’équivalent de 1 M$ US',
+    'Geographic regions served': 'Régions géographiques desservies',
+    'List the geographic regions where your exchange operates...': 'Énumérez les régions géographiques où votre plateforme est active...',
+    '3. Do you use or develop smart contracts in connection with your services (e.g., for decentralized finance, token issuance, automated settlements)?': '3. Utilisez-vous ou développez-vous des contrats intelligents dans le cadre de vos services (p. ex. pour la finance décentralisée, l’émission de jetons, les règlements automatisés)?',
+    'If yes, please describe your processes for auditing and testing these smart contracts prior to deployment.': 'Si oui, veuillez décrire vos processus d’audit et de test de ces contrats intelligents avant leur déploiement.',
+    'Please describe your smart contract auditing and testing processes...': 'Veuillez décrire vos processus d’audit et de test des contrats intelligents...',
+    '4. Have you engaged any third-party security firms to perform penetration testing or blockchain code audits on your platforms or products?': '4. Avez-vous fait appel à des firmes de sécurité externes pour effectuer des tests d’intrusion ou des audits du code de chaîne de blocs de vos plateformes ou produits?',
+    'If yes, please attach the latest summary findings or certifications.': 'Si oui, veuillez joindre le plus récent sommaire des constatations ou les certifications.',
+    'Please describe the latest security audit findings or attach certifications...': 'Veuillez décrire les constatations du plus récent audit de sécurité ou joindre les certifications...',
+    '5. Do your standard client agreements include disclaimers, waivers, or limitations of liability specifically addressing risks related to cryptocurrency transactions, volatility, or smart contracts?': '5. Vos ententes types avec les clients comprennent-elles des avis de non-responsabilité, des renonciations ou des limitations de responsabilité visant précisément les risques liés aux opérations en cryptomonnaies, à la volatilité ou aux contrats intelligents?',
+    'If yes, please attach sample contract clauses.': 'Si oui, veuillez joindre des exemples de clauses contractuelles.',
+    'Please provide sample contract clauses...': 'Veuillez fournir des exemples de clauses contractuelles...',
+    '6. Do you maintain separate hot and cold wallet infrastructures for cryptocurrency held on behalf of clients?': '6. Maintenez-vous des infrastructures distinctes de portefeuilles chauds et froids pour les cryptomonnaies détenues pour le compte de clients?',
+    'If yes, please describe the split and security controls.': 'Si oui, veuillez décrire la répartition et les contrôles de sécurité.',
+    'Please describe the hot/cold wallet split and security controls...': 'Veuillez décrire la répartition entre portefeuilles chauds et froids et les contrôles de sécurité...',
+    '7. Are any of your blockchain or crypto-related activities regulated by financial services authorities (e.g., FINTRAC, MiCA, VARA, MAS)?': '7. Certaines de vos activités liées à la chaîne de blocs ou aux cryptoactifs sont-elles réglementées par des autorités des services financiers (p. ex. CANAFE, MiCA, VARA, MAS)?',
+    'If yes, please list regulators and licenses held': 'Si oui, veuillez énumérer les organismes de réglementation et les permis détenus',
+    'Please list regulators and licenses held...': 'Veuillez énumérer les organismes de réglementation et les permis détenus...',
+    '8. Do you have documented policies and procedures in place for Anti-Money Laundering (AML), Counter Terrorist Financing (CFT), and customer onboarding (KYC/KYB)?': '8. Avez-vous des politiques et des procédures documentées de lutte contre le blanchiment d’argent (LBA), de lutte contre le financement du terrorisme (LFT) et d’accueil des clients (KYC/KYB)?',
+    'Please attach your AML/KYC policy': 'Veuillez joindre votre politique LBA/KYC',
+    'Please describe your AML/KYC policy or attach documentation...': 'Veuillez décrire votre politique LBA/KYC ou joindre la documentation...',
+    '9. What processes do you have to ensure compliance with international sanctions laws (e.g., OFAC, EU sanctions) in transactions involving digital assets?': '9. Quels processus avez-vous pour assurer le respect des lois sur les sanctions internationales (p. ex. OFAC, sanctions de l’UE) dans les opérations portant sur des actifs numériques?',
+    'Please describe your sanctions compliance processes...': 'Veuillez décrire vos processus de conformité aux sanctions...',
+    '10. Do you maintain logs or blockchain analytics to monitor and trace the source of funds to help mitigate fraud, money laundering, or sanctions violations?': '10. Tenez-vous des journaux ou utilisez-vous l’analytique de chaîne de blocs pour surveiller et retracer la provenance des fonds afin d’atténuer la fraude, le blanchiment d’argent ou les violations de sanctions?',
+    'If yes, please describe the systems or vendors used.': 'Si oui, veuillez décrire les systèmes ou les fournisseurs utilisés.',
+    'Please describe the blockchain analytics systems or vendors used...': 'Veuillez décrire les systèmes ou les fournisseurs d’analytique de chaîne de blocs utilisés...',
+    '11. Do you use any decentralized protocols (DEXs, liquidity pools, DeFi protocols) as part of your business operations or investment strategies?': '11. Utilisez-vous des protocoles décentralisés (DEX, réserves de liquidités, protocoles DeFi) dans vos activités ou vos stratégies de placement?',
+    '12. Do you use third-party custodians, liquidity providers, or technology vendors for any part of your crypto operations?': '12. Faites-vous appel à des dépositaires, à des fournisseurs de liquidités ou à des fournisseurs de technologie tiers pour une partie de vos activités liées aux cryptoactifs?',
+    'If yes, do your contracts with these providers include indemnity and hold harmless provisions in your favor?': 'Si oui, vos contrats avec ces fournisseurs comprennent-ils des clauses d’indemnisation et de dégagement de responsabilité en votre faveur?',
+    '13. Do you hold or have custody digital assets on your own balance sheet for investment purposes?If yes, please indicate the approximate value and percentage of total assets.': '13. Détenez-vous ou gardez-vous des actifs numériques inscrits à votre propre bilan à des fins de placement? Si oui, veuillez indiquer leur valeur approximative et leur pourcentage de l’actif total.',
+    'Please indicate the approximate value and percentage of total assets:': 'Veuillez indiquer la valeur approximative et le pourcentage de l’actif total :',
+    'Please indicate approximate value and percentage of total assets...': 'Veuillez indiquer la valeur approximative et le pourcentage de l’actif total...',
+    '14. Do you develop, issue, or advise on the issuance of tokens, coins, or other digital assets?If yes, please provide details on the token structure and investor protections.': '14. Développez-vous ou émettez-vous des jetons, des cryptomonnaies ou d’autres actifs numériques, ou donnez-vous des conseils sur leur émission? Si oui, veuillez donner des précisions sur la structure des jetons et la protection des investisseurs.',
+    'Please provide details on the token structure and investor protections:': 'Veuillez donner des précisions sur la structure des jetons et la protection des investisseurs :',
+    'Please provide details on token structure, investor protections, compliance measures, etc...': 'Veuillez donner des précisions sur la structure des jetons, la protection des investisseurs, les mesures de conformité, etc...',
+    '15. What percentage of your business revenue is derived from blockchain or cryptocurrency-related services versus traditional financial or technology services?': '15. Quel pourcentage de vos revenus provient de services liés à la chaîne de blocs ou aux cryptomonnaies par rapport aux services financiers ou technologiques traditionnels?',
+    'e.g., 75% crypto-related, 25% traditional': 'p. ex. 75 % liés aux cryptoactifs, 25 % traditionnels',
+    '16. Do you have incident response plans specific to handling cryptocurrency or blockchain-related security events, including notifying customers and regulators?': '16. Avez-vous des plans de réponse aux incidents propres aux événements de sécurité liés aux cryptomonnaies ou à la chaîne de blocs, y compris la notification des clients et des organismes de réglementation?',
+    '17. Do you have insurance coverage in place (separate from E&O) to protect against loss or theft of cryptocurrency assets (crime / cyber crime / specie)?': '17. Avez-vous une couverture d’assurance (distincte de la responsabilité professionnelle) contre la perte ou le vol d’actifs en cryptomonnaies (crime, cybercriminalité, valeurs)?',
+    '18. Do you carry directors & officers (D&O) insurance that specifically contemplates exposures arising from cryptocurrency or blockchain-related activities?': '18. Avez-vous une assurance responsabilité des administrateurs et dirigeants qui vise précisément les expositions découlant d’activités liées aux cryptomonnaies ou à la chaîne de blocs?',
+    '19. Have you ever been the subject of any regulatory investigation, audit, inquiry, or received a warning letter in relation to your crypto or blockchain activities?': '19. Avez-vous déjà fait l’objet d’une enquête, d’un audit ou d’une demande de renseignements réglementaire, ou reçu une lettre d’avertissement, relativement à vos activités liées aux cryptoactifs ou à la chaîne de blocs?',
+    '20. Have you experienced any hacks, data breaches, theft of cryptocurrency assets, or significant transaction errors in the last five years?': '20. Avez-vous subi des piratages, des atteintes à la protection des données, des vols d’actifs en cryptomonnaies ou des erreurs d’opération importantes au cours des cinq dernières années?',
+    'If yes, please provide details, including remedial actions taken.': 'Si oui, veuillez donner des précisions, y compris les mesures correctives prises.',
+    'Please provide details of any security incidents and remedial actions taken...': 'Veuillez donner des précisions sur les incidents de sécurité et les mesures correctives prises...',
+
+    // Questionnaire: robotics
+    'Autonomous Robotics (Additional Questions)': 'Robotique autonome (questions supplémentaires)',
+    '3. Autonomous Robotics (Additional Questions)': '3. Robotique autonome (questions supplémentaires)',
+    'Additional Questions: Autonomous Robotics': 'Questions supplémentaires : robotique autonome',
+    'Additional Robotics Questions:': 'Questions supplémentaires sur la robotique :',
+    'Since you selected Autonomous Robotics as a sector, please complete these additional questions.': 'Comme vous avez sélectionné le secteur de la robotique autonome, veuillez répondre à ces questions supplémentaires.',
+    '1. What functions do your autonomous robots perform?': '1. Quelles fonctions vos robots autonomes remplissent-ils?',
+    'Please describe the functions and capabilities of your autonomous robots...': 'Veuillez décrire les fonctions et les capacités de vos robots autonomes...',
+    '2. Are your robots used in public or semi-public environments (e.g., hospitals, airports, malls)?': '2. Vos robots sont-ils utilisés dans des lieux publics ou semi-publics (p. ex. hôpitaux, aéroports, centres commerciaux)?',
+    '3. How many autonomous robots are currently deployed in the field?': '3. Combien de robots autonomes sont actuellement déployés sur le terrain?',
+    'Number of deployed robots': 'Nombre de robots déployés',
+    '4. What level of autonomy do your robots operate at?': '4. À quel niveau d’autonomie vos robots fonctionnent-ils?',
+    'Remote controlled': 'Télécommandés',
+    'Semi – autonomous': 'Semi-autonomes',
+    'Fully autonomous (no human in the loop)': 'Entièrement autonomes (sans intervention humaine)',
+    '5. Can the robot make real-time decisions without human oversight?': '5. Le robot peut-il prendre des décisions en temps réel sans supervision humaine?',
+    '6. Are there human override or emergency shutdown capabilities built into each unit?': '6. Chaque unité comporte-t-elle des fonctions de reprise en main humaine ou d’arrêt d’urgence?',
+    '7. What navigation methods are used? (select all that apply)': '7. Quelles méthodes de navigation sont utilisées? (sélectionnez toutes les réponses applicables)',
+    'Computer Vision': 'Vision par ordinateur',
+    'Beacon/Infrared': 'Balises/Infrarouge',
+    'Please specify other navigation methods:': 'Veuillez préciser les autres méthodes de navigation :',
+    'Please specify other navigation methods': 'Veuillez préciser les autres méthodes de navigation',
+    '8. Are the robots equipped with real-time obstacle detection and collision avoidance systems?': '8. Les robots sont-ils équipés de systèmes de détection d’obstacles et d’évitement des collisions en temps réel?',
+    '9. Have you had any reported incidents involving physical harm or property damage caused by a robot?': '9. Des incidents de blessures ou de dommages matériels causés par un robot vous ont-ils été signalés?',
+    'If yes please describe': 'Si oui, veuillez décrire',
+    'Please describe any incidents involving physical harm or property damage...': 'Veuillez décrire tout incident de blessures ou de dommages matériels...',
+    '10. Do your robots use AI agents or machine learning models to support decision-making?': '10. Vos robots utilisent-ils des agents d’IA ou des modèles d’apprentissage automatique pour appuyer la prise de décisions?',
+    '11. How often is the software or firmware on the robots updated?': '11. À quelle fréquence le logiciel ou le micrologiciel des robots est-il mis à jour?',
+    'e.g., Monthly, Quarterly, As needed': 'p. ex. mensuellement, trimestriellement, au besoin',
+    '12. Do you maintain logs of robot activity and decision-making for audit or incident response purposes?': '12. Tenez-vous des journaux de l’activité et des décisions des robots aux fins d’audit ou de réponse aux incidents?',
+    '13. Are communications between robots and your servers encrypted and authenticated?': '13. Les communications entre les robots et vos serveurs sont-elles chiffrées et authentifiées?',
+    '14. Have your systems undergone independent safety, cybersecurity, or compliance audits?': '14. Vos systèmes ont-ils fait l’objet d’audits indépendants de sécurité, de cybersécurité ou de conformité?',
+    '15. Are your robots certified or compliant with any relevant safety or robotics standards (e.g., ISO 13482, UL 3100)?': '15. Vos robots sont-ils certifiés ou conformes à des normes de sécurité ou de robotique pertinentes (p. ex. ISO 13482, UL 3100)?',
+    '16. Do you perform regular maintenance or diagnostics on deployed robotic units?': '16. Effectuez-vous un entretien ou des diagnostics réguliers des unités robotiques déployées?',
+    'Yes – per scheduled maintenance protocols': 'Oui – selon des protocoles d’entretien planifiés',
+    'Yes – only upon failure or customer report': 'Oui – seulement en cas de panne ou de signalement par un client',
+    'No formal maintenance program': 'Aucun programme d’entretien officiel',
+    '17. Are any robots deployed at customer or third-party locations where you do not have direct operational control?': '17. Des robots sont-ils déployés chez des clients ou des tiers, dans des lieux où vous n’avez pas de contrôle opérationnel direct?',
+    'Yes – with active monitoring': 'Oui – avec surveillance active',
+    'Yes – without active monitoring': 'Oui – sans surveillance active',
+    '18. Do your robots interact directly with members of the public or end users (e.g., customers, patients, pedestrians)?': '18. Vos robots interagissent-ils directement avec le public ou les utilisateurs finaux (p. ex. clients, patients, piétons)?',
+    'Yes – frequently': 'Oui – fréquemment',
+    'Occasionally': 'À l’occasion',
+    'No direct interaction': 'Aucune interaction directe',
+    '19. Do you have contracts in place with customers or partners that include:': '19. Avez-vous des contrats avec des clients ou des partenaires qui comprennent :',
+    'Limitations of liability?': 'Des limitations de responsabilité?',
+    'Indemnification terms?': 'Des clauses d’indemnisation?',
+    'Insurance requirements?': 'Des exigences d’assurance?',
+    '20. Do you carry insurance coverage specific to autonomous hardware/software risks (e.g., product liability, tech E&O, cyber)?': '20. Avez-vous une couverture d’assurance propre aux risques liés au matériel et aux logiciels autonomes (p. ex. responsabilité du fait des produits, responsabilité professionnelle en technologie, cyberrisques)?',
+    'Yes – adequate and reviewed annually': 'Oui – adéquate et revue chaque année',
+    'Yes – but may need review': 'Oui – mais pourrait devoir être revue',
+    'No specific coverage': 'Aucune couverture particulière',
+
+    // Wizard page
+    'Starting...': 'Démarrage...',
+    '{label} ({step} of {total})': '{label} ({step} sur {total})',
+    '⚠️ Unknown theme name. The default branding is used.': '⚠️ Nom de thème inconnu. L’image de marque par défaut est utilisée.',
+    '⚠️ The "{theme}" theme could not be loaded, so the default branding is used. {error}': '⚠️ Le thème « {theme} » n’a pas pu être chargé; l’image de marque par défaut est donc utilisée. {error}',
+    'Please fill in all fields correctly before proceeding.': 'Veuillez remplir correctement tous les champs avant de continuer.',
+    '{percent}% complete, {count} unanswered': '{percent} % rempli, {count} sans réponse',
+    'Go to step {step}': 'Aller à l’étape {step}',
+    '{percent}% complete: {answered} of {total} questions answered.': '{percent} % rempli : {answered} questions sur {total} ont une réponse.',
+    'All questions have been answered.': 'Toutes les questions ont une réponse.',
+    'Answering them in the earlier steps will give a more accurate score.': 'Y répondre aux étapes précédentes donnera une note plus juste.',
+    'Overall score: {score}': 'Note globale : {score}',
+    'Not scored': 'Non noté',
+    'Answered': 'Réponses',
+    'Score': 'Note',
+    'Rating': 'Cote',
+    '✓ Saved': '✓ Enregistré',
+    'Previous progress restored.': 'Progression précédente restaurée.',
+    'Answers imported from {file}.': 'Réponses importées de {file}.',
+    'Renewal started from {file}. Review each step and update the answers that have changed.': 'Renouvellement commencé à partir de {file}. Passez en revue chaque étape et mettez à jour les réponses qui ont changé.',
+    'Renewal ended. Your answers are kept and will no longer be compared with the prior application.': 'Renouvellement terminé. Vos réponses sont conservées et ne seront plus comparées à la proposition antérieure.',
+    '{changed} changed, {added} new, {unchanged} unchanged': '{changed} modifiées, {added} nouvelles, {unchanged} inchangées',
+    'Prior answer: {answer}': 'Réponse antérieure : {answer}',
+    '✅ The application was generated from these answers.': '✅ La proposition a été générée à partir de ces réponses.',
+    '❌ The application was not generated from these answers.': '❌ La proposition n’a pas été générée à partir de ces réponses.',
+    'Application:': 'Proposition :',
+    'Ref': 'Réf.',
+    'Answers file:': 'Fichier de réponses :',
+    '⚠️ The answers attached to this PDF do not match its stamp: the PDF was modified after it was generated.': '⚠️ Les réponses jointes à ce PDF ne correspondent pas à son sceau : le PDF a été modifié après sa génération.',
+    'Select one saved application to compare with your answers, or two to compare with each other.': 'Sélectionnez une proposition enregistrée à comparer avec vos réponses, ou deux à comparer entre elles.',
+    'Current answers': 'Réponses actuelles',
+    'Please fill in all fields correctly before submitting.': 'Veuillez remplir correctement tous les champs avant de soumettre.',
+    'Download PDF Application': 'Télécharger la proposition en PDF',
+    '✅ Application submitted successfully!': '✅ Proposition soumise avec succès!',
+    'You will receive a confirmation email shortly. You can now download your application as a PDF.': 'Vous recevrez sous peu un courriel de confirmation. Vous pouvez maintenant télécharger votre proposition en PDF.',
+    'Submission reference: {reference}': 'Référence de soumission : {reference}',
+    'Welcome! Your progress will be automatically saved. Use Ctrl+Arrow keys for quick navigation.': 'Bienvenue! Votre progression sera enregistrée automatiquement. Utilisez Ctrl+flèches pour naviguer rapidement.',
+    '📶 The application is now available offline.': '📶 La proposition est maintenant accessible hors ligne.',
+    '{count} scored question is unanswered and scored as the lowest maturity level.': '{count} question notée est sans réponse et reçoit le niveau de maturité le plus bas.',
+    '{count} scored questions are unanswered and scored as the lowest maturity level.': '{count} questions notées sont sans réponse et reçoivent le niveau de maturité le plus bas.',
+    '{count} scored question is unanswered and left out of the score.': '{count} question notée est sans réponse et exclue de la note.',
+    '{count} scored questions are unanswered and left out of the score.': '{count} questions notées sont sans réponse et exclues de la note.',
+    '📴 You are offline. The application keeps working, including PDF downloads.': '📴 Vous êtes hors ligne. La proposition continue de fonctionner, y compris les téléchargements de PDF.',
+    '📴 You are offline. PDF downloads need a connection until the application has been opened online over http(s).': '📴 Vous êtes hors ligne. Les téléchargements de PDF nécessitent une connexion tant que la proposition n’a pas été ouverte en ligne par http(s).',
+    'Provide details...': 'Donnez des précisions...',
+    'Letter': 'Lettre',
+    'Legal': 'Légal',
+    'PDF paper size': 'Format de papier du PDF',
+    'Language': 'Langue',
+    'Comprehensive technology insurance application form': 'Formulaire complet de proposition d’assurance technologie',
+    'General Information': 'Renseignements généraux',
+    'Operations': 'Activités',
+    'Financials': 'Finances',
+    'Contractual Controls': 'Contrôles contractuels',
+    'Cybersecurity & Tech Controls': 'Cybersécurité et contrôles techniques',
+    'Data Backup & Continuity': 'Sauvegarde et continuité',
+    'Third Party & Vendor Controls': 'Contrôles des tiers et des fournisseurs',
+    'Privacy & Data Security': 'Vie privée et sécurité des données',
+    'IP & Content Governance': 'PI et gouvernance du contenu',
+    'People & Employment': 'Personnel et emploi',
+    'AI Tools & Controls': 'Outils et contrôles d’IA',
+    'Prior Incidents & Claims': 'Incidents et réclamations antérieurs',
+    'Decentralized Finance': 'Finance décentralisée',
+    'Renewal': 'Renouvellement',
+    'of': 'de',
+    'Each answer is marked Unchanged, Changed (hover to see the prior answer) or New.': 'Chaque réponse est marquée Inchangée, Modifiée (survolez-la pour voir la réponse antérieure) ou Nouvelle.',
+    'End Renewal': 'Terminer le renouvellement',
+    'Final Step:': 'Dernière étape :',
+    'Please provide your signature below to certify that all information provided in this application is accurate and complete to the best of your knowledge.': 'Veuillez signer ci-dessous pour attester qu’à votre connaissance, tous les renseignements fournis dans cette proposition sont exacts et complets.',
+    'Application Completeness': 'Exhaustivité de la proposition',
+    'Based on the control maturity questions in steps 6 to 11. Higher scores indicate stronger controls.': 'Fondée sur les questions de maturité des contrôles des étapes 6 à 11. Une note plus élevée indique des contrôles plus solides.',
+    'Sign below using your mouse or touch screen': 'Signez ci-dessous avec votre souris ou votre écran tactile',
+    'Draw your signature in the box below': 'Tracez votre signature dans la zone ci-dessous',
+    'Clear Signature': 'Effacer la signature',
+    'Please provide your signature before submitting the application.': 'Veuillez signer avant de soumettre la proposition.',
+    'Please enter the name of the person signing.': 'Veuillez entrer le nom du signataire.',
+    'Please enter the signer\'s title.': 'Veuillez entrer le titre du signataire.',
+    'Important:': 'Important :',
+    'By signing this application, you acknowledge that any false or misleading information may result in denial of coverage or cancellation of your policy.': 'En signant cette proposition, vous reconnaissez que tout renseignement faux ou trompeur peut entraîner le refus de la couverture ou l’annulation de votre police.',
+    'Previous': 'Précédent',
+    'Step': 'Étape',
+    'Save Progress': 'Enregistrer la progression',
+    'Restore the answers from a PDF downloaded from this application': 'Restaurer les réponses à partir d’un PDF téléchargé de cette proposition',
+    'Import from PDF': 'Importer d’un PDF',
+    'Start from the answers of last year\'s application (saved JSON)': 'Partir des réponses de la proposition de l’an dernier (JSON enregistré)',
+    'Start Renewal': 'Commencer le renouvellement',
+    'Check that an application PDF was generated from a set of answers': 'Vérifier qu’un PDF de proposition a été généré à partir d’un ensemble de réponses',
+    'Verify PDF': 'Vérifier un PDF',
+    'Marked as a draft until the application is submitted': 'Marqué comme brouillon tant que la proposition n’est pas soumise',
+    'Download PDF': 'Télécharger le PDF',
+    'Password-protected PDF that can be printed but not edited or copied': 'PDF protégé par mot de passe qui peut être imprimé, mais non modifié ni copié',
+    'Protected PDF': 'PDF protégé',
+    'PDF digitally signed with your certificate (.p12 or .pfx file)': 'PDF signé numériquement avec votre certificat (fichier .p12 ou .pfx)',
+    'Signed PDF': 'PDF signé',
+    'Fillable PDF that can be completed offline': 'PDF à remplir qui peut être complété hors ligne',
+    'Interactive PDF': 'PDF interactif',
+    'Compare these answers with a saved application (JSON or downloaded PDF), or select two saved applications to compare': 'Comparer ces réponses avec une proposition enregistrée (JSON ou PDF téléchargé), ou sélectionner deux propositions enregistrées à comparer',
+    'Compare': 'Comparer',
+    'Next': 'Suivant',
+    'Submit Application': 'Soumettre la proposition',
+    'Download Protected PDF': 'Télécharger un PDF protégé',
+    'Close': 'Fermer',
+    'The PDF will ask for this password when opened. It can be printed, but not edited or copied.': 'Le PDF demandera ce mot de passe à l’ouverture. Il peut être imprimé, mais non modifié ni copié.',
+    'Password': 'Mot de passe',
+    'Confirm Password': 'Confirmer le mot de passe',
+    'The passwords do not match.': 'Les mots de passe ne correspondent pas.',
+    'Owner Password': 'Mot de passe du propriétaire',
+    'Lifts the printing-only restriction. Leave blank if the restrictions should never be lifted.': 'Lève la restriction à l’impression seulement. Laissez vide si les restrictions ne doivent jamais être levées.',
+    'Cancel': 'Annuler',
+    'Download Signed PDF': 'Télécharger un PDF signé',
+    'The PDF is signed with your certificate in this browser; the certificate file and its password are never uploaded. PDF readers will show if the document is changed after signing.': 'Le PDF est signé avec votre certificat dans ce navigateur; le fichier de certificat et son mot de passe ne sont jamais téléversés. Les lecteurs PDF indiqueront si le document est modifié après la signature.',
+    'Certificate File (.p12 or .pfx)': 'Fichier de certificat (.p12 ou .pfx)',
+    'Certificate Password': 'Mot de passe du certificat',
+    'Verify Application PDF': 'Vérifier un PDF de proposition',
+    'Every application PDF carries a SHA-256 digest of its answers in the page footers and in the QR code on the cover. Check it against an answers file to confirm which answers the application was generated from.': 'Chaque PDF de proposition porte un condensé SHA-256 de ses réponses dans le pied de page et dans le code QR de la page couverture. Comparez-le à un fichier de réponses pour confirmer les réponses à partir desquelles la proposition a été générée.',
+    'Application PDF': 'PDF de la proposition',
+    'Or the SHA-256 printed on the application': 'Ou le SHA-256 imprimé sur la proposition',
+    'SHA-256 digest, or the text of the cover QR code': 'Condensé SHA-256, ou texte du code QR de la page couverture',
+    'Select the application PDF or enter the SHA-256 printed on it.': 'Sélectionnez le PDF de la proposition ou entrez le SHA-256 qui y est imprimé.',
+    'Answers File (JSON or PDF)': 'Fichier de réponses (JSON ou PDF)',
+    'Select the answers file to check.': 'Sélectionnez le fichier de réponses à vérifier.',
+    'Verify': 'Vérifier',
+    'Generating PDF': 'Génération du PDF',
+    'PDF generation progress': 'Progression de la génération du PDF',
+
+    // PDFs
+    'Cover page': 'Page couverture',
+    'No selection': 'Aucune sélection',
+    'Draft generated: {date}': 'Brouillon généré le {date}',
+    'Signed draft generated: {date}': 'Brouillon signé généré le {date}',
+    'Submitted: {date}': 'Soumise le {date}',
+    'Not provided': 'Non fourni',
+    'Red flag: {reason}': 'Signal d’alerte : {reason}',
+    '{label}: {answer}': '{label} : {answer}',
+    'Percentage': 'Pourcentage',
+    'No details': 'Aucune précision',
+    'N/A': 'S.O.',
+    'Details': 'Précisions',
+    'Answer: {answer}': 'Réponse : {answer}',
+    '${amount}': '{amount} $',
+    'Executive Summary': 'Sommaire',
+    'Not answered': 'Sans réponse',
+    'B2B {b2b}% / B2C {b2c}%': 'B2B {b2b} % / B2C {b2c} %',
+    'Legal Name': 'Dénomination sociale',
+    'Year Established': 'Année de fondation',
+    'Number of Employees': 'Nombre d’employés',
+    'Sectors': 'Secteurs',
+    'None selected': 'Aucun sélectionné',
+    'Sales Split': 'Répartition des ventes',
+    'Single Client Over 5% of Revenue': 'Client unique de plus de 5 % des revenus',
+    'Risk Score': 'Note de risque',
+    'insufficient answers: {count} of {total} scored questions unanswered': 'réponses insuffisantes : {count} questions notées sur {total} sans réponse',
+    'Applicant': 'Proposant',
+    'Gross Revenues': 'Revenus bruts',
+    'High-Risk Industry Exposure': 'Exposition aux secteurs à risque élevé',
+    '+{count} more': '+{count} autres',
+    'See section 3. Operations': 'Voir la section 3. Activités',
+    'None reported': 'Aucune déclarée',
+    'Written demands or civil proceedings': 'Mises en demeure écrites ou poursuites civiles',
+    'Prior Incidents & Claims (past 5 years): {answer}': 'Incidents et réclamations antérieurs (5 dernières années) : {answer}',
+    '+{count} more, see section 13. Prior Incidents & Claims': '+{count} autres, voir la section 13. Incidents et réclamations antérieurs',
+    'No to all prior incident and claim questions': 'Non à toutes les questions sur les incidents et réclamations antérieurs',
+    'Changes Since Prior Application': 'Changements depuis la proposition antérieure',
+    'Compared with the prior application dated {date}:': 'Par rapport à la proposition antérieure du {date} :',
+    'Compared with the prior application:': 'Par rapport à la proposition antérieure :',
+    '{changed}, {added} new and {unchanged} unchanged.': '{changed}, {added} nouvelles et {unchanged} inchangées.',
+    'No answers have changed since the prior application.': 'Aucune réponse n’a changé depuis la proposition antérieure.',
+    'New': 'Nouvelle',
+    'Changed': 'Modifiée',
+    'Prior Answer': 'Réponse antérieure',
+    'Current Answer': 'Réponse actuelle',
+    'Status': 'Statut',
+    'Summary pages': 'Pages de sommaire',
+    'Risk Score Summary': 'Sommaire de la note de risque',
+    'Scores are based on the control maturity questions (levels 1 to 4) in the control sections. Level 1 scores 0 and level 4 scores 100; higher scores indicate stronger controls and lower risk.': 'Les notes sont fondées sur les questions de maturité des contrôles (niveaux 1 à 4) des sections sur les contrôles. Le niveau 1 vaut 0 et le niveau 4 vaut 100; une note plus élevée indique des contrôles plus solides et un risque plus faible.',
+    'Overall Score': 'Note globale',
+    'Not scored (no questions answered)': 'Non noté (aucune question n’a de réponse)',
+    'Unanswered questions are scored as level 1.': 'Les questions sans réponse reçoivent le niveau 1.',
+    'Unanswered questions are left out of the score.': 'Les questions sans réponse sont exclues de la note.',
+    '{answered} of {questions} scored questions answered.': '{answered} questions notées sur {questions} ont une réponse.',
+    'Weight': 'Pondération',
+    'Avg. Level': 'Niveau moyen',
+    'Unanswered Scored Questions': 'Questions notées sans réponse',
+    'Items Requiring Attention': 'Points nécessitant une attention',
+    'No answers were flagged as requiring attention.': 'Aucune réponse n’a été signalée comme nécessitant une attention.',
+    'Answer': 'Réponse',
+    'Reason': 'Motif',
+    'Completeness Report': 'Rapport d’exhaustivité',
+    'The application is {percent}% complete: {answered} of {total} questions answered. Follow-up questions are only counted when the answer they depend on calls for them.': 'La proposition est remplie à {percent} % : {answered} questions sur {total} ont une réponse. Les questions complémentaires ne sont comptées que lorsque la réponse dont elles dépendent les exige.',
+    'Complete': 'Rempli',
+    'Unanswered Questions': 'Questions sans réponse',
+    'Signature & Declaration': 'Signature et déclaration',
+    'Declaration': 'Déclaration',
+    'I certify that all information provided in this application is true, accurate, and complete to the best of my knowledge.': 'J’atteste qu’à ma connaissance, tous les renseignements fournis dans cette proposition sont véridiques, exacts et complets.',
+    'By signing this application, the applicant acknowledges that any false or misleading information may result in denial of coverage or cancellation of the policy.': 'En signant cette proposition, le proposant reconnaît que tout renseignement faux ou trompeur peut entraîner le refus de la couverture ou l’annulation de la police.',
+    'No signature provided': 'Aucune signature fournie',
+    'Not signed': 'Non signé',
+    'Name of Signer': 'Nom du signataire',
+    'Title / Position': 'Titre / Poste',
+    'Signed': 'Date de signature',
+    'Table of Contents': 'Table des matières',
+    'Table of contents and page numbers': 'Table des matières et numéros de page',
+    'Page {page} of {total}': 'Page {page} sur {total}',
+    'Assembling the PDF': 'Assemblage du PDF',
+    'Cover Page': 'Page couverture',
+    'Thank You': 'Merci',
+    'DRAFT – NOT SUBMITTED': 'BROUILLON – NON SOUMIS',
+    'Technology insurance application signed by the applicant': 'Proposition d’assurance technologie signée par le proposant',
+    'Application A': 'Proposition A',
+    'Application B': 'Proposition B',
+    'Application Comparison': 'Comparaison de propositions',
+    'Organization not provided': 'Organisation non indiquée',
+    ', dated {date}': ', du {date}',
+    '{differences} of {questions} questions have different answers; they are highlighted below.': '{differences} questions sur {questions} ont des réponses différentes; elles sont surlignées ci-dessous.',
+    '⏳ A PDF is already being generated.': '⏳ Un PDF est déjà en cours de génération.',
+    '✅ Application PDF signed by {name} downloaded successfully!': '✅ PDF de la proposition signé par {name} téléchargé avec succès!',
+    '✅ Password-protected application PDF downloaded successfully!': '✅ PDF de la proposition protégé par mot de passe téléchargé avec succès!',
+    '✅ Draft PDF downloaded. It is marked "DRAFT – NOT SUBMITTED" until the application is submitted.': '✅ PDF brouillon téléchargé. Il porte la mention « BROUILLON – NON SOUMIS » tant que la proposition n’est pas soumise.',
+    '✅ {title} PDF downloaded successfully!': '✅ PDF « {title} » téléchargé avec succès!',
+    'PDF generation cancelled.': 'Génération du PDF annulée.',
+    '❌ Error generating PDF. Please try again.': '❌ Erreur lors de la génération du PDF. Veuillez réessayer.',
+    '⚖️ Generating comparison PDF...': '⚖️ Génération du PDF de comparaison...',
+    '✅ Comparison PDF downloaded successfully!': '✅ PDF de comparaison téléchargé avec succès!',
+    '❌ Error generating comparison PDF. Please try again.': '❌ Erreur lors de la génération du PDF de comparaison. Veuillez réessayer.',
+    'Axis Technology Insurance Application': 'Proposition d’assurance technologie Axis',
+    'Technology Insurance Application': 'Proposition d’assurance technologie',
+    '{count} answer changed': '{count} réponse modifiée',
+    '{count} answers changed': '{count} réponses modifiées',
+    '{count} answer was flagged as requiring attention. Flagged answers are shaded in red in the sections above.': '{count} réponse a été signalée comme nécessitant une attention. Les réponses signalées sont ombrées en rouge dans les sections ci-dessus.',
+    '{count} answers were flagged as requiring attention. Flagged answers are shaded in red in the sections above.': '{count} réponses ont été signalées comme nécessitant une attention. Les réponses signalées sont ombrées en rouge dans les sections ci-dessus.',
+    '📝 Generating interactive PDF form...': '📝 Génération du formulaire PDF interactif...',
+    'If “Yes”, please complete:': 'Si « Oui », veuillez remplir :',
+    'If applicable, please complete:': 'S’il y a lieu, veuillez remplir :',
+    'Interactive Application Form': 'Formulaire de proposition interactif',
+    'Complete the fields below in any PDF reader that supports forms (e.g. Adobe Acrobat Reader), save the file and email it back to your broker. Answers you already entered in the online application are prefilled.': 'Remplissez les champs ci-dessous dans un lecteur PDF qui prend en charge les formulaires (p. ex. Adobe Acrobat Reader), enregistrez le fichier et renvoyez-le par courriel à votre courtier. Les réponses déjà entrées dans la proposition en ligne sont préremplies.',
+    '✅ Interactive PDF form downloaded successfully!': '✅ Formulaire PDF interactif téléchargé avec succès!',
+    '❌ Error generating interactive PDF. Please try again.': '❌ Erreur lors de la génération du PDF interactif. Veuillez réessayer.',
+    'Reference {reference}': 'Référence {reference}',
+    'Answers SHA-256': 'SHA-256 des réponses',
+
+    // Ratings, red flags and renewal badges
+    'Strong': 'Solide',
+    'Adequate': 'Adéquate',
+    'Weak': 'Faible',
+    'Poor': 'Insuffisante',
+    'Lowest control maturity level': 'Niveau de maturité des contrôles le plus bas',
+    'Prior incident or claim reported': 'Incident ou réclamation antérieur déclaré',
+    'Unchanged': 'Inchangée',
+
+    // Errors
+    'This PDF is password protected. Import a copy saved with "Download PDF" instead.': 'Ce PDF est protégé par mot de passe. Importez plutôt une copie enregistrée avec « Télécharger le PDF ».',
+    'This PDF does not contain application answers. Only PDFs saved with "Download PDF" can be imported.': 'Ce PDF ne contient pas de réponses de proposition. Seuls les PDF enregistrés avec « Télécharger le PDF » peuvent être importés.',
+    'The answers attached to this PDF are not in a recognised format.': 'Les réponses jointes à ce PDF ne sont pas dans un format reconnu.',
+    'This PDF was created by a newer version of the application form. Please use the latest version to import it.': 'Ce PDF a été créé par une version plus récente du formulaire de proposition. Veuillez utiliser la dernière version pour l’importer.',
+    'This file is not valid JSON.': 'Ce fichier n’est pas un JSON valide.',
+    'This file was created by a newer version of the application form. Please use the latest version to load it.': 'Ce fichier a été créé par une version plus récente du formulaire de proposition. Veuillez utiliser la dernière version pour le charger.',
+    'This file does not contain application answers.': 'Ce fichier ne contient pas de réponses de proposition.',
+    'This PDF is password protected. Verify a copy saved with "Download PDF" instead.': 'Ce PDF est protégé par mot de passe. Vérifiez plutôt une copie enregistrée avec « Télécharger le PDF ».',
+    'This PDF has no answers stamp. Only application PDFs downloaded from this form can be verified.': 'Ce PDF n’a pas de sceau des réponses. Seuls les PDF de proposition téléchargés à partir de ce formulaire peuvent être vérifiés.',
+    'PDF encryption needs the Web Crypto API, which browsers only provide on https:// and localhost pages.': 'Le chiffrement du PDF nécessite l’API Web Crypto, que les navigateurs n’offrent que sur les pages https:// et localhost.',
+    'PDF encryption needs a user password.': 'Le chiffrement du PDF nécessite un mot de passe d’utilisateur.',
+    'The certificate file could not be opened. Check the password and that it is a .p12 or .pfx file.': 'Le fichier de certificat n’a pas pu être ouvert. Vérifiez le mot de passe et qu’il s’agit bien d’un fichier .p12 ou .pfx.',
+    'The certificate file must contain an RSA private key and its certificate.': 'Le fichier de certificat doit contenir une clé privée RSA et son certificat.',
+    'The PDF has no signature placeholder; call addSignaturePlaceholderUMD before saving it.': 'Le PDF n’a pas d’espace réservé pour la signature; appelez addSignaturePlaceholderUMD avant de l’enregistrer.',
+    'The signature is larger than the space reserved for it. Use a certificate file with a shorter chain.': 'La signature dépasse l’espace qui lui est réservé. Utilisez un fichier de certificat dont la chaîne est plus courte.'
+  });
+})(window);
@@ -0,0 +1,120 @@
+/**
+ * Internationalization
+ *
+ * Message catalogs for the wizard and the PDFs in the languages of Canadian
+ * applicants (en-CA, fr-CA). Messages are keyed by their English text, as
+ * written in the code and in QUESTIONNAIRE_SCHEMA, so a message missing from
+ * a catalog (or a white-label text no catalog knows) shows in English rather
+ * than breaking. Each i18n/<locale>.umd.js registers its catalog with
+ * registerCatalogUMD.
+ *
+ * Placeholders are written {name} and filled from params. translatePluralUMD
+ * picks the singular or the plural message by count; French uses the
+ * singular for 0 and 1.
+ *
+ * In the page, translatePageUMD translates the elements marked data-i18n in
+ * place, so the language can be switched without rebuilding the form or
+ * touching the answers. The English source is the value of data-i18n, or the
+ * element's text when it is empty; data-i18n-placeholder, data-i18n-title and
+ * data-i18n-aria-label do the same for those attributes.
+ *
+ * getLocaleUMD is the language of the page (or worker); the PDF generators
+ * take a locale option so a PDF is rendered in the language it was requested
+ * in.
+ */
+(function (global) {
+  var LOCALES = {
+    'en-CA': 'English',
+    'fr-CA': 'Français'
+  };
+  var DEFAULT_LOCALE = 'en-CA';
+  var ATTRIBUTES = ['placeholder', 'title', 'aria-label'];
+  var catalogs = {};
+  var currentLocale = DEFAULT_LOCALE;
+
+  function checkLocale(locale) {
+    if (!Object.prototype.hasOwnProperty.call(LOCALES, locale)) {
+      throw new Error('Unsupported locale: ' + locale);
+    }
+  }
+
+  function registerCatalog(locale, messages) {
+    checkLocale(locale);
+    catalogs[locale] = Object.assign(catalogs[locale] || {}, messages);
+  }
+
+  // Message in the given locale (default: the current one), with its {placeholders} filled from params
+  function translate(message, params, locale) {
+    var catalog = catalogs[locale || currentLocale] || {};
+    var text = Object.prototype.hasOwnProperty.call(catalog, message) ? catalog[message] : message;
+    if (!params) return text;
+    return text.replace(/\{(\w+)\}/g, function (placeholder, name) {
+      return Object.prototype.hasOwnProperty.call(params, name) ? String(params[name]) : placeholder;
+    });
+  }
+
+  // singular and plural are the English messages; {count} is available to both
+  function translatePlural(count, singular, plural, params, locale) {
+    var french = (locale || currentLocale).indexOf('fr') === 0;
+    var isSingular = french ? Math.abs(count) < 2 : count === 1;
+    return translate(isSingular ? singular : plural, Object.assign({ count: count }, params), locale);
+  }
+
+  // Supported locale for a list of language tags in order of preference (e.g.
+  // navigator.languages); the language decides when the region does not match
+  function matchLocale(tags) {
+    var locales = Object.keys(LOCALES);
+    var candidates = [].concat(tags || []).filter(Boolean).map(String);
+    for (var i = 0; i < candidates.length; i++) {
+      if (LOCALES[candidates[i]]) return candidates[i];
+      var language = candidates[i].split('-')[0].toLowerCase();
+      var match = locales.filter(function (locale) { return locale.split('-')[0] === language; })[0];
+      if (match) return match;
+    }
+    return DEFAULT_LOCALE;
+  }
+
+  function setLocale(locale) {
+    checkLocale(locale);
+    currentLocale = locale;
+    if (global.document) global.document.documentElement.lang = locale;
+  }
+
+  function getLocale() {
+    return currentLocale;
+  }
+
+  function forEachElement(root, selector, callback) {
+    Array.prototype.forEach.call(root.querySelectorAll(selector), callback);
+  }
+
+  // Translates the data-i18n elements and attributes under root (default: the document)
+  function translatePage(root, locale) {
+    root = root || global.document;
+    forEachElement(root, '[data-i18n]', function (element) {
+      var source = element.getAttribute('data-i18n');
+      if (!source) {
+        source = element.textContent.replace(/\s+/g, ' ').trim();
+        element.setAttribute('data-i18n', source);
+      }
+      element.textContent = translate(source, null, locale);
+    });
+    ATTRIBUTES.forEach(function (name) {
+      forEachElement(root, '[data-i18n-' + name + ']', function (element) {
+        var source = element.getAttribute('data-i18n-' + name) || element.getAttribute(name);
+        element.setAttribute('data-i18n-' + name, source);
+        element.setAttribute(name, translate(source, null, locale));
+      });
+    });
+  }
+
+  global.I18N_LOCALES = LOCALES;
+  global.DEFAULT_LOCALE = DEFAULT_LOCALE;
+  global.registerCatalogUMD = registerCatalog;
+  global.translateUMD = translate;
+  global.translatePluralUMD = translatePlural;
+  global.matchLocaleUMD = matchLocale;
+  global.setLocaleUMD = setLocale;
+  global.getLocaleUMD = getLocale;
+  global.translatePageUMD = translatePage;
+})(window);
@@ -0,0 +1,83 @@
+/**
+ * Answer Attachment
+ *
+ * Embeds the collectFormData() payload in a generated PDF as a JSON file
+ * attachment, and reads it back so a returned PDF can reopen the draft that
+ * produced it. The file is attached as an associated file (catalog /AF with
+ * AFRelationship /Data), the way PDF/A-3 carries source data.
+ *
+ * Payload: { format, schemaVersion, exportedAt, formData }. schemaVersion is
+ * QUESTIONNAIRE_SCHEMA.version at export time; answers from a newer schema
+ * than the one loaded are rejected rather than half-restored.
+ *
+ * Dependencies:
+ * - pdf-lib (window.PDFLib)
+ * - questionnaire/schema.umd.js
+ */
+(function (global) {
+  var ATTACHMENT_NAME = 'application-answers.json';
+  var PAYLOAD_FORMAT = 'axis-technology-insurance-application';
+
+  // Adds the attachment to a pdf-lib document; it is written on pdfDoc.save()
+  function attachAnswers(pdfDoc, formData) {
+    var payload = {
+      format: PAYLOAD_FORMAT,
+      schemaVersion: global.QUESTIONNAIRE_SCHEMA.version,
+      exportedAt: new Date().toISOString(),
+      formData: formData
+    };
+    var now = new Date();
+    return pdfDoc.attach(new TextEncoder().encode(JSON.stringify(payload)), ATTACHMENT_NAME, {
+      mimeType: 'application/json',
+      description: 'Application answers (machine-readable)',
+      creationDate: now,
+      modificationDate: now,
+      afRelationship: global.PDFLib.AFRelationship.Data
+    });
+  }
+
+  // Returns the decoded bytes of the named embedded file, or null
+  function findEmbeddedFile(pdfDoc, fileName) {
+    var PDFLib = global.PDFLib;
+    var names = pdfDoc.catalog.lookupMaybe(PDFLib.PDFName.of('Names'), PDFLib.PDFDict);
+    var embeddedFiles = names && names.lookupMaybe(PDFLib.PDFName.of('EmbeddedFiles'), PDFLib.PDFDict);
+    var entries = embeddedFiles && embeddedFiles.lookupMaybe(PDFLib.PDFName.of('Names'), PDFLib.PDFArray);
+    if (!entries) return null;
+
+    // Flat name tree: [name1, fileSpec1, name2, fileSpec2, ...]
+    for (var i = 0; i + 1 < entries.size(); i += 2) {
+      if (entries.lookup(i).decodeText() !== fileName) continue;
+      var fileSpec = entries.lookup(i + 1, PDFLib.PDFDict);
+      var streams = fileSpec.lookup(PDFLib.PDFName.of('EF'), PDFLib.PDFDict);
+      return PDFLib.decodePDFRawStream(streams.lookup(PDFLib.PDFName.of('F'))).decode();
+    }
+    return null;
+  }
+
+  // Resolves to the formData object embedded in pdfBytes
+  function readAnswers(pdfBytes) {
+    return global.PDFLib.PDFDocument.load(pdfBytes, { updateMetadata: false, ignoreEncryption: true }).then(function (pdfDoc) {
+      if (pdfDoc.isEncrypted) {
+        throw new Error('This PDF is password protected. Import a copy saved with "Download PDF" instead.');
+      }
+
+      var bytes = findEmbeddedFile(pdfDoc, ATTACHMENT_NAME);
+      if (!bytes) {
+        throw new Error('This PDF does not contain application answers. Only PDFs saved with "Download PDF" can be imported.');
+      }
+
+      var payload = JSON.parse(new TextDecoder().decode(bytes));
+      if (payload.format !== PAYLOAD_FORMAT || !payload.formData) {
+        throw new Error('The answers attached to this PDF are not in a recognised format.');
+      }
+      if (payload.schemaVersion > global.QUESTIONNAIRE_SCHEMA.version) {
+        throw new Error('This PDF was created by a newer version of the application form. Please use the latest version to import it.');
+      }
+      return payload.formData;
+    });
+  }
+
+  global.ANSWERS_ATTACHMENT_NAME = ATTACHMENT_NAME;
+  global.attachAnswersUMD = attachAnswers;
+  global.readAnswersUMD = readAnswers;
+})(window);
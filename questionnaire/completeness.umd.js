@@ -0,0 +1,136 @@
+/**
+ * Completeness
+ *
+ * Lists every unanswered question of an application, grouped by section with
+ * a completion percentage, for the panel on the signature step and the
+ * "Completeness Report" page of the PDF.
+ *
+ * What counts as a question:
+ * - input fields (group fields one by one), yesNo, scale and choice radios
+ * - each row of a riskTable, plus its details when the row is answered Yes
+ * - a percentageTable or gridTable as a whole (answered once any cell is)
+ * - the items of a follow-up, but only while the follow-up is triggered, so a
+ *   triggered-but-empty follow-up is reported and a hidden one is not
+ * Checkbox groups and flags are not counted: "none ticked" is a valid answer.
+ * Sector sections only count when their sector is selected.
+ *
+ * Titles and labels are in options.locale (default: the current locale).
+ *
+ * Dependencies:
+ * - questionnaire/schema.umd.js
+ * - i18n/i18n.umd.js
+ */
+(function (global) {
+  var FIELD_TYPES = ['text', 'textarea', 'number', 'date', 'email', 'tel'];
+
+  function isEmpty(value) {
+    if (Array.isArray(value)) return value.length === 0;
+    return value === undefined || value === null || String(value).trim() === '';
+  }
+
+  function isFlagSet(value) {
+    return [].concat(value || []).indexOf('yes') !== -1;
+  }
+
+  // Same trigger rules as the wizard (renderWizard.umd.js isFollowUpActive)
+  function isTriggered(followUp, value) {
+    if (followUp.when === 'checked' || followUp.when === 'any') return !isEmpty(value);
+    return value === followUp.when;
+  }
+
+  function percent(answered, total) {
+    return total === 0 ? 100 : Math.floor(answered / total * 100);
+  }
+
+  // `parent` is the (translated) label of the question owning the follow-up being checked, if any;
+  // t translates the schema texts
+  function checkItems(items, data, result, parent, t) {
+    items.forEach(function (item) {
+      checkItem(item, data, result, parent, t);
+    });
+  }
+
+  // label is translated
+  function count(result, answered, name, label, parent) {
+    result.total++;
+    if (answered) {
+      result.answered++;
+    } else {
+      result.missing.push({
+        name: name,
+        label: parent ? parent + ' - ' + String(label).replace(/\s*:$/, '') : label,
+        followUp: !!parent
+      });
+    }
+  }
+
+  function checkItem(item, data, result, parent, t) {
+    if (FIELD_TYPES.indexOf(item.type) !== -1) {
+      count(result, !isEmpty(data[item.name]), item.name, t(item.label || item.placeholder), parent);
+    } else if (item.type === 'yesNo' || item.type === 'scale' || item.type === 'choice') {
+      count(result, !isEmpty(data[item.name]), item.name, t(item.label), parent);
+      if (item.followUp && isTriggered(item.followUp, data[item.name])) {
+        checkItems(item.followUp.items, data, result, item.label ? t(item.label) : parent, t);
+      }
+    } else if (item.type === 'checkboxes') {
+      var selected = data[item.name] || [];
+      item.options.forEach(function (option) {
+        if (option.followUp && selected.indexOf(option.value) !== -1) {
+          checkItems(option.followUp.items, data, result, t(option.label), t);
+        }
+      });
+    } else if (item.type === 'flags') {
+      var anySet = item.options.some(function (option) { return isFlagSet(data[option.name]); });
+      if (item.followUp && anySet) {
+        checkItems(item.followUp.items, data, result, t(item.label), t);
+      }
+    } else if (item.type === 'group') {
+      item.items.forEach(function (field) {
+        if (FIELD_TYPES.indexOf(field.type) !== -1) {
+          var label = (item.label ? t(item.label) + ' - ' : '') + t(field.label || field.placeholder);
+          count(result, !isEmpty(data[field.name]), field.name, label, parent);
+        } else {
+          checkItem(field, data, result, parent, t);
+        }
+      });
+    } else if (item.type === 'riskTable') {
+      item.rows.forEach(function (row) {
+        var value = data[row.name];
+        count(result, !isEmpty(value), row.name, t(item.label) + ' - ' + t(row.label), parent);
+        if (value === 'yes') {
+          var details = row.idPrefix + '_details';
+          count(result, !isEmpty(data[details]), details, t('Details'), t(row.label));
+        }
+      });
+    } else if (item.type === 'percentageTable') {
+      count(result, item.rows.some(function (row) { return !isEmpty(data[row.name]); }), null, t(item.label), parent);
+    } else if (item.type === 'gridTable') {
+      var anyCell = item.rows.some(function (row) {
+        return item.columns.some(function (column) { return !isEmpty(data[row.prefix + '_' + column.suffix]); });
+      });
+      count(result, anyCell, null, t(item.label), parent);
+    }
+  }
+
+  // Checks collectFormData() output against the schema
+  function computeCompleteness(formData, options) {
+    var locale = (options && options.locale) || global.getLocaleUMD();
+    var t = function (message) { return global.translateUMD(message, null, locale); };
+    var sections = [];
+    global.QUESTIONNAIRE_SCHEMA.sections.forEach(function (section) {
+      if (section.sector && (formData.sectors || []).indexOf(section.sector) === -1) return;
+      var data = section.key === 'sectors' ? { 'sectors[]': formData.sectors || [] } : (formData[section.key] || {});
+      var result = { key: section.key, title: t(section.tocTitle || section.title), answered: 0, total: 0, missing: [] };
+      checkItems(section.items, data, result, null, t);
+      if (result.total === 0) return;
+      result.percent = percent(result.answered, result.total);
+      sections.push(result);
+    });
+
+    var answered = sections.reduce(function (sum, s) { return sum + s.answered; }, 0);
+    var total = sections.reduce(function (sum, s) { return sum + s.total; }, 0);
+    return { answered: answered, total: total, percent: percent(answered, total), sections: sections };
+  }
+
+  global.computeCompletenessUMD = computeCompleteness;
+})(window);
@@ -0,0 +1,56 @@
+/**
+ * Red Flags
+ *
+ * Rules for adverse answers. The PDF shades every answer matching a rule and
+ * lists them in the "Items Requiring Attention" appendix, so the rules live
+ * here instead of in the section renderers.
+ *
+ * Rule: { id, reason, sections?, names?, maturityLevel?, answer?, test? }
+ * - sections / names   limit the rule to these section keys / field names
+ * - maturityLevel      matches scored maturity answers at or below this level
+ * - answer             matches this answer value ('yes' also matches a ticked flag)
+ * - test(value, question, sectionKey)   custom condition, returns true to flag
+ * A rule matches when every condition it sets holds. `question` is a schema
+ * item, or `{ type: 'flag', name, label }` for one option of a `flags` item.
+ *
+ * Dependencies:
+ * - questionnaire/riskScore.umd.js (maturityLevelUMD)
+ */
+(function (global) {
+  var RULES = [
+    { id: 'lowest-maturity', reason: 'Lowest control maturity level', maturityLevel: 1 },
+    { id: 'prior-incident', reason: 'Prior incident or claim reported', sections: ['priorIncidents'], answer: 'yes' }
+  ];
+
+  function answerMatches(question, value, expected) {
+    if (question.type === 'flag') {
+      // Flags are posted as checkboxes, so the wizard collects them as ['yes']
+      return [].concat(value || []).indexOf(expected) !== -1;
+    }
+    return value === expected;
+  }
+
+  function ruleMatches(rule, sectionKey, question, value) {
+    if (rule.sections && rule.sections.indexOf(sectionKey) === -1) return false;
+    if (rule.names && rule.names.indexOf(question.name) === -1) return false;
+    if (rule.maturityLevel !== undefined) {
+      var level = question.type === 'flag' ? null : global.maturityLevelUMD(question, value);
+      if (level === null || level > rule.maturityLevel) return false;
+    }
+    if (rule.answer !== undefined && !answerMatches(question, value, rule.answer)) return false;
+    if (rule.test && !rule.test(value, question, sectionKey)) return false;
+    return true;
+  }
+
+  // First rule flagging this answer, or null
+  function findRedFlag(sectionKey, question, value, rules) {
+    rules = rules || RULES;
+    for (var i = 0; i < rules.length; i++) {
+      if (ruleMatches(rules[i], sectionKey, question, value)) return rules[i];
+    }
+    return null;
+  }
+
+  global.RED_FLAG_RULES = RULES;
+  global.findRedFlagUMD = findRedFlag;
+})(window);
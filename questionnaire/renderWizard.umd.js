@@ -0,0 +1,388 @@
+/**
+ * Questionnaire Wizard Renderer
+ *
+ * Builds the wizard step markup from QUESTIONNAIRE_SCHEMA into the
+ * `.form-section[data-questionnaire-section]` shells of the form, and drives
+ * every follow-up block generically from the `data-follow-up-*` attributes it
+ * writes. Must run before the form handlers are bound on document ready.
+ *
+ * Text is rendered in the current locale and marked data-i18n with its
+ * English source, so translatePageUMD can switch the language of the built
+ * steps without rendering them again.
+ *
+ * Dependencies:
+ * - jQuery (bindFollowUpsUMD / refreshFollowUpsUMD only)
+ * - questionnaire/schema.umd.js
+ * - i18n/i18n.umd.js
+ */
+(function (global) {
+  var FIELD_TYPES = ['text', 'textarea', 'number', 'date', 'email', 'tel'];
+
+  function esc(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // Translated text, marked with its source for translatePageUMD
+  function text(value) {
+    return '<span data-i18n="' + esc(value) + '">' + esc(global.translateUMD(value)) + '</span>';
+  }
+
+  // Attributes of a translated placeholder
+  function placeholder(value) {
+    if (!value) return {};
+    return { placeholder: global.translateUMD(value), 'data-i18n-placeholder': value };
+  }
+
+  function attrs(map) {
+    return Object.keys(map).filter(function (key) {
+      return map[key] !== undefined && map[key] !== null && map[key] !== false;
+    }).map(function (key) {
+      return map[key] === true ? key : key + '="' + esc(map[key]) + '"';
+    }).join(' ');
+  }
+
+  function optionId(item, option) {
+    if (option.id) return option.id;
+    return item.type === 'checkboxes' ? option.value : item.name + '_' + option.value;
+  }
+
+  function choiceOptions(item) {
+    if (item.type === 'yesNo') {
+      var prefix = item.idPrefix || item.name;
+      return [
+        { id: prefix + '_yes', value: 'yes', label: 'Yes' },
+        { id: prefix + '_no', value: 'no', label: 'No' }
+      ];
+    }
+    if (item.type === 'scale') {
+      return item.levels.map(function (level, i) {
+        return { id: item.name + '_' + (i + 1), value: String(i + 1), label: level };
+      });
+    }
+    return item.options.map(function (option) {
+      return { id: optionId(item, option), value: option.value, label: option.label || option.value.trim() };
+    });
+  }
+
+  function renderControl(field, inFollowUp) {
+    var common = Object.assign({
+      class: 'form-control' + (field.className ? ' ' + field.className : ''),
+      id: field.id || field.name,
+      name: field.name
+    }, placeholder(field.placeholder), {
+      required: field.required && !inFollowUp,
+      'data-required': field.required && inFollowUp ? 'true' : undefined
+    });
+    if (field.type === 'textarea') {
+      common.rows = field.rows || 3;
+      return '<textarea ' + attrs(common) + '></textarea>';
+    }
+    var input = '<input ' + attrs(Object.assign({ type: field.type }, common, { min: field.min, max: field.max })) + '>';
+    if (!field.prefix && !field.suffix) return input;
+    return '<div class="input-group">' +
+      (field.prefix ? '<span class="input-group-text">' + text(field.prefix) + '</span>' : '') +
+      input +
+      (field.suffix ? '<span class="input-group-text">' + text(field.suffix) + '</span>' : '') +
+      '</div>';
+  }
+
+  function renderField(field, inFollowUp, wrapperClass) {
+    return '<div class="' + wrapperClass + '">' +
+      (field.label ? '<label for="' + esc(field.id || field.name) + '" class="form-label">' + text(field.label) + '</label>' : '') +
+      renderControl(field, inFollowUp) +
+      (field.help ? '<small class="form-text text-muted">' + text(field.help) + '</small>' : '') +
+      (field.invalidFeedback ? '<div class="invalid-feedback">' + text(field.invalidFeedback) + '</div>' : '') +
+      '</div>';
+  }
+
+  function renderFollowUp(followUp, trigger) {
+    return '<div ' + attrs({
+      class: 'conditional-field' + (followUp.className ? ' ' + followUp.className : ''),
+      id: followUp.id,
+      'data-follow-up-for': trigger,
+      'data-follow-up-when': followUp.when
+    }) + '>' + renderItems(followUp.items, true) + '</div>';
+  }
+
+  function renderQuestionLabel(item) {
+    if (!item.label) return '';
+    return '<label class="form-label">' + text(item.label) +
+      (item.required ? ' <span class="text-danger">*</span>' : '') +
+      (item.hint ? ' <small class="text-muted">' + text(item.hint) + '</small>' : '') +
+      '</label>';
+  }
+
+  function renderCheck(type, name, option, extraClass, inline, extraAttrs) {
+    return '<div class="form-check' + (inline ? ' form-check-inline' : '') + '">' +
+      '<input ' + attrs(Object.assign({
+        class: 'form-check-input' + (extraClass ? ' ' + extraClass : ''),
+        type: type,
+        name: name,
+        id: option.id,
+        value: option.value
+      }, extraAttrs)) + '>' +
+      '<label class="form-check-label" for="' + esc(option.id) + '">' +
+      (option.icon ? esc(option.icon) + ' ' : '') + text(option.label) + '</label>' +
+      '</div>';
+  }
+
+  function renderRadios(item, inFollowUp) {
+    var inline = item.type === 'yesNo';
+    var required = {
+      required: item.required && !inFollowUp,
+      'data-required': item.required && inFollowUp ? 'true' : undefined
+    };
+    var checks = choiceOptions(item).map(function (option) {
+      return renderCheck('radio', item.name, option, null, inline, required);
+    }).join('');
+    return '<div class="mb-4">' + renderQuestionLabel(item) +
+      '<div class="' + (inline ? 'mt-2' : 'form-check-container') + '">' + checks + '</div>' +
+      (item.help ? '<small class="form-text text-muted">' + text(item.help) + '</small>' : '') +
+      (item.followUp ? renderFollowUp(item.followUp, 'input[name="' + item.name + '"]') : '') +
+      '</div>';
+  }
+
+  function renderCheckboxes(item) {
+    var options = item.options.map(function (option) {
+      var check = renderCheck('checkbox', item.name, {
+        id: optionId(item, option),
+        value: option.value,
+        label: option.label,
+        icon: option.icon
+      });
+      if (option.followUp) check += renderFollowUp(option.followUp, '#' + optionId(item, option));
+      return item.columns ? '<div class="col-md-' + 12 / item.columns + ' mb-3">' + check + '</div>' : check;
+    }).join('');
+    return '<div class="mb-4">' + renderQuestionLabel(item) +
+      (item.help ? '<small class="form-text text-muted d-block">' + text(item.help) + '</small>' : '') +
+      '<div class="' + (item.columns ? 'row mt-3' : 'mt-2') + '">' + options + '</div>' +
+      (item.invalidFeedback ? '<div class="invalid-feedback">' + text(item.invalidFeedback) + '</div>' : '') +
+      '</div>';
+  }
+
+  function renderFlags(item) {
+    var checks = item.options.map(function (option) {
+      return renderCheck('checkbox', option.name, { id: option.name, value: 'yes', label: option.label }, item.inputClass);
+    }).join('');
+    var trigger = item.options.map(function (option) {
+      return 'input[name="' + option.name + '"]';
+    }).join(', ');
+    return '<div class="mb-4">' + renderQuestionLabel(item) +
+      '<div class="mt-3">' + checks + '</div>' +
+      (item.followUp ? renderFollowUp(item.followUp, trigger) : '') +
+      '</div>';
+  }
+
+  function renderGroup(item, inFollowUp) {
+    var fields = item.items.map(function (field) {
+      if (FIELD_TYPES.indexOf(field.type) === -1) return '<div class="col-12">' + renderItem(field, inFollowUp) + '</div>';
+      return renderField(field, inFollowUp, field.width === 'half' ? 'col-md-6 mb-3' : 'col-12 mb-3');
+    }).join('');
+    return '<div class="mb-4">' + renderQuestionLabel(item) +
+      (item.help ? '<small class="form-text text-muted d-block mb-2">' + text(item.help) + '</small>' : '') +
+      '<div class="row">' + fields + '</div>' +
+      '</div>';
+  }
+
+  function renderTable(headers, rows) {
+    return '<div class="table-responsive"><table class="table table-bordered"><thead><tr>' +
+      headers.map(function (header) { return '<th>' + text(header) + '</th>'; }).join('') +
+      '</tr></thead><tbody>' + rows + '</tbody></table></div>';
+  }
+
+  function renderPercentageTable(item) {
+    var rows = item.rows.map(function (row) {
+      return '<tr><td>' + text(row.label) + '</td><td><input ' + attrs({
+        type: 'number',
+        class: 'form-control ' + item.inputClass,
+        name: row.name,
+        min: 0,
+        max: 100,
+        placeholder: '0'
+      }) + '></td></tr>';
+    }).join('') +
+      '<tr class="table-primary"><td><strong>' + text('Total') + '</strong></td>' +
+      '<td><strong><span id="' + esc(item.totalId) + '">0</span>%</strong></td></tr>';
+    return '<div class="mb-4">' + renderQuestionLabel(item) + renderTable(item.headers, rows) +
+      '<div class="invalid-feedback" id="' + esc(item.errorId) + '">' + text(item.errorText) + '</div>' +
+      '</div>';
+  }
+
+  function renderRiskTable(item) {
+    var rows = item.rows.map(function (row) {
+      var details = row.idPrefix + '_details';
+      var radios = ['yes', 'no'].map(function (value) {
+        var id = row.idPrefix + '_' + value;
+        return '<div class="form-check"><input ' + attrs({
+          class: 'form-check-input high-risk-radio',
+          type: 'radio',
+          name: row.name,
+          id: id,
+          value: value,
+          'data-details': details
+        }) + '><label class="form-check-label" for="' + esc(id) + '">' + text(value === 'yes' ? 'Yes' : 'No') + '</label></div>';
+      }).join('');
+      return '<tr><td>' + text(row.label) + '</td>' +
+        '<td><div class="d-flex gap-3">' + radios + '</div></td>' +
+        '<td><input ' + attrs(Object.assign({ type: 'text', class: 'form-control risk-details', name: details }, placeholder('Provide details...'), { disabled: true })) + '></td></tr>';
+    }).join('');
+    return '<div class="mb-4">' + renderQuestionLabel(item) + renderTable(item.headers, rows) + '</div>';
+  }
+
+  function renderGridTable(item) {
+    var headers = (item.rowHeader ? [item.rowHeader] : []).concat(item.columns.map(function (column) {
+      return column.header;
+    }));
+    var rows = item.rows.map(function (row) {
+      var cells = item.columns.map(function (column) {
+        return '<td><input ' + attrs(Object.assign({
+          type: column.type,
+          class: 'form-control',
+          name: row.prefix + '_' + column.suffix,
+          min: column.min
+        }, placeholder((row.placeholders && row.placeholders[column.suffix]) || column.placeholder))) + '></td>';
+      }).join('');
+      return '<tr>' + (item.rowHeader ? '<td><strong>' + text(row.label) + '</strong></td>' : '') + cells + '</tr>';
+    }).join('');
+    return '<div class="mb-4">' + renderQuestionLabel(item) +
+      (item.help ? '<small class="form-text text-muted">' + text(item.help) + '</small>' : '') +
+      renderTable(headers, rows) + '</div>';
+  }
+
+  function renderItem(item, inFollowUp) {
+    switch (item.type) {
+      case 'yesNo':
+      case 'scale':
+      case 'choice':
+        return renderRadios(item, inFollowUp);
+      case 'checkboxes':
+        return renderCheckboxes(item);
+      case 'flags':
+        return renderFlags(item);
+      case 'group':
+        return renderGroup(item, inFollowUp);
+      case 'note':
+        return '<p class="mb-2"><strong>' + text(item.text) + '</strong></p>';
+      case 'percentageTable':
+        return renderPercentageTable(item);
+      case 'riskTable':
+        return renderRiskTable(item);
+      case 'gridTable':
+        return renderGridTable(item);
+      default:
+        throw new Error('Unknown questionnaire item type: ' + item.type);
+    }
+  }
+
+  // Consecutive half-width fields share a Bootstrap row, two per line.
+  function renderItems(items, inFollowUp) {
+    var html = '';
+    var halves = [];
+    function flushHalves() {
+      if (halves.length) html += '<div class="row">' + halves.join('') + '</div>';
+      halves = [];
+    }
+    items.forEach(function (item) {
+      if (FIELD_TYPES.indexOf(item.type) !== -1 && item.width === 'half') {
+        halves.push(renderField(item, inFollowUp, 'col-md-6 mb-3'));
+        if (halves.length === 2) flushHalves();
+        return;
+      }
+      flushHalves();
+      html += FIELD_TYPES.indexOf(item.type) !== -1
+        ? renderField(item, inFollowUp, inFollowUp ? 'mb-3' : 'mb-4')
+        : renderItem(item, inFollowUp);
+    });
+    flushHalves();
+    return html;
+  }
+
+  function renderSection(section) {
+    return '<h2 class="section-title">' + text(section.title) + '</h2>' +
+      (section.intro
+        ? '<div class="alert alert-info"><i class="bi bi-info-circle"></i> <strong>' + text(section.intro.heading) +
+          '</strong> ' + text(section.intro.text) + '</div>'
+        : '') +
+      renderItems(section.items, false);
+  }
+
+  function renderWizard(schema) {
+    schema.sections.forEach(function (section) {
+      var shell = document.querySelector('[data-questionnaire-section="' + section.key + '"]');
+      if (!shell) throw new Error('Missing wizard section shell: ' + section.key);
+      shell.innerHTML = renderSection(section);
+    });
+  }
+
+  function isFollowUpActive($followUp) {
+    var $checked = global.jQuery($followUp.attr('data-follow-up-for')).filter(':checked');
+    var when = $followUp.attr('data-follow-up-when');
+    if (when === 'checked' || when === 'any') return $checked.length > 0;
+    return $checked.val() === when;
+  }
+
+  function showFollowUp($followUp, animate) {
+    // Only fields owned by this block become required; nested blocks decide for themselves
+    $followUp.find('[data-required]').filter(function () {
+      return global.jQuery(this).closest('[data-follow-up-for]').is($followUp);
+    }).attr('required', true);
+    if (animate) {
+      $followUp.slideDown(400);
+    } else {
+      $followUp.show();
+    }
+  }
+
+  function hideFollowUp($followUp, animate) {
+    if (animate) {
+      $followUp.slideUp(400);
+    } else {
+      $followUp.hide();
+    }
+    $followUp.find('[data-follow-up-for]').hide();
+    $followUp.find('[data-required]').removeAttr('required');
+    $followUp.find('input[type="radio"], input[type="checkbox"]').prop('checked', false);
+    $followUp.find('input:not([type="radio"]):not([type="checkbox"]), textarea')
+      .val('')
+      .removeClass('is-valid is-invalid');
+  }
+
+  function bindFollowUps(form) {
+    var $ = global.jQuery;
+    $(form).on('change', 'input[type="radio"], input[type="checkbox"]', function () {
+      var input = this;
+      $(form).find('[data-follow-up-for]').each(function () {
+        var $followUp = $(this);
+        if (!$(input).is($followUp.attr('data-follow-up-for'))) return;
+        if (isFollowUpActive($followUp)) {
+          showFollowUp($followUp, true);
+        } else {
+          hideFollowUp($followUp, true);
+        }
+      });
+    });
+  }
+
+  // Sync every follow-up with the current answers without animating or
+  // clearing anything, e.g. after restoring a saved draft.
+  function refreshFollowUps(form) {
+    var $ = global.jQuery;
+    $(form).find('[data-follow-up-for]').each(function () {
+      var $followUp = $(this);
+      if (isFollowUpActive($followUp)) {
+        showFollowUp($followUp, false);
+      } else {
+        $followUp.hide();
+        $followUp.find('[data-required]').removeAttr('required');
+      }
+    });
+  }
+
+  global.renderWizardUMD = renderWizard;
+  global.bindFollowUpsUMD = bindFollowUps;
+  global.refreshFollowUpsUMD = refreshFollowUps;
+})(window);
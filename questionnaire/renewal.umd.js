@@ -0,0 +1,183 @@
+/**
+ * Renewal
+ *
+ * Compares this year's answers with the prior year's application so a renewal
+ * can start from last year's answers: the wizard marks each answer and the PDF
+ * lists the changes side by side. The comparison PDF of two applications uses
+ * the same diff.
+ *
+ * Each answered question is one of:
+ * - 'unchanged'  same answer as the prior application
+ * - 'changed'    answered differently, or cleared, since the prior application
+ * - 'new'        not answered in the prior application
+ * Questions left unanswered in both are only listed, as 'unanswered', with
+ * `{ includeUnanswered: true }`. Sector sections neither application selected
+ * are skipped.
+ *
+ * Titles, labels and option answers are in options.locale (default: the
+ * current locale); free text answers are compared and shown as entered.
+ *
+ * Dependencies:
+ * - questionnaire/schema.umd.js
+ * - i18n/i18n.umd.js
+ */
+(function (global) {
+  var FIELD_TYPES = ['text', 'textarea', 'number', 'date', 'email', 'tel'];
+
+  function optionLabels(item, t) {
+    if (item.type === 'yesNo') return { yes: t('Yes'), no: t('No') };
+    var labels = {};
+    if (item.type === 'scale') {
+      item.levels.forEach(function (level, i) { labels[String(i + 1)] = t(level); });
+    } else {
+      item.options.forEach(function (option) { labels[option.value] = t(option.label || option.value.trim()); });
+    }
+    return labels;
+  }
+
+  // name -> { label, options? } for every input a section posts, in wizard order;
+  // t translates the schema texts (parent is translated)
+  function indexQuestions(items, index, parent, t) {
+    function add(name, label, options) {
+      index[name] = { label: parent ? parent + ' - ' + String(label).replace(/\s*:$/, '') : label, options: options };
+    }
+
+    items.forEach(function (item) {
+      if (FIELD_TYPES.indexOf(item.type) !== -1) {
+        add(item.name, t(item.label || item.placeholder));
+      } else if (item.type === 'yesNo' || item.type === 'scale' || item.type === 'choice') {
+        add(item.name, t(item.label), optionLabels(item, t));
+        if (item.followUp) indexQuestions(item.followUp.items, index, item.label ? t(item.label) : parent, t);
+      } else if (item.type === 'checkboxes') {
+        add(item.name, t(item.label), optionLabels(item, t));
+        item.options.forEach(function (option) {
+          if (option.followUp) indexQuestions(option.followUp.items, index, t(option.label), t);
+        });
+      } else if (item.type === 'flags') {
+        item.options.forEach(function (option) {
+          add(option.name, (item.label ? t(item.label) + ' - ' : '') + t(option.label), { yes: t('Yes') });
+        });
+        if (item.followUp) indexQuestions(item.followUp.items, index, t(item.label), t);
+      } else if (item.type === 'group') {
+        item.items.forEach(function (field) {
+          if (FIELD_TYPES.indexOf(field.type) !== -1) {
+            add(field.name, (item.label ? t(item.label) + ' - ' : '') + t(field.label || field.placeholder));
+          } else {
+            indexQuestions([field], index, parent, t);
+          }
+        });
+      } else if (item.type === 'riskTable') {
+        item.rows.forEach(function (row) {
+          add(row.name, t(item.label) + ' - ' + t(row.label), { yes: t('Yes'), no: t('No') });
+          add(row.idPrefix + '_details', t(item.label) + ' - ' + t(row.label) + ' - ' + t('Details'));
+        });
+      } else if (item.type === 'percentageTable') {
+        item.rows.forEach(function (row) { add(row.name, t(item.label) + ' - ' + t(row.label)); });
+      } else if (item.type === 'gridTable') {
+        item.rows.forEach(function (row) {
+          item.columns.forEach(function (column) {
+            add(row.prefix + '_' + column.suffix, t(item.label) + ' - ' + t(row.label) + ' - ' + t(column.header));
+          });
+        });
+      }
+    });
+    return index;
+  }
+
+  function isEmpty(value) {
+    if (Array.isArray(value)) return value.length === 0;
+    return value === undefined || value === null || String(value).trim() === '';
+  }
+
+  // Comparable form of an answer: trimmed text, or the sorted values of a checkbox group
+  function normalize(value) {
+    if (isEmpty(value)) return '';
+    return Array.isArray(value) ? value.slice().sort().join('\n') : String(value).trim();
+  }
+
+  function display(value, options) {
+    if (isEmpty(value)) return '';
+    return [].concat(value).map(function (item) {
+      return options && options[item] !== undefined ? options[item] : String(item).trim();
+    }).join(', ');
+  }
+
+  function sectionData(section, formData) {
+    return section.key === 'sectors' ? { 'sectors[]': formData.sectors || [] } : (formData[section.key] || {});
+  }
+
+  function hasSector(formData, sector) {
+    return (formData.sectors || []).indexOf(sector) !== -1;
+  }
+
+  // Compares two collectFormData() objects section by section
+  function diffAnswers(priorData, currentData, options) {
+    var includeUnanswered = !!(options && options.includeUnanswered);
+    var locale = (options && options.locale) || global.getLocaleUMD();
+    var t = function (message) { return global.translateUMD(message, null, locale); };
+    var result = { unchanged: 0, changed: 0, added: 0, sections: [] };
+
+    global.QUESTIONNAIRE_SCHEMA.sections.forEach(function (section) {
+      if (section.sector && !hasSector(priorData, section.sector) && !hasSector(currentData, section.sector)) return;
+      var prior = sectionData(section, priorData);
+      var current = sectionData(section, currentData);
+      var index = indexQuestions(section.items, {}, null, t);
+      var names = Object.keys(index);
+      Object.keys(prior).concat(Object.keys(current)).forEach(function (name) {
+        if (names.indexOf(name) === -1) names.push(name);
+      });
+
+      var answers = [];
+      names.forEach(function (name) {
+        var before = normalize(prior[name]);
+        var after = normalize(current[name]);
+        if (before === '' && after === '' && !includeUnanswered) return;
+
+        var status = before === after ? (before === '' ? 'unanswered' : 'unchanged') : (before === '' ? 'new' : 'changed');
+        var question = index[name] || { label: name };
+        if (status !== 'unanswered') result[status === 'new' ? 'added' : status]++;
+        answers.push({
+          name: name,
+          label: question.label,
+          status: status,
+          previous: display(prior[name], question.options),
+          current: display(current[name], question.options)
+        });
+      });
+
+      if (answers.length > 0) {
+        result.sections.push({ key: section.key, title: t(section.tocTitle || section.title), answers: answers });
+      }
+    });
+
+    return result;
+  }
+
+  // Parses a saved answers file: collectFormData() output, or the answers
+  // payload of a downloaded PDF (see answerAttachment.umd.js)
+  function readAnswersJson(json) {
+    var data;
+    try {
+      data = JSON.parse(json);
+    } catch (error) {
+      throw new Error('This file is not valid JSON.');
+    }
+    if (data && data.formData && data.schemaVersion !== undefined) {
+      if (data.schemaVersion > global.QUESTIONNAIRE_SCHEMA.version) {
+        throw new Error('This file was created by a newer version of the application form. Please use the latest version to load it.');
+      }
+      data = data.formData;
+    }
+
+    var known = data && typeof data === 'object' && global.QUESTIONNAIRE_SCHEMA.sections.some(function (section) {
+      return data[section.key] && typeof data[section.key] === 'object';
+    });
+    if (!known) {
+      throw new Error('This file does not contain application answers.');
+    }
+    return data;
+  }
+
+  global.diffAnswersUMD = diffAnswers;
+  global.readAnswersJsonUMD = readAnswersJson;
+})(window);
@@ -0,0 +1,164 @@
+/**
+ * Risk Score
+ *
+ * Scores the control maturity answers of the control sections (6-11) so
+ * underwriters no longer have to score them by hand. Scored questions are the
+ * `scale` items (levels '1'-'4') and the `choice` items marked `maturity: true`
+ * (level = option position); follow-up questions are not scored.
+ *
+ * A section score is the weighted average level mapped to 0-100 (level 1 = 0,
+ * level 4 = 100); the overall score is the weighted average of the section
+ * scores. Higher scores mean stronger controls, i.e. lower risk.
+ *
+ * Unanswered questions are handled by `unanswered`:
+ * - 'lowest'   scored as level 1, the conservative default
+ * - 'exclude'  left out of the average; a section with no answers has no score
+ * Either way they are counted and listed in the result.
+ *
+ * Configuration (merged over RISK_SCORING_DEFAULTS):
+ * { sectionWeights: { sectionKey: weight }, questionWeights: { name: weight },
+ *   unanswered: 'lowest' | 'exclude', ratings: [{ min, label }] (highest first) }
+ * Only sections listed in sectionWeights are scored; a weight of 0 skips it.
+ *
+ * Dependencies:
+ * - questionnaire/schema.umd.js
+ */
+(function (global) {
+  var MAX_LEVEL = 4;
+
+  var DEFAULTS = {
+    sectionWeights: {
+      cybersecurity: 1,
+      dataBackup: 1,
+      thirdParty: 1,
+      privacy: 1,
+      intellectualProperty: 1,
+      employment: 1
+    },
+    questionWeights: {},
+    unanswered: 'lowest',
+    ratings: [
+      { min: 75, label: 'Strong' },
+      { min: 50, label: 'Adequate' },
+      { min: 25, label: 'Weak' },
+      { min: 0, label: 'Poor' }
+    ]
+  };
+
+  function mergeConfig(config) {
+    config = config || {};
+    var merged = {};
+    Object.keys(DEFAULTS).forEach(function (key) {
+      merged[key] = config[key] !== undefined ? config[key] : DEFAULTS[key];
+    });
+    if (merged.unanswered !== 'lowest' && merged.unanswered !== 'exclude') {
+      throw new Error('Unknown unanswered question policy: ' + merged.unanswered);
+    }
+    return merged;
+  }
+
+  function isScored(item) {
+    return item.type === 'scale' || (item.type === 'choice' && item.maturity);
+  }
+
+  // Maturity level 1-4 of the answer, or null when unanswered
+  function answerLevel(item, value) {
+    if (!value) return null;
+    if (item.type === 'scale') {
+      var level = parseInt(value, 10);
+      return level >= 1 && level <= MAX_LEVEL ? level : null;
+    }
+    for (var i = 0; i < item.options.length; i++) {
+      if (item.options[i].value === value) return i + 1;
+    }
+    return null;
+  }
+
+  function toScore(level) {
+    return Math.round((level - 1) / (MAX_LEVEL - 1) * 100);
+  }
+
+  function rate(score, ratings) {
+    if (score === null) return 'Not scored';
+    for (var i = 0; i < ratings.length; i++) {
+      if (score >= ratings[i].min) return ratings[i].label;
+    }
+    return ratings[ratings.length - 1].label;
+  }
+
+  function scoreSection(section, sectionData, weight, config) {
+    var result = {
+      key: section.key,
+      title: section.title,
+      weight: weight,
+      questions: 0,
+      answered: 0,
+      unanswered: [],
+      averageLevel: null,
+      score: null,
+      rating: null
+    };
+    var weightedLevels = 0;
+    var totalWeight = 0;
+
+    section.items.filter(isScored).forEach(function (item) {
+      var questionWeight = config.questionWeights[item.name] !== undefined ? config.questionWeights[item.name] : 1;
+      var level = answerLevel(item, sectionData[item.name]);
+      result.questions++;
+      if (level === null) {
+        result.unanswered.push({ name: item.name, label: item.label });
+        if (config.unanswered === 'exclude') return;
+        level = 1;
+      } else {
+        result.answered++;
+      }
+      weightedLevels += level * questionWeight;
+      totalWeight += questionWeight;
+    });
+
+    if (totalWeight > 0) {
+      result.averageLevel = Math.round(weightedLevels / totalWeight * 100) / 100;
+      result.score = toScore(weightedLevels / totalWeight);
+    }
+    result.rating = rate(result.score, config.ratings);
+    return result;
+  }
+
+  // Scores collectFormData() output; see the header for the result's meaning
+  function computeRiskScore(formData, config) {
+    config = mergeConfig(config);
+    var sections = [];
+    var weightedScores = 0;
+    var totalWeight = 0;
+
+    global.QUESTIONNAIRE_SCHEMA.sections.forEach(function (section) {
+      var weight = config.sectionWeights[section.key];
+      if (!weight) return;
+      var result = scoreSection(section, formData[section.key] || {}, weight, config);
+      sections.push(result);
+      if (result.score !== null) {
+        weightedScores += result.score * weight;
+        totalWeight += weight;
+      }
+    });
+
+    var overall = totalWeight > 0 ? Math.round(weightedScores / totalWeight) : null;
+    return {
+      score: overall,
+      rating: rate(overall, config.ratings),
+      questions: sections.reduce(function (sum, s) { return sum + s.questions; }, 0),
+      answered: sections.reduce(function (sum, s) { return sum + s.answered; }, 0),
+      unansweredPolicy: config.unanswered,
+      sections: sections
+    };
+  }
+
+  // Maturity level 1-4 of a scored question's answer; null if unanswered or not scored
+  function maturityLevel(item, value) {
+    return isScored(item) ? answerLevel(item, value) : null;
+  }
+
+  global.RISK_SCORING_DEFAULTS = DEFAULTS;
+  global.computeRiskScoreUMD = computeRiskScore;
+  global.maturityLevelUMD = maturityLevel;
+})(window);
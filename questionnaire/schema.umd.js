@@ -0,0 +1,2876 @@
+/**
+ * Questionnaire Schema
+ *
+ * The single definition of the application questionnaire: sections, questions,
+ * field names, option lists, follow-ups and table layouts. The wizard steps
+ * (questionnaire/renderWizard.umd.js) and the PDF section pages (generate-pdf.js)
+ * are both generated from this file, so a label or option only changes here.
+ *
+ * Answers are saved and collected by input `name` and option `value`; changing
+ * either breaks saved drafts, so add new values rather than editing old ones.
+ *
+ * Item types:
+ * - text | textarea | number | date | email | tel   single input
+ * - yesNo      Yes/No radios (ids `${idPrefix || name}_yes|_no`)
+ * - scale      four maturity levels, values '1'-'4' (ids `${name}_1`...)
+ * - choice     radios with explicit options (value doubles as label if none given);
+ *              `maturity: true` marks options listed from weakest to strongest
+ *              control, scored like a scale (questionnaire/riskScore.umd.js)
+ * - checkboxes checkbox group posted as an array (`name` ends with [])
+ * - flags      independent yes-checkboxes, each with its own name
+ * - group      a numbered question made of several inputs
+ * - note       static text inside a follow-up
+ * - percentageTable | riskTable | gridTable   tabular questions
+ *
+ * A `followUp` is revealed when the owning question's answer matches `when`
+ * ('any' for flags); checkbox options may carry their own `followUp`.
+ * `required` on a follow-up field only applies while the follow-up is shown.
+ */
+(function (global) {
+  var sections = [
+    {
+      key: 'sectors',
+      step: 1,
+      title: '1. Sectors',
+      intro: {
+        heading: 'Instructions:',
+        text: 'Please select all sectors that apply to your business. You may select multiple options.'
+      },
+      items: [
+        {
+          type: 'checkboxes',
+          name: 'sectors[]',
+          label: 'Does your business provide products or services within any of the following sectors?',
+          hint: '(tick all that apply)',
+          required: true,
+          columns: 3,
+          invalidFeedback: 'Please select at least one sector that applies to your business.',
+          options: [
+            { id: 'sector_ai', value: 'ai', label: 'Artificial Intelligence', icon: '🤖' },
+            { id: 'sector_defi', value: 'defi', label: 'Decentralized Finance & Digital Assets', icon: '💰' },
+            { id: 'sector_robotics', value: 'robotics', label: 'Autonomous Robotics', icon: '🦾' }
+          ]
+        }
+      ]
+    },
+    {
+      key: 'generalInfo',
+      step: 2,
+      title: '2. General Information',
+      items: [
+        {
+          type: 'text',
+          name: 'legal_name',
+          label: '1. Legal Name of Organization',
+          width: 'half',
+          invalidFeedback: 'Please provide the legal name of your organization.'
+        },
+        {
+          type: 'text',
+          name: 'incorporation_location',
+          label: 'Location of Incorporation',
+          width: 'half',
+          invalidFeedback: 'Please provide the location of incorporation.'
+        },
+        {
+          type: 'textarea',
+          name: 'mailing_address',
+          label: '2. Mailing Address',
+          rows: 3,
+          invalidFeedback: 'Please provide your complete mailing address.'
+        },
+        {
+          type: 'textarea',
+          name: 'subsidiaries',
+          label: '3. List all subsidiaries & Location of Incorporation',
+          rows: 3,
+          placeholder: 'List each subsidiary with full legal name and its location of incorporation',
+          help: 'Please provide the complete legal name of each subsidiary and its jurisdiction of incorporation.'
+        },
+        {
+          type: 'textarea',
+          name: 'physical_locations',
+          label: '4. List all Physical Locations',
+          rows: 3,
+          placeholder: 'List all physical office/facility locations',
+          invalidFeedback: 'Please list all physical locations.'
+        },
+        {
+          type: 'textarea',
+          name: 'urls',
+          label: '5. List all URL\'s',
+          rows: 3,
+          placeholder: 'List all company websites and web applications',
+          invalidFeedback: 'Please list all company URLs.'
+        },
+        {
+          type: 'number',
+          name: 'year_established',
+          label: '6. Year Company Established',
+          width: 'half',
+          min: 1800,
+          max: 2024,
+          invalidFeedback: 'Please provide a valid year.'
+        },
+        {
+          type: 'number',
+          name: 'num_employees',
+          label: '7. Number of Employees',
+          width: 'half',
+          min: 1,
+          invalidFeedback: 'Please provide the number of employees.'
+        },
+        {
+          type: 'yesNo',
+          name: 'employees_outside_canada',
+          idPrefix: 'employees_outside',
+          label: '8. Are any Employees based outside of Canada?',
+          followUp: {
+            id: 'employees_outside_details',
+            when: 'yes',
+            items: [
+              {
+                type: 'textarea',
+                name: 'employees_outside_list',
+                required: true,
+                label: 'If yes, list the country and the number of employees in each:',
+                rows: 3,
+                placeholder: 'Country: Number of employees'
+              }
+            ]
+          }
+        },
+        {
+          type: 'group',
+          label: '9. Breach Response Contact',
+          items: [
+            { type: 'text', name: 'breach_contact_name', width: 'half', placeholder: 'Name' },
+            { type: 'text', name: 'breach_contact_title', width: 'half', placeholder: 'Title' },
+            { type: 'email', name: 'breach_contact_email', width: 'half', placeholder: 'Email' },
+            { type: 'tel', name: 'breach_contact_phone', width: 'half', placeholder: 'Phone' }
+          ]
+        },
+        {
+          type: 'yesNo',
+          name: 'mergers_acquisitions',
+          idPrefix: 'mergers',
+          label: '10. Any recent or planned mergers, acquisitions, or divestitures?',
+          followUp: {
+            id: 'mergers_details',
+            when: 'yes',
+            items: [
+              {
+                type: 'textarea',
+                name: 'mergers_description',
+                label: 'Please provide details:',
+                rows: 3,
+                placeholder: 'Please describe the mergers, acquisitions, or divestitures including timeline, entities involved, and current status...'
+              }
+            ]
+          }
+        },
+        {
+          type: 'yesNo',
+          name: 'organization_regulated',
+          idPrefix: 'regulated',
+          label: '11. Is your organization regulated by any governing body or required to comply with specific legislation, standards, or licensing requirements?',
+          followUp: {
+            id: 'regulated_details',
+            when: 'yes',
+            items: [
+              {
+                type: 'textarea',
+                name: 'regulated_description',
+                label: 'If yes, please specify the authority and relevant legislation:',
+                rows: 3,
+                placeholder: 'Please specify the governing body/authority and relevant legislation, standards, or licensing requirements...'
+              }
+            ]
+          }
+        },
+        {
+          type: 'yesNo',
+          name: 'organization_certifications',
+          idPrefix: 'certifications',
+          label: '12. Does your organization hold any recognized certifications (e.g., ISO 27001, SOC 2, PCI DSS, or equivalent)?',
+          followUp: {
+            id: 'certifications_details',
+            when: 'yes',
+            items: [
+              {
+                type: 'textarea',
+                name: 'certifications_description',
+                label: 'If yes, please specify:',
+                rows: 3,
+                placeholder: 'Please specify the certifications held (e.g., ISO 27001, SOC 2, PCI DSS, etc.)...'
+              }
+            ]
+          }
+        },
+        {
+          type: 'yesNo',
+          name: 'organization_audits',
+          idPrefix: 'audits',
+          label: '13. Does your organization undergo any independent audits, assessments, or third-party evaluations of its internal controls or risk management practices?',
+          followUp: {
+            id: 'audits_details',
+            when: 'yes',
+            items: [
+              {
+                type: 'textarea',
+                name: 'audits_description',
+                label: 'If yes, please specify the scope, frequency, and auditing party:',
+                rows: 3,
+                placeholder: 'Please specify the scope, frequency, and auditing party for independent audits or assessments...'
+              }
+            ]
+          }
+        }
+      ]
+    },
+    {
+      key: 'operations',
+      step: 3,
+      title: '3. Operations',
+      items: [
+        {
+          type: 'textarea',
+          name: 'services_description',
+          label: '1. Briefly describe the services and/or technology products your company provides',
+          rows: 4,
+          invalidFeedback: 'Please describe your services and products.'
+        },
+        {
+          type: 'percentageTable',
+          label: '2. Percentage of revenue derived from each activity',
+          headers: ['Activity', 'Percentage (%)'],
+          inputClass: 'revenue-input',
+          totalId: 'revenue_total',
+          errorId: 'revenue-error',
+          errorText: 'The total percentage must equal 100%.',
+          rows: [
+            { label: 'Custom Software Development', name: 'revenue_software' },
+            { label: 'Software as a Service', name: 'revenue_saas' },
+            { label: 'Consulting Services', name: 'revenue_consulting' },
+            { label: 'Hardware', name: 'revenue_hardware' },
+            { label: 'Other', name: 'revenue_other' }
+          ]
+        },
+        {
+          type: 'riskTable',
+          label: '3. Do you operate in any of the following areas?',
+          headers: ['Area', 'Yes/No', 'Details (if Yes)'],
+          rows: [
+            { label: 'Critical Infrastructure', name: 'risk_critical_infrastructure', idPrefix: 'critical_infrastructure' },
+            { label: 'Financial Services', name: 'risk_financial_services', idPrefix: 'financial_services' },
+            { label: 'Healthcare', name: 'risk_healthcare', idPrefix: 'healthcare' },
+            { label: 'Government/Defense', name: 'risk_government', idPrefix: 'government' },
+            { label: 'Aerospace', name: 'risk_aerospace', idPrefix: 'aerospace' },
+            { label: 'Rail', name: 'risk_rail', idPrefix: 'rail' },
+            { label: 'Mining/Oil & Gas', name: 'risk_mining_oil_gas', idPrefix: 'mining_oil_gas' },
+            { label: 'Energy', name: 'risk_energy', idPrefix: 'energy' },
+            { label: 'Adult Entertainment/Gambling', name: 'risk_adult_entertainment', idPrefix: 'adult_entertainment' },
+            { label: 'Semi-Conductors', name: 'risk_semiconductors', idPrefix: 'semiconductors' },
+            { label: 'Architecture/Engineering', name: 'risk_architecture_engineering', idPrefix: 'architecture_engineering' }
+          ]
+        },
+        {
+          type: 'yesNo',
+          name: 'sell_tangible_products',
+          idPrefix: 'tangible',
+          label: '4. Do you sell tangible products?',
+          followUp: {
+            id: 'tangible_products_details',
+            when: 'yes',
+            items: [
+              {
+                type: 'textarea',
+                name: 'tangible_products_description',
+                required: true,
+                label: 'If yes, describe the products:',
+                rows: 3
+              },
+              {
+                type: 'number',
+                name: 'tangible_products_revenue',
+                label: '% Revenue:',
+                min: 0,
+                max: 100,
+                placeholder: '0'
+              }
+            ]
+          }
+        },
+        {
+          type: 'yesNo',
+          name: 'install_hardware',
+          idPrefix: 'hardware',
+          label: '5. Do you (or your subcontractors) install hardware at client sites?',
+          followUp: {
+            id: 'hardware_installation_details',
+            when: 'yes',
+            items: [
+              {
+                type: 'number',
+                name: 'hardware_installation_revenue',
+                required: true,
+                label: 'If yes, % revenue:',
+                min: 0,
+                max: 100,
+                placeholder: '0'
+              }
+            ]
+          }
+        },
+        {
+          type: 'yesNo',
+          name: 'hosting_services',
+          idPrefix: 'hosting',
+          label: '6. Do you provide hosting services to third parties?',
+          followUp: {
+            id: 'hosting_services_details',
+            when: 'yes',
+            items: [
+              {
+                type: 'choice',
+                name: 'hosting_infrastructure',
+                required: true,
+                label: 'If yes, do you use:',
+                options: [
+                  { id: 'hosting_own', value: 'own', label: 'Own Infrastructure' },
+                  { id: 'hosting_third_party', value: 'third_party', label: 'Third Party' }
+                ],
+                followUp: {
+                  id: 'third_party_hosting_details',
+                  when: 'third_party',
+                  items: [
+                    {
+                      type: 'text',
+                      name: 'third_party_name',
+                      required: true,
+                      label: 'If Third Party - Name:',
+                      width: 'half',
+                      placeholder: 'Provider name'
+                    },
+                    {
+                      type: 'text',
+                      name: 'third_party_tier',
+                      required: true,
+                      label: 'Tier Rating:',
+                      width: 'half',
+                      placeholder: 'Tier rating'
+                    }
+                  ]
+                }
+              }
+            ]
+          }
+        },
+        {
+          type: 'yesNo',
+          name: 'ai_ml_usage',
+          idPrefix: 'ai',
+          label: '7. Do you use artificial intelligence (AI) or machine learning (ML) tools in your business operations?',
+          followUp: {
+            id: 'ai_ml_details',
+            when: 'yes',
+            items: [
+              {
+                type: 'textarea',
+                name: 'ai_ml_description',
+                required: true,
+                label: 'If yes, please provide details:',
+                rows: 3,
+                placeholder: 'Describe your AI/ML tools and usage'
+              }
+            ]
+          }
+        },
+        {
+          type: 'yesNo',
+          name: 'managed_it_services',
+          idPrefix: 'managed_it',
+          label: '8. Do you provide any managed IT services?',
+          followUp: {
+            id: 'managed_it_details',
+            when: 'yes',
+            items: [
+              {
+                type: 'number',
+                name: 'managed_it_revenue',
+                required: true,
+                label: 'If yes, % revenue:',
+                min: 0,
+                max: 100,
+                placeholder: '0'
+              }
+            ]
+          }
+        },
+        {
+          type: 'number',
+          name: 'customer_count',
+          label: '9. Approximately how many customers do you have?',
+          min: 0,
+          placeholder: '0',
+          invalidFeedback: 'Please enter the number of customers.'
+        },
+        {
+          type: 'gridTable',
+          label: '10. List the top 3 clients over the past 3 years',
+          help: 'Include: name, service provided, duration, value',
+          columns: [
+            { header: 'Client Name', suffix: 'name', type: 'text' },
+            { header: 'Service Provided', suffix: 'service', type: 'text', placeholder: 'Service provided' },
+            { header: 'Duration', suffix: 'duration', type: 'text' },
+            { header: 'Value ($)', suffix: 'value', type: 'number', min: 0, placeholder: '0', currency: true }
+          ],
+          rows: [
+            { prefix: 'client_1', placeholders: { name: 'Client 1 name', duration: 'e.g., 2 years' } },
+            { prefix: 'client_2', placeholders: { name: 'Client 2 name', duration: 'e.g., 1.5 years' } },
+            { prefix: 'client_3', placeholders: { name: 'Client 3 name', duration: 'e.g., 6 months' } }
+          ]
+        }
+      ]
+    },
+    {
+      key: 'financials',
+      step: 4,
+      title: '4. Financials',
+      items: [
+        {
+          type: 'date',
+          name: 'financial_year_end',
+          label: '1. Date of financial year end',
+          invalidFeedback: 'Please provide your financial year end date.'
+        },
+        {
+          type: 'gridTable',
+          label: '2. Provide gross revenues for:',
+          rowHeader: 'Period',
+          columns: [
+            { header: 'Canada ($)', suffix: 'domestic', type: 'number', min: 0, placeholder: '0', currency: true },
+            { header: 'USA ($)', suffix: 'usa', type: 'number', min: 0, placeholder: '0', currency: true },
+            { header: 'Foreign ($)', suffix: 'foreign', type: 'number', min: 0, placeholder: '0', currency: true }
+          ],
+          rows: [
+            { prefix: 'revenue_last', label: 'Last completed fiscal year end' },
+            { prefix: 'revenue_current', label: 'Estimate for current fiscal year end' },
+            { prefix: 'revenue_next', label: 'Estimate for next completed fiscal year end' }
+          ]
+        },
+        {
+          type: 'number',
+          name: 'sales_b2b_percentage',
+          label: '3. Percentage of sales business to business',
+          width: 'half',
+          min: 0,
+          max: 100,
+          suffix: '%',
+          placeholder: '0',
+          invalidFeedback: 'Please enter the B2B sales percentage.'
+        },
+        {
+          type: 'number',
+          name: 'sales_b2c_percentage',
+          label: '4. Percentage of sales business to consumer',
+          width: 'half',
+          min: 0,
+          max: 100,
+          suffix: '%',
+          placeholder: '0',
+          invalidFeedback: 'Please enter the B2C sales percentage.'
+        },
+        {
+          type: 'number',
+          name: 'average_contract_value',
+          label: '5. Average contract value',
+          min: 0,
+          prefix: '$',
+          placeholder: '0',
+          invalidFeedback: 'Please enter the average contract value.'
+        },
+        {
+          type: 'yesNo',
+          name: 'single_client_5_percent',
+          idPrefix: 'client_5_percent',
+          label: '6. Do any single clients represent more than 5% of your total annual revenue?',
+          followUp: {
+            id: 'client_5_percent_details',
+            when: 'yes',
+            items: [
+              {
+                type: 'textarea',
+                name: 'client_5_percent_description',
+                required: true,
+                label: 'If yes, provide details:',
+                rows: 3,
+                placeholder: 'Describe which clients and their percentage of revenue'
+              }
+            ]
+          }
+        },
+        {
+          type: 'gridTable',
+          label: '7. List your largest 3 Projects or Contracts in the past 2 years',
+          rowHeader: '#',
+          columns: [
+            { header: 'Project/Contract Name', suffix: 'name', type: 'text', placeholder: 'Project name' },
+            { header: 'Client', suffix: 'client', type: 'text', placeholder: 'Client name' },
+            { header: 'Value ($)', suffix: 'value', type: 'number', min: 0, placeholder: '0', currency: true },
+            { header: 'Duration', suffix: 'duration', type: 'text' }
+          ],
+          rows: [
+            { prefix: 'project_1', label: '1', placeholders: { duration: 'e.g., 12 months' } },
+            { prefix: 'project_2', label: '2', placeholders: { duration: 'e.g., 8 months' } },
+            { prefix: 'project_3', label: '3', placeholders: { duration: 'e.g., 6 months' } }
+          ]
+        },
+        {
+          type: 'number',
+          name: 'total_payroll',
+          label: '8. Total payroll',
+          min: 0,
+          prefix: '$',
+          placeholder: '0',
+          invalidFeedback: 'Please enter the total payroll amount.'
+        }
+      ]
+    },
+    {
+      key: 'contractualControls',
+      step: 5,
+      title: '5. Contractual Controls',
+      items: [
+        {
+          type: 'yesNo',
+          name: 'liability_tos_only',
+          label: '1. Do you rely solely on your terms of service to limit your liability to customers?',
+          followUp: {
+            id: 'liability_tos_details',
+            when: 'yes',
+            items: [
+              {
+                type: 'choice',
+                name: 'tos_customer_agreement',
+                options: [
+                  { value: 'yes', label: 'Yes, customers are to agree to our terms of service' },
+                  { value: 'no', label: 'No, customers are not to agree to our terms of service' }
+                ]
+              }
+            ]
+          }
+        },
+        {
+          type: 'yesNo',
+          name: 'written_contract_100',
+          label: '2. Do you use a written contract or agreement for 100% of all product and service engagements?',
+          followUp: {
+            id: 'written_contract_percentage',
+            when: 'no',
+            items: [
+              {
+                type: 'number',
+                name: 'contract_percentage',
+                label: 'What percentage of engagements are governed by a written contract?',
+                min: 0,
+                max: 100,
+                suffix: '%',
+                placeholder: '0'
+              }
+            ]
+          }
+        },
+        {
+          type: 'group',
+          label: '3. What percentage of engagements are under your own vs customer-provided contract?',
+          help: 'The total should equal 100%',
+          items: [
+            {
+              type: 'number',
+              name: 'own_contract_percentage',
+              label: '% of own contracts',
+              width: 'half',
+              min: 0,
+              max: 100,
+              suffix: '%',
+              placeholder: '0'
+            },
+            {
+              type: 'number',
+              name: 'customer_contract_percentage',
+              label: '% of customer contracts',
+              width: 'half',
+              min: 0,
+              max: 100,
+              suffix: '%',
+              placeholder: '0'
+            }
+          ]
+        },
+        {
+          type: 'yesNo',
+          name: 'legal_counsel_review',
+          label: '4. Has your standard customer contract, including terms of service if applicable, been reviewed by your legal counsel?'
+        },
+        {
+          type: 'choice',
+          name: 'contract_review_process',
+          label: '5. Do you have a clear process for reviewing and approving key contracts, including with clients, vendors, and other partners?',
+          options: [
+            {
+              id: 'contract_review_process_none',
+              value: 'No formal contract review or approval process exists.'
+            },
+            {
+              id: 'contract_review_process_case_by_case',
+              value: 'Contracts are reviewed on a case-by-case basis, typically by the CEO, founder, or internal stakeholders, but there is no consistent process, legal review, or formal approval protocol.'
+            },
+            {
+              id: 'contract_review_process_defined',
+              value: 'There is a defined contract review and approval process involving legal or executive oversight for key agreements.'
+            },
+            {
+              id: 'contract_review_process_documented',
+              value: 'A documented workflow is in place with legal review, delegated signing authority, contract risk checks, and version control for all major agreements.'
+            }
+          ]
+        },
+        {
+          type: 'choice',
+          name: 'liability_limitations',
+          label: '6. Do your standard contracts include limitations on your financial liability and legal liability, including for missing service levels?',
+          options: [
+            {
+              id: 'liability_limitations_none',
+              value: 'Standard contracts do not include any limitations of liability.'
+            },
+            {
+              id: 'liability_limitations_inconsistent',
+              value: 'Liability limits are included in standard contracts and sometimes negotiated, but they are not consistently applied or reviewed and often do not address consequential damages or SLA breaches.'
+            },
+            {
+              id: 'liability_limitations_defined',
+              value: 'Contracts include defined financial caps and disclaimers for indirect damages and SLA non-performance.'
+            },
+            {
+              id: 'liability_limitations_tailored',
+              value: 'The organization uses tailored limitation clauses covering direct and indirect risks, with regular legal review to align with evolving exposures and jurisdictions.'
+            }
+          ]
+        },
+        {
+          type: 'choice',
+          name: 'contract_tracking',
+          label: '7. Do you have a process to track contract obligations (timelines, deliverables, SLAs) and escalate issues if a project is at risk?',
+          options: [
+            { id: 'contract_tracking_none', value: 'We do not have a formal process to track projects.' },
+            {
+              id: 'contract_tracking_manual',
+              value: 'We track key project deadlines and deliverables manually and escalatory actions vary by project or manager.'
+            },
+            {
+              id: 'contract_tracking_system',
+              value: 'A project management system is used to track deliverables, milestones, and SLAs, with internal reviews and escalation as needed.'
+            },
+            {
+              id: 'contract_tracking_integrated',
+              value: 'Contract commitments are integrated into project and performance tracking tools, with automated alerts, escalation processes, and reporting to leadership.'
+            }
+          ]
+        },
+        {
+          type: 'choice',
+          name: 'scope_change_handling',
+          label: '8. How do you handle changes in project scope, customer feedback, or issues needing corrective action?',
+          options: [
+            {
+              id: 'scope_change_handling_informal',
+              value: 'Changes and feedback are handled informally without documentation.'
+            },
+            {
+              id: 'scope_change_handling_email',
+              value: 'Changes are typically discussed and approved through email or meetings, with some controls like change request forms in place, but there is no structured tracking or sign-off and these controls are not used consistently.'
+            },
+            {
+              id: 'scope_change_handling_formal',
+              value: 'There is a formal process for scope changes and issue resolution, including documentation, approvals, and updates to contracts or timelines.'
+            },
+            {
+              id: 'scope_change_handling_procedures',
+              value: 'The company enforces change control procedures, customer feedback loops, root cause analysis, and continuous improvement tracking for service delivery.'
+            }
+          ]
+        },
+        {
+          type: 'yesNo',
+          name: 'formal_acceptance_process',
+          label: '9. Is there a formal process for customers to accept your product?'
+        },
+        {
+          type: 'yesNo',
+          name: 'subcontract_services',
+          label: '10. Do you subcontract professional services?',
+          followUp: {
+            id: 'subcontract_details',
+            when: 'yes',
+            items: [
+              {
+                type: 'number',
+                name: 'subcontract_revenue_percentage',
+                label: '% of revenue to subcontractors',
+                min: 0,
+                max: 100,
+                suffix: '%',
+                placeholder: '0'
+              }
+            ]
+          }
+        },
+        {
+          type: 'choice',
+          name: 'subcontractor_standards',
+          label: '11. How do you ensure your subcontractors meet the same insurance and risk standards that are required of you in your contracts?',
+          options: [
+            {
+              id: 'subcontractor_standards_none',
+              value: 'Subcontractors are not subject to any formal requirements.'
+            },
+            {
+              id: 'subcontractor_standards_uneven',
+              value: 'Our contracts require subcontractors to carry insurance and comply with security terms, but there is no consistent process to verify compliance and enforcement is uneven.'
+            },
+            {
+              id: 'subcontractor_standards_checked',
+              value: 'Subcontractors must provide proof of compliance (e.g., COIs), and compliance is checked during onboarding.'
+            },
+            {
+              id: 'subcontractor_standards_embedded',
+              value: 'Subcontractor risk controls are embedded in procurement and project workflows, with centralized tracking, renewal monitoring, and compliance audits.'
+            }
+          ]
+        },
+        {
+          type: 'choice',
+          name: 'marketing_accuracy',
+          label: '12. How do you make sure claims about the performance of your products or services in marketing and sales materials are accurate?',
+          options: [
+            {
+              id: 'marketing_accuracy_none',
+              value: 'No process exists to verify marketing or sales claims.'
+            },
+            {
+              id: 'marketing_accuracy_basic',
+              value: 'Marketing materials are created by internal teams with occasional product input and a basic review by product or leadership before release, but they are not reviewed for legal or factual accuracy.'
+            },
+            {
+              id: 'marketing_accuracy_review',
+              value: 'There is a review process involving legal, product, and marketing to ensure accuracy and compliance with advertising standards.'
+            },
+            {
+              id: 'marketing_accuracy_structured',
+              value: 'A structured marketing review process exists with documented substantiation for performance claims, legal signoff, and audit trails for compliance.'
+            }
+          ]
+        },
+        {
+          type: 'choice',
+          name: 'legacy_contract_process',
+          label: '13. Do you have a process to identify and update legacy contracts that may not conform to your current standard templates?',
+          options: [
+            {
+              id: 'legacy_contract_process_none',
+              value: 'No formal process exists. Legacy contracts remain in place without review, regardless of alignment with current standards or protocols.'
+            },
+            {
+              id: 'legacy_contract_process_occasional',
+              value: 'Legacy contracts are occasionally reviewed or updated, but only when issues arise (e.g., disputes, renewals). No systematic approach or central oversight'
+            },
+            {
+              id: 'legacy_contract_process_structured',
+              value: 'A structured process is in place to review and update legacy contracts, typically during renewals or major business changes. Some contracts may still fall outside current standards.'
+            },
+            {
+              id: 'legacy_contract_process_comprehensive',
+              value: 'Comprehensive, proactive process in place with regular audits of all contracts. Legacy agreements are systematically identified, tracked, and updated to align with current templates and risk protocols.'
+            }
+          ]
+        },
+        {
+          type: 'choice',
+          name: 'marketing_warranty_terms',
+          label: '14. Do your sales, marketing, or customer-facing materials use terms such as "guarantee" or "warranty" that could create obligations beyond contractual commitments or fall outside the scope of insurance coverage?',
+          options: [
+            {
+              id: 'marketing_warranty_terms_yes',
+              value: 'Sales and marketing materials may include “guarantee” or “warranty” language without legal or risk review.'
+            },
+            {
+              id: 'marketing_warranty_terms_no',
+              value: 'References to “guarantees” or “warranties” are occasionally reviewed, but not consistently controlled or approved by legal/risk teams.'
+            },
+            {
+              id: 'marketing_warranty_terms_managed',
+              value: 'Marketing and sales content is generally reviewed by legal or compliance before publication. Warranty or guarantee language is identified and managed, though gaps may still exist in older or decentralized materials.'
+            },
+            {
+              id: 'marketing_warranty_terms_systematic',
+              value: 'All marketing and sales materials are systematically vetted to avoid unintended guarantees/warranties. Employees are trained on the insurance and liability implications of such terms, ensuring alignment with contractual and insurance protections.'
+            }
+          ]
+        }
+      ]
+    },
+    {
+      key: 'cybersecurity',
+      step: 6,
+      title: '6. Cybersecurity, Technical & Crime Controls',
+      items: [
+        {
+          type: 'choice',
+          name: 'cybersecurity_responsibility',
+          maturity: true,
+          label: '1. Who is responsible for overseeing cybersecurity on a day-to-day basis?',
+          options: [
+            {
+              id: 'cybersecurity_responsibility_none',
+              value: 'No one is formally responsible for cybersecurity.'
+            },
+            {
+              id: 'cybersecurity_responsibility_informal',
+              value: 'Cybersecurity responsibilities are informally assigned, usually handled part-time by IT, operations, or a designated staff member.'
+            },
+            {
+              id: 'cybersecurity_responsibility_fulltime',
+              value: 'A full-time staff member or external provider is responsible, with defined oversight.'
+            },
+            {
+              id: 'cybersecurity_responsibility_ciso',
+              value: 'A qualified internal or external CISO manages cybersecurity with clear authority, reporting, and board-level oversight.'
+            }
+          ]
+        },
+        {
+          type: 'choice',
+          name: 'cybersecurity_policy',
+          maturity: true,
+          label: '2. Is there a formal cybersecurity policy in place for employees to follow?',
+          options: [
+            { id: 'cybersecurity_policy_none', value: 'No cybersecurity policy exists.' },
+            {
+              id: 'cybersecurity_policy_outdated',
+              value: 'A policy exists and is shared with employees during onboarding but it may be outdated or not consistently distributed to all staff beyond initial hiring.'
+            },
+            {
+              id: 'cybersecurity_policy_current',
+              value: 'The policy is current, distributed to all employees, and acknowledged in writing.'
+            },
+            {
+              id: 'cybersecurity_policy_comprehensive',
+              value: 'A comprehensive, regularly updated policy is enforced and supported with training and accountability mechanisms.'
+            }
+          ]
+        },
+        {
+          type: 'choice',
+          name: 'cyber_training',
+          maturity: true,
+          label: '3. Do all team members receive regular training to help them recognize cyber threats and scams?',
+          options: [
+            { id: 'cyber_training_none', value: 'No cybersecurity training is provided.' },
+            {
+              id: 'cyber_training_informal',
+              value: 'Most employees receive annual training, but it may be informal, one-time, or not consistently tracked.'
+            },
+            {
+              id: 'cyber_training_annual',
+              value: 'All employees receive mandatory cybersecurity training annually.'
+            },
+            {
+              id: 'cyber_training_ongoing',
+              value: 'Training is ongoing, tailored by role, and includes phishing simulations and tracking of completion and performance.'
+            }
+          ]
+        },
+        {
+          type: 'choice',
+          name: 'mfa_requirement',
+          maturity: true,
+          label: '4. Is multi-factor authentication (MFA) required for accessing company systems, email, and cloud tools remotely?',
+          options: [
+            { id: 'mfa_requirement_none', value: 'MFA is not used.' },
+            {
+              id: 'mfa_requirement_inconsistent',
+              value: 'MFA is required for remote access to critical systems and used for some other users or systems, but overall implementation is inconsistent.'
+            },
+            {
+              id: 'mfa_requirement_enforced',
+              value: 'MFA is enforced for all users across remote and cloud environments.'
+            },
+            {
+              id: 'mfa_requirement_universal',
+              value: 'MFA is universally enforced, regularly tested, and monitored for compliance and anomalies.'
+            }
+          ]
+        },
+        {
+          type: 'choice',
+          name: 'remote_access_security',
+          maturity: true,
+          label: '5. Is remote access to your internal or cloud systems restricted to secure methods like VPN or SSO and protected with MFA?',
+          options: [
+            { id: 'remote_access_security_open', value: 'Remote access is open or unmanaged.' },
+            {
+              id: 'remote_access_security_passwords',
+              value: 'Remote access typically relies on passwords and may use VPN or SSO, but secure controls like MFA are not consistently applied.'
+            },
+            {
+              id: 'remote_access_security_secure',
+              value: 'Secure access (VPN or SSO) with MFA is required for all remote users.'
+            },
+            {
+              id: 'remote_access_security_controlled',
+              value: 'Remote access is tightly controlled with policy enforcement, MFA, and centralized access logging.'
+            }
+          ]
+        },
+        {
+          type: 'choice',
+          name: 'device_protection',
+          maturity: true,
+          label: '6. What tools or protections secure employee devices and email from cyber threats?',
+          options: [
+            { id: 'device_protection_none', value: 'Devices and email are not protected by security tools.' },
+            {
+              id: 'device_protection_basic',
+              value: 'Basic antivirus, standard endpoint protection, and email filtering are in place.'
+            },
+            {
+              id: 'device_protection_edr',
+              value: 'Devices are protected by centrally managed EDR, and email systems have advanced filtering and threat detection.'
+            },
+            {
+              id: 'device_protection_layered',
+              value: 'A layered security stack is deployed across all devices and email accounts, including EDR, DLP, and sandboxing.'
+            }
+          ]
+        },
+        {
+          type: 'choice',
+          name: 'user_access_management',
+          maturity: true,
+          label: '7. How is user access managed, including setting, adjusting, and promptly removing access?',
+          options: [
+            { id: 'user_access_management_manual', value: 'Access is granted manually and rarely updated.' },
+            {
+              id: 'user_access_management_reviewed',
+              value: 'Access rights are adjusted as needed and reviewed occasionally, with revocation upon termination, though delays may occur.'
+            },
+            {
+              id: 'user_access_management_role_based',
+              value: 'Role-based access controls are in place with regular access reviews.'
+            },
+            {
+              id: 'user_access_management_central',
+              value: 'Access is centrally managed, provisioned by role, reviewed quarterly, and automatically revoked upon role change or termination.'
+            }
+          ]
+        },
+        {
+          type: 'choice',
+          name: 'activity_logs',
+          maturity: true,
+          label: '8. Do you collect and review activity logs across your IT environment?',
+          options: [
+            { id: 'activity_logs_none', value: 'No activity logs are collected or retained.' },
+            {
+              id: 'activity_logs_reactive',
+              value: 'Logs are collected from key systems but are not actively monitored, and reviews are performed reactively.'
+            },
+            {
+              id: 'activity_logs_centralized',
+              value: 'Centralized log management is in place with routine review and alerting.'
+            },
+            {
+              id: 'activity_logs_siem',
+              value: 'Logs are collected, analyzed with SIEM tools, and reviewed proactively with incident response integration.'
+            }
+          ]
+        },
+        {
+          type: 'choice',
+          name: 'threat_detection',
+          maturity: true,
+          label: '9. Do you use tools or services to identify cyber threats or unusual system activity in real time?',
+          options: [
+            {
+              id: 'threat_detection_none',
+              value: 'No tools are used to monitor system activity or threats.'
+            },
+            {
+              id: 'threat_detection_basic',
+              value: 'Basic alerts come from standard antivirus or firewall tools, with some real-time monitoring in place, though it is not centrally managed.'
+            },
+            {
+              id: 'threat_detection_realtime',
+              value: 'Real-time threat detection tools are used and monitored by internal or external IT/security teams.'
+            },
+            {
+              id: 'threat_detection_integrated',
+              value: 'A fully integrated threat detection and response system (e.g., MDR, SIEM) monitors activity 24/7 with alerting and escalation.'
+            }
+          ]
+        },
+        {
+          type: 'choice',
+          name: 'technology_management',
+          maturity: true,
+          label: '10. How does your organization manage aging technology and ensure software and systems stay updated and supported?',
+          options: [
+            {
+              id: 'technology_management_irregular',
+              value: 'Software updates and patching are done irregularly or not at all.'
+            },
+            {
+              id: 'technology_management_periodic',
+              value: 'Most systems are updated periodically, though some legacy systems remain unsupported, and updates often occur reactively without a set schedule.'
+            },
+            {
+              id: 'technology_management_tracked',
+              value: 'Key systems are tracked, security patches are regularly applied, and major upgrades are planned every few years, though some older systems remain in use if still functional.'
+            },
+            {
+              id: 'technology_management_proactive',
+              value: 'Systems are proactively monitored for EOL/EOS, with automated patching and lifecycle management to maintain secure, supported software.'
+            }
+          ]
+        },
+        {
+          type: 'textarea',
+          name: 'firewall_protection',
+          label: '11. Are firewalls in place to protect the network perimeter and to segment internal networks?',
+          rows: 2,
+          placeholder: 'Please describe your firewall configuration...'
+        },
+        {
+          type: 'yesNo',
+          name: 'vulnerability_scans',
+          label: '12. Are internal/external vulnerability scans or penetration tests of your network performed?',
+          followUp: {
+            id: 'vulnerability_details',
+            when: 'yes',
+            items: [
+              {
+                type: 'textarea',
+                name: 'vulnerability_frequency_methods',
+                label: 'If yes, frequency and methods:',
+                rows: 2,
+                placeholder: 'Please describe frequency and methods of vulnerability scans/penetration tests...'
+              }
+            ]
+          }
+        },
+        {
+          type: 'textarea',
+          name: 'user_access_restrictions',
+          label: '13. Do you restrict user access/permissions to a need-to-know basis?',
+          rows: 2,
+          placeholder: 'Please describe your access restriction policy...'
+        },
+        {
+          type: 'textarea',
+          name: 'unused_services',
+          label: '14. Are unused/unneeded network services and ports disabled or closed promptly?',
+          rows: 2,
+          placeholder: 'Please describe how you handle unused network services and ports...'
+        },
+        {
+          type: 'group',
+          label: '15. Name your service provider for each function:',
+          items: [
+            {
+              type: 'text',
+              name: 'datacenter_provider',
+              label: 'Data center/cloud hosting',
+              width: 'half',
+              placeholder: 'Provider name'
+            },
+            {
+              type: 'text',
+              name: 'managed_security_provider',
+              label: 'Managed security service',
+              width: 'half',
+              placeholder: 'Provider name'
+            },
+            {
+              type: 'text',
+              name: 'security_monitoring_provider',
+              label: 'Security event/alert monitoring',
+              width: 'half',
+              placeholder: 'Provider name'
+            },
+            {
+              type: 'text',
+              name: 'managed_it_provider',
+              label: 'Managed IT service provider',
+              width: 'half',
+              placeholder: 'Provider name'
+            }
+          ]
+        },
+        {
+          type: 'textarea',
+          name: 'departing_employee_procedure',
+          label: '16. Do you have a formal procedure for departing employees that includes revoking access to systems and recovery of all company devices/credentials?',
+          rows: 3,
+          placeholder: 'Please describe your departing employee procedure...'
+        },
+        {
+          type: 'choice',
+          name: 'dual_approval_financial',
+          maturity: true,
+          label: '17. Do you require more than one person to approve high-risk financial transactions like wire transfers?',
+          options: [
+            {
+              id: 'dual_approval_financial_none',
+              value: 'No approval process is required; a single individual can execute high-risk transactions.'
+            },
+            {
+              id: 'dual_approval_financial_inconsistent',
+              value: 'Dual approval is expected for some transactions and occasionally required, but it is not consistently applied, enforced, or documented.'
+            },
+            {
+              id: 'dual_approval_financial_enforced',
+              value: 'A dual-approval policy is enforced for all high-risk transactions (e.g., wire transfers, bank account changes), with audit trail documentation.'
+            },
+            {
+              id: 'dual_approval_financial_mandatory',
+              value: 'Dual authorization is mandatory for all high-risk transactions, embedded in financial systems, with tiered thresholds, role-based permissions, fraud alerts, and periodic audits to verify compliance.'
+            }
+          ]
+        },
+        {
+          type: 'choice',
+          name: 'financial_fraud_controls',
+          maturity: true,
+          label: '18. What controls are in place to prevent and detect financial fraud, including scams targeting incoming and outgoing wire transfers or internal theft?',
+          options: [
+            {
+              id: 'financial_fraud_controls_none',
+              value: ' No formal controls or monitoring systems are in place; the company relies on trust or informal checks.',
+              label: 'No formal controls or monitoring systems are in place; the company relies on trust or informal checks.'
+            },
+            {
+              id: 'financial_fraud_controls_basic',
+              value: 'Basic safeguards exist, such as accounting software permissions and finance team reviews, with some vendor verification and fraud awareness efforts, but proactive measures against risks like phishing, business email compromise, or internal theft are limited, and monitoring is minimal.'
+            },
+            {
+              id: 'financial_fraud_controls_documented',
+              value: 'Documented fraud prevention policies exist, with training, vendor validation, audit logs, and periodic financial audits or reconciliations.'
+            },
+            {
+              id: 'financial_fraud_controls_formal',
+              value: 'A formal fraud prevention framework is in place, including dual controls, transaction monitoring, fraud detection tools, employee training, whistleblower protections, and regular testing or audits of financial systems.'
+            }
+          ]
+        }
+      ]
+    },
+    {
+      key: 'dataBackup',
+      step: 7,
+      title: '7. Data Backup & Business Continuity & Supply Chain Controls',
+      items: [
+        {
+          type: 'scale',
+          name: 'breach_detection_response',
+          label: '1. What processes are in place to quickly detect and respond to data breaches or unauthorized access?',
+          levels: [
+            'No formal detection or response process exists.',
+            'Incidents are handled reactively when staff notice something suspicious, supported by basic detection tools like antivirus and system logs, but incident response is largely ad hoc.',
+            'A defined incident response plan exists, with detection tools, trained responders, and escalation protocols.',
+            'A comprehensive incident response program includes 24/7 monitoring, real-time alerting, runbooks, tabletop testing, and post-incident review.'
+          ]
+        },
+        {
+          type: 'scale',
+          name: 'communications_plan',
+          label: '2. Do you have a communications plan to protect your company\'s reputation in the event of a major issue or breach?',
+          levels: [
+            'No communications plan exists for handling incidents.',
+            'Incident responses are generally handled by PR or leadership, supported by a basic communications plan with draft statements and designated spokespersons, but there is no formal protocol.',
+            'A formal reputational risk communications plan is documented, with media, legal, and customer messaging protocols.',
+            'The company maintains a comprehensive communications playbook for crisis events, including breach notification, regulatory guidance, and stakeholder outreach, tested regularly through simulations.'
+          ]
+        },
+        {
+          type: 'scale',
+          name: 'backup_systems',
+          label: '3. Do you have backup systems to recover data after a cyber incident or outage?',
+          levels: [
+            'No backup systems exist.',
+            'Regular backups are taken and stored offsite or in the cloud, but not all data is covered, testing is limited, and updates may not be consistent.',
+            'Backups are automated, encrypted, and tested periodically for critical systems.',
+            'An enterprise-grade backup and recovery system is in place with real-time replication, frequent testing, and integration into the overall incident response strategy.'
+          ]
+        },
+        {
+          type: 'scale',
+          name: 'recovery_time',
+          label: '4. If systems go down, how quickly can you get your critical data and operations back online?',
+          levels: [
+            'There is no defined recovery timeframe; recovery would be improvised.',
+            'A target recovery window is defined for key systems (e.g., 48–72 hours), but for other areas recovery could take several days, and there are no documented targets.',
+            'Recovery goals (RTOs) are set by system tier, with most critical services recoverable within 24 hours.',
+            'Rapid recovery (RTO < 4 hours for critical systems) is enabled via automated failover, and performance against RTOs is tested and validated.'
+          ]
+        },
+        {
+          type: 'scale',
+          name: 'continuity_recovery_plans',
+          label: '5. Do you maintain business continuity and disaster recovery plans, and what are your key recovery goals?',
+          levels: [
+            'No formal plans exist.',
+            'Recovery plans exist with defined Recovery Time Objectives and Recovery Point Objectives and some written procedures, but they are not thoroughly tested or fully aligned to recovery goals.',
+            'BCP and DRP are documented, with role assignments, key systems prioritized, and regular stakeholder reviews.',
+            'Continuity and disaster recovery plans are fully developed, tested regularly, and aligned to business impact analyses with clearly defined and measured RTOs/RPOs.'
+          ]
+        },
+        {
+          type: 'scale',
+          name: 'recovery_testing',
+          label: '6. How often are recovery plans tested, and what improvements have resulted?',
+          levels: [
+            'Recovery plans are never tested.',
+            'Recovery plans are reviewed occasionally and tested annually, with some lessons learned incorporated, but exercises are not frequent or comprehensive.',
+            'Tests are conducted at least twice per year, with results documented and improvements tracked.',
+            'Plans are tested regularly using realistic scenarios (e.g., tabletop and live failover), with continuous improvement cycles and executive oversight.'
+          ]
+        },
+        {
+          type: 'yesNo',
+          name: 'third_party_reliance',
+          label: '7. Do you rely on third parties for critical business operations (Cloud providers, managed IT, payment processors, API data)?',
+          followUp: {
+            id: 'third_party_details',
+            when: 'yes',
+            items: [
+              {
+                type: 'textarea',
+                name: 'key_suppliers',
+                label: 'Please list key suppliers and functions they support:',
+                rows: 3,
+                placeholder: 'List key suppliers and their functions...'
+              }
+            ]
+          }
+        },
+        {
+          type: 'scale',
+          name: 'third_party_outage_plan',
+          label: '8. Does your business continuity or disaster recovery plan specifically address prolonged outages of critical third-party services?',
+          levels: [
+            'Our business continuity and disaster recovery plans do not specifically address prolonged outages of critical third-party services.',
+            'Our plans generally mention third-party risks, but do not include detailed strategies for extended outages of critical providers.',
+            'Our plans include scenarios for disruptions to critical third-party services, but they are not deeply detailed or regularly tested.',
+            'Our business continuity and disaster recovery plans explicitly cover prolonged outages of critical third-party services, with documented procedures, alternate arrangements, and regular testing.'
+          ]
+        },
+        {
+          type: 'scale',
+          name: 'cloud_provider_assessment',
+          label: '9. Have you assessed how a primary cloud provider outage would impact your operations, and does your continuity plan address this?',
+          levels: [
+            'No assessment has been done, and no contingency exists for cloud service failure.',
+            'Cloud risks are informally acknowledged, with documented impacts of downtime and some alternate communication or manual processes identified, but they are not fully integrated into formal planning.',
+            'Cloud dependency is mapped in continuity plans, and mitigations (e.g., data export, failover zones) are in place.',
+            'Cloud risk is deeply integrated into BCP, with multi-region failover, vendor SLAs, and automated recovery tested regularly.'
+          ]
+        },
+        {
+          type: 'scale',
+          name: 'incident_investigation',
+          label: '10. How do you investigate and address the root cause of major security incidents, service problems, or customer complaints?',
+          levels: [
+            'Root cause is not formally investigated; focus is only on fixing the immediate issue.',
+            'Issues are discussed internally, with root cause reviews and some documentation or follow-up for significant incidents, but lessons learned and corrective actions are applied inconsistently.',
+            'A structured post-incident review (PIR) process is used for all major events, with documented corrective actions.',
+            'Formal root cause analysis is conducted with executive oversight, cross-functional input, tracked improvements, and trend analysis.'
+          ]
+        }
+      ]
+    },
+    {
+      key: 'thirdParty',
+      step: 8,
+      title: '8. Third Party, Vendor & Supply Chain Controls',
+      items: [
+        {
+          type: 'scale',
+          name: 'customer_risk_assessment',
+          label: '1. What steps are taken when bringing on a new customer to assess potential risks to your business?',
+          levels: [
+            'No formal risk assessment is conducted before onboarding new customers.',
+            'Vetting is mostly informal, relying on relationship history or perceived reputation, with some credit or legal checks performed, but these are not standardized.',
+            'The company uses a risk-based onboarding process including financial, operational, and legal reviews for high-risk customers.',
+            'A formal customer risk assessment framework is in place, including KYC, creditworthiness, contract risk, regulatory exposure, and service capacity evaluation.'
+          ]
+        },
+        {
+          type: 'scale',
+          name: 'vendor_due_diligence',
+          label: '2. Do you have a formal due diligence process to evaluate potential risks when onboarding new vendors or suppliers?',
+          levels: [
+            'Vendors are onboarded informally with no checks or documentation.',
+            'Basic vetting is performed, such as checking references and requiring insurance certificates from vendors, but reviews of insurance and risk factors are inconsistent and formal risk assessments are rare.',
+            'Onboarding includes documented review of insurance, security, and financial risk, with sign-off by relevant departments.',
+            'A structured onboarding workflow is in place, including insurance verification, legal review, risk scoring, and approval gates for higher-risk vendors.'
+          ]
+        },
+        {
+          type: 'scale',
+          name: 'vendor_cybersecurity_assessment',
+          label: '3. How does your organization assess and monitor the cybersecurity posture of third-party vendors, and what steps are taken if a vendor is found to pose elevated risk?',
+          levels: [
+            'We don\'t currently assess vendor cybersecurity posture and rely on vendors to manage their own risks.',
+            'We conduct basic due diligence when onboarding vendors, such as reviewing security questionnaires, but we don\'t monitor risk on an ongoing basis.',
+            'We assess vendor cyber risk at onboarding and periodically review key vendors\' security posture. If a vendor is found to pose elevated risk, we may request remediation or consider contract changes.',
+            'We use continuous monitoring tools (e.g., third-party risk scoring or threat intelligence platforms) to track vendor cybersecurity posture in real time. High-risk vendors trigger formal escalation protocols, including audits, contractual enforcement, or offboarding if necessary.'
+          ]
+        },
+        {
+          type: 'scale',
+          name: 'redundant_systems',
+          label: '4. Do you have redundant systems or alternate suppliers in place to minimize disruption if a critical third party fails or is unavailable?',
+          levels: [
+            'We rely on single providers for critical services and would face major disruption if one failed.',
+            'We are aware of possible alternates but have no formal agreements or automated systems. Switching would be manual and could be delayed.',
+            'We have identified and maintain relationships with alternate suppliers, or have partial redundant systems for critical functions. However, these are not fully integrated or routinely tested, so some disruption could still occur.',
+            'We have fully redundant systems and formal agreements with alternative suppliers, along with tested failover processes, to ensure minimal disruption in the event of a critical third-party failure. These contingencies are regularly reviewed and tested as part of our business continuity program.'
+          ]
+        },
+        {
+          type: 'scale',
+          name: 'vendor_liability',
+          label: '5. Do your vendors agree to take responsibility if they mishandle personal or confidential information?',
+          levels: [
+            'There are no contract terms addressing vendor responsibility for data mishandling.',
+            'Many vendor contracts include general confidentiality or data protection clauses, but the enforceability, scope, and presence of liability terms vary.',
+            'Vendor agreements include specific data handling obligations, breach notification requirements, and indemnity clauses.',
+            'All vendor agreements involving sensitive data include legally vetted, standardized language on liability, data safeguards, breach response, and indemnification for damages.'
+          ]
+        },
+        {
+          type: 'scale',
+          name: 'vendor_security_practices',
+          label: '6. Do your critical vendors provide proof of strong security practices (like SOC 2 or ISO 27001), and how often is that reviewed?',
+          levels: [
+            'No security documentation is requested from vendors.',
+            'Security credentials, such as SOC 2 or ISO 27001 reports, are requested from critical vendors during onboarding, but overall reviews and ongoing tracking are inconsistent.',
+            'Security documentation is required and reviewed at onboarding and annually for all high-risk vendors.',
+            'A formal third-party security assessment program is in place, with regular audits, attestation reviews, and automated tracking of vendor certifications and renewals.'
+          ]
+        },
+        {
+          type: 'scale',
+          name: 'api_contracts',
+          label: '7. Do your third-party contracts that involve APIs include data protection and liability terms?',
+          levels: [
+            'No specific data protection or liability clauses are included in contracts.',
+            'Contracts include general data security and confidentiality terms that apply to API use, but they may not specifically address API-related risks.',
+            'API-integrated contracts specify data protection responsibilities, liability for breaches, and usage limits.',
+            'Third-party contracts include detailed API-specific clauses (e.g., data use, retention, security standards, breach notification, indemnity) reviewed by legal and security teams.'
+          ]
+        },
+        {
+          type: 'scale',
+          name: 'component_security',
+          label: '8. How do you ensure third-party or open-source components meet your company\'s quality and security expectations before use?',
+          levels: [
+            'Components are used without any evaluation or tracking.',
+            'Developers choose components mainly based on familiarity or popularity and vet them for functionality, but security and licensing risks are not systematically reviewed.',
+            'Components must meet internal guidelines and are checked for known vulnerabilities and license terms before use.',
+            'A formal approval process is in place with automated scanning for vulnerabilities (e.g., SCA tools), legal review of licenses, and centralized tracking of third-party components.'
+          ]
+        },
+        {
+          type: 'scale',
+          name: 'product_testing',
+          label: '9. What steps are taken to test your products or software to ensure they work as intended before launch?',
+          levels: [
+            'No formal testing is done before release. Issues are addressed post-launch.',
+            'Basic manual testing, including unit and integration tests with occasional regression checks before major releases, is typically performed by developers or end users.',
+            'A structured QA process is in place, including automated testing, regression testing, and staging environment validation before release.',
+            'A comprehensive testing framework is enforced with automated test coverage, peer reviews, security testing, and production readiness sign-off by QA and product teams.'
+          ]
+        }
+      ]
+    },
+    {
+      key: 'privacy',
+      step: 9,
+      title: '9. Privacy, Data Security & API Controls',
+      items: [
+        {
+          type: 'yesNo',
+          name: 'collect_customer_data',
+          label: '1. Do you collect, store, or process customer data?',
+          followUp: {
+            id: 'customer_data_details',
+            when: 'yes',
+            items: [
+              {
+                type: 'checkboxes',
+                name: 'data_types[]',
+                columns: 2,
+                options: [
+                  {
+                    value: 'contact_info',
+                    label: 'Contact information (Names, addresses, emails)',
+                    followUp: {
+                      id: 'contact_info_details',
+                      when: 'checked',
+                      items: [
+                        { type: 'number', name: 'contact_info_records', label: 'Approx. number of records:', placeholder: 'Number of records' }
+                      ]
+                    }
+                  },
+                  {
+                    value: 'personal_health_data',
+                    label: 'Personal Health Data',
+                    followUp: {
+                      id: 'personal_health_data_details',
+                      when: 'checked',
+                      items: [
+                        { type: 'number', name: 'personal_health_data_records', label: 'Approx. number of records:', placeholder: 'Number of records' }
+                      ]
+                    }
+                  },
+                  {
+                    value: 'payment_card_data',
+                    label: 'Payment Card Data',
+                    followUp: {
+                      id: 'payment_card_data_details',
+                      when: 'checked',
+                      items: [
+                        { type: 'number', name: 'payment_card_data_records', label: 'Approx. number of records:', placeholder: 'Number of records' }
+                      ]
+                    }
+                  },
+                  {
+                    value: 'financial_records',
+                    label: 'Financial Records',
+                    followUp: {
+                      id: 'financial_records_details',
+                      when: 'checked',
+                      items: [
+                        { type: 'number', name: 'financial_records_records', label: 'Approx. number of records:', placeholder: 'Number of records' }
+                      ]
+                    }
+                  },
+                  {
+                    value: 'government_id_numbers',
+                    label: 'Government ID Numbers',
+                    followUp: {
+                      id: 'government_id_numbers_details',
+                      when: 'checked',
+                      items: [
+                        { type: 'number', name: 'government_id_numbers_records', label: 'Approx. number of records:', placeholder: 'Number of records' }
+                      ]
+                    }
+                  },
+                  {
+                    value: 'biometric_data',
+                    label: 'Biometric Data',
+                    followUp: {
+                      id: 'biometric_data_details',
+                      when: 'checked',
+                      items: [
+                        { type: 'number', name: 'biometric_data_records', label: 'Approx. number of records:', placeholder: 'Number of records' }
+                      ]
+                    }
+                  }
+                ]
+              }
+            ]
+          }
+        },
+        {
+          type: 'scale',
+          name: 'data_inventory_policy',
+          label: '2. Do you maintain a data inventory or data classification policy?',
+          levels: [
+            'We are unsure what personal or sensitive data we handle.',
+            'There is a general understanding of the types of personal data handled, with some documented categories, but no formal or comprehensive classification of personal or sensitive data.',
+            'We classify data (e.g., PII, health, financial) and apply protection policies accordingly.',
+            'We maintain a detailed data inventory with classification levels, mapped to systems and regulatory obligations, and aligned to risk-based protection standards.'
+          ]
+        },
+        {
+          type: 'scale',
+          name: 'data_sensitivity_determination',
+          label: '3. How do you determine what data is sensitive, and what protections are applied based on that sensitivity?',
+          levels: [
+            'There is no process for classifying or protecting sensitive data.',
+            'Sensitivity is generally determined case-by-case with informal guidance, though a basic classification policy exists with some controls like encryption for high-risk data.',
+            'Data is classified based on regulatory and business impact, with defined controls for each level (e.g., access control, encryption, retention).',
+            'A comprehensive data classification and protection framework is used, with automated enforcement, access logging, and policy integration across platforms.'
+          ]
+        },
+        {
+          type: 'scale',
+          name: 'data_deletion_process',
+          label: '4. Do you have a process for permanently deleting personal data when it\'s no longer needed?',
+          levels: [
+            'No defined process for deleting personal data.',
+            'Personal data is deleted when required, typically through manual processes, but this is done occasionally and not in a systematic or irreversible way.',
+            'A documented data deletion process is in place, aligned to retention policies, with periodic audits.',
+            'Automated and auditable deletion workflows are in place for personal data, based on retention schedules, legal holds, and privacy regulations (e.g., PIPEDA, GDPR, CPRA).'
+          ]
+        },
+        {
+          type: 'choice',
+          name: 'pci_compliance',
+          label: '5. Are you PCI compliant if processing payment cards?',
+          options: [
+            { value: 'yes', label: 'Yes' },
+            { value: 'no', label: 'No' },
+            { id: 'pci_compliance_na', value: 'not_applicable', label: 'Not Applicable' }
+          ]
+        },
+        {
+          type: 'scale',
+          name: 'data_retention_schedules',
+          label: '6. Do you enforce data retention or deletion schedules?',
+          levels: [
+            'We do not have a formal data retention or deletion policy in place.',
+            'We have informal guidelines, but enforcement is inconsistent and often left to individual departments.',
+            'We have a documented data retention and deletion policy, with scheduled reviews, but enforcement is only partially automated.',
+            'We enforce automated data retention and deletion schedules across all systems, aligned with legal, regulatory, and contractual requirements, and monitored for compliance.'
+          ]
+        },
+        {
+          type: 'scale',
+          name: 'dlp_encryption_tools',
+          label: '7. Do you use data loss prevention (DLP) or file encryption tools?',
+          levels: [
+            'We do not use any DLP or file encryption tools.',
+            'We use basic file encryption tools on select systems, but no DLP solution is in place.',
+            'We use either DLP or encryption tools across core systems handling sensitive data, though coverage may not be enterprise-wide.',
+            'We use both DLP and encryption tools organization-wide, with centralized policies, real-time monitoring, and alerting to prevent unauthorized data exfiltration.'
+          ]
+        },
+        {
+          type: 'scale',
+          name: 'data_encryption',
+          label: '8. Do you encrypt sensitive data in transit over networks and at rest?',
+          levels: [
+            'Sensitive data is not consistently encrypted either in transit or at rest.',
+            'We encrypt sensitive data in transit (e.g., HTTPS, VPN), but at-rest encryption is not applied across all systems.',
+            'Sensitive data is encrypted both in transit and at rest for key systems, but not fully standardized across the organization.',
+            'All sensitive data is encrypted by default both in transit and at rest using industry-standard algorithms, enforced via policy and regularly audited.'
+          ]
+        },
+        {
+          type: 'scale',
+          name: 'api_access_control',
+          label: '9. How is access to your APIs controlled, and how is sensitive data protected during transmission?',
+          levels: [
+            'APIs are open or unsecured, with no encryption or access control.',
+            'Basic API keys, passwords, and encryption (e.g., HTTPS) are used for most APIs, but controls are not consistently enforced or standardized.',
+            'Access is controlled via secure methods like OAuth, API gateways, and all traffic is encrypted.',
+            'APIs use strong authentication (OAuth2, JWT), encryption (TLS 1.2+), rate limiting, and token lifecycle controls, with centralized access management.'
+          ]
+        },
+        {
+          type: 'scale',
+          name: 'api_security_review',
+          label: '10. Are your APIs regularly reviewed for security risks, and how do you handle any issues that are found?',
+          levels: [
+            'No regular review or testing of APIs for security vulnerabilities.',
+            'APIs are informally tested or reviewed during development or when problems are reported, but follow-up and ongoing testing are inconsistent.',
+            'Regular static/dynamic security testing is performed, and findings are addressed through a formal remediation process.',
+            'APIs undergo routine automated and manual security testing (e.g., SAST, DAST, fuzzing), with tracked remediation SLAs and integration into DevSecOps.'
+          ]
+        },
+        {
+          type: 'scale',
+          name: 'api_monitoring',
+          label: '11. How do you monitor API use in real time to detect unusual behavior or potential data leaks?',
+          levels: [
+            'No monitoring of API traffic or behavior is in place.',
+            'API logs are collected and usage is monitored through manual reviews or basic alerts, but not on a regular or proactive basis.',
+            'Real-time monitoring is in place for usage patterns, errors, and rate anomalies, with alerts for suspicious behavior.',
+            'API traffic is monitored continuously using analytics or threat detection tools, with anomaly detection, alerting, and response workflows integrated with incident handling.'
+          ]
+        }
+      ]
+    },
+    {
+      key: 'intellectualProperty',
+      step: 10,
+      title: '10. Intellectual Property & Content Governance Controls',
+      items: [
+        {
+          type: 'scale',
+          name: 'ip_indemnification_provisions',
+          label: '1. Do your contracts with customers, partners, or distributors include indemnification provisions that make you responsible for IP infringement claims?',
+          levels: [
+            'We haven\'t reviewed our contracts for IP indemnity exposure and are unsure whether such provisions exist.',
+            'Some contracts include IP indemnities, but we accept them as-is without negotiation or risk transfer strategies.',
+            'We review IP indemnity provisions case-by-case and seek to limit or share liability where possible, often with legal input.',
+            'We have a formal process for reviewing and negotiating IP indemnities, consistently limit our exposure through contract language, and align coverage with our insurance program to ensure claims are insurable.'
+          ]
+        },
+        {
+          type: 'scale',
+          name: 'ip_infringement_plan',
+          label: '2. What is your plan if your company is accused of infringing someone else\'s IP?',
+          levels: [
+            'No plan or insurance is in place to address IP disputes.',
+            'Leadership relies on legal counsel and a general dispute response approach, but there is no documented or detailed plan specific to IP disputes.',
+            'A formal incident response process is in place, including legal review and insurance support.',
+            'The company has a documented IP risk response plan, legal counsel on standby, indemnification strategies, and intellectual property insurance.'
+          ]
+        },
+        {
+          type: 'scale',
+          name: 'third_party_license_monitoring',
+          label: '3. How do you monitor and manage the use of third-party software licenses?',
+          levels: [
+            'Software is used without tracking licenses or usage rights.',
+            'Teams manage licensing informally with a partial inventory and some tools to track third-party software, but tracking is incomplete and decentralized.',
+            'License use is tracked and reviewed regularly, with controls to prevent unauthorized or expired use.',
+            'A centralized license management system is in place, integrated with procurement and development, with regular audits and automated compliance alerts.'
+          ]
+        },
+        {
+          type: 'scale',
+          name: 'ip_misuse_prevention',
+          label: '4. What measures are in place to prevent the misuse of someone else\'s IP? (like patents, content, or software)',
+          levels: [
+            'No measures are in place; staff use third-party materials without oversight.',
+            'Teams follow basic guidelines and reminders to avoid IP misuse, but there are no formal policies, checks, or consistent monitoring in place.',
+            'The company has documented policies, training, and review processes to avoid IP infringement.',
+            'A formal IP compliance program is in place, including legal review, licensing audits, content screening, and employee training.'
+          ]
+        },
+        {
+          type: 'scale',
+          name: 'content_review_process',
+          label: '5. Is there a review process to ensure marketing or public content doesn\'t violate IP rights or privacy laws?',
+          levels: [
+            'Content is published without any review for legal or IP concerns.',
+            'Content, including marketing materials, is reviewed informally by managers or legal when requested, but there is no defined process or consistent checklist.',
+            'A standard review process is in place for all public-facing content, including checks for IP and privacy issues.',
+            'All content goes through a formal legal/compliance review process with documented approvals, IP clearance procedures, and version control.'
+          ]
+        },
+        {
+          type: 'scale',
+          name: 'ip_protection_controls',
+          label: '6. What controls does your organization have in place to detect and prevent unauthorized use or infringement of your intellectual property by others?',
+          levels: [
+            'We don\'t currently monitor for IP infringement and rely on third parties to notify us if issues arise.',
+            'We occasionally search for misuse of our IP online or respond when issues are brought to our attention, but have no formal process.',
+            'We monitor for unauthorized use of our IP using basic tools (e.g., manual searches, Google alerts) and engage legal counsel when needed.',
+            'We use active monitoring tools (e.g., trademark watch services, brand protection platforms), have internal escalation procedures, and enforce our rights through cease-and-desist letters, takedowns, or litigation when appropriate.'
+          ]
+        },
+        {
+          type: 'yesNo',
+          name: 'publish_original_media',
+          label: '7. Do you publish, distribute, or create original media? (images, videos, code, written content)',
+          followUp: {
+            id: 'original_media_details',
+            when: 'yes',
+            items: [
+              {
+                type: 'textarea',
+                name: 'media_description',
+                label: 'Please describe:',
+                rows: 2,
+                placeholder: 'Please describe the type of original media you create...'
+              },
+              {
+                type: 'yesNo',
+                name: 'content_risk_review',
+                label: 'Do you review content for potential infringement, defamation, and privacy risks?'
+              },
+              {
+                type: 'yesNo',
+                name: 'attorney_supervised_review',
+                label: 'Are such content reviews performed by or under the supervision of an attorney?'
+              }
+            ]
+          }
+        },
+        {
+          type: 'checkboxes',
+          name: 'ip_protection_steps[]',
+          label: '8. What steps do you take to protect your intellectual property (e.g., registrations, confidentiality agreements, employee IP assignment agreements)?',
+          options: [
+            { value: 'registered_ip', label: 'Registered patents or trademarks' },
+            {
+              value: 'employee_ip_agreements',
+              label: 'Employee and contractor IP assignment/confidentiality agreements'
+            },
+            {
+              value: 'other_ip_protections',
+              label: 'Other (please specify):',
+              followUp: {
+                id: 'other_ip_protections_details',
+                when: 'checked',
+                items: [
+                  { type: 'text', name: 'other_ip_protections_text', placeholder: 'Please specify other IP protections' }
+                ]
+              }
+            },
+            { value: 'no_formal_protections', label: 'No formal protections' }
+          ]
+        }
+      ]
+    },
+    {
+      key: 'employment',
+      step: 11,
+      title: '11. People, Employment Practices & Insider Controls',
+      items: [
+        {
+          type: 'scale',
+          name: 'background_checks',
+          label: '1. What background checks or screening do you use to evaluate new hires, especially for roles with access to sensitive data or systems?',
+          levels: [
+            'No background checks or screening are conducted before hiring.',
+            'Basic reference checks and, for sensitive roles, occasional criminal background or employment verification are performed, but there is no formal screening policy and practices are inconsistent.',
+            'Standardized screening process includes criminal, employment, and education verification for all roles with data/system access.',
+            'A comprehensive, risk-based screening process is applied based on role sensitivity, including background, credit (where appropriate), and regulatory compliance checks.'
+          ]
+        },
+        {
+          type: 'scale',
+          name: 'new_hire_policy_training',
+          label: '2. What is your process for ensuring new hires understand and follow your company\'s key policies, like security and acceptable use?',
+          levels: [
+            'New hires receive little or no orientation on company policies.',
+            'New hires receive policies to review as part of basic onboarding, with signed acknowledgment required for key policies like confidentiality or acceptable use, but broader training or acknowledgment is not consistently required.',
+            'New hires complete structured onboarding, including required training on security, privacy, and acceptable use policies.',
+            'Onboarding includes interactive, role-specific policy training with testing, tracked completion, and annual re-certification for key policies.'
+          ]
+        },
+        {
+          type: 'scale',
+          name: 'confidentiality_training',
+          label: '3. How are employees trained to avoid accidentally sharing confidential information through email, messages, or presentations?',
+          levels: [
+            'No training is provided on handling confidential information.',
+            'Employees receive informal reminders and confidentiality training during onboarding, but there is no structured or ongoing training program.',
+            'Regular training is provided, including email and presentation dos/don\'ts and examples of accidental disclosure.',
+            'Employees receive role-based, scenario-driven training with testing, reinforced by policy, monitoring, and reporting mechanisms.'
+          ]
+        },
+        {
+          type: 'scale',
+          name: 'unusual_behavior_detection',
+          label: '4. What steps are in place to detect unusual employee behavior that could indicate a security or policy issue?',
+          levels: [
+            'No monitoring or detection tools or processes are in place.',
+            'Potential issues are identified informally through manager observation or peer reporting, with HR or IT conducting manual log reviews when concerns arise, but there is no ongoing monitoring.',
+            'Systems log user activity and can flag anomalies; HR and IT have a defined process to investigate concerns.',
+            'Behavioral analytics and monitoring tools are in place for high-risk roles, with integrated alerting, response protocols, and legal/HR oversight.'
+          ]
+        },
+        {
+          type: 'scale',
+          name: 'employment_agreement_terms',
+          label: '5. Do employment agreements clearly define confidentiality obligations, IP ownership, and terms that continue after someone leaves?',
+          levels: [
+            'Employment agreements do not include confidentiality or IP ownership provisions, and have no post-employment obligations.',
+            'Some agreements include confidentiality clauses, but IP ownership or post-employment obligations are missing or inconsistent.',
+            'Most agreements include confidentiality, IP ownership, and some terms that extend after employment ends, though not always reviewed or tailored.',
+            'All employment agreements clearly define confidentiality, IP ownership, and post-employment obligations, are reviewed by legal counsel, and updated regularly.'
+          ]
+        },
+        {
+          type: 'scale',
+          name: 'nda_enforcement',
+          label: '6. What steps ensure NDAs are signed, enforced, and followed, particularly after employment ends?',
+          levels: [
+            'NDAs are rarely used or tracked, with no process to enforce them during or after employment.',
+            'NDAs are signed for some roles or situations, but tracking is informal and follow-up after employment is minimal.',
+            'NDAs are standard for employees and key contractors, tracked centrally, with reminders of obligations given during exit processes.',
+            'NDAs are mandatory for all staff and applicable vendors, systematically tracked, enforced with formal exit procedures, and obligations monitored post-employment.'
+          ]
+        }
+      ]
+    },
+    {
+      key: 'aiTools',
+      step: 12,
+      title: '12. Artificial Intelligence Tools & Controls',
+      items: [
+        {
+          type: 'scale',
+          name: 'ai_tool_policies',
+          label: '1. Do you have formal policies governing employee use of generative AI tools in the workplace?',
+          levels: [
+            'No formal policy exists; employees use AI tools at their discretion without oversight or guidance.',
+            'Informal guidelines are communicated verbally or via ad hoc communications, but no formalized or documented policy is in place.',
+            'A documented policy exists outlining acceptable AI use cases and prohibited applications; periodic reminders or basic training are provided.',
+            'A comprehensive, regularly updated AI use policy is in place, aligned with legal, regulatory, and ethical standards. Mandatory employee training, acknowledgement tracking, and compliance audits ensure adherence.'
+          ]
+        },
+        {
+          type: 'scale',
+          name: 'ai_data_protection',
+          label: '2. How does your organization ensure sensitive, proprietary or customer data is not inadvertently inputted into public or third-party AI tools?',
+          levels: [
+            'No controls or employee awareness; sensitive data may be shared with AI tools without restriction or monitoring.',
+            'Employees are instructed not to share sensitive data with AI tools, but enforcement is manual and there are no technical safeguards.',
+            'Data classification and access rules are defined, with monitoring tools or DLP (Data Loss Prevention) systems in place to detect and prevent accidental sharing.',
+            'Strong, enforced controls combining technical safeguards (e.g., AI input filtering, DLP, endpoint restrictions) with mandatory training, AI-specific data handling protocols, and real-time monitoring to prevent sensitive data leakage.'
+          ]
+        },
+        {
+          type: 'scale',
+          name: 'ai_tool_provisioning',
+          label: '3. How are AI tools provisioned and monitored internally to ensure only authorized employees can access and use them?',
+          levels: [
+            'No restrictions; any employee can access and use AI tools, including unsanctioned or public platforms, without oversight.',
+            'AI tool access is limited to certain teams, but controls are informal and not technically enforced (e.g., relying on manager approval or trust).',
+            'Approved AI tools are centrally provisioned with role-based access controls; usage logs are reviewed periodically but not continuously monitored.',
+            'Enterprise-approved AI tools integrated with identity and access management (IAM), multi-factor authentication, continuous monitoring, automated alerts for misuse, and centralized reporting dashboards for compliance oversight.'
+          ]
+        },
+        {
+          type: 'scale',
+          name: 'ai_content_compliance',
+          label: '4. What steps do you take to make sure AI-generated content doesn\'t violate privacy rules or IP rights?',
+          levels: [
+            'No review or safeguards are in place to monitor AI-generated content.',
+            'There is informal awareness of potential privacy and IP risks, with some safeguards such as manual review of public content, but no specific controls or consistent validation process are in place.',
+            'The business has implemented content review procedures, and AI output is checked for privacy or IP issues before publication or use.',
+            'There is a formal review and compliance process involving legal, compliance, and product teams to ensure AI outputs align with IP, copyright, and data privacy obligations.'
+          ]
+        },
+        {
+          type: 'scale',
+          name: 'ai_output_validation',
+          label: '5. Have you implemented controls to monitor and validate the accuracy and reliability of outputs generated by third-party AI tools?',
+          levels: [
+            'No controls in place; outputs from AI tools are used without review or validation, relying entirely on the tool\'s outputs.',
+            'Manual review of outputs occurs inconsistently, dependent on individual user discretion, with no formal validation process or documented standards.',
+            'A formal processes exist for reviewing and validating AI outputs, including documented criteria and periodic spot checks by subject matter experts.',
+            'A comprehensive validation framework in place, combining automated checks, human-in-the-loop oversight, and ongoing performance monitoring. Continuous audits and feedback loops are used to detect errors, bias, and drift, with results feeding into process improvements.'
+          ]
+        },
+        {
+          type: 'scale',
+          name: 'ai_incident_response',
+          label: '6. Do you have incident response procedures in place to address errors, misuse, or breaches resulting from third-party AI tool use?',
+          levels: [
+            'No formal incident response procedures exist for AI-related errors or misuse.',
+            'General IT or cybersecurity incident response procedures exist but do not address AI-specific risks or third-party tool misuse.',
+            'A documented incident response plan includes AI-related scenarios, with designated roles and escalation paths. Periodic tabletop exercises or testing are conducted, but scope remains limited.',
+            'A comprehensive AI-specific incident response plan is fully integrated with enterprise risk and cybersecurity frameworks. It includes rapid detection, predefined playbooks for AI errors/misuse, coordination with third-party vendors, post-incident reviews, and continuous improvement.'
+          ]
+        },
+        {
+          type: 'scale',
+          name: 'ai_insurance_review',
+          label: '7. Have you reviewed whether your insurance or contracts adequately address risks from using AI, such as errors, reputation damage, or legal issues?',
+          levels: [
+            'No review has been done, and existing policies or contracts may not address AI-related risks.',
+            'AI-related risks have been considered internally, and while some insurance coverage has been extended or gaps flagged by general counsel, there has been no formal review or comprehensive adjustments to coverage.',
+            'AI-related risks have been reviewed with legal and insurance advisors, and contracts include basic protections (e.g., disclaimers, indemnity).',
+            'The company proactively manages AI risks through tailored contractual clauses, D&O/E&O/cyber coverage extensions, and periodic reviews aligned to evolving uses of AI and regulatory guidance.'
+          ]
+        },
+        {
+          type: 'scale',
+          name: 'ai_vendor_indemnities',
+          label: '8. Do you require contractual indemnities or evidence of insurance from third-party AI vendors used in your internal operations?',
+          levels: [
+            'We accept the vendors Terms of Service without review or monitoring of indemnification obligations.',
+            'Some contracts include general indemnification language, but vendor insurance evidence is not consistently requested.',
+            'Contracts include defined indemnities for AI-related risks and require vendors to provide proof of insurance, but enforcement and periodic review are limited.',
+            'Robust vendor agreements mandate AI-specific indemnification, verified insurance coverage aligned with exposure (e.g., tech E&O, cyber), and ongoing compliance monitoring to ensure protections remain current.'
+          ]
+        }
+      ]
+    },
+    {
+      key: 'priorIncidents',
+      step: 13,
+      title: '13. Prior Incidents & Claims',
+      items: [
+        {
+          type: 'yesNo',
+          name: 'written_demands',
+          label: '1. In the last 5 years, has the Company, or any entity falling within the definition of \'Insured\' under the proposed Policy, its partners, directors, officers, or employees ever had a written demand or civil proceedings for compensatory damages made against them?',
+          followUp: {
+            id: 'written_demands_details',
+            when: 'yes',
+            items: [
+              {
+                type: 'textarea',
+                name: 'written_demands_details_text',
+                label: 'If yes, provide details:',
+                rows: 4,
+                placeholder: 'Provide details including dates, nature of claims, and outcomes...'
+              }
+            ]
+          }
+        },
+        {
+          type: 'flags',
+          label: '2. In the past 5 years has the Company, or any entity falling within the definition of \'Insured\' under the proposed Policy:',
+          inputClass: 'incident-checkbox',
+          options: [
+            {
+              name: 'incident_privacy_claims',
+              label: 'Received any claims or complaints regarding privacy, data protection or network security, or unauthorized disclosure of information?'
+            },
+            {
+              name: 'incident_breach_notification',
+              label: 'Notified any persons of a privacy violation and/or data breach incident?'
+            },
+            {
+              name: 'incident_extortion',
+              label: 'Received an extortion demand relating to your data and/or computer systems?'
+            },
+            {
+              name: 'incident_network_outage',
+              label: 'Experienced a network outage that resulted in a significant disruption to your operations?'
+            },
+            {
+              name: 'incident_government_action',
+              label: 'Been subject to any government action, investigation, subpoena regarding any alleged violation of privacy law or regulation?'
+            },
+            {
+              name: 'incident_ip_complaint',
+              label: 'Received a complaint or cease and desist demand alleging trademark, copyright, invasion of privacy, defamation with regard to content published, displayed, or distributed by or on behalf of the applicant?'
+            },
+            {
+              name: 'incident_policy_covered',
+              label: 'Experienced any incident which may be covered under this policy?'
+            }
+          ],
+          followUp: {
+            id: 'incident_details',
+            when: 'any',
+            items: [
+              {
+                type: 'textarea',
+                name: 'incident_details_text',
+                label: 'If Yes to any of the above, please provide details on an addendum including relevant dates, brief summary of incident and any preventative measures that have been taken to prevent a reoccurrence:',
+                rows: 6,
+                placeholder: 'Provide comprehensive details for each applicable incident including dates, circumstances, resolution, and preventative measures implemented...'
+              }
+            ]
+          }
+        },
+        {
+          type: 'yesNo',
+          name: 'potential_claims_awareness',
+          idPrefix: 'potential_claims',
+          label: '3. Is the Applicant, or any person applying for this insurance aware of any fact, circumstance, situation, event, or act that reasonably could give rise to a claim against them for any coverages for which the Applicant is applying?'
+        }
+      ]
+    },
+    {
+      key: 'ai',
+      sector: 'ai',
+      title: 'Artificial Intelligence (Additional Questions)',
+      pdfTitle: '1. Artificial Intelligence (Additional Questions)',
+      tocTitle: 'Additional Questions: Artificial Intelligence',
+      intro: {
+        heading: 'Additional AI Questions:',
+        text: 'Since you selected Artificial Intelligence as a sector, please complete these additional questions.'
+      },
+      items: [
+        {
+          type: 'yesNo',
+          name: 'ai_functionality_integrated',
+          idPrefix: 'ai_functionality',
+          label: '1. Is AI functionality integrated into any of your software products or services provided to customers or third parties?',
+          followUp: {
+            id: 'ai_functionality_details',
+            when: 'yes',
+            items: [
+              {
+                type: 'textarea',
+                name: 'ai_functionality_description',
+                label: 'If yes, specify which products/services and describe the functionality',
+                rows: 3,
+                placeholder: 'Please describe which products/services include AI functionality and how it works...'
+              }
+            ]
+          }
+        },
+        {
+          type: 'yesNo',
+          name: 'develop_proprietary_ai',
+          idPrefix: 'develop_proprietary',
+          label: '2. Do you develop your own proprietary AI or ML models?',
+          followUp: {
+            id: 'develop_proprietary_details',
+            when: 'yes',
+            items: [
+              {
+                type: 'textarea',
+                name: 'proprietary_ai_description',
+                label: 'If yes, please describe the types of models and applications',
+                rows: 3,
+                placeholder: 'Please describe the types of AI/ML models you develop and their applications...'
+              }
+            ]
+          }
+        },
+        {
+          type: 'yesNo',
+          name: 'use_third_party_ai',
+          idPrefix: 'use_third_party',
+          label: '3. Do you use third-party or open-source AI/ML models in your offerings?',
+          followUp: {
+            id: 'use_third_party_details',
+            when: 'yes',
+            items: [
+              {
+                type: 'textarea',
+                name: 'third_party_ai_description',
+                label: 'If yes, please describe the types of models and applications',
+                rows: 3,
+                placeholder: 'Please describe the third-party or open-source AI/ML models you use and their applications...'
+              }
+            ]
+          }
+        },
+        {
+          type: 'yesNo',
+          name: 'ai_testing_processes',
+          idPrefix: 'ai_testing',
+          label: '4. Do you have formal processes to test, validate, and monitor the performance and reliability of AI/ML models before and after deployment?',
+          followUp: {
+            id: 'ai_testing_details',
+            when: 'yes',
+            items: [
+              {
+                type: 'textarea',
+                name: 'ai_testing_description',
+                label: 'If yes, please describe',
+                rows: 3,
+                placeholder: 'Please describe your AI/ML testing, validation, and monitoring processes...'
+              }
+            ]
+          }
+        },
+        {
+          type: 'yesNo',
+          name: 'ai_ethical_policies',
+          idPrefix: 'ai_ethical',
+          label: '5. Do you have internal policies addressing the ethical or regulatory use of AI, including issues such as bias, fairness, explainability, or compliance with applicable AI legislation?'
+        },
+        {
+          type: 'yesNo',
+          name: 'ai_train_customer_data',
+          idPrefix: 'ai_train',
+          label: '6. Do you train AI/ML models on customer or third-party data?',
+          followUp: {
+            id: 'ai_train_details',
+            when: 'yes',
+            items: [
+              {
+                type: 'textarea',
+                name: 'ai_data_permissions',
+                label: 'If yes, do you have processes to obtain appropriate permissions, anonymize, or secure the data?',
+                rows: 3,
+                placeholder: 'Please describe your processes for obtaining permissions, anonymizing, or securing customer/third-party data...'
+              }
+            ]
+          }
+        },
+        {
+          type: 'yesNo',
+          name: 'ai_ip_protection',
+          idPrefix: 'ai_ip',
+          label: '7. Have you taken steps to ensure that the use of data in training or operating your AI systems does not infringe third-party intellectual property rights?'
+        },
+        {
+          type: 'yesNo',
+          name: 'ai_contract_disclaimers',
+          idPrefix: 'ai_disclaimers',
+          label: '8. Do your customer contracts include disclaimers or limitations of liability specifically addressing your AI functionality (e.g., output reliability, errors, or recommendations generated by AI)?'
+        },
+        {
+          type: 'yesNo',
+          name: 'ai_legal_proceedings',
+          idPrefix: 'ai_legal',
+          label: '9. Have you been subject to any complaints, demands, or legal proceedings arising out of your use or provision of AI systems?'
+        },
+        {
+          type: 'yesNo',
+          name: 'ai_agents_integrated',
+          idPrefix: 'ai_agents',
+          label: '10. Are AI agents integrated into any of your software products or services provided to customers or third parties?',
+          followUp: {
+            id: 'ai_agents_details',
+            when: 'yes',
+            className: 'ai-agent-conditional',
+            items: [
+              {
+                type: 'checkboxes',
+                name: 'ai_agent_functions[]',
+                label: '11. Describe the primary functions of your AI agents (check all that apply)',
+                options: [
+                  { id: 'ai_function_decision', value: 'decision_making', label: 'Decision making' },
+                  {
+                    id: 'ai_function_user_interaction',
+                    value: 'user_interaction',
+                    label: 'User interaction (chat, voice, etc)'
+                  },
+                  {
+                    id: 'ai_function_automation',
+                    value: 'autonomous_task_execution',
+                    label: 'Autonomous task execution'
+                  },
+                  { id: 'ai_function_analysis', value: 'data_analysis', label: 'Data analysis' },
+                  { id: 'ai_function_other', value: 'other', label: 'Other' }
+                ]
+              },
+              {
+                type: 'textarea',
+                name: 'ai_agents_description',
+                rows: 3,
+                placeholder: 'Please provide additional details about your AI agents\' functions...'
+              },
+              {
+                type: 'choice',
+                name: 'ai_autonomous_action',
+                label: '12. Do your AI agents have the ability to take autonomous action without human review or intervention?',
+                options: [
+                  { id: 'ai_autonomous_no', value: 'no', label: 'No' },
+                  {
+                    id: 'ai_autonomous_limited',
+                    value: 'limited',
+                    label: 'Yes - in limited, low-risk scenarios'
+                  },
+                  {
+                    id: 'ai_autonomous_critical',
+                    value: 'critical',
+                    label: 'Yes – in critical or user-facing scenarios'
+                  }
+                ]
+              },
+              {
+                type: 'checkboxes',
+                name: 'ai_controls[]',
+                label: '13. What controls are in place to prevent prompt injection, adversarial manipulation, or misuse of AI agents?',
+                options: [
+                  { id: 'ai_control_sanitization', value: 'input_sanitization', label: 'Input sanitization' },
+                  { id: 'ai_control_access', value: 'role_based_access', label: 'Role-based access' },
+                  {
+                    id: 'ai_control_monitoring',
+                    value: 'behavior_monitoring',
+                    label: 'Behavior monitoring/logging'
+                  },
+                  {
+                    id: 'ai_control_enforcement',
+                    value: 'automated_policy',
+                    label: 'Automated policy enforcement'
+                  },
+                  { id: 'ai_control_audit', value: 'external_audit', label: 'External audit or red teaming' }
+                ]
+              },
+              {
+                type: 'group',
+                label: '14. Have you assessed whether the outputs or actions of your AI agents could result in:',
+                items: [
+                  {
+                    type: 'choice',
+                    name: 'ai_privacy_assessment',
+                    label: 'Violations of privacy laws (e.g., GDPR, CCPA)?',
+                    options: [
+                      {
+                        id: 'privacy_full',
+                        value: 'full_review',
+                        label: 'Yes – full legal/compliance review conducted'
+                      },
+                      {
+                        id: 'privacy_partial',
+                        value: 'partial_assessment',
+                        label: 'Partial or informal assessment'
+                      },
+                      { id: 'privacy_none', value: 'not_reviewed', label: 'Not yet reviewed' }
+                    ]
+                  },
+                  {
+                    type: 'choice',
+                    name: 'ai_ip_assessment',
+                    label: 'Infringement of third-party IP rights?',
+                    options: [
+                      {
+                        id: 'ip_full',
+                        value: 'full_review',
+                        label: 'Yes – full legal/compliance review conducted'
+                      },
+                      {
+                        id: 'ip_partial',
+                        value: 'partial_assessment',
+                        label: 'Partial or informal assessment'
+                      },
+                      { id: 'ip_none', value: 'not_reviewed', label: 'Not yet reviewed' }
+                    ]
+                  },
+                  {
+                    type: 'choice',
+                    name: 'ai_defamation_assessment',
+                    label: 'Defamation, discrimination, or regulatory violations?',
+                    options: [
+                      {
+                        id: 'defamation_full',
+                        value: 'full_review',
+                        label: 'Yes – full legal/compliance review conducted'
+                      },
+                      {
+                        id: 'defamation_partial',
+                        value: 'partial_assessment',
+                        label: 'Partial or informal assessment'
+                      },
+                      { id: 'defamation_none', value: 'not_reviewed', label: 'Not yet reviewed' }
+                    ]
+                  }
+                ]
+              },
+              {
+                type: 'choice',
+                name: 'ai_contractual_limitations',
+                label: '15. Do you have contractual limitations of liability and indemnities in place where customers or third parties may rely on agent-generated outputs or actions?',
+                options: [
+                  { id: 'ai_contract_all', value: 'all_contracts', label: 'Yes – included in all contracts' },
+                  {
+                    id: 'ai_contract_some',
+                    value: 'some_contracts',
+                    label: 'In some contracts or pilot programs'
+                  },
+                  { id: 'ai_contract_none', value: 'no_contracts', label: 'No' }
+                ]
+              },
+              {
+                type: 'choice',
+                name: 'ai_critical_systems',
+                label: '16. Are your AI agents integrated into any systems that can initiate financial transactions, access sensitive data, or control physical infrastructure (e.g., IoT devices, robotics)?',
+                options: [
+                  { id: 'ai_critical_no', value: 'no_access', label: 'No' },
+                  {
+                    id: 'ai_critical_readonly',
+                    value: 'readonly_monitored',
+                    label: 'Yes – in read-only or monitored mode'
+                  },
+                  {
+                    id: 'ai_critical_autonomous',
+                    value: 'autonomous_execution',
+                    label: 'Yes – Autonomous execution without human oversight'
+                  }
+                ]
+              },
+              {
+                type: 'choice',
+                name: 'ai_logs_version_control',
+                label: '17. Do you maintain logs and version control for AI agent behavior, prompts, and outputs?',
+                options: [
+                  {
+                    id: 'ai_logs_comprehensive',
+                    value: 'comprehensive',
+                    label: 'Yes – Comprehensive and retained for 12+ months'
+                  },
+                  { id: 'ai_logs_limited', value: 'limited', label: 'Yes – Limited or partial logging' },
+                  { id: 'ai_logs_no', value: 'no_logging', label: 'No' }
+                ]
+              },
+              {
+                type: 'choice',
+                name: 'ai_independent_review',
+                label: '18. Have your AI agents or models been independently reviewed, tested, or red-teamed for safety, fairness, and robustness?',
+                options: [
+                  {
+                    id: 'ai_review_third_party',
+                    value: 'third_party',
+                    label: 'Yes - By a third party specialist'
+                  },
+                  { id: 'ai_review_internal', value: 'internal', label: 'Yes – Internally only' },
+                  { id: 'ai_review_none', value: 'none', label: 'No formal review conducted' }
+                ]
+              },
+              {
+                type: 'choice',
+                name: 'ai_regulated_interaction',
+                label: '19. Do your AI agents interact with minors, healthcare data, financial advice, or other regulated environments?',
+                options: [
+                  { id: 'ai_regulated_no', value: 'no', label: 'No' },
+                  {
+                    id: 'ai_regulated_compliant',
+                    value: 'compliant',
+                    label: 'Yes - in compliance with applicable laws and controls'
+                  },
+                  {
+                    id: 'ai_regulated_limited',
+                    value: 'limited_safeguards',
+                    label: 'Yes – but limited safeguards in place'
+                  }
+                ]
+              },
+              {
+                type: 'choice',
+                name: 'ai_incidents',
+                label: '20. Have you experienced or been notified of any incidents involving the misuse, failure, or unintended outputs of your AI agents?',
+                options: [
+                  { value: 'no', label: 'No' },
+                  { value: 'no_harm', label: 'Yes – But no resulting claim or harm' },
+                  {
+                    id: 'ai_incidents_dispute',
+                    value: 'dispute_loss',
+                    label: 'Yes – Resulted in customer dispute, loss or legal action'
+                  }
+                ]
+              }
+            ]
+          }
+        }
+      ]
+    },
+    {
+      key: 'defi',
+      sector: 'defi',
+      title: 'Decentralized Finance & Digital Assets (Additional Questions)',
+      pdfTitle: '2. Decentralized Finance & Digital Assets (Additional Questions)',
+      tocTitle: 'Additional Questions: Decentralized Finance & Digital Assets',
+      intro: {
+        heading: 'Additional DeFi Questions:',
+        text: 'Since you selected Decentralized Finance & Digital Assets as a sector, please complete these additional questions.'
+      },
+      items: [
+        {
+          type: 'yesNo',
+          name: 'defi_custody_services',
+          idPrefix: 'defi_custody',
+          label: '1. Do you provide any services involving cryptocurrency custody, wallet management, or private key management on behalf of clients?',
+          followUp: {
+            id: 'defi_custody_details',
+            when: 'yes',
+            items: [
+              {
+                type: 'textarea',
+                name: 'defi_custody_controls',
+                label: 'If yes, please describe the controls in place to secure these assets',
+                rows: 3,
+                placeholder: 'Please describe your security controls for cryptocurrency custody, wallet management, and private key management...'
+              }
+            ]
+          }
+        },
+        {
+          type: 'yesNo',
+          name: 'defi_exchange_platform',
+          idPrefix: 'defi_exchange',
+          label: '2. Do you operate or maintain a cryptocurrency exchange or trading platform?',
+          followUp: {
+            id: 'defi_exchange_details',
+            when: 'yes',
+            items: [
+              { type: 'note', text: 'If yes, specify:' },
+              {
+                type: 'textarea',
+                name: 'defi_crypto_types',
+                label: 'Types of cryptocurrencies supported',
+                rows: 2,
+                placeholder: 'List the types of cryptocurrencies supported on your exchange...'
+              },
+              {
+                type: 'text',
+                name: 'defi_daily_volume',
+                label: 'Average daily transaction volume',
+                placeholder: 'e.g., $1M USD equivalent'
+              },
+              {
+                type: 'textarea',
+                name: 'defi_geographic_regions',
+                label: 'Geographic regions served',
+                rows: 2,
+                placeholder: 'List the geographic regions where your exchange operates...'
+              }
+            ]
+          }
+        },
+        {
+          type: 'yesNo',
+          name: 'defi_smart_contracts',
+          label: '3. Do you use or develop smart contracts in connection with your services (e.g., for decentralized finance, token issuance, automated settlements)?',
+          followUp: {
+            id: 'defi_smart_contracts_details',
+            when: 'yes',
+            items: [
+              {
+                type: 'textarea',
+                name: 'defi_audit_processes',
+                label: 'If yes, please describe your processes for auditing and testing these smart contracts prior to deployment.',
+                rows: 3,
+                placeholder: 'Please describe your smart contract auditing and testing processes...'
+              }
+            ]
+          }
+        },
+        {
+          type: 'yesNo',
+          name: 'defi_security_audits',
+          idPrefix: 'defi_security',
+          label: '4. Have you engaged any third-party security firms to perform penetration testing or blockchain code audits on your platforms or products?',
+          followUp: {
+            id: 'defi_security_details',
+            when: 'yes',
+            items: [
+              {
+                type: 'textarea',
+                name: 'defi_security_findings',
+                label: 'If yes, please attach the latest summary findings or certifications.',
+                rows: 3,
+                placeholder: 'Please describe the latest security audit findings or attach certifications...'
+              }
+            ]
+          }
+        },
+        {
+          type: 'yesNo',
+          name: 'defi_disclaimers',
+          label: '5. Do your standard client agreements include disclaimers, waivers, or limitations of liability specifically addressing risks related to cryptocurrency transactions, volatility, or smart contracts?',
+          followUp: {
+            id: 'defi_disclaimers_details',
+            when: 'yes',
+            items: [
+              {
+                type: 'textarea',
+                name: 'defi_contract_clauses',
+                label: 'If yes, please attach sample contract clauses.',
+                rows: 3,
+                placeholder: 'Please provide sample contract clauses...'
+              }
+            ]
+          }
+        },
+        {
+          type: 'yesNo',
+          name: 'defi_wallet_infrastructure',
+          idPrefix: 'defi_wallet',
+          label: '6. Do you maintain separate hot and cold wallet infrastructures for cryptocurrency held on behalf of clients?',
+          followUp: {
+            id: 'defi_wallet_details',
+            when: 'yes',
+            items: [
+              {
+                type: 'textarea',
+                name: 'defi_wallet_split',
+                label: 'If yes, please describe the split and security controls.',
+                rows: 3,
+                placeholder: 'Please describe the hot/cold wallet split and security controls...'
+              }
+            ]
+          }
+        },
+        {
+          type: 'yesNo',
+          name: 'defi_regulated',
+          label: '7. Are any of your blockchain or crypto-related activities regulated by financial services authorities (e.g., FINTRAC, MiCA, VARA, MAS)?',
+          followUp: {
+            id: 'defi_regulated_details',
+            when: 'yes',
+            items: [
+              {
+                type: 'textarea',
+                name: 'defi_regulators',
+                label: 'If yes, please list regulators and licenses held',
+                rows: 3,
+                placeholder: 'Please list regulators and licenses held...'
+              }
+            ]
+          }
+        },
+        {
+          type: 'yesNo',
+          name: 'defi_aml_policies',
+          idPrefix: 'defi_aml',
+          label: '8. Do you have documented policies and procedures in place for Anti-Money Laundering (AML), Counter Terrorist Financing (CFT), and customer onboarding (KYC/KYB)?',
+          followUp: {
+            id: 'defi_aml_details',
+            when: 'yes',
+            items: [
+              {
+                type: 'textarea',
+                name: 'defi_aml_policy',
+                label: 'Please attach your AML/KYC policy',
+                rows: 3,
+                placeholder: 'Please describe your AML/KYC policy or attach documentation...'
+              }
+            ]
+          }
+        },
+        {
+          type: 'textarea',
+          name: 'defi_sanctions_compliance',
+          label: '9. What processes do you have to ensure compliance with international sanctions laws (e.g., OFAC, EU sanctions) in transactions involving digital assets?',
+          rows: 3,
+          placeholder: 'Please describe your sanctions compliance processes...'
+        },
+        {
+          type: 'yesNo',
+          name: 'defi_blockchain_analytics',
+          idPrefix: 'defi_analytics',
+          label: '10. Do you maintain logs or blockchain analytics to monitor and trace the source of funds to help mitigate fraud, money laundering, or sanctions violations?',
+          followUp: {
+            id: 'defi_analytics_details',
+            when: 'yes',
+            items: [
+              {
+                type: 'textarea',
+                name: 'defi_analytics_systems',
+                label: 'If yes, please describe the systems or vendors used.',
+                rows: 3,
+                placeholder: 'Please describe the blockchain analytics systems or vendors used...'
+              }
+            ]
+          }
+        },
+        {
+          type: 'yesNo',
+          name: 'defi_protocols',
+          label: '11. Do you use any decentralized protocols (DEXs, liquidity pools, DeFi protocols) as part of your business operations or investment strategies?'
+        },
+        {
+          type: 'yesNo',
+          name: 'defi_third_party',
+          label: '12. Do you use third-party custodians, liquidity providers, or technology vendors for any part of your crypto operations?',
+          followUp: {
+            id: 'defi_third_party_details',
+            when: 'yes',
+            items: [
+              {
+                type: 'yesNo',
+                name: 'defi_indemnity',
+                label: 'If yes, do your contracts with these providers include indemnity and hold harmless provisions in your favor?'
+              }
+            ]
+          }
+        },
+        {
+          type: 'yesNo',
+          name: 'defi_investment_assets',
+          idPrefix: 'defi_investment',
+          label: '13. Do you hold or have custody digital assets on your own balance sheet for investment purposes?If yes, please indicate the approximate value and percentage of total assets.',
+          followUp: {
+            id: 'defi_investment_details',
+            when: 'yes',
+            items: [
+              {
+                type: 'textarea',
+                name: 'defi_investment_value',
+                label: 'Please indicate the approximate value and percentage of total assets:',
+                rows: 2,
+                placeholder: 'Please indicate approximate value and percentage of total assets...'
+              }
+            ]
+          }
+        },
+        {
+          type: 'yesNo',
+          name: 'defi_token_issuance',
+          idPrefix: 'defi_token',
+          label: '14. Do you develop, issue, or advise on the issuance of tokens, coins, or other digital assets?If yes, please provide details on the token structure and investor protections.',
+          followUp: {
+            id: 'defi_token_details',
+            when: 'yes',
+            items: [
+              {
+                type: 'textarea',
+                name: 'defi_token_structure',
+                label: 'Please provide details on the token structure and investor protections:',
+                rows: 3,
+                placeholder: 'Please provide details on token structure, investor protections, compliance measures, etc...'
+              }
+            ]
+          }
+        },
+        {
+          type: 'text',
+          name: 'defi_revenue_percentage',
+          label: '15. What percentage of your business revenue is derived from blockchain or cryptocurrency-related services versus traditional financial or technology services?',
+          placeholder: 'e.g., 75% crypto-related, 25% traditional'
+        },
+        {
+          type: 'yesNo',
+          name: 'defi_incident_response',
+          idPrefix: 'defi_incident',
+          label: '16. Do you have incident response plans specific to handling cryptocurrency or blockchain-related security events, including notifying customers and regulators?'
+        },
+        {
+          type: 'yesNo',
+          name: 'defi_crypto_insurance',
+          label: '17. Do you have insurance coverage in place (separate from E&O) to protect against loss or theft of cryptocurrency assets (crime / cyber crime / specie)?'
+        },
+        {
+          type: 'yesNo',
+          name: 'defi_do_insurance',
+          idPrefix: 'defi_do',
+          label: '18. Do you carry directors & officers (D&O) insurance that specifically contemplates exposures arising from cryptocurrency or blockchain-related activities?'
+        },
+        {
+          type: 'yesNo',
+          name: 'defi_regulatory_issues',
+          idPrefix: 'defi_regulatory',
+          label: '19. Have you ever been the subject of any regulatory investigation, audit, inquiry, or received a warning letter in relation to your crypto or blockchain activities?'
+        },
+        {
+          type: 'yesNo',
+          name: 'defi_security_incidents',
+          label: '20. Have you experienced any hacks, data breaches, theft of cryptocurrency assets, or significant transaction errors in the last five years?',
+          followUp: {
+            id: 'defi_security_incidents_details',
+            when: 'yes',
+            items: [
+              {
+                type: 'textarea',
+                name: 'defi_incident_details',
+                label: 'If yes, please provide details, including remedial actions taken.',
+                rows: 4,
+                placeholder: 'Please provide details of any security incidents and remedial actions taken...'
+              }
+            ]
+          }
+        }
+      ]
+    },
+    {
+      key: 'robotics',
+      sector: 'robotics',
+      title: 'Autonomous Robotics (Additional Questions)',
+      pdfTitle: '3. Autonomous Robotics (Additional Questions)',
+      tocTitle: 'Additional Questions: Autonomous Robotics',
+      intro: {
+        heading: 'Additional Robotics Questions:',
+        text: 'Since you selected Autonomous Robotics as a sector, please complete these additional questions.'
+      },
+      items: [
+        {
+          type: 'textarea',
+          name: 'robotics_functions',
+          label: '1. What functions do your autonomous robots perform?',
+          rows: 3,
+          placeholder: 'Please describe the functions and capabilities of your autonomous robots...'
+        },
+        {
+          type: 'yesNo',
+          name: 'robotics_public_use',
+          idPrefix: 'robotics_public',
+          label: '2. Are your robots used in public or semi-public environments (e.g., hospitals, airports, malls)?'
+        },
+        {
+          type: 'number',
+          name: 'robotics_deployed_count',
+          label: '3. How many autonomous robots are currently deployed in the field?',
+          min: 0,
+          placeholder: 'Number of deployed robots'
+        },
+        {
+          type: 'choice',
+          name: 'robotics_autonomy_level',
+          label: '4. What level of autonomy do your robots operate at?',
+          options: [
+            { id: 'robotics_remote_controlled', value: 'remote_controlled', label: 'Remote controlled' },
+            { id: 'robotics_semi_autonomous', value: 'semi_autonomous', label: 'Semi – autonomous' },
+            {
+              id: 'robotics_fully_autonomous',
+              value: 'fully_autonomous',
+              label: 'Fully autonomous (no human in the loop)'
+            }
+          ]
+        },
+        {
+          type: 'yesNo',
+          name: 'robotics_realtime_decisions',
+          idPrefix: 'robotics_realtime',
+          label: '5. Can the robot make real-time decisions without human oversight?'
+        },
+        {
+          type: 'yesNo',
+          name: 'robotics_emergency_shutdown',
+          idPrefix: 'robotics_shutdown',
+          label: '6. Are there human override or emergency shutdown capabilities built into each unit?'
+        },
+        {
+          type: 'checkboxes',
+          name: 'robotics_navigation[]',
+          label: '7. What navigation methods are used? (select all that apply)',
+          options: [
+            { id: 'nav_gps', value: 'gps', label: 'GPS' },
+            { id: 'nav_slam', value: 'slam', label: 'SLAM' },
+            { id: 'nav_lidar', value: 'lidar', label: 'LiDAR' },
+            { id: 'nav_computer_vision', value: 'computer_vision', label: 'Computer Vision' },
+            { id: 'nav_beacon', value: 'beacon_infrared', label: 'Beacon/Infrared' },
+            {
+              id: 'nav_other',
+              value: 'other',
+              label: 'Other',
+              followUp: {
+                id: 'nav_other_details',
+                when: 'checked',
+                items: [
+                  {
+                    type: 'text',
+                    name: 'nav_other_specify',
+                    label: 'Please specify other navigation methods:',
+                    placeholder: 'Please specify other navigation methods'
+                  }
+                ]
+              }
+            }
+          ]
+        },
+        {
+          type: 'yesNo',
+          name: 'robotics_obstacle_detection',
+          idPrefix: 'robotics_obstacle',
+          label: '8. Are the robots equipped with real-time obstacle detection and collision avoidance systems?'
+        },
+        {
+          type: 'yesNo',
+          name: 'robotics_incidents',
+          label: '9. Have you had any reported incidents involving physical harm or property damage caused by a robot?',
+          followUp: {
+            id: 'robotics_incidents_details',
+            when: 'yes',
+            items: [
+              {
+                type: 'textarea',
+                name: 'robotics_incident_description',
+                label: 'If yes please describe',
+                rows: 3,
+                placeholder: 'Please describe any incidents involving physical harm or property damage...'
+              }
+            ]
+          }
+        },
+        {
+          type: 'yesNo',
+          name: 'robotics_ai_ml',
+          idPrefix: 'robotics_ai',
+          label: '10. Do your robots use AI agents or machine learning models to support decision-making?'
+        },
+        {
+          type: 'text',
+          name: 'robotics_update_frequency',
+          label: '11. How often is the software or firmware on the robots updated?',
+          placeholder: 'e.g., Monthly, Quarterly, As needed'
+        },
+        {
+          type: 'yesNo',
+          name: 'robotics_activity_logs',
+          idPrefix: 'robotics_logs',
+          label: '12. Do you maintain logs of robot activity and decision-making for audit or incident response purposes?'
+        },
+        {
+          type: 'yesNo',
+          name: 'robotics_encrypted_comms',
+          idPrefix: 'robotics_encrypted',
+          label: '13. Are communications between robots and your servers encrypted and authenticated?'
+        },
+        {
+          type: 'yesNo',
+          name: 'robotics_audits',
+          label: '14. Have your systems undergone independent safety, cybersecurity, or compliance audits?'
+        },
+        {
+          type: 'yesNo',
+          name: 'robotics_standards',
+          label: '15. Are your robots certified or compliant with any relevant safety or robotics standards (e.g., ISO 13482, UL 3100)?'
+        },
+        {
+          type: 'choice',
+          name: 'robotics_maintenance',
+          label: '16. Do you perform regular maintenance or diagnostics on deployed robotic units?',
+          options: [
+            {
+              id: 'robotics_maintenance_scheduled',
+              value: 'scheduled_protocols',
+              label: 'Yes – per scheduled maintenance protocols'
+            },
+            {
+              id: 'robotics_maintenance_failure',
+              value: 'failure_only',
+              label: 'Yes – only upon failure or customer report'
+            },
+            { id: 'robotics_maintenance_none', value: 'no_formal', label: 'No formal maintenance program' }
+          ]
+        },
+        {
+          type: 'choice',
+          name: 'robotics_third_party_deployment',
+          label: '17. Are any robots deployed at customer or third-party locations where you do not have direct operational control?',
+          options: [
+            { id: 'robotics_third_party_no', value: 'no', label: 'No' },
+            {
+              id: 'robotics_third_party_monitored',
+              value: 'yes_monitored',
+              label: 'Yes – with active monitoring'
+            },
+            {
+              id: 'robotics_third_party_unmonitored',
+              value: 'yes_unmonitored',
+              label: 'Yes – without active monitoring'
+            }
+          ]
+        },
+        {
+          type: 'choice',
+          name: 'robotics_public_interaction',
+          label: '18. Do your robots interact directly with members of the public or end users (e.g., customers, patients, pedestrians)?',
+          options: [
+            { id: 'robotics_interaction_frequent', value: 'yes_frequently', label: 'Yes – frequently' },
+            { id: 'robotics_interaction_occasional', value: 'occasionally', label: 'Occasionally' },
+            { id: 'robotics_interaction_none', value: 'no_direct', label: 'No direct interaction' }
+          ]
+        },
+        {
+          type: 'checkboxes',
+          name: 'robotics_contract_terms[]',
+          label: '19. Do you have contracts in place with customers or partners that include:',
+          options: [
+            { id: 'contract_liability', value: 'limitations_liability', label: 'Limitations of liability?' },
+            { id: 'contract_indemnification', value: 'indemnification', label: 'Indemnification terms?' },
+            { id: 'contract_insurance', value: 'insurance_requirements', label: 'Insurance requirements?' }
+          ]
+        },
+        {
+          type: 'choice',
+          name: 'robotics_insurance_coverage',
+          label: '20. Do you carry insurance coverage specific to autonomous hardware/software risks (e.g., product liability, tech E&O, cyber)?',
+          options: [
+            {
+              id: 'robotics_insurance_adequate',
+              value: 'yes_adequate',
+              label: 'Yes – adequate and reviewed annually'
+            },
+            {
+              id: 'robotics_insurance_review',
+              value: 'yes_needs_review',
+              label: 'Yes – but may need review'
+            },
+            { id: 'robotics_insurance_none', value: 'no_coverage', label: 'No specific coverage' }
+          ]
+        }
+      ]
+    }
+  ];
+
+  global.QUESTIONNAIRE_SCHEMA = {
+    version: 1,
+    sections: sections
+  };
+})(window);
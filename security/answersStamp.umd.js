@@ -0,0 +1,168 @@
+/**
+ * Answers Stamp
+ *
+ * Tamper evidence for printed applications: every generated PDF carries a
+ * SHA-256 digest of the answers it was generated from, with a short reference
+ * ID, in the content page footers, as a QR code on the cover and in the
+ * document information dictionary. The "Verify PDF" dialog of the wizard
+ * recomputes the digest from an answers file and compares the two.
+ *
+ * The digest covers the canonical form of the collectFormData() payload:
+ * object keys sorted, checkbox selections sorted, empty answers, the
+ * submission date/time and the certification statement (form text in the
+ * language of the page) left out, serialised as JSON (UTF-8), so the same
+ * answers give the same digest in every language. The reference is
+ * the first 12 hex digits of the digest, e.g. AX-3F9C-21B7-0D4E.
+ *
+ * Dependencies:
+ * - pdf-lib (window.PDFLib)
+ * - qrcode-generator (window.qrcode), for the cover QR code
+ * - Web Crypto (crypto.subtle), or node-forge (window.forge) where it is unavailable
+ * - i18n/i18n.umd.js, for the captions beside the QR code
+ */
+(function (global) {
+  var METADATA_KEYS = ['submissionDate', 'submissionTime'];
+  var SIGNATURE_BOILERPLATE_KEYS = ['certificationStatement'];
+  var INFO_REFERENCE = 'AnswersReference';
+  var INFO_HASH = 'AnswersSHA256';
+
+  function isEmpty(value) {
+    if (Array.isArray(value)) return value.length === 0;
+    if (value && typeof value === 'object') return Object.keys(value).length === 0;
+    return value === undefined || value === null || value === '';
+  }
+
+  function canonicalize(value) {
+    if (Array.isArray(value)) {
+      return value.map(canonicalize).sort();
+    }
+    if (value && typeof value === 'object') {
+      var result = {};
+      Object.keys(value).sort().forEach(function (key) {
+        var item = canonicalize(value[key]);
+        if (!isEmpty(item)) result[key] = item;
+      });
+      return result;
+    }
+    return value;
+  }
+
+  // Canonical JSON of the answers, the exact text the digest is computed over
+  function canonicalAnswers(formData) {
+    var answers = {};
+    Object.keys(formData).forEach(function (key) {
+      if (METADATA_KEYS.indexOf(key) === -1) answers[key] = formData[key];
+    });
+    if (answers.signature) {
+      var signature = {};
+      Object.keys(answers.signature).forEach(function (key) {
+        if (SIGNATURE_BOILERPLATE_KEYS.indexOf(key) === -1) signature[key] = answers.signature[key];
+      });
+      answers.signature = signature;
+    }
+    return JSON.stringify(canonicalize(answers));
+  }
+
+  function sha256Hex(text) {
+    if (global.crypto && global.crypto.subtle) {
+      return global.crypto.subtle.digest('SHA-256', new TextEncoder().encode(text)).then(function (hash) {
+        return Array.prototype.map.call(new Uint8Array(hash), function (byte) {
+          return (byte < 16 ? '0' : '') + byte.toString(16);
+        }).join('');
+      });
+    }
+    return Promise.resolve(global.forge.md.sha256.create().update(text, 'utf8').digest().toHex());
+  }
+
+  // Resolves to { reference, hash } for collectFormData() output
+  function createAnswersStamp(formData) {
+    return sha256Hex(canonicalAnswers(formData)).then(function (hash) {
+      var digits = hash.slice(0, 12).toUpperCase();
+      return { reference: 'AX-' + digits.match(/.{4}/g).join('-'), hash: hash };
+    });
+  }
+
+  // Text encoded in the cover QR code
+  function stampText(stamp) {
+    return 'Ref ' + stamp.reference + ' SHA-256 ' + stamp.hash;
+  }
+
+  // Extracts the digest from typed or scanned text (a bare digest or the QR code text)
+  function parseStampText(text) {
+    var match = /\b[0-9a-f]{64}\b/i.exec(text || '');
+    return match ? match[0].toLowerCase() : null;
+  }
+
+  // Draws the QR code with the reference and digest beside it on a pdf-lib page; (x, y) is the bottom left
+  // and position.locale the language of the captions (default: the current locale)
+  function drawAnswersStamp(pdfDoc, page, stamp, position) {
+    var PDFLib = global.PDFLib;
+    var size = position.size || 72;
+    var qr = global.qrcode(0, 'M');
+    qr.addData(stampText(stamp));
+    qr.make();
+
+    var count = qr.getModuleCount();
+    var cell = size / count;
+    for (var row = 0; row < count; row++) {
+      for (var col = 0; col < count; col++) {
+        if (!qr.isDark(row, col)) continue;
+        // One rectangle per run of dark modules
+        var run = 1;
+        while (col + run < count && qr.isDark(row, col + run)) run++;
+        page.drawRectangle({
+          x: position.x + col * cell,
+          y: position.y + size - (row + 1) * cell,
+          width: run * cell,
+          height: cell,
+          color: PDFLib.rgb(0, 0, 0)
+        });
+        col += run - 1;
+      }
+    }
+
+    return Promise.all([
+      pdfDoc.embedFont(PDFLib.StandardFonts.HelveticaBold),
+      pdfDoc.embedFont(PDFLib.StandardFonts.Courier)
+    ]).then(function (fonts) {
+      var x = position.x + size + 10;
+      var top = position.y + size - 9;
+      page.drawText(global.translateUMD('Reference {reference}', { reference: stamp.reference }, position.locale), { x: x, y: top, size: 9, font: fonts[0] });
+      page.drawText(global.translateUMD('Answers SHA-256', null, position.locale), { x: x, y: top - 14, size: 7, font: fonts[0] });
+      page.drawText(stamp.hash.slice(0, 32), { x: x, y: top - 24, size: 7, font: fonts[1] });
+      page.drawText(stamp.hash.slice(32), { x: x, y: top - 33, size: 7, font: fonts[1] });
+    });
+  }
+
+  // Records the stamp in the document information dictionary
+  function writeAnswersStamp(pdfDoc, stamp) {
+    var PDFLib = global.PDFLib;
+    var info = pdfDoc.getInfoDict();
+    info.set(PDFLib.PDFName.of(INFO_REFERENCE), PDFLib.PDFString.of(stamp.reference));
+    info.set(PDFLib.PDFName.of(INFO_HASH), PDFLib.PDFString.of(stamp.hash));
+  }
+
+  // Resolves to the { reference, hash } recorded in pdfBytes
+  function readAnswersStamp(pdfBytes) {
+    var PDFLib = global.PDFLib;
+    return PDFLib.PDFDocument.load(pdfBytes, { updateMetadata: false, ignoreEncryption: true }).then(function (pdfDoc) {
+      if (pdfDoc.isEncrypted) {
+        throw new Error('This PDF is password protected. Verify a copy saved with "Download PDF" instead.');
+      }
+      var info = pdfDoc.getInfoDict();
+      var reference = info.lookupMaybe(PDFLib.PDFName.of(INFO_REFERENCE), PDFLib.PDFString, PDFLib.PDFHexString);
+      var hash = info.lookupMaybe(PDFLib.PDFName.of(INFO_HASH), PDFLib.PDFString, PDFLib.PDFHexString);
+      if (!hash) {
+        throw new Error('This PDF has no answers stamp. Only application PDFs downloaded from this form can be verified.');
+      }
+      return { reference: reference ? reference.decodeText() : null, hash: hash.decodeText() };
+    });
+  }
+
+  global.canonicalAnswersUMD = canonicalAnswers;
+  global.createAnswersStampUMD = createAnswersStamp;
+  global.parseAnswersStampUMD = parseStampText;
+  global.drawAnswersStampUMD = drawAnswersStamp;
+  global.writeAnswersStampUMD = writeAnswersStamp;
+  global.readAnswersStampUMD = readAnswersStamp;
+})(window);
@@ -0,0 +1,240 @@
+/**
+ * PDF Encryption
+ *
+ * Password-protects a pdf-lib document with the standard security handler
+ * using AES-256 (PDF 2.0, revision 6); pdf-lib 1.17 can read but not write
+ * encrypted files. The user password is needed to open the document, the
+ * owner password to lift the permission restrictions.
+ *
+ * Options: { userPassword, ownerPassword?, permissions? }
+ * - ownerPassword defaults to a random one, so nobody can lift the restrictions
+ * - permissions: { printing, modifying, copying, annotating, fillingForms, assembling },
+ *   all false unless set; text extraction for accessibility is always allowed
+ *
+ * saveEncryptedPdfUMD replaces pdfDoc.save(): it encrypts every string and
+ * stream once the document is final, then saves without object streams
+ * (pdf-lib would write those unencrypted).
+ *
+ * Dependencies:
+ * - pdf-lib (window.PDFLib)
+ * - Web Crypto (crypto.subtle); browsers only provide it on https:// and localhost pages
+ */
+(function (global) {
+  // Bit positions of the /P entry (ISO 32000-2, table 22); bits 7-8 and 13-32 must be set
+  var PERMISSION_BITS = {
+    printing: (1 << 2) | (1 << 11), // Print, in full quality
+    modifying: 1 << 3,
+    copying: 1 << 4,
+    annotating: 1 << 5,
+    fillingForms: 1 << 8,
+    assembling: 1 << 10
+  };
+  var REQUIRED_BITS = 0xFFFFF000 | (1 << 6) | (1 << 7) | (1 << 9); // Reserved bits and accessibility
+
+  // Marked userFacing: the PDF generator shows its message instead of a generic error
+  function userError(message) {
+    var error = new Error(message);
+    error.userFacing = true;
+    return error;
+  }
+
+  function subtle() {
+    if (!global.crypto || !global.crypto.subtle) {
+      throw userError('PDF encryption needs the Web Crypto API, which browsers only provide on https:// and localhost pages.');
+    }
+    return global.crypto.subtle;
+  }
+
+  function randomBytes(length) {
+    return global.crypto.getRandomValues(new Uint8Array(length));
+  }
+
+  function concat(parts) {
+    var result = new Uint8Array(parts.reduce(function (sum, part) { return sum + part.length; }, 0));
+    var offset = 0;
+    parts.forEach(function (part) {
+      result.set(part, offset);
+      offset += part.length;
+    });
+    return result;
+  }
+
+  function toHex(bytes) {
+    return Array.prototype.map.call(bytes, function (byte) {
+      return (byte < 16 ? '0' : '') + byte.toString(16);
+    }).join('');
+  }
+
+  // Passwords are UTF-8, at most 127 bytes (SASLprep normalisation is not applied)
+  function passwordBytes(password) {
+    return new TextEncoder().encode(password).slice(0, 127);
+  }
+
+  function digest(algorithm, data) {
+    return subtle().digest(algorithm, data).then(function (hash) { return new Uint8Array(hash); });
+  }
+
+  function importAesKey(keyBytes) {
+    return subtle().importKey('raw', keyBytes, 'AES-CBC', false, ['encrypt']);
+  }
+
+  // AES-CBC; Web Crypto always pads, so unpadded output drops the padding block
+  function aesEncrypt(key, iv, data, padded) {
+    return subtle().encrypt({ name: 'AES-CBC', iv: iv }, key, data).then(function (result) {
+      var bytes = new Uint8Array(result);
+      return padded ? bytes : bytes.subarray(0, data.length);
+    });
+  }
+
+  function aesEncryptWith(keyBytes, iv, data) {
+    return importAesKey(keyBytes).then(function (key) { return aesEncrypt(key, iv, data, false); });
+  }
+
+  // Hash of algorithm 2.B (ISO 32000-2, 7.6.4.3.4)
+  function hash2B(password, salt, userKey) {
+    var round = 0;
+    function next(k) {
+      var block = concat([password, k, userKey]);
+      var k1 = new Uint8Array(block.length * 64);
+      for (var i = 0; i < 64; i++) k1.set(block, i * block.length);
+
+      return aesEncryptWith(k.subarray(0, 16), k.subarray(16, 32), k1).then(function (e) {
+        var sum = 0;
+        for (var j = 0; j < 16; j++) sum += e[j];
+        return digest(['SHA-256', 'SHA-384', 'SHA-512'][sum % 3], e).then(function (hash) {
+          round++;
+          return round < 64 || e[e.length - 1] > round - 32 ? next(hash) : hash.subarray(0, 32);
+        });
+      });
+    }
+    return digest('SHA-256', concat([password, salt, userKey])).then(next);
+  }
+
+  function permissionFlags(permissions) {
+    var flags = REQUIRED_BITS;
+    Object.keys(PERMISSION_BITS).forEach(function (name) {
+      if (permissions && permissions[name]) flags |= PERMISSION_BITS[name];
+    });
+    return flags | 0; // Signed 32-bit, as written in the PDF
+  }
+
+  // /U, /UE, /O, /OE and /Perms for a random file encryption key (algorithms 8-10)
+  function createEncryptionEntries(fileKey, userPassword, ownerPassword, flags) {
+    var user = passwordBytes(userPassword);
+    var owner = passwordBytes(ownerPassword);
+    var userSalts = randomBytes(16); // Validation salt, then key salt
+    var ownerSalts = randomBytes(16);
+    var zeroIv = new Uint8Array(16);
+    var entries = {};
+
+    return hash2B(user, userSalts.subarray(0, 8), new Uint8Array(0)).then(function (hash) {
+      entries.U = concat([hash, userSalts]);
+      return hash2B(user, userSalts.subarray(8), new Uint8Array(0));
+    }).then(function (key) {
+      return aesEncryptWith(key, zeroIv, fileKey);
+    }).then(function (userEncryptedKey) {
+      entries.UE = userEncryptedKey;
+      return hash2B(owner, ownerSalts.subarray(0, 8), entries.U);
+    }).then(function (hash) {
+      entries.O = concat([hash, ownerSalts]);
+      return hash2B(owner, ownerSalts.subarray(8), entries.U);
+    }).then(function (key) {
+      return aesEncryptWith(key, zeroIv, fileKey);
+    }).then(function (ownerEncryptedKey) {
+      entries.OE = ownerEncryptedKey;
+      var perms = new Uint8Array(16);
+      for (var i = 0; i < 4; i++) perms[i] = (flags >>> (8 * i)) & 0xFF;
+      perms.set([0xFF, 0xFF, 0xFF, 0xFF, 0x54, 0x61, 0x64, 0x62], 4); // 'T' (metadata encrypted), 'adb'
+      perms.set(randomBytes(4), 12);
+      return aesEncryptWith(fileKey, zeroIv, perms);
+    }).then(function (perms) {
+      entries.Perms = perms;
+      return entries;
+    });
+  }
+
+  // Encrypts the strings inside an object; resolves to the object to store in its place
+  function encryptObject(object, encrypt) {
+    var PDFLib = global.PDFLib;
+    if (object instanceof PDFLib.PDFString || object instanceof PDFLib.PDFHexString) {
+      return encrypt(object.asBytes()).then(function (bytes) { return PDFLib.PDFHexString.of(toHex(bytes)); });
+    }
+    if (object instanceof PDFLib.PDFDict) {
+      // A signature value is never encrypted (pdfSignature.umd.js fills it in after saving)
+      var isSignature = object.get(PDFLib.PDFName.of('Type')) === PDFLib.PDFName.of('Sig');
+      return Promise.all(object.entries().map(function (entry) {
+        if (isSignature && entry[0] === PDFLib.PDFName.of('Contents')) return Promise.resolve();
+        return encryptObject(entry[1], encrypt).then(function (value) {
+          if (value !== entry[1]) object.set(entry[0], value);
+        });
+      })).then(function () { return object; });
+    }
+    if (object instanceof PDFLib.PDFArray) {
+      return Promise.all(object.asArray().map(function (item, i) {
+        return encryptObject(item, encrypt).then(function (value) {
+          if (value !== item) object.set(i, value);
+        });
+      })).then(function () { return object; });
+    }
+    if (object instanceof PDFLib.PDFStream) {
+      return encryptObject(object.dict, encrypt).then(function () {
+        return encrypt(object.getContents());
+      }).then(function (contents) {
+        return PDFLib.PDFRawStream.of(object.dict, contents);
+      });
+    }
+    return Promise.resolve(object);
+  }
+
+  // Resolves to the bytes of the password-protected document
+  function saveEncryptedPdf(pdfDoc, options) {
+    if (!options || !options.userPassword) {
+      return Promise.reject(userError('PDF encryption needs a user password.'));
+    }
+    var PDFLib = global.PDFLib;
+    var context = pdfDoc.context;
+    var fileKey = randomBytes(32);
+    var flags = permissionFlags(options.permissions);
+    var ownerPassword = options.ownerPassword || toHex(randomBytes(16));
+
+    // Embed pending fonts, images and attachments first so they are encrypted too
+    return pdfDoc.flush().then(function () {
+      return importAesKey(fileKey);
+    }).then(function (key) {
+      function encrypt(bytes) {
+        var iv = randomBytes(16);
+        return aesEncrypt(key, iv, bytes, true).then(function (data) { return concat([iv, data]); });
+      }
+      return Promise.all(context.enumerateIndirectObjects().map(function (entry) {
+        return encryptObject(entry[1], encrypt).then(function (object) {
+          if (object !== entry[1]) context.assign(entry[0], object);
+        });
+      }));
+    }).then(function () {
+      return createEncryptionEntries(fileKey, options.userPassword, ownerPassword, flags);
+    }).then(function (entries) {
+      var hex = function (bytes) { return PDFLib.PDFHexString.of(toHex(bytes)); };
+      context.trailerInfo.Encrypt = context.register(context.obj({
+        Filter: 'Standard',
+        V: 5,
+        R: 6,
+        Length: 256,
+        CF: { StdCF: { AuthEvent: 'DocOpen', CFM: 'AESV3', Length: 32 } },
+        StmF: 'StdCF',
+        StrF: 'StdCF',
+        O: hex(entries.O),
+        U: hex(entries.U),
+        OE: hex(entries.OE),
+        UE: hex(entries.UE),
+        P: flags,
+        Perms: hex(entries.Perms),
+        EncryptMetadata: true
+      }));
+      var id = hex(randomBytes(16));
+      context.trailerInfo.ID = context.obj([id, id]);
+      return pdfDoc.save({ useObjectStreams: false });
+    });
+  }
+
+  global.saveEncryptedPdfUMD = saveEncryptedPdf;
+})(window);
@@ -0,0 +1,215 @@
+/**
+ * PDF Digital Signature
+ *
+ * Signs a generated PDF with the certificate and private key of a PKCS#12
+ * (.p12 / .pfx) file, entirely client-side. The signature is a detached CMS
+ * (PKCS#7) SignedData carrying the CAdES signing-certificate-v2 attribute
+ * (SubFilter ETSI.CAdES.detached), so Acrobat reports whether the document
+ * was changed after signing.
+ *
+ * Signing wraps the save:
+ * 1. readPkcs12UMD(bytes, password) opens the certificate file
+ * 2. addSignaturePlaceholderUMD(pdfDoc, signer, reason) reserves the signature
+ *    before pdfDoc.save({ useObjectStreams: false })
+ * 3. signPdfUMD(pdfBytes, signer) fills in /ByteRange and /Contents
+ *
+ * The signer is plain data ({ name, privateKey, certificates } as PEM) so it
+ * can be posted to the PDF worker (generate-pdf-worker.js).
+ *
+ * Only RSA keys are supported (node-forge). A self-signed test certificate:
+ *   openssl req -x509 -newkey rsa:2048 -sha256 -days 365 -nodes -subj "/CN=Test Applicant" -keyout key.pem -out cert.pem
+ *   openssl pkcs12 -export -inkey key.pem -in cert.pem -out test.p12
+ *
+ * Dependencies:
+ * - node-forge (window.forge)
+ * - pdf-lib (window.PDFLib)
+ */
+(function (global) {
+  var SIGNATURE_SIZE = 16384; // Bytes reserved for the CMS signature
+  var BYTE_RANGE_PLACEHOLDER = '**********';
+  var SIGNING_CERTIFICATE_V2 = '1.2.840.113549.1.9.16.2.47';
+
+  // Binary string (one char per byte), the form node-forge works with
+  function toBinary(bytes) {
+    var chunks = [];
+    for (var i = 0; i < bytes.length; i += 8192) {
+      chunks.push(String.fromCharCode.apply(null, bytes.subarray(i, i + 8192)));
+    }
+    return chunks.join('');
+  }
+
+  // Marked userFacing: the PDF generator shows its message instead of a generic error
+  function userError(message) {
+    var error = new Error(message);
+    error.userFacing = true;
+    return error;
+  }
+
+  function bagsOf(p12, bagType) {
+    return p12.getBags({ bagType: bagType })[bagType] || [];
+  }
+
+  // Resolves the signer: { name, privateKey, certificates (signer first) }, keys and certificates as PEM
+  function readPkcs12(bytes, password) {
+    var forge = global.forge;
+    var p12;
+    try {
+      p12 = forge.pkcs12.pkcs12FromAsn1(forge.asn1.fromDer(toBinary(new Uint8Array(bytes))), password || '');
+    } catch (error) {
+      throw userError('The certificate file could not be opened. Check the password and that it is a .p12 or .pfx file.');
+    }
+
+    var keyBag = bagsOf(p12, forge.pki.oids.pkcs8ShroudedKeyBag).concat(bagsOf(p12, forge.pki.oids.keyBag))[0];
+    var certificates = bagsOf(p12, forge.pki.oids.certBag).map(function (bag) { return bag.cert; }).filter(Boolean);
+    var privateKey = keyBag && keyBag.key;
+    var certificate = privateKey && certificates.filter(function (cert) {
+      return cert.publicKey.n && cert.publicKey.n.equals(privateKey.n);
+    })[0];
+    if (!certificate) {
+      throw userError('The certificate file must contain an RSA private key and its certificate.');
+    }
+
+    var now = new Date();
+    if (now < certificate.validity.notBefore || now > certificate.validity.notAfter) {
+      throw userError('The certificate is only valid from ' + certificate.validity.notBefore.toLocaleDateString() +
+        ' to ' + certificate.validity.notAfter.toLocaleDateString() + '.');
+    }
+
+    var commonName = certificate.subject.getField('CN');
+    return {
+      name: commonName ? commonName.value : certificate.subject.attributes.map(function (attr) { return attr.value; }).join(', '),
+      privateKey: forge.pki.privateKeyToPem(privateKey),
+      certificates: [certificate].concat(certificates.filter(function (cert) { return cert !== certificate; })).map(function (cert) {
+        return forge.pki.certificateToPem(cert);
+      })
+    };
+  }
+
+  // Adds an invisible signature field whose value holds the placeholders signPdf fills in
+  function addSignaturePlaceholder(pdfDoc, signer, reason) {
+    var PDFLib = global.PDFLib;
+    var context = pdfDoc.context;
+    var placeholder = PDFLib.PDFName.of(BYTE_RANGE_PLACEHOLDER);
+    var signatureRef = context.register(context.obj({
+      Type: 'Sig',
+      Filter: 'Adobe.PPKLite',
+      SubFilter: 'ETSI.CAdES.detached',
+      ByteRange: [0, placeholder, placeholder, placeholder],
+      Contents: PDFLib.PDFHexString.of(new Array(SIGNATURE_SIZE * 2 + 1).join('0')),
+      Reason: PDFLib.PDFString.of(reason),
+      Name: PDFLib.PDFString.of(signer.name),
+      M: PDFLib.PDFString.fromDate(new Date())
+    }));
+
+    var page = pdfDoc.getPage(0);
+    var widgetRef = context.register(context.obj({
+      Type: 'Annot',
+      Subtype: 'Widget',
+      FT: 'Sig',
+      Rect: [0, 0, 0, 0],
+      V: signatureRef,
+      T: PDFLib.PDFString.of('Applicant Signature'),
+      F: 4 | 128, // Print, Locked
+      P: page.ref
+    }));
+    page.node.addAnnot(widgetRef);
+    // Added to the document's form, if it has one, so its fields are kept
+    var acroForm = pdfDoc.catalog.getOrCreateAcroForm();
+    acroForm.addField(widgetRef);
+    acroForm.dict.set(PDFLib.PDFName.of('SigFlags'), PDFLib.PDFNumber.of(3));
+  }
+
+  // Detached CMS SignedData over data (CAdES-BES signed attributes)
+  function createSignedData(data, signer) {
+    var forge = global.forge;
+    var asn1 = forge.asn1;
+    var pki = forge.pki;
+    var UNIVERSAL = asn1.Class.UNIVERSAL;
+
+    function seq(items) { return asn1.create(UNIVERSAL, asn1.Type.SEQUENCE, true, items); }
+    function set(items) { return asn1.create(UNIVERSAL, asn1.Type.SET, true, items); }
+    function oid(id) { return asn1.create(UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(id).getBytes()); }
+    function octets(bytes) { return asn1.create(UNIVERSAL, asn1.Type.OCTETSTRING, false, bytes); }
+    function integer(bytes) { return asn1.create(UNIVERSAL, asn1.Type.INTEGER, false, bytes); }
+    function explicit(tag, items) { return asn1.create(asn1.Class.CONTEXT_SPECIFIC, tag, true, items); }
+    function algorithm(id) { return seq([oid(id), asn1.create(UNIVERSAL, asn1.Type.NULL, false, '')]); }
+    function sha256(bytes) { return forge.md.sha256.create().update(bytes).digest().getBytes(); }
+    function attribute(type, value) { return seq([oid(type), set([value])]); }
+
+    var certificates = signer.certificates.map(function (pem) { return pki.certificateFromPem(pem); });
+    var certificate = certificates[0];
+    var serialNumber = integer(forge.util.hexToBytes(certificate.serialNumber));
+    var certificateDer = asn1.toDer(pki.certificateToAsn1(certificate)).getBytes();
+
+    // ESSCertIDv2 { certHash, issuerSerial { GeneralNames { directoryName }, serialNumber } }, SHA-256 by default
+    var signingCertificate = seq([seq([seq([
+      octets(sha256(certificateDer)),
+      seq([seq([explicit(4, [pki.distinguishedNameToAsn1(certificate.issuer)])]), serialNumber])
+    ])])]);
+
+    // DER sorts SET OF by encoding; the same order is used for the digest and the SignerInfo
+    var attributes = [
+      attribute(pki.oids.contentType, oid(pki.oids.data)),
+      attribute(pki.oids.messageDigest, octets(sha256(toBinary(data)))),
+      attribute(SIGNING_CERTIFICATE_V2, signingCertificate)
+    ].sort(function (a, b) {
+      var derA = asn1.toDer(a).getBytes();
+      var derB = asn1.toDer(b).getBytes();
+      return derA < derB ? -1 : (derA > derB ? 1 : 0);
+    });
+    var attributesDigest = forge.md.sha256.create().update(asn1.toDer(set(attributes)).getBytes());
+
+    var signerInfo = seq([
+      integer(String.fromCharCode(1)),
+      seq([pki.distinguishedNameToAsn1(certificate.issuer), serialNumber]),
+      algorithm(pki.oids.sha256),
+      explicit(0, attributes), // [0] IMPLICIT SET OF Attribute
+      algorithm(pki.oids.rsaEncryption),
+      octets(pki.privateKeyFromPem(signer.privateKey).sign(attributesDigest))
+    ]);
+    var signedData = seq([
+      integer(String.fromCharCode(1)),
+      set([algorithm(pki.oids.sha256)]),
+      seq([oid(pki.oids.data)]),
+      explicit(0, certificates.map(function (cert) { return pki.certificateToAsn1(cert); })),
+      set([signerInfo])
+    ]);
+    return asn1.toDer(seq([oid(pki.oids.signedData), explicit(0, [signedData])])).getBytes();
+  }
+
+  function writeText(pdf, offset, text) {
+    for (var i = 0; i < text.length; i++) pdf[offset + i] = text.charCodeAt(i);
+  }
+
+  // Signs the bytes of a document saved with a placeholder; returns the signed bytes
+  function signPdf(pdfBytes, signer) {
+    var pdf = new Uint8Array(pdfBytes);
+    var text = toBinary(pdf);
+    var placeholder = '<' + new Array(SIGNATURE_SIZE * 2 + 1).join('0') + '>';
+    var contentsStart = text.lastIndexOf(placeholder);
+    var byteRangeStart = text.lastIndexOf('/ByteRange [') + '/ByteRange ['.length;
+    var byteRangeEnd = text.indexOf(']', byteRangeStart);
+    if (contentsStart === -1 || byteRangeStart < '/ByteRange ['.length) {
+      throw new Error('The PDF has no signature placeholder; call addSignaturePlaceholderUMD before saving it.');
+    }
+
+    // Everything except the signature value itself is signed
+    var contentsEnd = contentsStart + placeholder.length;
+    var byteRange = [0, contentsStart, contentsEnd, pdf.length - contentsEnd].join(' ');
+    writeText(pdf, byteRangeStart, byteRange + new Array(byteRangeEnd - byteRangeStart - byteRange.length + 1).join(' '));
+
+    var data = new Uint8Array(pdf.length - placeholder.length);
+    data.set(pdf.subarray(0, contentsStart));
+    data.set(pdf.subarray(contentsEnd), contentsStart);
+    var signature = global.forge.util.bytesToHex(createSignedData(data, signer));
+    if (signature.length > placeholder.length - 2) {
+      throw userError('The signature is larger than the space reserved for it. Use a certificate file with a shorter chain.');
+    }
+    writeText(pdf, contentsStart + 1, signature);
+    return pdf;
+  }
+
+  global.readPkcs12UMD = readPkcs12;
+  global.addSignaturePlaceholderUMD = addSignaturePlaceholder;
+  global.signPdfUMD = signPdf;
+})(window);
@@ -0,0 +1,129 @@
+/**
+ * Service Worker - offline app shell
+ *
+ * Precaches the wizard page, its scripts, fonts, embedded PDF templates and CDN libraries on
+ * install, so brokers can fill in and download applications on a laptop with no connectivity once
+ * the app has been opened online. Service workers only run on http(s) pages (localhost included); a page
+ * opened from file:// is not cached.
+ *
+ * Strategy:
+ * - app files: network first, so a new deployment is picked up when online; the cache when offline
+ * - CDN libraries: cache first, their URLs are versioned
+ *
+ * Bump CACHE_VERSION when the list of precached files changes.
+ */
+
+const CACHE_VERSION = 'v4';
+const CACHE_PREFIX = 'axis-application-';
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+
+// Relative to this script, which sits next to the HTML page
+const APP_FILES = [
+    './axis-technology-insurance-bootstrap.html',
+    './generate-pdf.js',
+    './generate-pdf-worker.js',
+    './generate-fillable-pdf.js',
+    './typography/registerFonts.umd.js',
+    './typography/tokens.umd.js',
+    './typography/useFont.umd.js',
+    './assets/pdfAssets.umd.js',
+    './assets-base64/front-cover-page.b64.js',
+    './assets-base64/end-last-page.b64.js',
+    './assets-base64/logo.b64.js',
+    './branding/branding.umd.js',
+    './branding/themes/axis.json',
+    './i18n/i18n.umd.js',
+    './i18n/en-CA.umd.js',
+    './i18n/fr-CA.umd.js',
+    './fonts-base64/Poppins-Black.b64.js',
+    './fonts-base64/Poppins-ExtraBold.b64.js',
+    './fonts-base64/Vollkorn-Regular.b64.js',
+    './fonts-base64/Aptos-Serif.b64.js',
+    './fonts-base64/Aptos-Serif-Bold.b64.js',
+    './questionnaire/schema.umd.js',
+    './questionnaire/renderWizard.umd.js',
+    './questionnaire/answerAttachment.umd.js',
+    './questionnaire/riskScore.umd.js',
+    './questionnaire/redFlags.umd.js',
+    './questionnaire/completeness.umd.js',
+    './questionnaire/renewal.umd.js',
+    './security/pdfEncryption.umd.js',
+    './security/pdfSignature.umd.js',
+    './security/answersStamp.umd.js'
+];
+
+// Same URLs as the HTML page and the PDF worker
+const CDN_FILES = [
+    'https://cdn.jsdelivr.net/npm/bootstrap@5.3.2/dist/css/bootstrap.min.css',
+    'https://cdn.jsdelivr.net/npm/jquery@3.7.1/dist/jquery.min.js',
+    'https://cdn.jsdelivr.net/npm/bootstrap@5.3.2/dist/js/bootstrap.bundle.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/jspdf/2.5.1/jspdf.umd.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/jspdf-autotable/3.5.31/jspdf.plugin.autotable.min.js',
+    'https://unpkg.com/pdf-lib@1.17.1/dist/pdf-lib.min.js',
+    'https://unpkg.com/@pdf-lib/fontkit@1.1.1/dist/fontkit.umd.min.js',
+    'https://cdn.jsdelivr.net/npm/node-forge@1.3.1/dist/forge.min.js',
+    'https://cdn.jsdelivr.net/npm/qrcode-generator@1.4.4/qrcode.js'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_FILES.concat(CDN_FILES)))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drop the caches of previous versions
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') {
+        return;
+    }
+    
+    if (new URL(request.url).origin === self.location.origin) {
+        event.respondWith(networkFirst(request));
+    } else if (CDN_FILES.includes(request.url)) {
+        event.respondWith(cacheFirst(request));
+    }
+});
+
+async function networkFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        // Offline: the copy from the last visit (the query string does not select a different file)
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) {
+            return cached;
+        }
+        throw error;
+    }
+}
+
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    if (cached) {
+        return cached;
+    }
+    const response = await fetch(request);
+    if (response.ok) {
+        const cache = await caches.open(CACHE_NAME);
+        cache.put(request, response.clone());
+    }
+    return response;
+}